@@ -11,7 +11,8 @@ module.exports = {
     '^@/(.*)$': '<rootDir>/src/$1'
   },
   transform: {
-    '^.+\.js$': 'babel-jest'
+    // .babelrc保留ES模块供打包使用，测试只用babel.config.js转换为CommonJS
+    '^.+\.js$': ['babel-jest', { babelrc: false }]
   },
   setupFilesAfterEnv: ['<rootDir>/tests/setup.js'],
   testEnvironmentOptions: {
@@ -2,8 +2,17 @@
  * 后台服务
  * 负责处理大模型API调用和其他后台任务
  */
-import storageService from '../services/storageService.js';
-import modelService from '../services/modelService.js';
+import storageService, { CUSTOM_PROMPT_TEMPLATES_KEY } from '../services/storageService.js';
+import modelService, { REWRITE_STREAM_PORT } from '../services/modelService.js';
+import contextMenuService from '../services/contextMenuService.js';
+import enhancedRewriteService from '../services/enhancedRewriteService.js';
+import floatingToolbarService from '../services/floatingToolbarService.js';
+import sensitiveDataHandler from '../services/sensitiveDataHandler.js';
+import autoSyncService from '../services/autoSyncService.js';
+import syncQueueService, { SYNC_QUEUE_ALARM } from '../services/syncQueueService.js';
+
+// 进行中的改写请求，requestId → AbortController，用于取消
+const activeRewrites = new Map();
 
 // 监听来自内容脚本和侧边栏的消息
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
@@ -13,9 +22,18 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     case 'rewriteText':
       handleRewriteText(message.data, sendResponse);
       break;
+    case 'cancelRewrite':
+      handleCancelRewrite(message.data, sendResponse);
+      break;
     case 'testModelConnection':
       handleTestModelConnection(message.data, sendResponse);
       break;
+    case 'drainSyncQueue':
+      handleDrainSyncQueue(sendResponse);
+      break;
+    case 'blockFloatingToolbarSite':
+      handleBlockFloatingToolbarSite(message.data, sendResponse);
+      break;
     default:
       sendResponse({ success: false, error: 'Unknown action' });
   }
@@ -24,6 +42,66 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   return true;
 });
 
+// 侧边栏通过Port发起流式改写，后台把模型输出逐段转发回去
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== REWRITE_STREAM_PORT) {
+    return;
+  }
+  // 侧边栏点击停止或关闭时中止模型请求
+  const controller = new AbortController();
+  port.onDisconnect.addListener(() => controller.abort());
+  port.onMessage.addListener((message) => {
+    if (message.type === 'cancel') {
+      controller.abort();
+    } else {
+      handleRewriteStream(port, message, controller.signal);
+    }
+  });
+});
+
+// 安装或升级扩展时加密存量配置中的明文密钥，并更新划词工具栏设置中记下的风格名称
+chrome.runtime.onInstalled.addListener(async () => {
+  try {
+    await storageService.encryptExistingSecrets();
+  } catch (error) {
+    console.error('敏感数据加密迁移失败:', error);
+  }
+  try {
+    await floatingToolbarService.refreshStoredSettings();
+  } catch (error) {
+    console.error('更新划词工具栏设置失败:', error);
+  }
+  await registerAutoSyncAlarms();
+  await contextMenuService.registerMenus();
+});
+
+// 用户增删提示词模板后重新生成右键菜单
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && changes[CUSTOM_PROMPT_TEMPLATES_KEY]) {
+    contextMenuService.registerMenus();
+  }
+});
+
+// 右键菜单改写选中的文字
+chrome.contextMenus.onClicked.addListener(handleContextMenuClick);
+
+// 浏览器启动时按已保存的计划重新注册自动同步闹钟
+chrome.runtime.onStartup.addListener(registerAutoSyncAlarms);
+
+// 自动同步闹钟触发时推送待同步的改写记录，队列闹钟触发时重试到期的同步任务
+// 后台脚本收不到网络恢复事件：离线时队列闹钟每分钟触发一次，推送前检查navigator.onLine，联网后即推送积压的任务
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+  if (alarm.name === SYNC_QUEUE_ALARM) {
+    await drainSyncQueue();
+    return;
+  }
+  try {
+    await autoSyncService.handleAlarm(alarm);
+  } catch (error) {
+    console.error('自动同步失败:', error);
+  }
+});
+
 // 监听扩展图标点击事件，直接打开侧边栏
 chrome.action.onClicked.addListener(async (tab) => {
   try {
@@ -36,15 +114,102 @@ chrome.action.onClicked.addListener(async (tab) => {
   }
 });
 
+/**
+ * 处理右键菜单点击：打开侧边栏，并把选中的文字和所选风格或模板交给侧边栏改写
+ * 启用主密码时后台无法解密模型配置，改写在已解锁的侧边栏中进行
+ * @param {Object} info - 菜单点击信息
+ * @param {chrome.tabs.Tab} tab - 所在标签页
+ */
+async function handleContextMenuClick(info, tab) {
+  // 打开侧边栏须在用户操作的同步调用中发起，不能等到读取选中文字之后
+  const panelOpened = tab
+    ? chrome.sidePanel.open({ windowId: tab.windowId }).catch(error => console.error('Error opening side panel:', error))
+    : Promise.resolve();
+
+  try {
+    const rewrite = await contextMenuService.resolveMenuItem(info.menuItemId);
+    if (!rewrite) {
+      return;
+    }
+    const text = await getSelectionFromTab(tab, info.selectionText);
+    if (text) {
+      await contextMenuService.queueRewrite({ ...rewrite, text });
+    }
+  } catch (error) {
+    console.error('右键菜单改写失败:', error);
+  }
+  await panelOpened;
+}
+
+/**
+ * 读取标签页中选中的文字，内容脚本保留换行；无法通信时使用菜单提供的选中文字
+ * @param {chrome.tabs.Tab} tab - 标签页
+ * @param {string} selectionText - 菜单点击信息中的选中文字
+ * @returns {Promise<string>} 选中的文字
+ */
+async function getSelectionFromTab(tab, selectionText = '') {
+  try {
+    const response = tab && await chrome.tabs.sendMessage(tab.id, { action: 'getSelectedText' });
+    if (response && response.success && response.data) {
+      return response.data;
+    }
+  } catch (error) {
+    console.warn('通过内容脚本获取选中文字失败:', error.message);
+  }
+  return selectionText.trim();
+}
+
+/**
+ * 注册自动同步闹钟
+ */
+async function registerAutoSyncAlarms() {
+  try {
+    await autoSyncService.registerAlarms();
+  } catch (error) {
+    console.error('注册自动同步闹钟失败:', error);
+  }
+}
+
+/**
+ * 推送同步队列中到期的任务
+ * @returns {Promise<Object|null>} 推送结果
+ */
+async function drainSyncQueue() {
+  try {
+    return await syncQueueService.drain();
+  } catch (error) {
+    console.error('推送同步队列失败:', error);
+    return null;
+  }
+}
+
+/**
+ * 处理推送同步队列请求
+ * @param {Function} sendResponse - 响应函数
+ */
+async function handleDrainSyncQueue(sendResponse) {
+  const result = await drainSyncQueue();
+  sendResponse({ success: !!result, data: result });
+}
+
 /**
  * 处理文本改写请求
- * @param {Object} data - 请求数据
+ * 未指定模型时使用侧边栏当前选用的模型；指定style而未给提示词时使用该风格的模板提示词和示例（划词工具栏）
+ * @param {Object} data - 请求数据 { model, text, rewritePrompt, style, examples, tags, bypassCache, requestId }
  * @param {Function} sendResponse - 响应函数
  */
 async function handleRewriteText(data, sendResponse) {
+  const controller = new AbortController();
+  if (data.requestId) {
+    activeRewrites.set(data.requestId, controller);
+  }
+  
   try {
     // 获取模型配置
-    const config = await storageService.getModelConfig(data.model);
+    const configName = data.model || await storageService.loadActiveModelConfigName();
+    const config = configName
+      ? await storageService.getModelConfig(configName)
+      : (await storageService.loadModelConfigs())[0];
     if (!config) {
       sendResponse({ 
         success: false, 
@@ -53,15 +218,93 @@ async function handleRewriteText(data, sendResponse) {
       return;
     }
     
-    // 调用模型服务进行文本改写
-    const response = await modelService.rewriteText(config, data.text, data.rewritePrompt);
+    // 锁定时密钥仍是密文，直接报错而不是把密文发给模型接口；保存的配置只有modelType，与侧边栏一样补上type
+    const revealedConfig = await sensitiveDataHandler.revealSensitiveData({ ...config, type: config.modelType || config.type }, 'modelConfig');
+    const useStyle = data.style && !data.rewritePrompt;
+    const rewritePrompt = useStyle ? enhancedRewriteService.buildRewritePrompt(data.style) : data.rewritePrompt;
+    const examples = useStyle ? enhancedRewriteService.buildRewriteExamples(data.style) : data.examples;
+    
+    // 调用模型服务进行文本改写，标记为机密的文本不会发给云端模型
+    const response = await modelService.rewriteText(revealedConfig, data.text, rewritePrompt, {
+      examples,
+      tags: data.tags,
+      bypassCache: data.bypassCache,
+      signal: controller.signal
+    });
     sendResponse(response);
   } catch (error) {
     console.error('Rewrite text error:', error);
     sendResponse({ 
       success: false, 
-      error: error.message 
+      error: error.message,
+      code: error.code
       });
+  } finally {
+    activeRewrites.delete(data.requestId);
+  }
+}
+
+/**
+ * 处理在网站停用划词工具栏的请求
+ * @param {Object} data - 请求数据 { hostname }
+ * @param {Function} sendResponse - 响应函数
+ */
+async function handleBlockFloatingToolbarSite(data, sendResponse) {
+  try {
+    await floatingToolbarService.blockSite(data && data.hostname);
+    sendResponse({ success: true });
+  } catch (error) {
+    console.error('停用划词工具栏失败:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+/**
+ * 处理取消改写请求
+ * @param {Object} data - 请求数据 { requestId }
+ * @param {Function} sendResponse - 响应函数
+ */
+function handleCancelRewrite(data, sendResponse) {
+  const controller = activeRewrites.get(data && data.requestId);
+  if (controller) {
+    controller.abort();
+  }
+  sendResponse({ success: !!controller });
+}
+
+/**
+ * 处理流式改写请求
+ * 侧边栏传来已解密的模型配置，后台可能未解锁主密码，不能自行读取加密配置
+ * @param {chrome.runtime.Port} port - 侧边栏连接
+ * @param {Object} data - 请求数据 { config, text, rewritePrompt, examples, tags, bypassCache, budgetChecked }
+ * @param {AbortSignal} signal - 取消信号
+ */
+async function handleRewriteStream(port, data, signal) {
+  let connected = true;
+  port.onDisconnect.addListener(() => {
+    connected = false;
+  });
+  const post = (message) => {
+    if (connected) {
+      port.postMessage(message);
+    }
+  };
+
+  try {
+    // 侧边栏修改配置后只清理了自己的缓存，这里丢弃后台缓存的旧适配器
+    modelService.clearAdapterCache(data.config.id);
+    const response = await modelService.rewriteText(data.config, data.text, data.rewritePrompt, {
+      onChunk: (text) => post({ type: 'chunk', text }),
+      examples: data.examples,
+      tags: data.tags,
+      bypassCache: data.bypassCache,
+      budgetChecked: data.budgetChecked,
+      signal
+    });
+    post({ type: 'done', response });
+  } catch (error) {
+    console.error('Rewrite stream error:', error);
+    post({ type: 'done', response: { success: false, error: error.message } });
   }
 }
 
@@ -91,4 +334,7 @@ if (chrome.sidePanel && chrome.sidePanel.onPanelShown) {
   });
 }
 
+// 后台脚本每次被唤醒时继续推送上次挂起前未完成的同步任务
+drainSyncQueue();
+
 console.log('FlowFocus background service initialized');
\ No newline at end of file
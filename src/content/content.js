@@ -3,6 +3,9 @@
  * 负责与网页内容交互，提供增强的文本获取功能
  */
 
+import { VALIDATION_RULES } from '../utils/constants.js';
+import { buildToolbarConfig } from '../utils/floatingToolbarRules.js';
+
 console.log('FlowFocus Content Script v2.0 开始加载...');
 
 // 全局错误处理
@@ -65,20 +68,259 @@ function safeSendResponse(sendResponse, data) {
     }
 }
 
+// 最近一次获取的选中内容及其位置，替换网页原文时使用
+let savedSelection = null;
+
+// 最近一次替换网页原文的信息，用于撤销
+let lastReplacement = null;
+
+// 可以选中文字的input类型
+const TEXT_INPUT_TYPES = ['text', 'search', 'url', 'tel', 'email'];
+
+/**
+ * 判断元素是否为可选中文字的输入框
+ * @param {Element} element 元素
+ * @returns {boolean}
+ */
+function isTextField(element) {
+    if (!element) {
+        return false;
+    }
+    if (element.tagName === 'TEXTAREA') {
+        return true;
+    }
+    return element.tagName === 'INPUT' && TEXT_INPUT_TYPES.includes((element.type || 'text').toLowerCase());
+}
+
+/**
+ * 查找可编辑区域的根元素
+ * @param {Element} element 可编辑区域内的元素
+ * @returns {Element} 根元素
+ */
+function findEditingHost(element) {
+    let host = element;
+    while (host.parentElement && host.parentElement.isContentEditable) {
+        host = host.parentElement;
+    }
+    return host;
+}
+
 /**
- * 获取用户选中的文本
+ * 记录当前选中的内容：输入框记录选区的起止位置，网页文字和富文本编辑器记录Range
+ * 网页选区在输入框中时window.getSelection()取不到文字，需要单独处理
+ * @returns {Object|null} 选中内容，没有选中时为null
+ */
+function captureSelection() {
+    const active = document.activeElement;
+    if (isTextField(active) && active.selectionStart !== active.selectionEnd) {
+        return {
+            kind: 'field',
+            element: active,
+            start: active.selectionStart,
+            end: active.selectionEnd,
+            text: active.value.slice(active.selectionStart, active.selectionEnd)
+        };
+    }
+    
+    const selection = window.getSelection();
+    if (!selection || selection.rangeCount === 0 || selection.isCollapsed) {
+        return null;
+    }
+    const range = selection.getRangeAt(0).cloneRange();
+    const container = range.commonAncestorContainer;
+    const element = container.nodeType === Node.ELEMENT_NODE ? container : container.parentElement;
+    const editor = element && element.isContentEditable ? findEditingHost(element) : null;
+    return {
+        kind: editor ? 'editable' : 'range',
+        range,
+        editor,
+        text: selection.toString(),
+        rangeText: range.toString()
+    };
+}
+
+/**
+ * 获取用户选中的文本，同时记住选中的位置
  * @returns {string} 选中的文本
  */
 function getSelectedText() {
     try {
-        const selection = window.getSelection();
-        return selection ? selection.toString().trim() : '';
+        savedSelection = captureSelection();
+        return savedSelection ? savedSelection.text.trim() : '';
     } catch (error) {
         console.error('获取选中文本失败:', error);
         return '';
     }
 }
 
+/**
+ * 合并空白后比较文本，忽略换行和缩进的差异
+ * @param {string} text 文本
+ * @returns {string}
+ */
+function normalizeWhitespace(text) {
+    return String(text || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * 检查记住的选中内容是否仍在原处未被修改
+ * @param {Object} selection 选中内容
+ * @returns {boolean}
+ */
+function isSelectionIntact(selection) {
+    if (selection.kind === 'field') {
+        return selection.element.isConnected &&
+            selection.element.value.slice(selection.start, selection.end) === selection.text;
+    }
+    return selection.range.toString() === selection.rangeText;
+}
+
+/**
+ * 设置输入框的值；React等框架改写了实例上的value属性，需通过原型上的setter才能被其感知
+ * @param {HTMLInputElement|HTMLTextAreaElement} element 输入框
+ * @param {string} value 新值
+ */
+function setFieldValue(element, value) {
+    const prototype = element.tagName === 'TEXTAREA' ? HTMLTextAreaElement.prototype : HTMLInputElement.prototype;
+    Object.getOwnPropertyDescriptor(prototype, 'value').set.call(element, value);
+}
+
+/**
+ * 派发输入事件，让页面脚本和编辑器感知内容变化
+ * @param {Element} element 输入框或编辑器
+ * @param {string} text 插入的文本
+ */
+function dispatchInputEvents(element, text) {
+    element.dispatchEvent(new InputEvent('input', { bubbles: true, inputType: 'insertReplacementText', data: text }));
+    element.dispatchEvent(new Event('change', { bubbles: true }));
+}
+
+/**
+ * 执行编辑命令，部分页面环境不支持execCommand时返回false
+ * @param {string} command 命令
+ * @param {string} value 参数
+ * @returns {boolean} 是否已执行
+ */
+function execEditCommand(command, value) {
+    try {
+        return typeof document.execCommand === 'function' && document.execCommand(command, false, value);
+    } catch (error) {
+        console.warn('执行编辑命令失败:', command, error);
+        return false;
+    }
+}
+
+/**
+ * 替换输入框中选中的文字
+ * execCommand插入的文字进入浏览器的撤销栈并触发beforeinput/input事件，不可用时直接改值并补发事件
+ * @param {Object} selection 选中内容
+ * @param {string} text 替换后的文字
+ * @returns {Object} 替换信息
+ */
+function replaceInField(selection, text) {
+    const { element, start, end } = selection;
+    element.focus();
+    element.setSelectionRange(start, end);
+    if (!execEditCommand('insertText', text)) {
+        setFieldValue(element, element.value.slice(0, start) + text + element.value.slice(end));
+        element.setSelectionRange(start + text.length, start + text.length);
+        dispatchInputEvents(element, text);
+    }
+    return { kind: 'field', element, start, text, original: selection.text };
+}
+
+/**
+ * 替换网页文字或富文本编辑器中选中的内容
+ * 编辑器内优先用execCommand，其次模拟粘贴（飞书文档、Notion等编辑器自行处理粘贴）；
+ * 都未被处理时直接替换DOM节点，撤销时放回原来的节点
+ * @param {Object} selection 选中内容
+ * @param {string} text 替换后的文字
+ * @returns {Object} 替换信息
+ */
+function replaceInRange(selection, text) {
+    const { range, editor } = selection;
+    
+    if (editor) {
+        editor.focus();
+        const current = window.getSelection();
+        current.removeAllRanges();
+        current.addRange(range);
+        
+        if (execEditCommand('insertText', text)) {
+            return { kind: 'editable', editor, text };
+        }
+        
+        const clipboardData = new DataTransfer();
+        clipboardData.setData('text/plain', text);
+        const pasteEvent = new ClipboardEvent('paste', { clipboardData, bubbles: true, cancelable: true });
+        if (!editor.dispatchEvent(pasteEvent)) {
+            return { kind: 'editable', editor, text };
+        }
+    }
+    
+    const original = range.extractContents();
+    const node = document.createTextNode(text);
+    range.insertNode(node);
+    if (editor) {
+        dispatchInputEvents(editor, text);
+    }
+    return { kind: 'range', node, original, editor };
+}
+
+/**
+ * 用改写结果替换记住的选中内容
+ * @param {string} text 替换后的文字
+ * @param {string} originalText 侧边栏中的原文，与记住的选中内容不一致时不替换
+ */
+function replaceSelection(text, originalText) {
+    const selection = savedSelection;
+    if (!selection) {
+        throw new Error('没有记住的选中内容，请先在网页中选中文字并获取');
+    }
+    if (originalText !== undefined && normalizeWhitespace(selection.text) !== normalizeWhitespace(originalText)) {
+        throw new Error('原文与网页中选中的内容不一致，请重新获取选中文字');
+    }
+    if (!isSelectionIntact(selection)) {
+        throw new Error('网页中的原文已变化，请重新选中后再替换');
+    }
+    
+    lastReplacement = selection.kind === 'field' ? replaceInField(selection, text) : replaceInRange(selection, text);
+    savedSelection = null;
+}
+
+/**
+ * 撤销最近一次替换
+ * 输入框中重新插入原文（同样可用Ctrl+Z撤销），编辑器交给其撤销功能，普通网页文字放回原来的节点
+ */
+function undoReplacement() {
+    const replacement = lastReplacement;
+    if (!replacement) {
+        throw new Error('没有可撤销的替换');
+    }
+    
+    if (replacement.kind === 'field') {
+        const { element, start, text, original } = replacement;
+        if (!element.isConnected || element.value.slice(start, start + text.length) !== text) {
+            throw new Error('替换后的内容已被修改，无法撤销');
+        }
+        replaceInField({ element, start, end: start + text.length, text }, original);
+    } else if (replacement.kind === 'editable') {
+        replacement.editor.focus();
+        if (!execEditCommand('undo')) {
+            throw new Error('编辑器不支持撤销，请在页面中按 Ctrl+Z 撤销');
+        }
+    } else {
+        if (!replacement.node.isConnected) {
+            throw new Error('替换后的内容已被修改，无法撤销');
+        }
+        replacement.node.replaceWith(replacement.original);
+        if (replacement.editor) {
+            dispatchInputEvents(replacement.editor, '');
+        }
+    }
+    lastReplacement = null;
+}
+
 /**
  * 获取页面主要内容（备选方案）
  * @returns {string} 页面主要内容
@@ -93,9 +335,9 @@ function getPageMainContent() {
                        document.body;
         
         if (article) {
-            const text = article.innerText || article.textContent || '';
-            // 限制文本长度，避免过长
-            return text.length > 5000 ? text.substring(0, 5000) + '...' : text;
+            const text = (article.innerText || article.textContent || '').trim();
+            // 限制文本长度，避免超出改写服务的上限，更长的正文由侧边栏分段改写
+            return text.length > VALIDATION_RULES.MAX_TEXT_LENGTH ? text.substring(0, VALIDATION_RULES.MAX_TEXT_LENGTH) : text;
         }
         
         return '';
@@ -171,6 +413,65 @@ function handleGetTextForRewrite(sendResponse) {
     }
 }
 
+/**
+ * 处理获取网页正文的请求，用于整篇改写长文
+ * @param {Function} sendResponse 响应函数
+ */
+function handleGetPageContent(sendResponse) {
+    try {
+        const content = getPageMainContent();
+        safeSendResponse(sendResponse, {
+            success: true,
+            data: content,
+            type: content.length > 0 ? 'page' : 'empty',
+            source: '网页正文',
+            truncated: content.length >= VALIDATION_RULES.MAX_TEXT_LENGTH
+        });
+    } catch (error) {
+        console.error('handleGetPageContent 出错:', error);
+        safeSendResponse(sendResponse, {
+            success: false,
+            error: 'handleGetPageContent 出错: ' + error.message,
+            data: ''
+        });
+    }
+}
+
+/**
+ * 处理替换网页原文的请求
+ * @param {Object} message 消息对象 { text, originalText }
+ * @param {Function} sendResponse 响应函数
+ */
+function handleReplaceSelection(message, sendResponse) {
+    try {
+        replaceSelection(message.text, message.originalText);
+        safeSendResponse(sendResponse, { success: true });
+    } catch (error) {
+        console.error('handleReplaceSelection 出错:', error);
+        safeSendResponse(sendResponse, {
+            success: false,
+            error: error.message
+        });
+    }
+}
+
+/**
+ * 处理撤销替换的请求
+ * @param {Function} sendResponse 响应函数
+ */
+function handleUndoReplace(sendResponse) {
+    try {
+        undoReplacement();
+        safeSendResponse(sendResponse, { success: true });
+    } catch (error) {
+        console.error('handleUndoReplace 出错:', error);
+        safeSendResponse(sendResponse, {
+            success: false,
+            error: error.message
+        });
+    }
+}
+
 /**
  * 处理ping请求
  * @param {Function} sendResponse 响应函数
@@ -220,6 +521,15 @@ function handleMessage(message, sender, sendResponse) {
             case 'getTextForRewrite':
                 handleGetTextForRewrite(sendResponse);
                 break;
+            case 'getPageContent':
+                handleGetPageContent(sendResponse);
+                break;
+            case 'replaceSelection':
+                handleReplaceSelection(message, sendResponse);
+                break;
+            case 'undoReplace':
+                handleUndoReplace(sendResponse);
+                break;
             default:
                 console.log('未知的操作类型:', message.action);
                 safeSendResponse(sendResponse, { 
@@ -274,6 +584,333 @@ function setupMessageListener() {
     }
 }
 
+// 划词工具栏设置的存储键，与floatingToolbarService中的一致
+const FLOATING_TOOLBAR_SETTINGS_KEY = 'floatingToolbarSettings';
+
+// 少于此字数的选中内容不显示划词工具栏
+const TOOLBAR_MIN_TEXT_LENGTH = 2;
+
+// 划词工具栏的样式，放在Shadow DOM中不受网页样式影响
+const TOOLBAR_CSS = `
+    :host { all: initial; }
+    .ff-box { font: 13px/1.5 -apple-system, BlinkMacSystemFont, "Segoe UI", "PingFang SC", "Microsoft YaHei", sans-serif; color: #212529; }
+    .ff-toolbar { display: flex; gap: 4px; padding: 4px; background: #ffffff; border: 1px solid #dee2e6; border-radius: 6px; box-shadow: 0 2px 8px rgba(0, 0, 0, 0.15); }
+    .ff-toolbar button, .ff-actions button { border: none; border-radius: 4px; padding: 3px 8px; font: inherit; cursor: pointer; background: #f1f3f5; color: #212529; }
+    .ff-toolbar button:hover, .ff-actions button:hover { background: #4a90e2; color: #ffffff; }
+    .ff-toolbar .ff-close { background: transparent; color: #868e96; }
+    .ff-popover { margin-top: 4px; width: 320px; max-width: calc(100vw - 16px); padding: 8px; background: #ffffff; border: 1px solid #dee2e6; border-radius: 6px; box-shadow: 0 2px 8px rgba(0, 0, 0, 0.15); }
+    .ff-result { max-height: 240px; overflow: auto; white-space: pre-wrap; word-break: break-word; }
+    .ff-status { color: #6c757d; }
+    .ff-error { color: #dc3545; }
+    .ff-actions { display: flex; gap: 4px; justify-content: flex-end; margin-top: 8px; }
+    .ff-actions .ff-primary { background: #4a90e2; color: #ffffff; }
+`;
+
+// 划词工具栏的配置（本网站是否显示及快捷风格），按存储中的设置和网站名单计算
+let toolbarConfig = { enabled: false, styles: [] };
+
+// 是否已注册显示和关闭工具栏的页面事件，只在本网站启用工具栏时注册
+let toolbarListening = false;
+
+// 划词工具栏的宿主元素和Shadow Root
+let toolbarHost = null;
+let toolbarRoot = null;
+
+// 当前划词改写的状态 { text, selection, style, requestId, result }
+let toolbarState = null;
+
+/**
+ * 从存储中读取划词工具栏设置并计算本网站的配置，不经过后台，避免每次打开网页都唤起后台
+ */
+function loadToolbarConfig() {
+    chrome.storage.local.get(FLOATING_TOOLBAR_SETTINGS_KEY, (items) => {
+        if (chrome.runtime.lastError) {
+            console.warn('读取划词工具栏设置失败:', chrome.runtime.lastError.message);
+            return;
+        }
+        applyToolbarConfig(buildToolbarConfig(items && items[FLOATING_TOOLBAR_SETTINGS_KEY], location.hostname));
+    });
+}
+
+/**
+ * 应用本网站的工具栏配置：启用时注册页面事件，停用时移除事件并关闭工具栏
+ * @param {Object} config { enabled, styles }
+ */
+function applyToolbarConfig(config) {
+    toolbarConfig = config;
+    if (!config.enabled) {
+        hideToolbar();
+    }
+    if (config.enabled === toolbarListening) {
+        return;
+    }
+    
+    const method = config.enabled ? 'addEventListener' : 'removeEventListener';
+    document[method]('mouseup', handleToolbarMouseUp, true);
+    document[method]('mousedown', handleToolbarDismiss, true);
+    document[method]('keydown', handleToolbarDismiss, true);
+    window[method]('scroll', handleToolbarDismiss, true);
+    toolbarListening = config.enabled;
+}
+
+/**
+ * 创建元素
+ * @param {string} tag 标签名
+ * @param {string} className 样式类
+ * @param {string} text 文字
+ * @returns {Element}
+ */
+function createToolbarElement(tag, className, text) {
+    const element = document.createElement(tag);
+    if (className) {
+        element.className = className;
+    }
+    if (text) {
+        element.textContent = text;
+    }
+    return element;
+}
+
+/**
+ * 创建工具栏按钮，按下时不让网页失去选区
+ * @param {string} text 按钮文字
+ * @param {Function} onClick 点击回调
+ * @param {string} className 样式类
+ * @returns {HTMLButtonElement}
+ */
+function createToolbarButton(text, onClick, className) {
+    const button = createToolbarElement('button', className, text);
+    button.type = 'button';
+    button.addEventListener('mousedown', event => event.preventDefault());
+    button.addEventListener('click', (event) => {
+        event.stopPropagation();
+        onClick();
+    });
+    return button;
+}
+
+/**
+ * 获取选中内容在视口中的位置
+ * @param {Object} selection 选中内容
+ * @returns {DOMRect|null}
+ */
+function getSelectionRect(selection) {
+    const rect = selection.kind === 'field'
+        ? selection.element.getBoundingClientRect()
+        : selection.range.getBoundingClientRect();
+    return rect && (rect.width || rect.height) ? rect : null;
+}
+
+/**
+ * 在选中内容下方显示划词工具栏，空间不够时显示在上方
+ * @param {Object} selection 选中内容
+ */
+function showToolbar(selection) {
+    const rect = getSelectionRect(selection);
+    if (!rect) {
+        return;
+    }
+    
+    if (!toolbarHost) {
+        toolbarHost = document.createElement('flowfocus-toolbar');
+        // closed模式下网页脚本无法访问工具栏内部
+        toolbarRoot = toolbarHost.attachShadow({ mode: 'closed' });
+    }
+    toolbarState = { text: selection.text.trim(), selection };
+    
+    const box = createToolbarElement('div', 'ff-box');
+    const toolbar = createToolbarElement('div', 'ff-toolbar');
+    toolbarConfig.styles.forEach(style => {
+        toolbar.appendChild(createToolbarButton(style.name, () => requestToolbarRewrite(style.key, false)));
+    });
+    toolbar.appendChild(createToolbarButton('🚫', blockToolbarSite, 'ff-close'));
+    toolbar.lastChild.title = '在此网站停用划词工具栏';
+    toolbar.appendChild(createToolbarButton('✕', hideToolbar, 'ff-close'));
+    box.appendChild(toolbar);
+    box.appendChild(createToolbarElement('div', 'ff-popover-slot'));
+    
+    const style = createToolbarElement('style', '', TOOLBAR_CSS);
+    toolbarRoot.replaceChildren(style, box);
+    
+    const top = rect.bottom + 6 + 40 > window.innerHeight ? Math.max(rect.top - 40, 0) : rect.bottom + 6;
+    const left = Math.min(Math.max(rect.left, 8), Math.max(window.innerWidth - 340, 8));
+    toolbarHost.style.cssText = `position: fixed; top: ${top}px; left: ${left}px; z-index: 2147483647;`;
+    if (!toolbarHost.isConnected) {
+        document.documentElement.appendChild(toolbarHost);
+    }
+}
+
+/**
+ * 隐藏划词工具栏，进行中的改写一并取消
+ */
+function hideToolbar() {
+    if (toolbarState && toolbarState.requestId && !toolbarState.result) {
+        chrome.runtime.sendMessage({ action: 'cancelRewrite', data: { requestId: toolbarState.requestId } }, () => {
+            // 后台可能已完成请求，忽略通信错误
+            void chrome.runtime.lastError;
+        });
+    }
+    toolbarState = null;
+    if (toolbarHost) {
+        toolbarHost.remove();
+    }
+}
+
+/**
+ * 在工具栏下方显示改写状态或结果
+ * @param {Object} view { status: 'loading' | 'done' | 'error', text }
+ */
+function renderToolbarPopover(view) {
+    const slot = toolbarRoot && toolbarRoot.querySelector('.ff-popover-slot');
+    if (!slot) {
+        return;
+    }
+    
+    const popover = createToolbarElement('div', 'ff-popover');
+    if (view.status === 'loading') {
+        popover.appendChild(createToolbarElement('div', 'ff-status', '正在改写...'));
+    } else if (view.status === 'error') {
+        popover.appendChild(createToolbarElement('div', 'ff-error', view.text));
+        const actions = createToolbarElement('div', 'ff-actions');
+        actions.appendChild(createToolbarButton('重试', () => requestToolbarRewrite(toolbarState.style, true)));
+        popover.appendChild(actions);
+    } else {
+        popover.appendChild(createToolbarElement('div', 'ff-result', view.text));
+        const actions = createToolbarElement('div', 'ff-actions');
+        actions.appendChild(createToolbarButton('替换原文', acceptToolbarResult, 'ff-primary'));
+        actions.appendChild(createToolbarButton('复制', copyToolbarResult));
+        actions.appendChild(createToolbarButton('重试', () => requestToolbarRewrite(toolbarState.style, true)));
+        popover.appendChild(actions);
+    }
+    slot.replaceChildren(popover);
+}
+
+/**
+ * 请求后台用当前选用的模型改写选中内容
+ * @param {string} style 改写风格
+ * @param {boolean} bypassCache 重试时不使用缓存结果
+ */
+function requestToolbarRewrite(style, bypassCache) {
+    const state = toolbarState;
+    if (!state) {
+        return;
+    }
+    const requestId = `toolbar-${Date.now()}`;
+    Object.assign(state, { style, requestId, result: null });
+    renderToolbarPopover({ status: 'loading' });
+    
+    chrome.runtime.sendMessage({
+        action: 'rewriteText',
+        data: { text: state.text, style, bypassCache, requestId }
+    }, (response) => {
+        // 工具栏已关闭或已发起新的改写时丢弃结果
+        if (toolbarState !== state || state.requestId !== requestId) {
+            return;
+        }
+        if (chrome.runtime.lastError || !response) {
+            renderToolbarPopover({ status: 'error', text: '无法连接扩展后台，请刷新页面后重试' });
+        } else if (response.success) {
+            state.result = response.data;
+            renderToolbarPopover({ status: 'done', text: response.data });
+        } else if (response.code === 'VAULT_LOCKED') {
+            renderToolbarPopover({ status: 'error', text: '已启用主密码保护，划词工具栏不可用，请在侧边栏中改写' });
+        } else if (!response.cancelled) {
+            renderToolbarPopover({ status: 'error', text: '改写失败: ' + (response.error || '未知错误') });
+        }
+    });
+}
+
+/**
+ * 用改写结果替换选中的原文，之后可在侧边栏撤销
+ */
+function acceptToolbarResult() {
+    try {
+        savedSelection = toolbarState.selection;
+        replaceSelection(toolbarState.result);
+        hideToolbar();
+    } catch (error) {
+        console.error('替换原文失败:', error);
+        renderToolbarPopover({ status: 'error', text: error.message });
+    }
+}
+
+/**
+ * 复制改写结果
+ */
+async function copyToolbarResult() {
+    try {
+        await navigator.clipboard.writeText(toolbarState.result);
+        hideToolbar();
+    } catch (error) {
+        console.error('复制改写结果失败:', error);
+        renderToolbarPopover({ status: 'error', text: '复制失败，请手动选择文字复制' });
+    }
+}
+
+/**
+ * 在此网站停用划词工具栏，可在侧边栏的设置中恢复
+ */
+function blockToolbarSite() {
+    applyToolbarConfig({ enabled: false, styles: [] });
+    chrome.runtime.sendMessage({ action: 'blockFloatingToolbarSite', data: { hostname: location.hostname } }, () => {
+        void chrome.runtime.lastError;
+    });
+}
+
+/**
+ * 鼠标松开时如有选中的文字则显示划词工具栏
+ * @param {MouseEvent} event 鼠标事件
+ */
+function handleToolbarMouseUp(event) {
+    if (!toolbarConfig.enabled || (toolbarHost && event.composedPath().includes(toolbarHost))) {
+        return;
+    }
+    // 等浏览器更新选区后再读取
+    setTimeout(() => {
+        try {
+            const selection = captureSelection();
+            if (selection && selection.text.trim().length >= TOOLBAR_MIN_TEXT_LENGTH) {
+                showToolbar(selection);
+            }
+        } catch (error) {
+            console.error('显示划词工具栏失败:', error);
+        }
+    }, 0);
+}
+
+/**
+ * 在工具栏之外按下鼠标、按Esc或滚动页面时关闭工具栏
+ * @param {Event} event 事件
+ */
+function handleToolbarDismiss(event) {
+    if (!toolbarState) {
+        return;
+    }
+    if (event.type === 'keydown' && event.key !== 'Escape') {
+        return;
+    }
+    if (event.type === 'mousedown' && event.composedPath().includes(toolbarHost)) {
+        return;
+    }
+    // 已显示改写结果时滚动页面不关闭
+    if (event.type === 'scroll' && toolbarState.requestId) {
+        return;
+    }
+    hideToolbar();
+}
+
+/**
+ * 初始化划词工具栏：默认关闭，设置变化后重新计算本网站的配置
+ */
+function initFloatingToolbar() {
+    loadToolbarConfig();
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName === 'local' && changes[FLOATING_TOOLBAR_SETTINGS_KEY]) {
+            applyToolbarConfig(buildToolbarConfig(changes[FLOATING_TOOLBAR_SETTINGS_KEY].newValue, location.hostname));
+        }
+    });
+}
+
 // 安全初始化
 try {
     console.log('开始安全初始化 FlowFocus Content Script v2.0');
@@ -287,10 +924,12 @@ try {
             document.addEventListener('DOMContentLoaded', function() {
                 console.log('DOM 加载完成，设置FlowFocus消息监听器');
                 setupMessageListener();
+                initFloatingToolbar();
             });
         } else {
             console.log('DOM 已加载，直接设置FlowFocus消息监听器');
             setupMessageListener();
+            initFloatingToolbar();
         }
     }
     
@@ -9,12 +9,21 @@
 class ModelConfig {
   constructor(data = {}) {
     this.id = data.id || this.generateId();
-    this.modelType = data.modelType || '';// qwen, deepseek, volces, kimi, hunyuan
+    this.modelType = data.modelType || '';// qwen, deepseek, volces, kimi, hunyuan, custom, ollama, anthropic, gemini
     this.type = data.type || ''; // 存储的数据类型
     this.name = data.name || '';
     this.apiKey = data.apiKey || '';
     this.baseUrl = data.baseUrl || '';
     this.modelEndpoint = data.modelEndpoint || '';
+    this.authStyle = data.authStyle || ''; // 仅custom类型使用：bearer、api-key、none
+    this.headers = data.headers || ''; // 仅custom类型使用：附加请求头JSON
+    this.streamUsage = data.streamUsage !== false; // 仅custom类型使用：流式输出时是否请求返回用量
+    this.inputPrice = data.inputPrice || 0; // 输入单价，每1K tokens
+    this.outputPrice = data.outputPrice || 0; // 输出单价，每1K tokens
+    this.currency = data.currency || 'CNY';
+    this.dailySpendLimit = data.dailySpendLimit || 0; // 每日费用上限，0为不限
+    this.monthlySpendLimit = data.monthlySpendLimit || 0; // 每月费用上限，0为不限
+    this.spendLimitAction = data.spendLimitAction || 'block'; // 超出上限时：block阻止，warn仅提醒
     this.temperature = data.temperature || 0.7;
     this.maxTokens = data.maxTokens || 2000;
     this.isActive = data.isActive || false;
@@ -32,7 +41,7 @@ class ModelConfig {
     
     if (!this.type) errors.push('模型类型不能为空');
     if (!this.name) errors.push('模型名称不能为空');
-    if (!this.apiKey) errors.push('API密钥不能为空');
+    if (!this.apiKey && this.requiresApiKey()) errors.push('API密钥不能为空');
     
     if (this.temperature < 0 || this.temperature > 2) {
       errors.push('温度值必须在0-2之间');
@@ -42,12 +51,25 @@ class ModelConfig {
       errors.push('最大令牌数必须在1-8000之间');
     }
     
+    if ([this.inputPrice, this.outputPrice, this.dailySpendLimit, this.monthlySpendLimit].some(value => value < 0)) {
+      errors.push('单价和费用上限不能为负数');
+    }
+    
     return {
       isValid: errors.length === 0,
       errors
     };
   }
 
+  /**
+   * 是否必须填写API密钥，本地Ollama模型和无需鉴权的自定义模型除外
+   * @returns {boolean}
+   */
+  requiresApiKey() {
+    const modelType = this.modelType || this.type;
+    return this.authStyle !== 'none' && modelType !== 'ollama';
+  }
+
   /**
    * 获取默认配置
    * @param {string} modelType - 模型类型
@@ -89,6 +111,35 @@ class ModelConfig {
         modelEndpoint: 'hunyuan-turbos-latest',
         temperature: 0.7,
         maxTokens: 2000
+      },
+      custom: {
+        name: 'OpenAI兼容模型',
+        baseUrl: 'http://localhost:8000/v1',
+        modelEndpoint: '',
+        authStyle: 'bearer',
+        temperature: 0.7,
+        maxTokens: 2000
+      },
+      ollama: {
+        name: 'Ollama本地模型',
+        baseUrl: 'http://localhost:11434',
+        modelEndpoint: 'qwen2.5:7b',
+        temperature: 0.7,
+        maxTokens: 2000
+      },
+      anthropic: {
+        name: 'Claude',
+        baseUrl: 'https://api.anthropic.com',
+        modelEndpoint: 'claude-3-5-haiku-latest',
+        temperature: 0.7,
+        maxTokens: 2000
+      },
+      gemini: {
+        name: 'Gemini',
+        baseUrl: 'https://generativelanguage.googleapis.com',
+        modelEndpoint: 'gemini-2.0-flash',
+        temperature: 0.7,
+        maxTokens: 2000
       }
     };
     
@@ -108,6 +159,15 @@ class ModelConfig {
       apiKey: this.apiKey,
       baseUrl: this.baseUrl,
       modelEndpoint: this.modelEndpoint,
+      authStyle: this.authStyle,
+      headers: this.headers,
+      streamUsage: this.streamUsage,
+      inputPrice: this.inputPrice,
+      outputPrice: this.outputPrice,
+      currency: this.currency,
+      dailySpendLimit: this.dailySpendLimit,
+      monthlySpendLimit: this.monthlySpendLimit,
+      spendLimitAction: this.spendLimitAction,
       temperature: this.temperature,
       maxTokens: this.maxTokens,
       isActive: this.isActive,
@@ -137,7 +197,7 @@ class ModelConfig {
 class TableConfig {
   constructor(data = {}) {
     this.id = data.id || this.generateId();
-    this.platform = data.platform || ''; // feishu, dingtalk, wework
+    this.platform = data.platform || ''; // feishu, dingtalk, wework, notion, airtable, googlesheets, webhook
     this.name = data.name || '';
     this.description = data.description || '';
     this.isActive = data.isActive || false;
@@ -221,6 +281,40 @@ class TableConfig {
         if (!this.config.sheetId) errors.push('企业微信SheetId不能为空');
         break;
         
+      case 'notion':
+        if (!this.config.integrationToken) errors.push('Notion集成令牌不能为空');
+        if (!this.config.databaseId) errors.push('Notion数据库ID不能为空');
+        break;
+        
+      case 'airtable':
+        if (!this.config.personalAccessToken) errors.push('Airtable个人访问令牌不能为空');
+        if (!this.config.baseId) errors.push('Airtable BaseId不能为空');
+        if (!this.config.tableId) errors.push('Airtable TableId不能为空');
+        break;
+        
+      case 'googlesheets':
+        if (!this.config.spreadsheetId) errors.push('Google表格SpreadsheetId不能为空');
+        if (this.config.authType === 'serviceAccount' && !this.config.serviceAccountKey) {
+          errors.push('Google服务账号密钥不能为空');
+        }
+        if (this.config.authType !== 'serviceAccount' && !this.config.accessToken) {
+          errors.push('Google OAuth访问令牌不能为空');
+        }
+        break;
+        
+      case 'webhook':
+        if (!/^https?:\/\//i.test(this.config.url || '')) errors.push('Webhook URL需以http://或https://开头');
+        for (const [field, label] of [['headers', '请求头模板'], ['bodyTemplate', '请求体模板']]) {
+          if (typeof this.config[field] === 'string' && this.config[field]) {
+            try {
+              JSON.parse(this.config[field]);
+            } catch (error) {
+              errors.push(`Webhook${label}不是有效的JSON`);
+            }
+          }
+        }
+        break;
+        
       default:
         errors.push(`不支持的平台类型: ${this.platform}`);
     }
@@ -259,6 +353,35 @@ class TableConfig {
         docId: '',
         sheetId: '',
         baseUrl: 'https://qyapi.weixin.qq.com'
+      },
+      notion: {
+        integrationToken: '',
+        databaseId: '',
+        baseUrl: 'https://api.notion.com/v1'
+      },
+      airtable: {
+        personalAccessToken: '',
+        baseId: '',
+        tableId: '',
+        baseUrl: 'https://api.airtable.com/v0'
+      },
+      googlesheets: {
+        authType: 'serviceAccount', // serviceAccount 或 oauth
+        accessToken: '',
+        serviceAccountKey: '',
+        spreadsheetId: '',
+        sheetName: '',
+        baseUrl: 'https://sheets.googleapis.com/v4'
+      },
+      webhook: {
+        url: '',
+        method: 'POST',
+        updateMethod: '',
+        headers: '{}',
+        bodyTemplate: '',
+        hmacSecret: '',
+        signatureHeader: 'X-FlowFocus-Signature',
+        responseIdPath: ''
       }
     };
     
@@ -374,7 +497,7 @@ if (typeof module !== 'undefined' && module.exports) {
     TableConfig,
     AppConfig
   };
-} else {
+} else if (typeof window !== 'undefined') {
   window.ModelConfig = ModelConfig;
   window.TableConfig = TableConfig;
   window.AppConfig = AppConfig;
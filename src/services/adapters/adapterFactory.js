@@ -5,6 +5,10 @@
 import FeishuAdapter from './feishuAdapter.js';
 import DingtalkAdapter from './dingtalkAdapter.js';
 import WeworkAdapter from './weworkAdapter.js';
+import NotionAdapter from './notionAdapter.js';
+import AirtableAdapter from './airtableAdapter.js';
+import GoogleSheetsAdapter from './googleSheetsAdapter.js';
+import WebhookAdapter from './webhookAdapter.js';
 
 class AdapterFactory {
   /**
@@ -33,6 +37,14 @@ class AdapterFactory {
           return new DingtalkAdapter(adapterConfig);
         case 'wework':
           return new WeworkAdapter(adapterConfig);
+        case 'notion':
+          return new NotionAdapter(adapterConfig);
+        case 'airtable':
+          return new AirtableAdapter(adapterConfig);
+        case 'googlesheets':
+          return new GoogleSheetsAdapter(adapterConfig);
+        case 'webhook':
+          return new WebhookAdapter(adapterConfig);
         default:
           throw new Error(`未实现的平台适配器: ${platform}`);
       }
@@ -68,6 +80,34 @@ class AdapterFactory {
         description: '企业微信智能表格集成',
         requiredFields: ['corpId', 'corpSecret', 'agentId', 'docId', 'sheetId'],
         optionalFields: ['baseUrl']
+      },
+      {
+        key: 'notion',
+        name: 'Notion数据库',
+        description: 'Notion数据库集成，使用内部集成令牌访问',
+        requiredFields: ['integrationToken', 'databaseId'],
+        optionalFields: ['baseUrl']
+      },
+      {
+        key: 'airtable',
+        name: 'Airtable',
+        description: 'Airtable表格集成，使用个人访问令牌访问',
+        requiredFields: ['personalAccessToken', 'baseId', 'tableId'],
+        optionalFields: ['baseUrl']
+      },
+      {
+        key: 'googlesheets',
+        name: 'Google Sheets',
+        description: 'Google表格集成，支持OAuth访问令牌或服务账号',
+        requiredFields: ['spreadsheetId'],
+        optionalFields: ['authType', 'accessToken', 'serviceAccountKey', 'sheetName', 'baseUrl']
+      },
+      {
+        key: 'webhook',
+        name: 'Webhook / REST接口',
+        description: '按模板将同步数据发送到任意HTTP接口，如内部CMS、n8n流程',
+        requiredFields: ['url'],
+        optionalFields: ['method', 'updateMethod', 'headers', 'bodyTemplate', 'hmacSecret', 'signatureHeader', 'responseIdPath']
       }
     ];
   }
@@ -193,6 +233,61 @@ class AdapterFactory {
           result.warnings.push('企业微信CorpId长度通常为18位');
         }
         break;
+
+      case 'notion':
+        if (config.integrationToken && !/^(secret_|ntn_)/.test(config.integrationToken)) {
+          result.warnings.push('Notion集成令牌通常以"secret_"或"ntn_"开头');
+        }
+        if (config.databaseId && !/[0-9a-f]{32}/i.test(config.databaseId.replace(/-/g, ''))) {
+          result.warnings.push('Notion数据库ID应为32位十六进制字符，可直接粘贴数据库链接');
+        }
+        break;
+
+      case 'airtable':
+        if (config.personalAccessToken && !config.personalAccessToken.startsWith('pat')) {
+          result.warnings.push('Airtable个人访问令牌通常以"pat"开头');
+        }
+        if (config.baseId && !/^app[a-zA-Z0-9]{14}$/.test(config.baseId)) {
+          result.warnings.push('Airtable Base ID通常为"app"开头的17位字符');
+        }
+        if (config.tableId && config.tableId.startsWith('tbl') && !/^tbl[a-zA-Z0-9]{14}$/.test(config.tableId)) {
+          result.warnings.push('Airtable表格ID通常为"tbl"开头的17位字符，也可以填写表格名称');
+        }
+        break;
+
+      case 'googlesheets':
+        if (!config.accessToken && !config.serviceAccountKey) {
+          result.isValid = false;
+          result.errors.push('需要配置OAuth访问令牌(accessToken)或服务账号密钥(serviceAccountKey)');
+        }
+        if (config.serviceAccountKey) {
+          try {
+            const key = JSON.parse(config.serviceAccountKey);
+            if (!key.client_email || !key.private_key) {
+              result.errors.push('服务账号密钥缺少client_email或private_key');
+              result.isValid = false;
+            }
+          } catch (error) {
+            result.errors.push('服务账号密钥不是有效的JSON');
+            result.isValid = false;
+          }
+        }
+        if (config.spreadsheetId && !/\/spreadsheets\/d\/|^[a-zA-Z0-9-_]{25,}$/.test(config.spreadsheetId)) {
+          result.warnings.push('Google表格ID通常为44位字符，可直接粘贴表格链接');
+        }
+        break;
+
+      case 'webhook': {
+        const templateErrors = WebhookAdapter.validateTemplates(config);
+        if (templateErrors.length > 0) {
+          result.isValid = false;
+          result.errors.push(...templateErrors);
+        }
+        if (!config.hmacSecret) {
+          result.warnings.push('未配置签名密钥，接收方无法校验请求来源');
+        }
+        break;
+      }
     }
   }
 
@@ -327,6 +422,60 @@ class AdapterFactory {
           { name: '企业微信开发文档', url: 'https://developer.work.weixin.qq.com' },
           { name: '智能表格API文档', url: 'https://developer.work.weixin.qq.com/document/path/97465' }
         ]
+      },
+      notion: {
+        title: 'Notion数据库配置帮助',
+        steps: [
+          '1. 在Notion集成页面 (https://www.notion.so/my-integrations) 创建内部集成',
+          '2. 复制集成令牌（Internal Integration Secret）',
+          '3. 打开目标数据库，在"连接"中添加该集成',
+          '4. 复制数据库链接或其中的32位数据库ID',
+          '5. 数据库需包含标题属性，以及文本类型的"ID"、"类型"、"数据"属性用于同步和还原'
+        ],
+        links: [
+          { name: 'Notion集成管理', url: 'https://www.notion.so/my-integrations' },
+          { name: 'Notion数据库API文档', url: 'https://developers.notion.com/reference/post-database-query' }
+        ]
+      },
+      airtable: {
+        title: 'Airtable配置帮助',
+        steps: [
+          '1. 在Airtable开发者中心 (https://airtable.com/create/tokens) 创建个人访问令牌',
+          '2. 授予data.records:read和data.records:write权限，并添加目标Base',
+          '3. 从表格链接中获取Base ID（app开头）和表格ID（tbl开头），也可以直接使用表格名称',
+          '4. 在表格中添加长文本字段"数据集合"和单行文本字段"ID"'
+        ],
+        links: [
+          { name: 'Airtable个人访问令牌', url: 'https://airtable.com/create/tokens' },
+          { name: 'Airtable Web API文档', url: 'https://airtable.com/developers/web/api/introduction' }
+        ]
+      },
+      googlesheets: {
+        title: 'Google Sheets配置帮助',
+        steps: [
+          '1. 在Google Cloud控制台启用Google Sheets API',
+          '2. 创建服务账号并下载JSON密钥，或通过OAuth获取带spreadsheets权限的访问令牌',
+          '3. 使用服务账号时，将表格共享给服务账号邮箱并授予编辑权限',
+          '4. 复制表格链接或其中的表格ID，同步时填写的表格名称为工作表名称',
+          '5. 空工作表会自动写入表头，已有表头时需包含"ID"和"数据集合"列（缺少时自动补上）'
+        ],
+        links: [
+          { name: 'Google Cloud控制台', url: 'https://console.cloud.google.com' },
+          { name: 'Sheets API文档', url: 'https://developers.google.com/sheets/api/reference/rest' }
+        ]
+      },
+      webhook: {
+        title: 'Webhook / REST接口配置帮助',
+        steps: [
+          '1. 填写接收地址，可使用{{id}}、{{recordId}}、{{tableName}}等占位符，如 https://cms.example.com/api/items/{{id}}',
+          '2. 选择请求方法，已同步过的记录按更新方法发送（默认与请求方法相同）',
+          '3. 可选填写请求头模板（JSON对象）和请求体模板（JSON），占位符取自序列化后的同步数据，{{local.字段}}取本地原始数据',
+          '4. 可选填写签名密钥，请求头X-FlowFocus-Signature为HMAC-SHA256("时间戳.请求体")，时间戳见X-FlowFocus-Timestamp',
+          '5. 每个请求都带有X-FlowFocus-Action请求头：create、update、delete或test'
+        ],
+        links: [
+          { name: 'n8n Webhook节点文档', url: 'https://docs.n8n.io/integrations/builtin/core-nodes/n8n-nodes-base.webhook/' }
+        ]
       }
     };
 
@@ -0,0 +1,528 @@
+/**
+ * Airtable适配器
+ * 使用个人访问令牌（Personal Access Token）读写Airtable表格
+ * 与飞书一致，同步数据写入"数据集合"和"ID"字段，表格没有ID字段时只写"数据集合"
+ */
+import BaseAdapter from './baseAdapter.js';
+
+// 单次请求最多写入或删除的记录数
+const RECORDS_PER_REQUEST = 10;
+
+// 每个Base每秒最多5次请求
+const REQUESTS_PER_SECOND = 5;
+
+// 触发限流后Airtable要求等待30秒
+const RATE_LIMIT_PENALTY = 30000;
+
+// 列表接口单页最大条数
+const LIST_PAGE_LIMIT = 100;
+
+class AirtableAdapter extends BaseAdapter {
+  constructor(config) {
+    super(config);
+    // 侧边栏表单中应用密钥填写访问令牌，表格token填写Base ID或表格链接
+    this.personalAccessToken = config.personalAccessToken || config.appSecret;
+    this.baseUrl = (config.baseUrl || 'https://api.airtable.com/v0').replace(/\/$/, '');
+
+    const tokenRef = this.parseReference(config.tableToken);
+    const tableRef = this.parseReference(config.tableId);
+    this.baseId = config.baseId || tokenRef.baseId || tableRef.baseId || '';
+    this.tableId = tableRef.tableId || tableRef.name || tokenRef.tableId || '';
+
+    this.requestTimestamps = [];
+    this.rateLimitReset = null;
+  }
+
+  /**
+   * 获取必需的配置字段
+   * @returns {Array} 必需字段列表
+   */
+  getRequiredConfigFields() {
+    return ['personalAccessToken', 'baseId', 'tableId'];
+  }
+
+  /**
+   * 从Base ID、表格ID、表格名称或Airtable链接中解析Base和表格
+   * @param {string} input - 输入内容
+   * @returns {Object} { baseId, tableId, name }
+   */
+  parseReference(input) {
+    if (!input) return {};
+    const text = String(input).trim();
+    const baseId = text.match(/\bapp[a-zA-Z0-9]{14}\b/)?.[0];
+    const tableId = text.match(/\btbl[a-zA-Z0-9]{14}\b/)?.[0];
+    if (baseId || tableId) {
+      return { baseId, tableId };
+    }
+    return { name: text };
+  }
+
+  /**
+   * 确定记录所在的表格路径，同步数据中携带的表格优先
+   * @param {Object} data - 记录数据
+   * @returns {string} 表格接口地址
+   */
+  getTableUrl(data = {}) {
+    const tokenRef = this.parseReference(data.tableToken);
+    const tableRef = this.parseReference(data.tableId);
+    const baseId = tokenRef.baseId || tableRef.baseId || this.baseId;
+    const table = tableRef.tableId || tableRef.name || this.tableId;
+
+    if (!baseId || !table) {
+      throw new Error('未配置Airtable的Base ID或表格');
+    }
+    return `${this.baseUrl}/${baseId}/${encodeURIComponent(table)}`;
+  }
+
+  /**
+   * 批量创建记录，每次请求最多10条
+   * @param {Array} dataList - 记录数据列表
+   * @returns {Promise<Array>} 创建结果列表，与输入顺序一致
+   */
+  async batchCreateRecords(dataList) {
+    return this.runInChunks(dataList, async chunk => {
+      const response = await this.withIdFieldFallback(() => this.makeRequest(this.getTableUrl(chunk[0]), {
+        method: 'POST',
+        body: JSON.stringify({
+          records: chunk.map(data => ({ fields: this.buildRecordFields(data) })),
+          typecast: true
+        })
+      }));
+      return response.records;
+    });
+  }
+
+  /**
+   * 批量更新记录，每次请求最多10条
+   * @param {Array} updates - 更新数据列表 [{id, data}]
+   * @returns {Promise<Array>} 更新结果列表，与输入顺序一致
+   */
+  async batchUpdateRecords(updates) {
+    return this.runInChunks(updates, async chunk => {
+      const response = await this.withIdFieldFallback(() => this.makeRequest(this.getTableUrl(chunk[0].data), {
+        method: 'PATCH',
+        body: JSON.stringify({
+          records: chunk.map(update => ({ id: update.id, fields: this.buildRecordFields(update.data) })),
+          typecast: true
+        })
+      }));
+      return response.records;
+    });
+  }
+
+  /**
+   * 批量删除记录，每次请求最多10条
+   * @param {Array} recordIds - 记录ID列表
+   * @returns {Promise<Array>} 删除结果列表
+   */
+  async batchDeleteRecords(recordIds) {
+    return this.runInChunks(recordIds, async chunk => {
+      const query = chunk.map(id => `records[]=${encodeURIComponent(id)}`).join('&');
+      const response = await this.makeRequest(`${this.getTableUrl()}?${query}`, { method: 'DELETE' });
+      return response.records;
+    });
+  }
+
+  /**
+   * 按Airtable的单次请求上限分批执行，某一批失败时只将该批记录标记为失败
+   * @param {Array} items - 待处理项
+   * @param {Function} send - 处理一批数据并返回Airtable记录列表
+   * @returns {Promise<Array>} [{ id, success, error, originalIndex }]
+   */
+  async runInChunks(items, send) {
+    const results = [];
+
+    for (let i = 0; i < items.length; i += RECORDS_PER_REQUEST) {
+      const chunk = items.slice(i, i + RECORDS_PER_REQUEST);
+      try {
+        const records = await send(chunk);
+        results.push(...chunk.map((item, index) => ({
+          ...this.formatAirtableRecord(records[index] || {}),
+          success: true,
+          originalIndex: i + index
+        })));
+      } catch (error) {
+        this.log('error', 'Airtable批量请求失败', { error: error.message, count: chunk.length });
+        results.push(...chunk.map((item, index) => ({
+          success: false,
+          error: error.message,
+          originalIndex: i + index
+        })));
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * 创建记录
+   * @param {Object} data - 记录数据
+   * @returns {Promise<Object>} 创建结果
+   */
+  async createRecord(data) {
+    try {
+      const record = await this.withIdFieldFallback(() => this.makeRequest(this.getTableUrl(data), {
+        method: 'POST',
+        body: JSON.stringify({ fields: this.buildRecordFields(data), typecast: true })
+      }));
+      return this.formatAirtableRecord(record);
+    } catch (error) {
+      this.log('error', '创建Airtable记录失败', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 更新记录
+   * @param {string} recordId - 记录ID
+   * @param {Object} data - 更新数据
+   * @returns {Promise<Object>} 更新结果
+   */
+  async updateRecord(recordId, data) {
+    try {
+      const record = await this.withIdFieldFallback(() => this.makeRequest(`${this.getTableUrl(data)}/${recordId}`, {
+        method: 'PATCH',
+        body: JSON.stringify({ fields: this.buildRecordFields(data), typecast: true })
+      }));
+      return this.formatAirtableRecord(record);
+    } catch (error) {
+      this.log('error', '更新Airtable记录失败', { error: error.message, recordId });
+      throw error;
+    }
+  }
+
+  /**
+   * 删除记录
+   * @param {string} recordId - 记录ID
+   * @returns {Promise<Object>} 删除结果
+   */
+  async deleteRecord(recordId) {
+    try {
+      const response = await this.makeRequest(`${this.getTableUrl()}/${recordId}`, { method: 'DELETE' });
+      return { success: !!response.deleted, id: response.id };
+    } catch (error) {
+      this.log('error', '删除Airtable记录失败', { error: error.message, recordId });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取记录列表，按offset翻页直到取满所需条数
+   * @param {Object} params - 查询参数 { pageSize, limit, filterByFormula, view }
+   * @returns {Promise<Array>} 记录列表
+   */
+  async getRecords(params = {}) {
+    try {
+      const limit = params.limit || params.pageSize || LIST_PAGE_LIMIT;
+      const records = [];
+      let offset;
+
+      do {
+        const query = new URLSearchParams({ pageSize: String(Math.min(LIST_PAGE_LIMIT, limit - records.length)) });
+        if (offset) query.set('offset', offset);
+        if (params.filterByFormula) query.set('filterByFormula', params.filterByFormula);
+        if (params.view) query.set('view', params.view);
+
+        const response = await this.makeRequest(`${this.getTableUrl()}?${query}`);
+        records.push(...(response.records || []));
+        offset = response.offset;
+      } while (offset && records.length < limit);
+
+      return records.map(record => this.formatAirtableRecord(record));
+    } catch (error) {
+      this.log('error', '获取Airtable记录失败', { error: error.message, params });
+      throw error;
+    }
+  }
+
+  /**
+   * 按ID字段查询已同步的记录，表格没有ID字段时退回逐条比对
+   * @param {string} id - 本地数据ID
+   * @returns {Promise<Object|null>} 匹配的记录
+   */
+  async findRecordById(id) {
+    if (this.hasIdField === false) {
+      return super.findRecordById(id);
+    }
+
+    try {
+      const escaped = String(id).replace(/\\/g, '\\\\').replace(/'/g, '\\\'');
+      const records = await this.getRecords({ filterByFormula: `{ID}='${escaped}'` });
+      return this.pickLatestRecord(records);
+    } catch (error) {
+      if (!this.isFieldNotFoundError(error)) {
+        throw error;
+      }
+      this.hasIdField = false;
+      return super.findRecordById(id);
+    }
+  }
+
+  /**
+   * 将Airtable记录还原为表格数据
+   * @param {Object} record - formatAirtableRecord返回的记录
+   * @returns {Object|null} 表格数据
+   */
+  parseRecord(record) {
+    const fields = record.fields || {};
+    let data = fields['数据'];
+    let dataSet = {};
+    if (fields['数据集合']) {
+      try {
+        dataSet = JSON.parse(fields['数据集合']);
+      } catch (error) {
+        dataSet = {};
+      }
+    }
+    data = data || dataSet['数据'];
+    if (!data) {
+      return null;
+    }
+
+    return {
+      id: fields['ID'] || record.id,
+      type: fields['类型'] || '',
+      name: fields['名称'] || dataSet['配置名称'] || dataSet['工作名称'] || '',
+      data,
+      metadata: { recordId: record.id, updatedAt: record.lastModifiedTime }
+    };
+  }
+
+  /**
+   * 同步数据写入"数据集合"和ID字段，其他数据整体序列化到"数据集合"
+   * @param {Object} data - 记录数据
+   * @returns {Object} Airtable字段
+   */
+  buildRecordFields(data) {
+    let dataSet = data['数据集合'];
+    if (!dataSet) {
+      const plain = Object.fromEntries(Object.entries(data).filter(([key, value]) =>
+        value !== null && typeof value !== 'object' && !['tableToken', 'tableId'].includes(key)
+      ));
+      dataSet = JSON.stringify(plain);
+    }
+
+    const fields = { '数据集合': dataSet };
+    if (data.id && this.hasIdField !== false) {
+      fields['ID'] = String(data.id);
+    }
+    return fields;
+  }
+
+  /**
+   * 执行写入请求，表格没有ID字段时去掉ID字段重试一次
+   * @param {Function} send - 发送请求的函数，每次调用时重新构建字段
+   * @returns {Promise<Object>} 响应结果
+   */
+  async withIdFieldFallback(send) {
+    try {
+      return await send();
+    } catch (error) {
+      if (this.hasIdField === false || !this.isFieldNotFoundError(error)) {
+        throw error;
+      }
+      this.log('warn', 'Airtable表格缺少ID字段，改为只写入数据集合字段');
+      this.hasIdField = false;
+      return await send();
+    }
+  }
+
+  /**
+   * 判断是否为字段不存在错误
+   * @param {Error} error - 错误对象
+   * @returns {boolean}
+   */
+  isFieldNotFoundError(error) {
+    return /UNKNOWN_FIELD_NAME|INVALID_FILTER_BY_FORMULA/.test(`${error.code || ''} ${error.message || ''}`);
+  }
+
+  /**
+   * 测试连接
+   * @returns {Promise<boolean>} 连接测试结果
+   */
+  async testConnection() {
+    try {
+      await this.makeRequest(`${this.getTableUrl()}?maxRecords=1`);
+      this.log('info', 'Airtable连接测试成功');
+      return true;
+    } catch (error) {
+      this.log('error', 'Airtable连接测试失败', { error: error.message });
+      return false;
+    }
+  }
+
+  /**
+   * 获取表格信息，令牌没有schema.bases:read权限时只返回表格名称
+   * @returns {Promise<Object>} 表格信息
+   */
+  async getTableInfo() {
+    const info = {
+      name: this.tableId,
+      baseId: this.baseId,
+      tableId: this.tableId,
+      fields: [],
+      platform: 'airtable',
+      isConnected: true
+    };
+
+    try {
+      const response = await this.makeRequest(`${this.baseUrl}/meta/bases/${this.baseId}/tables`);
+      const table = (response.tables || []).find(item => item.id === this.tableId || item.name === this.tableId);
+      if (table) {
+        info.name = table.name;
+        info.tableId = table.id;
+        info.fields = table.fields.map(field => ({ name: field.name, type: field.type }));
+      }
+    } catch (error) {
+      if (error.status !== 403 && error.status !== 401) {
+        throw error;
+      }
+      this.log('warn', '访问令牌无权读取表结构，仅返回基本信息');
+      await this.makeRequest(`${this.getTableUrl()}?maxRecords=1`);
+    }
+
+    return info;
+  }
+
+  /**
+   * 格式化Airtable记录
+   * Airtable记录不带修改时间，以创建时间代替
+   * @param {Object} record - Airtable记录
+   * @returns {Object} 记录
+   */
+  formatAirtableRecord(record) {
+    return {
+      id: record.id,
+      fields: record.fields || {},
+      createdTime: record.createdTime,
+      lastModifiedTime: record.createdTime
+    };
+  }
+
+  /**
+   * 获取认证头信息
+   * @returns {Object} 认证头信息
+   */
+  getAuthHeaders() {
+    return {
+      'Authorization': `Bearer ${this.personalAccessToken}`
+    };
+  }
+
+  /**
+   * 检查速率限制：1秒内最多5次请求，触发限流后等待30秒
+   * 发送时间在等待前同步预留，并发请求也会依次排开
+   * @returns {Promise<void>}
+   */
+  async checkRateLimit() {
+    if (this.rateLimitReset) {
+      const waitTime = this.rateLimitReset - Date.now();
+      if (waitTime > 0) {
+        this.log('warn', `Airtable速率限制，等待 ${waitTime}ms`);
+        await this.delay(waitTime);
+      }
+      this.rateLimitReset = null;
+    }
+
+    const now = Date.now();
+    this.requestTimestamps = this.requestTimestamps.filter(time => time > now - 1000);
+    const earliest = this.requestTimestamps.length >= REQUESTS_PER_SECOND
+      ? this.requestTimestamps[this.requestTimestamps.length - REQUESTS_PER_SECOND] + 1000
+      : now;
+    const sendAt = Math.max(now, earliest);
+    this.requestTimestamps.push(sendAt);
+
+    if (sendAt > now) {
+      await this.delay(sendAt - now);
+    }
+  }
+
+  /**
+   * 重写makeRequest方法以支持速率限制和Airtable错误格式
+   * 仅对限流、服务端错误和网络错误重试
+   * @param {string} url - 请求URL
+   * @param {Object} options - 请求选项
+   * @returns {Promise<Object>} 响应结果
+   */
+  async makeRequest(url, options = {}) {
+    if (!this.personalAccessToken) {
+      throw new Error('未配置Airtable访问令牌');
+    }
+
+    const requestOptions = {
+      method: 'GET',
+      timeout: this.timeout,
+      ...options,
+      headers: {
+        'Content-Type': 'application/json',
+        ...this.getAuthHeaders(),
+        ...(options.headers || {})
+      }
+    };
+
+    let lastError;
+    for (let attempt = 1; attempt <= this.retryCount; attempt++) {
+      await this.checkRateLimit();
+
+      try {
+        const response = await this.fetchWithTimeout(url, requestOptions);
+        const data = await response.json().catch(() => ({}));
+
+        if (response.ok) {
+          return this.handleResponse(data);
+        }
+
+        lastError = this.createApiError(response.status, data);
+        if (response.status === 429) {
+          this.rateLimitReset = Date.now() + RATE_LIMIT_PENALTY;
+        } else if (response.status < 500) {
+          throw lastError;
+        }
+      } catch (error) {
+        if (error === lastError && error.retryable === false) {
+          throw error;
+        }
+        lastError = error;
+      }
+
+      this.log('warn', `Airtable请求失败 (尝试 ${attempt}/${this.retryCount}): ${lastError.message}`);
+      if (attempt < this.retryCount && !this.rateLimitReset) {
+        await this.delay(this.retryDelay * attempt);
+      }
+    }
+
+    throw new Error(`请求失败，已重试 ${this.retryCount} 次: ${lastError.message}`);
+  }
+
+  /**
+   * 根据Airtable错误响应创建错误对象
+   * @param {number} status - HTTP状态码
+   * @param {Object} data - 错误响应 { error: { type, message } } 或 { error: 'NOT_FOUND' }
+   * @returns {Error} 错误对象
+   */
+  createApiError(status, data) {
+    const type = typeof data.error === 'string' ? data.error : data.error?.type || `HTTP_${status}`;
+    const detail = status === 404
+      ? '记录或表格不存在'
+      : data.error?.message || `HTTP ${status}`;
+    const error = new Error(`Airtable API错误 (${type}): ${detail}`);
+    error.code = type;
+    error.status = status;
+    error.retryable = status === 429 || status >= 500;
+    return error;
+  }
+
+  /**
+   * 处理API响应
+   * @param {Object} data - 响应数据
+   * @returns {Object} 处理后的数据
+   */
+  handleResponse(data) {
+    if (data.error) {
+      throw new Error(`Airtable API错误: ${data.error.message || data.error}`);
+    }
+    return data;
+  }
+}
+
+export default AirtableAdapter;
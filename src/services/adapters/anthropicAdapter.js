@@ -0,0 +1,83 @@
+/**
+ * Anthropic（Claude）模型适配器
+ * 调用Messages接口，请求和响应格式由ANTHROPIC_CODEC处理
+ */
+
+import BaseModelAdapter from './baseModelAdapter.js';
+import { ANTHROPIC_CODEC } from './messageCodecs.js';
+
+// Messages接口要求的版本号请求头
+const ANTHROPIC_VERSION = '2023-06-01';
+
+class AnthropicAdapter extends BaseModelAdapter {
+  static codec = ANTHROPIC_CODEC;
+
+  /**
+   * 构建请求头
+   * 从扩展页面直接调用时需声明允许浏览器访问，否则跨域请求会被拒绝
+   * @returns {Object} 请求头
+   */
+  buildHeaders() {
+    return {
+      'Content-Type': 'application/json',
+      'x-api-key': this.apiKey,
+      'anthropic-version': ANTHROPIC_VERSION,
+      'anthropic-dangerous-direct-browser-access': 'true'
+    };
+  }
+
+  /**
+   * 获取API URL，Base URL可带或不带/v1
+   * @returns {string} API URL
+   */
+  getApiUrl() {
+    const base = (this.baseUrl || '').replace(/\/+$/, '');
+    return /\/v1$/.test(base) ? `${base}/messages` : `${base}/v1/messages`;
+  }
+
+  /**
+   * 获取模型信息
+   * @returns {Object} 模型信息
+   */
+  getModelInfo() {
+    return {
+      type: 'anthropic',
+      name: 'Claude',
+      baseUrl: this.baseUrl,
+      modelEndpoint: this.modelEndpoint,
+      temperature: this.temperature,
+      maxTokens: this.maxTokens,
+      contextWindow: this.contextWindow,
+      features: [
+        '长文本理解',
+        '写作润色',
+        '指令遵循'
+      ]
+    };
+  }
+
+  /**
+   * 验证配置
+   * @returns {Object} 验证结果
+   */
+  validateConfig() {
+    const errors = [];
+
+    if (!this.apiKey) {
+      errors.push('API Key不能为空');
+    }
+    if (!this.baseUrl) {
+      errors.push('Base URL不能为空');
+    }
+    if (!this.modelEndpoint) {
+      errors.push('模型名称不能为空');
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+}
+
+export default AnthropicAdapter;
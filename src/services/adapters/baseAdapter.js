@@ -50,6 +50,66 @@ class BaseAdapter {
     throw new Error('getRecords方法必须在子类中实现');
   }
 
+  /**
+   * 读取全部记录
+   * 默认不限条数调用getRecords，适用于getRecords内部已自动翻页的平台；只返回单页的平台子类应覆盖此方法
+   * @param {Object} params - 查询参数
+   * @returns {Promise<Array>} 记录列表
+   */
+  async getAllRecords(params = {}) {
+    return this.getRecords({ ...params, limit: Infinity });
+  }
+
+  /**
+   * 将平台记录还原为表格数据 - 抽象方法，子类必须实现
+   * @param {Object} record - getRecords返回的单条记录
+   * @returns {Object|null} { id, type, name, data, metadata }，记录不含FlowFocus数据时返回null
+   */
+  parseRecord(record) {
+    throw new Error('parseRecord方法必须在子类中实现');
+  }
+
+  /**
+   * 按本地数据ID查找已同步的记录
+   * 默认逐条比对记录列表，平台支持按字段查询时子类应覆盖此方法
+   * @param {string} id - 本地数据ID
+   * @returns {Promise<Object|null>} 匹配的记录，存在多条时返回最近修改的一条
+   */
+  async findRecordById(id) {
+    const records = await this.getAllRecords();
+    return this.pickLatestRecord(records.filter(record => this.getLocalId(record) === id));
+  }
+
+  /**
+   * 读取记录对应的本地数据ID
+   * @param {Object} record - getRecords返回的单条记录
+   * @returns {string|null} 本地数据ID
+   */
+  getLocalId(record) {
+    const parsed = this.parseRecord(record);
+    if (!parsed) {
+      return null;
+    }
+    
+    try {
+      return JSON.parse(parsed.data).id || parsed.id;
+    } catch (error) {
+      return parsed.id;
+    }
+  }
+
+  /**
+   * 从多条记录中选出最近修改的一条
+   * @param {Array} records - 记录列表
+   * @returns {Object|null} 最近修改的记录
+   */
+  pickLatestRecord(records) {
+    const recordTime = record => Number(new Date(this.parseRecord(record)?.metadata?.updatedAt || 0)) || 0;
+    return records.reduce((latest, record) => (
+      !latest || recordTime(record) >= recordTime(latest) ? record : latest
+    ), null);
+  }
+
   /**
    * 测试连接 - 抽象方法，子类必须实现
    * @returns {Promise<boolean>} 连接测试结果
@@ -100,7 +160,7 @@ class BaseAdapter {
           throw new Error(`HTTP ${response.status}: ${response.statusText}`);
         }
         
-        const data = await response.json();
+        const data = await this.parseResponseBody(response);
         return this.handleResponse(data);
         
       } catch (error) {
@@ -152,6 +212,15 @@ class BaseAdapter {
     };
   }
 
+  /**
+   * 解析响应体 - 子类可以重写
+   * @param {Response} response - 响应对象
+   * @returns {Promise<Object>} 响应数据
+   */
+  async parseResponseBody(response) {
+    return response.json();
+  }
+
   /**
    * 处理API响应 - 子类可以重写
    * @param {Object} data - 响应数据
@@ -5,6 +5,9 @@
  */
 import BaseAdapter from './baseAdapter.js';
 
+// 宜搭表单实例查询接口单页最多返回100条
+const DINGTALK_PAGE_SIZE = 100;
+
 class DingtalkAdapter extends BaseAdapter {
   constructor(config) {
     super(config);
@@ -292,6 +295,35 @@ class DingtalkAdapter extends BaseAdapter {
    * @returns {Promise<Array>} 记录列表
    */
   async getRecords(params = {}) {
+    const page = await this.fetchRecordPage(params);
+    return page.records;
+  }
+
+  /**
+   * 按页码翻页读取全部记录
+   * @param {Object} params - 查询参数 { filter }
+   * @returns {Promise<Array>} 记录列表
+   */
+  async getAllRecords(params = {}) {
+    const records = [];
+    let pageNumber = 1;
+    let page;
+
+    do {
+      page = await this.fetchRecordPage({ ...params, pageSize: DINGTALK_PAGE_SIZE, pageNumber });
+      records.push(...page.records);
+      pageNumber++;
+    } while (page.hasMore);
+
+    return records;
+  }
+
+  /**
+   * 读取一页表单实例
+   * @param {Object} params - 查询参数 { pageSize, pageNumber, filter }
+   * @returns {Promise<Object>} { records, hasMore }
+   */
+  async fetchRecordPage(params = {}) {
     try {
       const url = `${this.baseUrl}/v1.0/yida/forms/instances/search`;
       
@@ -312,13 +344,31 @@ class DingtalkAdapter extends BaseAdapter {
         body: JSON.stringify(requestData)
       });
 
-      return this.formatDingtalkRecords(response.data || []);
+      const records = this.formatDingtalkRecords(response.data || []);
+      return {
+        records,
+        hasMore: records.length > 0 && requestData.pageNumber * requestData.pageSize < (response.totalCount || 0)
+      };
     } catch (error) {
       this.log('error', '获取钉钉记录列表失败', { error: error.message, params });
       throw error;
     }
   }
 
+  /**
+   * 按ID字段查询已同步的表单实例
+   * @param {string} id - 本地数据ID
+   * @returns {Promise<Object|null>} 匹配的记录
+   */
+  async findRecordById(id) {
+    const fieldMapping = this.getFieldMapping();
+    const records = await this.getRecords({
+      filter: { [fieldMapping.id]: id },
+      pageSize: 100
+    });
+    return this.pickLatestRecord(records);
+  }
+
   /**
    * 测试连接
    * @returns {Promise<boolean>} 连接测试结果
@@ -445,6 +495,28 @@ class DingtalkAdapter extends BaseAdapter {
     return response;
   }
 
+  /**
+   * 将钉钉表单实例还原为表格数据
+   * @param {Object} record - formatDingtalkRecords返回的记录
+   * @returns {Object|null} 表格数据
+   */
+  parseRecord(record) {
+    const fieldMapping = this.getFieldMapping();
+    const formData = record.formData || {};
+    const data = formData[fieldMapping.data];
+    if (!data) {
+      return null;
+    }
+    
+    return {
+      id: formData[fieldMapping.id] || record.id,
+      type: formData[fieldMapping.type] || '',
+      name: formData[fieldMapping.name] || '',
+      data,
+      metadata: { recordId: record.id, updatedAt: record.modifyTime }
+    };
+  }
+
   formatDingtalkRecords(records) {
     return records.map(record => ({
       id: record.instanceId,
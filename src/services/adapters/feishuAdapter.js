@@ -5,6 +5,10 @@
  */
 import BaseAdapter from './baseAdapter.js';
 import { DateUtils } from '../../utils/helpers.js';
+import sensitiveDataHandler from '../sensitiveDataHandler.js';
+
+// 飞书记录列表接口单页最多返回500条
+const FEISHU_PAGE_SIZE = 500;
 
 class FeishuAdapter extends BaseAdapter {
   constructor(config) {
@@ -45,19 +49,17 @@ class FeishuAdapter extends BaseAdapter {
     try {
       const url = `${this.baseUrl}/apps/${this.normalizeAppToken(this.tableToken)}/tables/${this.getTableId()}/records/batch_create`;
       
-      const requestData = {
-        records: dataList.map(data => ({
-          fields: this.formatDataForFeishu(data)
-        }))
-      };
-
       const headers = await this.getAuthHeaders();
       
-      const response = await this.makeRequest(url, {
+      const response = await this.withIdFieldFallback(() => this.makeRequest(url, {
         method: 'POST',
         headers,
-        body: JSON.stringify(requestData)
-      });
+        body: JSON.stringify({
+          records: dataList.map(data => ({
+            fields: this.buildRecordFields(data)
+          }))
+        })
+      }));
 
       return response.data?.records?.map(record => this.formatFeishuResponse({ data: { record } })) || [];
     } catch (error) {
@@ -75,20 +77,18 @@ class FeishuAdapter extends BaseAdapter {
     try {
       const url = `${this.baseUrl}/apps/${this.normalizeAppToken(this.tableToken)}/tables/${this.getTableId()}/records/batch_update`;
       
-      const requestData = {
-        records: updates.map(update => ({
-          record_id: update.id,
-          fields: this.formatDataForFeishu(update.data)
-        }))
-      };
-
       const headers = await this.getAuthHeaders();
       
-      const response = await this.makeRequest(url, {
+      const response = await this.withIdFieldFallback(() => this.makeRequest(url, {
         method: 'POST',
         headers,
-        body: JSON.stringify(requestData)
-      });
+        body: JSON.stringify({
+          records: updates.map(update => ({
+            record_id: update.id,
+            fields: this.buildRecordFields(update.data)
+          }))
+        })
+      }));
 
       return response.data?.records?.map(record => this.formatFeishuResponse({ data: { record } })) || [];
     } catch (error) {
@@ -250,14 +250,12 @@ class FeishuAdapter extends BaseAdapter {
       // 3. 构建请求URL
       const url = this.buildCreateRecordUrl(appToken, tableId);
       
-      // 4. 准备请求数据
-      const requestData = this.prepareCreateRequestData(data);
-      
-      // 5. 构建请求选项
-      const requestOptions = await this.buildRequestOptions(requestData);
-      
-      // 6. 发送请求
-      const response = await this.makeRequest(url, requestOptions);
+      // 4-6. 准备请求数据、构建请求选项并发送请求
+      const response = await this.withIdFieldFallback(async () => {
+        const requestData = this.prepareCreateRequestData(data);
+        const requestOptions = await this.buildRequestOptions(requestData);
+        return this.makeRequest(url, requestOptions);
+      });
       
       // 7. 记录并返回结果
       console.log('飞书记录创建响应:', response);
@@ -312,11 +310,14 @@ class FeishuAdapter extends BaseAdapter {
     // 优先使用已准备好的"数据集合"字段
     if (data['数据集合']) {
       console.log('使用现有"数据集合"字段');
-      return {
-        fields: {
-          '数据集合': data['数据集合']
-        }
+      const fields = {
+        '数据集合': data['数据集合']
       };
+      // 写入ID列以便再次同步时按ID找到已有行
+      if (data.id && this.hasIdField !== false) {
+        fields['ID'] = data.id;
+      }
+      return { fields };
     }
     
     // 根据数据类型处理
@@ -376,7 +377,7 @@ class FeishuAdapter extends BaseAdapter {
     const payload = {
       '配置名称': data.name || '未命名配置',
       'App ID': this.appId || '',
-      'App Secret': this.appSecret || '',
+      'App Secret': this.appSecret ? '已设置' : '未设置',
       '多维表格token': token || '',
       '多维表格ID': tblId || '',
       '创建时间': DateUtils.format(new Date(created), 'YYYY-MM-DD HH:mm:ss'),
@@ -458,19 +459,19 @@ class FeishuAdapter extends BaseAdapter {
    */
   async updateRecord(recordId, data) {
     try {
-      const url = `${this.baseUrl}/apps/${this.normalizeAppToken(this.tableToken)}/tables/${this.getTableId()}/records/${recordId}`;
+      // 与createRecord一致，以数据中携带的表格信息为准
+      this.updateAuthInfo(data);
+      const appToken = this.normalizeAppToken(data.tableToken || this.tableToken);
+      const tableId = this.normalizeTableId(data.tableId) || this.getTableId();
+      const url = `${this.baseUrl}/apps/${appToken}/tables/${tableId}/records/${recordId}`;
       
-      const requestData = {
-        fields: this.formatDataForFeishu(data)
-      };
-
       const headers = await this.getAuthHeaders();
       
-      const response = await this.makeRequest(url, {
+      const response = await this.withIdFieldFallback(() => this.makeRequest(url, {
         method: 'PUT',
         headers,
-        body: JSON.stringify(requestData)
-      });
+        body: JSON.stringify({ fields: this.buildRecordFields(data) })
+      }));
 
       return this.formatFeishuResponse(response);
     } catch (error) {
@@ -479,6 +480,78 @@ class FeishuAdapter extends BaseAdapter {
     }
   }
 
+  /**
+   * 按ID列查找已有记录，表格没有ID列时退回逐条比对
+   * @param {string} id - 本地数据ID
+   * @returns {Promise<Object|null>} 匹配的记录
+   */
+  async findRecordById(id) {
+    if (this.hasIdField === false) {
+      return super.findRecordById(id);
+    }
+    
+    try {
+      const url = `${this.baseUrl}/apps/${this.normalizeAppToken(this.tableToken)}/tables/${this.getTableId()}/records/search`;
+      const headers = await this.getAuthHeaders();
+      const response = await this.makeRequest(url, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({
+          filter: {
+            conjunction: 'and',
+            conditions: [{ field_name: 'ID', operator: 'is', value: [String(id)] }]
+          }
+        })
+      });
+      
+      const records = this.formatFeishuRecords(response.data?.items || []);
+      return this.pickLatestRecord(records);
+    } catch (error) {
+      if (!this.isFieldNotFoundError(error)) {
+        this.log('error', '按ID查找飞书记录失败', { error: error.message, id });
+        throw error;
+      }
+      this.hasIdField = false;
+      return super.findRecordById(id);
+    }
+  }
+
+  /**
+   * 同步数据只写"数据集合"和ID列，其他数据按字段映射写入
+   * @param {Object} data - 记录数据
+   * @returns {Object} 飞书字段
+   */
+  buildRecordFields(data) {
+    return data['数据集合'] ? this.prepareCreateRequestData(data).fields : this.formatDataForFeishu(data);
+  }
+
+  /**
+   * 执行写入请求，表格没有ID列时去掉ID字段重试一次
+   * @param {Function} send - 发送请求的函数，每次调用时重新构建字段
+   * @returns {Promise<Object>} 响应结果
+   */
+  async withIdFieldFallback(send) {
+    try {
+      return await send();
+    } catch (error) {
+      if (this.hasIdField === false || !this.isFieldNotFoundError(error)) {
+        throw error;
+      }
+      this.log('warn', '表格缺少ID列，改为只写入数据集合字段');
+      this.hasIdField = false;
+      return await send();
+    }
+  }
+
+  /**
+   * 判断是否为字段不存在错误
+   * @param {Error} error - 错误对象
+   * @returns {boolean}
+   */
+  isFieldNotFoundError(error) {
+    return /FieldNameNotFound|1254045/.test(`${error.code || ''} ${error.message || ''}`);
+  }
+
   /**
    * 删除记录
    * @param {string} recordId - 记录ID
@@ -503,11 +576,39 @@ class FeishuAdapter extends BaseAdapter {
   }
 
   /**
-   * 获取记录列表
-   * @param {Object} params - 查询参数
+   * 获取记录列表（单页）
+   * @param {Object} params - 查询参数 { pageSize, pageToken, filter }
    * @returns {Promise<Array>} 记录列表
    */
   async getRecords(params = {}) {
+    const page = await this.fetchRecordPage(params);
+    return page.records;
+  }
+
+  /**
+   * 翻页读取全部记录
+   * @param {Object} params - 查询参数 { filter }
+   * @returns {Promise<Array>} 记录列表
+   */
+  async getAllRecords(params = {}) {
+    const records = [];
+    let pageToken;
+
+    do {
+      const page = await this.fetchRecordPage({ ...params, pageSize: FEISHU_PAGE_SIZE, pageToken });
+      records.push(...page.records);
+      pageToken = page.hasMore ? page.pageToken : null;
+    } while (pageToken);
+
+    return records;
+  }
+
+  /**
+   * 读取一页记录
+   * @param {Object} params - 查询参数 { pageSize, pageToken, filter }
+   * @returns {Promise<Object>} { records, hasMore, pageToken }
+   */
+  async fetchRecordPage(params = {}) {
     try {
       const url = `${this.baseUrl}/apps/${this.normalizeAppToken(this.tableToken)}/tables/${this.getTableId()}/records`;
       
@@ -526,7 +627,11 @@ class FeishuAdapter extends BaseAdapter {
         headers
       });
 
-      return this.formatFeishuRecords(response.data?.items || []);
+      return {
+        records: this.formatFeishuRecords(response.data?.items || []),
+        hasMore: !!response.data?.has_more,
+        pageToken: response.data?.page_token
+      };
     } catch (error) {
       this.log('error', '获取飞书记录列表失败', { error: error.message, params });
       throw error;
@@ -665,6 +770,8 @@ class FeishuAdapter extends BaseAdapter {
   formatDataForFeishu(data) {
     const fieldMapping = this.getFieldMapping();
     const formattedData = {};
+    // 敏感字段不以明文写入表格，需同步的密钥已由DataMapper封装在"数据集合"中
+    const sensitiveFields = sensitiveDataHandler.getAllSensitiveFields();
     
     console.log('开始格式化数据:', { dataKeys: Object.keys(data) });
     
@@ -720,9 +827,11 @@ class FeishuAdapter extends BaseAdapter {
     }
     
     // 特别处理数据集合字段，确保它被正确添加到飞书表格
-    // 优先级：优先检查data对象，确保完整的配置信息被同步
+    // 优先级：优先使用已准备好的"数据集合"，否则使用去除敏感字段后的data对象
     try {
-      const dataSetValue = JSON.stringify(data);
+      const dataSetValue = typeof data['数据集合'] === 'string'
+        ? data['数据集合']
+        : JSON.stringify(data, (key, value) => (sensitiveFields.includes(key) ? undefined : value));
       formattedData['数据集合'] = dataSetValue;
       console.log(`强制添加数据集合字段: 数据长度=${dataSetValue.length}, 数据样例=${dataSetValue.substring(0, 50)}...`);
     } catch (e) {
@@ -732,8 +841,8 @@ class FeishuAdapter extends BaseAdapter {
     
     // 处理原始数据中的所有字段，确保不会遗漏重要信息
     Object.keys(data).forEach(key => {
-      // 如果是已经处理过的字段，跳过
-      if (fieldMapping[key]) return;
+      // 如果是已经处理过的字段或敏感字段，跳过
+      if (fieldMapping[key] || key === '数据集合' || sensitiveFields.includes(key)) return;
       
       let value = data[key];
       if (value !== undefined && value !== null) {
@@ -811,6 +920,40 @@ class FeishuAdapter extends BaseAdapter {
     return response;
   }
 
+  /**
+   * 将飞书记录还原为表格数据
+   * 通过createRecord写入的记录只有"数据集合"字段，原始数据保存在其中的"数据"里
+   * @param {Object} record - formatFeishuRecords返回的记录
+   * @returns {Object|null} 表格数据
+   */
+  parseRecord(record) {
+    const fields = record.fields || {};
+    // 飞书文本字段可能以富文本片段数组返回
+    const toText = value => (Array.isArray(value)
+      ? value.map(part => (typeof part === 'string' ? part : part?.text || '')).join('')
+      : value);
+    
+    let data = toText(fields['数据']);
+    if (!data && fields['数据集合']) {
+      try {
+        data = JSON.parse(toText(fields['数据集合']))['数据'];
+      } catch (error) {
+        data = null;
+      }
+    }
+    if (!data) {
+      return null;
+    }
+    
+    return {
+      id: toText(fields['ID']) || record.id,
+      type: toText(fields['类型']) || '',
+      name: toText(fields['名称']) || toText(fields['配置名称']) || '',
+      data,
+      metadata: { recordId: record.id, updatedAt: record.lastModifiedTime }
+    };
+  }
+
   formatFeishuRecords(records) {
     return records.map(record => ({
       id: record.record_id,
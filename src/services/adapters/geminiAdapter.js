@@ -0,0 +1,95 @@
+/**
+ * Gemini模型适配器
+ * 调用Google Generative Language接口，请求和响应格式由GEMINI_CODEC处理
+ */
+
+import BaseModelAdapter from './baseModelAdapter.js';
+import { GEMINI_CODEC } from './messageCodecs.js';
+
+class GeminiAdapter extends BaseModelAdapter {
+  static codec = GEMINI_CODEC;
+
+  /**
+   * 构建请求头，API Key通过请求头传递，避免出现在URL中
+   * @returns {Object} 请求头
+   */
+  buildHeaders() {
+    return {
+      'Content-Type': 'application/json',
+      'x-goog-api-key': this.apiKey
+    };
+  }
+
+  /**
+   * 模型接口的公共前缀，Base URL未带版本时默认使用v1beta
+   * @returns {string} 模型URL前缀
+   */
+  getModelUrl() {
+    const base = (this.baseUrl || '').replace(/\/+$/, '');
+    const root = /\/v1(beta)?$/.test(base) ? base : `${base}/v1beta`;
+    const model = (this.modelEndpoint || '').replace(/^models\//, '');
+    return `${root}/models/${model}`;
+  }
+
+  /**
+   * 获取API URL
+   * @returns {string} API URL
+   */
+  getApiUrl() {
+    return `${this.getModelUrl()}:generateContent`;
+  }
+
+  /**
+   * 流式输出使用单独的接口，alt=sse时按SSE格式返回
+   * @returns {string} 流式请求URL
+   */
+  getStreamUrl() {
+    return `${this.getModelUrl()}:streamGenerateContent?alt=sse`;
+  }
+
+  /**
+   * 获取模型信息
+   * @returns {Object} 模型信息
+   */
+  getModelInfo() {
+    return {
+      type: 'gemini',
+      name: 'Gemini',
+      baseUrl: this.baseUrl,
+      modelEndpoint: this.modelEndpoint,
+      temperature: this.temperature,
+      maxTokens: this.maxTokens,
+      contextWindow: this.contextWindow,
+      features: [
+        '多语言',
+        '长上下文',
+        '快速响应'
+      ]
+    };
+  }
+
+  /**
+   * 验证配置
+   * @returns {Object} 验证结果
+   */
+  validateConfig() {
+    const errors = [];
+
+    if (!this.apiKey) {
+      errors.push('API Key不能为空');
+    }
+    if (!this.baseUrl) {
+      errors.push('Base URL不能为空');
+    }
+    if (!this.modelEndpoint) {
+      errors.push('模型名称不能为空');
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+}
+
+export default GeminiAdapter;
@@ -0,0 +1,594 @@
+/**
+ * Google Sheets适配器
+ * 工作表第一行为表头，每行一条记录，按"ID"列定位已同步的行
+ * 支持直接填写OAuth访问令牌，或填写服务账号密钥JSON由适配器签发令牌
+ */
+import BaseAdapter from './baseAdapter.js';
+
+// 服务账号换取令牌的默认地址和所需权限
+const TOKEN_URL = 'https://oauth2.googleapis.com/token';
+const SHEETS_SCOPE = 'https://www.googleapis.com/auth/spreadsheets';
+
+// 新工作表写入的默认表头，"ID"和"数据集合"列是同步必需的
+const DEFAULT_COLUMNS = ['ID', '名称', '类型', '数据集合', '更新时间'];
+const REQUIRED_COLUMNS = ['ID', '数据集合'];
+
+// 单元格最多50000个字符
+const CELL_CHAR_LIMIT = 50000;
+
+/**
+ * 字节数组转Base64URL
+ * @param {Uint8Array} bytes - 字节数组
+ * @returns {string} Base64URL字符串
+ */
+function bytesToBase64Url(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * 列序号转列字母，0 → A，26 → AA
+ * @param {number} index - 列序号
+ * @returns {string} 列字母
+ */
+function columnLetter(index) {
+  let letter = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letter = String.fromCharCode(65 + (n - 1) % 26) + letter;
+  }
+  return letter;
+}
+
+class GoogleSheetsAdapter extends BaseAdapter {
+  constructor(config) {
+    super(config);
+    // 侧边栏表单中应用密钥填写访问令牌或服务账号JSON，表格token填写表格ID或链接
+    const secret = (config.appSecret || '').trim();
+    this.serviceAccountKey = config.serviceAccountKey || (secret.startsWith('{') ? secret : '');
+    this.accessToken = config.accessToken || (this.serviceAccountKey ? null : secret);
+    this.authType = config.authType || (this.serviceAccountKey ? 'serviceAccount' : 'oauth');
+    this.tokenExpiry = this.authType === 'oauth' ? Infinity : null;
+    this.baseUrl = (config.baseUrl || 'https://sheets.googleapis.com/v4').replace(/\/$/, '');
+
+    this.spreadsheetId = this.extractSpreadsheetId(config.spreadsheetId) ||
+      this.extractSpreadsheetId(config.tableToken) ||
+      this.extractSpreadsheetId(config.tableId);
+    this.sheetName = config.sheetName ||
+      (config.tableId && !this.extractSpreadsheetId(config.tableId) ? config.tableId : '');
+  }
+
+  /**
+   * 获取必需的配置字段
+   * @returns {Array} 必需字段列表
+   */
+  getRequiredConfigFields() {
+    return ['spreadsheetId'];
+  }
+
+  /**
+   * 从表格ID或表格链接中提取表格ID
+   * @param {string} input - 表格ID或链接
+   * @returns {string} 表格ID，无法识别时返回空字符串
+   */
+  extractSpreadsheetId(input) {
+    if (!input) return '';
+    const text = String(input).trim();
+    const match = text.match(/\/spreadsheets\/d\/([a-zA-Z0-9-_]+)/);
+    if (match) return match[1];
+    return /^[a-zA-Z0-9-_]{25,}$/.test(text) ? text : '';
+  }
+
+  /**
+   * 确定记录所在的表格和工作表，同步数据中携带的优先
+   * @param {Object} data - 记录数据
+   * @returns {Object} { spreadsheetId, sheetName }
+   */
+  resolveTarget(data = {}) {
+    const spreadsheetId = this.extractSpreadsheetId(data.tableToken) ||
+      this.extractSpreadsheetId(data.tableId) ||
+      this.spreadsheetId;
+    const sheetName = data.tableId && !this.extractSpreadsheetId(data.tableId) ? data.tableId : this.sheetName;
+
+    if (!spreadsheetId) {
+      throw new Error('未配置Google表格ID');
+    }
+    return { spreadsheetId, sheetName };
+  }
+
+  /**
+   * 生成A1表示法的区域，未指定工作表时指向第一个工作表
+   * @param {string} sheetName - 工作表名称
+   * @param {string} a1 - 区域
+   * @returns {string} 区域
+   */
+  toRange(sheetName, a1) {
+    return sheetName ? `'${sheetName.replace(/'/g, '\'\'')}'!${a1}` : a1;
+  }
+
+  /**
+   * 批量追加记录，所有行在一次append请求中写入
+   * @param {Array} dataList - 记录数据列表
+   * @returns {Promise<Array>} 创建结果列表，与输入顺序一致
+   */
+  async batchCreateRecords(dataList) {
+    if (dataList.length === 0) return [];
+
+    try {
+      const target = this.resolveTarget(dataList[0]);
+      const { header } = await this.loadSheet(target, { ensureHeader: true });
+      const rows = dataList.map(data => this.buildRow(header, data));
+
+      const range = encodeURIComponent(this.toRange(target.sheetName, 'A1'));
+      const response = await this.request(target,
+        `/values/${range}:append?valueInputOption=RAW&insertDataOption=INSERT_ROWS`, 'POST', {
+          majorDimension: 'ROWS',
+          values: rows
+        });
+
+      const firstRow = Number(response.updates?.updatedRange?.match(/![A-Z]+(\d+)/)?.[1]) || null;
+      return dataList.map((data, index) => ({
+        id: String(data.id || ''),
+        rowNumber: firstRow ? firstRow + index : null,
+        success: true,
+        originalIndex: index
+      }));
+    } catch (error) {
+      this.log('error', '追加Google表格行失败', { error: error.message, count: dataList.length });
+      return dataList.map((data, index) => ({ success: false, error: error.message, originalIndex: index }));
+    }
+  }
+
+  /**
+   * 批量更新记录，按ID列定位行后通过values:batchUpdate一次写入
+   * @param {Array} updates - 更新数据列表 [{id, data}]，id为ID列的值
+   * @returns {Promise<Array>} 更新结果列表，与输入顺序一致
+   */
+  async batchUpdateRecords(updates) {
+    if (updates.length === 0) return [];
+
+    try {
+      const target = this.resolveTarget(updates[0].data);
+      const { header, rows } = await this.loadSheet(target, { ensureHeader: true });
+      const results = [];
+      const data = [];
+
+      updates.forEach((update, index) => {
+        const rowNumber = this.findRowNumber(header, rows, update.id);
+        if (!rowNumber) {
+          results.push({ success: false, error: `记录不存在: ${update.id}`, originalIndex: index });
+          return;
+        }
+        data.push({
+          range: this.toRange(target.sheetName, `A${rowNumber}`),
+          values: [this.buildRow(header, update.data, rows[rowNumber - 2])]
+        });
+        results.push({ id: String(update.id), rowNumber, success: true, originalIndex: index });
+      });
+
+      if (data.length > 0) {
+        await this.request(target, '/values:batchUpdate', 'POST', { valueInputOption: 'RAW', data });
+      }
+      return results;
+    } catch (error) {
+      this.log('error', '批量更新Google表格行失败', { error: error.message, count: updates.length });
+      return updates.map((update, index) => ({ success: false, error: error.message, originalIndex: index }));
+    }
+  }
+
+  /**
+   * 创建记录
+   * @param {Object} data - 记录数据
+   * @returns {Promise<Object>} 创建结果
+   */
+  async createRecord(data) {
+    const [result] = await this.batchCreateRecords([data]);
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    return result;
+  }
+
+  /**
+   * 更新记录
+   * @param {string} recordId - ID列的值
+   * @param {Object} data - 更新数据
+   * @returns {Promise<Object>} 更新结果
+   */
+  async updateRecord(recordId, data) {
+    const [result] = await this.batchUpdateRecords([{ id: recordId, data }]);
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    return result;
+  }
+
+  /**
+   * 删除记录，清空该行内容而不删除行，避免其他行的行号变化
+   * @param {string} recordId - ID列的值
+   * @returns {Promise<Object>} 删除结果
+   */
+  async deleteRecord(recordId) {
+    try {
+      const target = this.resolveTarget();
+      const { header, rows } = await this.loadSheet(target);
+      const rowNumber = this.findRowNumber(header, rows, recordId);
+      if (!rowNumber) {
+        throw new Error(`记录不存在: ${recordId}`);
+      }
+
+      await this.request(target, '/values:batchClear', 'POST', {
+        ranges: [this.toRange(target.sheetName, `A${rowNumber}:${columnLetter(header.length - 1)}${rowNumber}`)]
+      });
+      return { success: true, id: recordId };
+    } catch (error) {
+      this.log('error', '删除Google表格行失败', { error: error.message, recordId });
+      throw error;
+    }
+  }
+
+  /**
+   * 读取工作表中的记录，跳过空行
+   * @param {Object} params - 查询参数 { limit, pageSize }
+   * @returns {Promise<Array>} 记录列表
+   */
+  async getRecords(params = {}) {
+    try {
+      const { header, rows } = await this.loadSheet(this.resolveTarget());
+      const limit = params.limit || params.pageSize || Infinity;
+
+      return rows
+        .map((row, index) => this.formatSheetRow(header, row, index + 2))
+        .filter(record => Object.values(record.fields).some(value => value !== ''))
+        .slice(0, limit);
+    } catch (error) {
+      this.log('error', '读取Google表格失败', { error: error.message, params });
+      throw error;
+    }
+  }
+
+  /**
+   * 按ID列查找记录，ID列为空的旧行按"数据集合"中的ID比对
+   * @param {string} id - 本地数据ID
+   * @returns {Promise<Object|null>} 匹配的记录
+   */
+  async findRecordById(id) {
+    const records = await this.getRecords();
+    return this.pickLatestRecord(records.filter(record =>
+      record.fields['ID'] === String(id) || (!record.fields['ID'] && this.getLocalId(record) === id)
+    ));
+  }
+
+  /**
+   * 将工作表行还原为表格数据
+   * @param {Object} record - formatSheetRow返回的记录
+   * @returns {Object|null} 表格数据
+   */
+  parseRecord(record) {
+    const fields = record.fields || {};
+    let dataSet = {};
+    try {
+      dataSet = fields['数据集合'] ? JSON.parse(fields['数据集合']) : {};
+    } catch (error) {
+      dataSet = {};
+    }
+    const data = fields['数据'] || dataSet['数据'];
+    if (!data) {
+      return null;
+    }
+
+    return {
+      id: fields['ID'] || record.id,
+      type: fields['类型'] || '',
+      name: fields['名称'] || dataSet['配置名称'] || dataSet['工作名称'] || '',
+      data,
+      metadata: { recordId: record.id, updatedAt: record.lastModifiedTime }
+    };
+  }
+
+  /**
+   * 读取工作表的表头和数据行
+   * @param {Object} target - { spreadsheetId, sheetName }
+   * @param {Object} options - 选项 { ensureHeader }，为true时补写缺少的同步列
+   * @returns {Promise<Object>} { header, rows }
+   */
+  async loadSheet(target, options = {}) {
+    const range = encodeURIComponent(this.toRange(target.sheetName, 'A:ZZ'));
+    const response = await this.request(target, `/values/${range}?majorDimension=ROWS&valueRenderOption=FORMATTED_VALUE`);
+    const values = response.values || [];
+    let header = (values[0] || []).map(cell => String(cell).trim());
+
+    if (options.ensureHeader) {
+      const missing = header.length === 0
+        ? DEFAULT_COLUMNS
+        : REQUIRED_COLUMNS.filter(column => !header.includes(column));
+      if (missing.length > 0) {
+        header = [...header, ...missing];
+        await this.request(target, `/values/${encodeURIComponent(this.toRange(target.sheetName, 'A1'))}?valueInputOption=RAW`, 'PUT', {
+          majorDimension: 'ROWS',
+          values: [header]
+        });
+      }
+    }
+
+    return { header, rows: values.slice(1) };
+  }
+
+  /**
+   * 按ID列查找行号（从1开始，含表头行）
+   * @param {Array} header - 表头
+   * @param {Array} rows - 数据行
+   * @param {string} id - ID列的值，也可以是"row:行号"
+   * @returns {number|null} 行号
+   */
+  findRowNumber(header, rows, id) {
+    const rowRef = String(id).match(/^row:(\d+)$/);
+    if (rowRef) {
+      return Number(rowRef[1]) <= rows.length + 1 ? Number(rowRef[1]) : null;
+    }
+
+    const idIndex = header.indexOf('ID');
+    const index = rows.findIndex(row => String(row[idIndex] ?? '') === String(id));
+    return idIndex >= 0 && index >= 0 ? index + 2 : null;
+  }
+
+  /**
+   * 按表头构建一行的值
+   * 同步列之外，与"数据集合"中字段同名的列也会写入，其他列保留原值
+   * @param {Array} header - 表头
+   * @param {Object} data - 记录数据
+   * @param {Array} existing - 该行原有的值
+   * @returns {Array} 行的值
+   */
+  buildRow(header, data, existing = []) {
+    let dataSet = data['数据集合'];
+    if (!dataSet) {
+      const plain = Object.fromEntries(Object.entries(data).filter(([key, value]) =>
+        value !== null && typeof value !== 'object' && !['tableToken', 'tableId'].includes(key)
+      ));
+      dataSet = JSON.stringify(plain);
+    }
+
+    let dataSetFields = {};
+    try {
+      dataSetFields = JSON.parse(dataSet);
+    } catch (error) {
+      dataSetFields = {};
+    }
+
+    const values = {
+      ...dataSetFields,
+      'ID': data.id,
+      '名称': data.name,
+      '类型': data.type,
+      '数据集合': dataSet,
+      '更新时间': data.metadata?.updatedAt || data.updatedAt || new Date().toISOString()
+    };
+
+    return header.map((column, index) => {
+      const value = values[column];
+      if (value === undefined || value === null) {
+        return existing[index] ?? '';
+      }
+      const cell = typeof value === 'object' ? JSON.stringify(value) : value;
+      if (typeof cell === 'string' && cell.length > CELL_CHAR_LIMIT) {
+        throw new Error(`"${column}"列内容超过Google表格单元格${CELL_CHAR_LIMIT}字符的上限`);
+      }
+      return cell;
+    });
+  }
+
+  /**
+   * 格式化工作表行
+   * @param {Array} header - 表头
+   * @param {Array} row - 行的值
+   * @param {number} rowNumber - 行号
+   * @returns {Object} 记录，ID列为空时以"row:行号"作为记录ID
+   */
+  formatSheetRow(header, row, rowNumber) {
+    const fields = {};
+    header.forEach((column, index) => {
+      if (column) {
+        fields[column] = row[index] === undefined ? '' : String(row[index]);
+      }
+    });
+
+    return {
+      id: fields['ID'] || `row:${rowNumber}`,
+      rowNumber,
+      fields,
+      lastModifiedTime: fields['更新时间'] || null
+    };
+  }
+
+  /**
+   * 测试连接
+   * @returns {Promise<boolean>} 连接测试结果
+   */
+  async testConnection() {
+    try {
+      await this.getTableInfo();
+      this.log('info', 'Google表格连接测试成功');
+      return true;
+    } catch (error) {
+      this.log('error', 'Google表格连接测试失败', { error: error.message });
+      return false;
+    }
+  }
+
+  /**
+   * 获取表格信息
+   * @returns {Promise<Object>} 表格信息
+   */
+  async getTableInfo() {
+    const target = this.resolveTarget();
+    const spreadsheet = await this.request(target, '?fields=properties.title,sheets.properties.title');
+    return {
+      name: spreadsheet.properties?.title || '',
+      spreadsheetId: target.spreadsheetId,
+      sheets: (spreadsheet.sheets || []).map(sheet => sheet.properties.title),
+      platform: 'googlesheets',
+      isConnected: true
+    };
+  }
+
+  /**
+   * 获取访问令牌，服务账号令牌过期前5分钟重新签发
+   * @returns {Promise<string>} 访问令牌
+   */
+  async getAccessToken() {
+    if (this.accessToken && Date.now() < this.tokenExpiry) {
+      return this.accessToken;
+    }
+    if (this.authType !== 'serviceAccount') {
+      throw new Error('未配置Google访问令牌');
+    }
+
+    let key;
+    try {
+      key = typeof this.serviceAccountKey === 'string' ? JSON.parse(this.serviceAccountKey) : this.serviceAccountKey;
+    } catch (error) {
+      throw new Error('服务账号密钥不是有效的JSON');
+    }
+
+    const response = await this.fetchWithTimeout(key.token_uri || TOKEN_URL, {
+      method: 'POST',
+      timeout: this.timeout,
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({
+        grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer',
+        assertion: await this.createServiceAccountAssertion(key)
+      }).toString()
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok || !data.access_token) {
+      throw new Error(`获取Google访问令牌失败: ${data.error_description || data.error || `HTTP ${response.status}`}`);
+    }
+
+    this.accessToken = data.access_token;
+    this.tokenExpiry = Date.now() + ((data.expires_in || 3600) - 300) * 1000;
+    return this.accessToken;
+  }
+
+  /**
+   * 用服务账号私钥签发JWT断言（RS256）
+   * @param {Object} key - 服务账号密钥 { client_email, private_key, token_uri }
+   * @returns {Promise<string>} JWT
+   */
+  async createServiceAccountAssertion(key) {
+    if (!key.client_email || !key.private_key) {
+      throw new Error('服务账号密钥缺少client_email或private_key');
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const encode = value => bytesToBase64Url(new TextEncoder().encode(JSON.stringify(value)));
+    const unsigned = `${encode({ alg: 'RS256', typ: 'JWT' })}.${encode({
+      iss: key.client_email,
+      scope: SHEETS_SCOPE,
+      aud: key.token_uri || TOKEN_URL,
+      iat: now,
+      exp: now + 3600
+    })}`;
+
+    const pem = key.private_key.replace(/-----[^-]+-----/g, '').replace(/\\n|\s/g, '');
+    const der = Uint8Array.from(atob(pem), char => char.charCodeAt(0));
+    const privateKey = await crypto.subtle.importKey(
+      'pkcs8',
+      der,
+      { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' },
+      false,
+      ['sign']
+    );
+    const signature = await crypto.subtle.sign('RSASSA-PKCS1-v1_5', privateKey, new TextEncoder().encode(unsigned));
+    return `${unsigned}.${bytesToBase64Url(new Uint8Array(signature))}`;
+  }
+
+  /**
+   * 发送Sheets API请求
+   * @param {Object} target - { spreadsheetId }
+   * @param {string} path - 表格下的接口路径
+   * @param {string} method - 请求方法
+   * @param {Object} body - 请求体
+   * @returns {Promise<Object>} 响应结果
+   */
+  async request(target, path, method = 'GET', body = null) {
+    return this.makeRequest(`${this.baseUrl}/spreadsheets/${target.spreadsheetId}${path}`, {
+      method,
+      ...(body ? { body: JSON.stringify(body) } : {})
+    });
+  }
+
+  /**
+   * 重写makeRequest方法以支持令牌刷新和Google错误格式
+   * 服务账号令牌失效时重新签发一次，限流和服务端错误按退避重试
+   * @param {string} url - 请求URL
+   * @param {Object} options - 请求选项
+   * @returns {Promise<Object>} 响应结果
+   */
+  async makeRequest(url, options = {}) {
+    let lastError;
+    let tokenRefreshed = false;
+
+    for (let attempt = 1; attempt <= this.retryCount; attempt++) {
+      try {
+        const response = await this.fetchWithTimeout(url, {
+          method: 'GET',
+          timeout: this.timeout,
+          ...options,
+          headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${await this.getAccessToken()}`,
+            ...(options.headers || {})
+          }
+        });
+        const data = await response.json().catch(() => ({}));
+
+        if (response.ok) {
+          return data;
+        }
+
+        lastError = this.createApiError(response.status, data);
+        if (response.status === 401 && this.authType === 'serviceAccount' && !tokenRefreshed) {
+          tokenRefreshed = true;
+          this.tokenExpiry = 0;
+          attempt--;
+          continue;
+        }
+        if (response.status !== 429 && response.status < 500) {
+          throw lastError;
+        }
+      } catch (error) {
+        if (error === lastError && error.retryable === false) {
+          throw error;
+        }
+        lastError = error;
+      }
+
+      this.log('warn', `Google表格请求失败 (尝试 ${attempt}/${this.retryCount}): ${lastError.message}`);
+      if (attempt < this.retryCount) {
+        await this.delay(this.retryDelay * Math.pow(2, attempt - 1));
+      }
+    }
+
+    throw new Error(`请求失败，已重试 ${this.retryCount} 次: ${lastError.message}`);
+  }
+
+  /**
+   * 根据Google错误响应创建错误对象
+   * @param {number} status - HTTP状态码
+   * @param {Object} data - 错误响应 { error: { code, message, status } }
+   * @returns {Error} 错误对象
+   */
+  createApiError(status, data) {
+    const code = data.error?.status || `HTTP_${status}`;
+    const error = new Error(`Google Sheets API错误 (${code}): ${data.error?.message || `HTTP ${status}`}`);
+    error.code = code;
+    error.status = status;
+    error.retryable = status === 429 || status >= 500;
+    return error;
+  }
+}
+
+export default GoogleSheetsAdapter;
@@ -3,16 +3,19 @@
  * 处理腾讯混元大模型的API调用
  */
 
-import BaseModelAdapter from './baseModelAdapter.js';
+import BaseModelAdapter, { createCancelledError } from './baseModelAdapter.js';
 
 // 临时实现retry函数
-const retry = async (fn, maxRetries = 3, delay = 1000) => {
+const retry = async (fn, maxRetries = 3, delay = 1000, signal = null) => {
   let lastError;
   
   for (let i = 0; i < maxRetries; i++) {
     try {
       return await fn();
     } catch (error) {
+      if (signal && signal.aborted) {
+        throw createCancelledError();
+      }
       lastError = error;
       if (i < maxRetries - 1) {
         await new Promise(resolve => setTimeout(resolve, delay * Math.pow(2, i)));
@@ -121,16 +124,18 @@ class HunyuanAdapter extends BaseModelAdapter {
    * @param {string} url - 请求URL
    * @param {Object} body - 请求体
    * @param {Object} headers - 请求头
+   * @param {AbortSignal} signal - 取消信号（可选）
    * @returns {Promise<Object>} 响应数据
    */
-  async sendRequest(url, body, headers = null) {
+  async sendRequest(url, body, headers = null, signal = null) {
     const requestHeaders = headers || this.buildHeaders();
     
     return await retry(async () => {
       const response = await fetch(url, {
         method: 'POST',
         headers: requestHeaders,
-        body: JSON.stringify(body)
+        body: JSON.stringify(body),
+        signal
       });
       
       if (!response.ok) {
@@ -146,7 +151,7 @@ class HunyuanAdapter extends BaseModelAdapter {
       }
       
       return result;
-    }, 3, 1000);
+    }, 3, 1000, signal);
   }
 
   /**
@@ -171,6 +176,59 @@ class HunyuanAdapter extends BaseModelAdapter {
     throw new Error('无效的Hunyuan响应格式');
   }
 
+  /**
+   * 提取响应中的用量统计
+   * @param {Object} response - API响应
+   * @returns {Object} 用量统计
+   */
+  extractUsage(response) {
+    return response.Response?.Usage || response.usage || {};
+  }
+
+  /**
+   * 开启流式输出的请求参数
+   * @returns {Object} 请求参数
+   */
+  getStreamParams() {
+    return { Stream: true };
+  }
+
+  /**
+   * 从流式数据块中提取增量文本，兼容腾讯云原生格式和OpenAI格式
+   * @param {Object} chunk - SSE数据块
+   * @returns {string} 增量文本
+   */
+  extractStreamDelta(chunk) {
+    const choice = chunk.Choices && chunk.Choices[0];
+    if (choice && choice.Delta) {
+      return choice.Delta.Content || '';
+    }
+    return super.extractStreamDelta(chunk);
+  }
+
+  /**
+   * 从流式数据块中提取用量统计
+   * @param {Object} chunk - SSE数据块
+   * @returns {Object|null} 用量统计
+   */
+  extractStreamUsage(chunk) {
+    return chunk.Usage || chunk.usage || null;
+  }
+
+  /**
+   * 检查流式数据块中的腾讯云错误
+   * @param {Object} chunk - SSE数据块
+   */
+  checkStreamError(chunk) {
+    if (chunk.ErrorMsg && chunk.ErrorMsg.Msg) {
+      throw new Error(`Hunyuan API Error: ${chunk.ErrorMsg.Msg}`);
+    }
+    if (chunk.Response && chunk.Response.Error) {
+      throw new Error(`Hunyuan API Error: ${chunk.Response.Error.Message}`);
+    }
+    super.checkStreamError(chunk);
+  }
+
   /**
    * 测试连接
    * @returns {Promise<Object>} 测试结果
@@ -214,40 +272,41 @@ class HunyuanAdapter extends BaseModelAdapter {
     }
   }
 
+  /**
+   * 改写时的角色设定
+   * @returns {string} 角色设定
+   */
+  getRewritePersona() {
+    return '你是腾讯混元大模型，一个专业的中文文本改写助手。请根据用户要求对文本进行改写，保持原意的同时优化表达方式。';
+  }
+
   /**
    * 文本改写
    * @param {string} text - 待改写文本
    * @param {string} prompt - 改写提示
-   * @param {Object} options - 额外选项
+   * @param {Object} options - 额外选项，onChunk为流式输出回调，signal为取消信号，examples为示例
    * @returns {Promise<Object>} 改写结果
    */
   async rewriteText(text, prompt, options = {}) {
     try {
+      const { onChunk, signal, examples, ...requestOptions } = options;
       const url = this.getApiUrl();
       
-      // 构建优化的提示词
-      const systemPrompt = "你是腾讯混元大模型，一个专业的中文文本改写助手。请根据用户要求对文本进行改写，保持原意的同时优化表达方式。";
-      const userPrompt = `改写要求：${prompt}\n\n原文：\n${text}\n\n请提供改写后的文本：`;
-      
-      const messages = [
-        { role: "system", content: systemPrompt },
-        { role: "user", content: userPrompt }
-      ];
+      const messages = this.buildRewriteMessages(text, prompt, examples);
       
       const body = this.buildRequestBody(messages, {
-        Temperature: options.temperature || 0.7,
-        MaxTokens: options.maxTokens || Math.max(text.length * 2, 500),
+        Temperature: requestOptions.temperature || 0.7,
+        MaxTokens: requestOptions.maxTokens || Math.max(text.length * 2, 500),
         TopP: 0.9,
-        ...options
+        ...requestOptions
       });
       
-      const response = await this.sendRequest(url, body);
-      const content = this.extractContent(response);
+      const { content, usage, response } = await this.requestCompletion(url, body, { onChunk, signal });
       
       return {
         success: true,
         data: content,
-        usage: response.Response?.Usage || response.usage || {},
+        usage,
         model: this.modelEndpoint,
         requestId: response.Response?.RequestId,
         message: 'Hunyuan文本改写成功'
@@ -275,6 +334,7 @@ class HunyuanAdapter extends BaseModelAdapter {
       region: this.region,
       temperature: this.temperature,
       maxTokens: this.maxTokens,
+      contextWindow: this.contextWindow,
       supportedModels: this.supportedModels,
       features: [
         '中文优化',
@@ -5,14 +5,18 @@
 
 import BaseModelAdapter from './baseModelAdapter.js';
 
+// 各模型的上下文长度（tokens）
+const KIMI_CONTEXT_LENGTHS = {
+  'moonshot-v1-8k': 8192,
+  'moonshot-v1-32k': 32768,
+  'moonshot-v1-128k': 131072
+};
+
 class KimiAdapter extends BaseModelAdapter {
   constructor(config) {
     super(config);
-    this.supportedModels = [
-      'moonshot-v1-8k',
-      'moonshot-v1-32k',
-      'moonshot-v1-128k'
-    ];
+    this.supportedModels = Object.keys(KIMI_CONTEXT_LENGTHS);
+    this.contextWindow = KIMI_CONTEXT_LENGTHS[this.modelEndpoint || config.defaultModel] || this.contextWindow;
   }
 
   /**
@@ -55,6 +59,17 @@ class KimiAdapter extends BaseModelAdapter {
     };
   }
 
+  /**
+   * 从流式数据块中提取用量统计
+   * Kimi把用量放在结束数据块的choices[0].usage中
+   * @param {Object} chunk - SSE数据块
+   * @returns {Object|null} 用量统计
+   */
+  extractStreamUsage(chunk) {
+    const choice = chunk.choices && chunk.choices[0];
+    return (choice && choice.usage) || chunk.usage || null;
+  }
+
   /**
    * 获取API URL
    * @returns {string} API URL
@@ -116,25 +131,27 @@ class KimiAdapter extends BaseModelAdapter {
     }
   }
 
+  /**
+   * 改写时的角色设定
+   * @returns {string} 角色设定
+   */
+  getRewritePersona() {
+    return '你是Kimi，由 Moonshot AI 提供的人工智能助手。你是一个专业的文本改写专家，擅长根据用户需求对文本进行优化和改写，保持原意的同时提升表达效果。';
+  }
+
   /**
    * 文本改写
    * @param {string} text - 待改写文本
    * @param {string} prompt - 改写提示
-   * @param {Object} options - 额外选项
+   * @param {Object} options - 额外选项，onChunk为流式输出回调，signal为取消信号，examples为示例
    * @returns {Promise<Object>} 改写结果
    */
   async rewriteText(text, prompt, options = {}) {
     try {
+      const { onChunk, signal, examples, ...requestOptions } = options;
       const url = this.getApiUrl();
       
-      // 构建优化的提示词
-      const systemPrompt = "你是Kimi，由 Moonshot AI 提供的人工智能助手。你是一个专业的文本改写专家，擅长根据用户需求对文本进行优化和改写，保持原意的同时提升表达效果。";
-      const userPrompt = `请根据以下要求改写文本：\n\n改写要求：${prompt}\n\n原始文本：\n${text}\n\n请提供改写后的文本：`;
-      
-      const messages = [
-        { role: "system", content: systemPrompt },
-        { role: "user", content: userPrompt }
-      ];
+      const messages = this.buildRewriteMessages(text, prompt, examples);
       
       // 根据文本长度选择合适的模型
       const textLength = text.length;
@@ -147,19 +164,18 @@ class KimiAdapter extends BaseModelAdapter {
       
       const body = this.buildRequestBody(messages, {
         model: selectedModel,
-        temperature: options.temperature || 0.7,
-        max_tokens: options.maxTokens || Math.min(Math.max(textLength * 1.5, 500), 4000),
+        temperature: requestOptions.temperature || 0.7,
+        max_tokens: requestOptions.maxTokens || Math.min(Math.max(textLength * 1.5, 500), 4000),
         top_p: 0.9,
-        ...options
+        ...requestOptions
       });
       
-      const response = await this.sendRequest(url, body);
-      const content = this.extractContent(response);
+      const { content, usage, response } = await this.requestCompletion(url, body, { onChunk, signal });
       
       return {
         success: true,
         data: content,
-        usage: response.usage || {},
+        usage,
         model: response.model || selectedModel,
         id: response.id,
         message: 'Kimi文本改写成功'
@@ -186,6 +202,7 @@ class KimiAdapter extends BaseModelAdapter {
       modelEndpoint: this.modelEndpoint,
       temperature: this.temperature,
       maxTokens: this.maxTokens,
+      contextWindow: this.contextWindow,
       supportedModels: this.supportedModels,
       features: [
         '长文本处理',
@@ -195,11 +212,7 @@ class KimiAdapter extends BaseModelAdapter {
         '创意写作',
         '逻辑推理'
       ],
-      contextLengths: {
-        'moonshot-v1-8k': 8192,
-        'moonshot-v1-32k': 32768,
-        'moonshot-v1-128k': 131072
-      }
+      contextLengths: { ...KIMI_CONTEXT_LENGTHS }
     };
   }
 
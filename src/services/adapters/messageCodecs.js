@@ -0,0 +1,233 @@
+/**
+ * 大模型消息编解码器
+ * 把统一的 [{ role, content }] 消息数组编码为各家接口的请求体，并把响应、流式数据块解码为文本和用量
+ * 适配器通过静态属性 codec 选择编解码器，接口格式相同的服务商只需实现URL和请求头
+ *
+ * 编解码器需实现：
+ *   buildRequestBody(messages, options, defaults) 生成请求体，defaults为 { model, temperature, maxTokens }
+ *   getStreamParams()                             开启流式输出需合并到请求体的参数
+ *   extractContent(response) / extractUsage(response)
+ *   extractStreamDelta(chunk) / extractStreamUsage(chunk, usage) / checkStreamError(chunk)
+ * 用量统一为 { prompt_tokens, completion_tokens, total_tokens }
+ */
+
+/**
+ * 生成统一格式的用量统计
+ * @param {number} promptTokens - 输入token数
+ * @param {number} completionTokens - 输出token数
+ * @returns {Object} 用量统计
+ */
+function toUsage(promptTokens = 0, completionTokens = 0) {
+  return {
+    prompt_tokens: promptTokens,
+    completion_tokens: completionTokens,
+    total_tokens: promptTokens + completionTokens
+  };
+}
+
+/**
+ * 拆分系统消息和对话消息，多条系统消息按顺序合并
+ * @param {Array} messages - 消息数组
+ * @returns {Object} { system, dialog }
+ */
+function splitSystemMessages(messages) {
+  const system = messages
+    .filter(message => message.role === 'system')
+    .map(message => message.content)
+    .join('\n\n');
+  const dialog = messages.filter(message => message.role !== 'system');
+  return { system, dialog };
+}
+
+/**
+ * OpenAI Chat Completions格式：choices[0].message.content
+ */
+export const OPENAI_CODEC = {
+  name: 'openai',
+
+  buildRequestBody(messages, options, defaults) {
+    return {
+      model: defaults.model,
+      messages,
+      temperature: options.temperature || defaults.temperature,
+      max_tokens: options.maxTokens || defaults.maxTokens,
+      ...options
+    };
+  },
+
+  getStreamParams() {
+    return { stream: true };
+  },
+
+  extractContent(response) {
+    if (response.choices && response.choices[0] && response.choices[0].message) {
+      return response.choices[0].message.content;
+    }
+    throw new Error('无效的响应格式');
+  },
+
+  extractUsage(response) {
+    return response.usage || {};
+  },
+
+  extractStreamDelta(chunk) {
+    const choice = chunk.choices && chunk.choices[0];
+    return (choice && choice.delta && choice.delta.content) || '';
+  },
+
+  extractStreamUsage(chunk) {
+    return chunk.usage || null;
+  },
+
+  checkStreamError(chunk) {
+    if (chunk.error) {
+      throw new Error(chunk.error.message || JSON.stringify(chunk.error));
+    }
+  }
+};
+
+/**
+ * Anthropic Messages格式：系统提示为独立的system字段，回复为content块数组
+ * 流式用量分两次给出：message_start带输入token，message_delta带输出token
+ */
+export const ANTHROPIC_CODEC = {
+  name: 'anthropic',
+
+  buildRequestBody(messages, options, defaults) {
+    const { system, dialog } = splitSystemMessages(messages);
+    const body = {
+      model: defaults.model,
+      messages: dialog.map(message => ({ role: message.role, content: message.content })),
+      // max_tokens为必填参数
+      max_tokens: options.maxTokens || options.max_tokens || defaults.maxTokens,
+      temperature: Math.min(options.temperature || defaults.temperature, 1)
+    };
+    if (system) {
+      body.system = system;
+    }
+    if (options.topP) {
+      body.top_p = options.topP;
+    }
+    return body;
+  },
+
+  getStreamParams() {
+    return { stream: true };
+  },
+
+  extractContent(response) {
+    if (!Array.isArray(response.content)) {
+      throw new Error('无效的响应格式');
+    }
+    return response.content
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+  },
+
+  extractUsage(response) {
+    if (!response.usage) {
+      return {};
+    }
+    return toUsage(response.usage.input_tokens, response.usage.output_tokens);
+  },
+
+  extractStreamDelta(chunk) {
+    if (chunk.type === 'content_block_delta' && chunk.delta && chunk.delta.type === 'text_delta') {
+      return chunk.delta.text || '';
+    }
+    return '';
+  },
+
+  extractStreamUsage(chunk, usage = {}) {
+    if (chunk.type === 'message_start' && chunk.message && chunk.message.usage) {
+      return toUsage(chunk.message.usage.input_tokens, usage.completion_tokens);
+    }
+    if (chunk.type === 'message_delta' && chunk.usage) {
+      return toUsage(usage.prompt_tokens, chunk.usage.output_tokens);
+    }
+    return null;
+  },
+
+  checkStreamError(chunk) {
+    if (chunk.type === 'error') {
+      const error = chunk.error || {};
+      throw new Error(error.message || error.type || '流式响应出错');
+    }
+  }
+};
+
+/**
+ * Gemini generateContent格式：对话为contents/parts，助手角色为model，回复在candidates中
+ * 流式时每个数据块都是完整的响应结构，只包含新增的文本
+ */
+export const GEMINI_CODEC = {
+  name: 'gemini',
+
+  buildRequestBody(messages, options, defaults) {
+    const { system, dialog } = splitSystemMessages(messages);
+    const generationConfig = {
+      temperature: options.temperature || defaults.temperature,
+      maxOutputTokens: options.maxTokens || options.max_tokens || defaults.maxTokens
+    };
+    if (options.topP) {
+      generationConfig.topP = options.topP;
+    }
+
+    const body = {
+      contents: dialog.map(message => ({
+        role: message.role === 'assistant' ? 'model' : 'user',
+        parts: [{ text: message.content }]
+      })),
+      generationConfig
+    };
+    if (system) {
+      body.systemInstruction = { parts: [{ text: system }] };
+    }
+    return body;
+  },
+
+  // 流式通过接口地址开启（streamGenerateContent），请求体无需额外参数
+  getStreamParams() {
+    return {};
+  },
+
+  extractContent(response) {
+    const candidate = response.candidates && response.candidates[0];
+    if (!candidate) {
+      const blockReason = response.promptFeedback && response.promptFeedback.blockReason;
+      throw new Error(blockReason ? `请求被安全策略拦截: ${blockReason}` : '无效的响应格式');
+    }
+    return this.extractStreamDelta(response);
+  },
+
+  extractUsage(response) {
+    const metadata = response.usageMetadata;
+    if (!metadata) {
+      return {};
+    }
+    return toUsage(metadata.promptTokenCount, metadata.candidatesTokenCount);
+  },
+
+  extractStreamDelta(chunk) {
+    const candidate = chunk.candidates && chunk.candidates[0];
+    const parts = (candidate && candidate.content && candidate.content.parts) || [];
+    return parts.map(part => part.text || '').join('');
+  },
+
+  extractStreamUsage(chunk) {
+    return chunk.usageMetadata ? this.extractUsage(chunk) : null;
+  },
+
+  checkStreamError(chunk) {
+    if (chunk.error) {
+      throw new Error(chunk.error.message || JSON.stringify(chunk.error));
+    }
+  }
+};
+
+export const MESSAGE_CODECS = {
+  [OPENAI_CODEC.name]: OPENAI_CODEC,
+  [ANTHROPIC_CODEC.name]: ANTHROPIC_CODEC,
+  [GEMINI_CODEC.name]: GEMINI_CODEC
+};
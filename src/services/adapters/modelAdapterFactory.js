@@ -7,6 +7,10 @@ import BaseModelAdapter from './baseModelAdapter.js';
 import VolcesAdapter from './volcesAdapter.js';
 import KimiAdapter from './kimiAdapter.js';
 import HunyuanAdapter from './hunyuanAdapter.js';
+import OpenAICompatibleAdapter from './openaiCompatibleAdapter.js';
+import OllamaAdapter from './ollamaAdapter.js';
+import AnthropicAdapter from './anthropicAdapter.js';
+import GeminiAdapter from './geminiAdapter.js';
 import { MODEL_TYPES, MODEL_CONFIGS } from '../../utils/constants.js';
 
 /**
@@ -30,6 +34,18 @@ class QwenAdapter extends BaseModelAdapter {
     };
   }
 
+  buildStreamHeaders() {
+    return {
+      ...super.buildStreamHeaders(),
+      'X-DashScope-SSE': 'enable'
+    };
+  }
+
+  getStreamParams() {
+    // 兼容模式默认不在流中返回用量，需显式开启
+    return { stream: true, stream_options: { include_usage: true } };
+  }
+
   getModelInfo() {
     return {
       type: 'qwen',
@@ -38,6 +54,7 @@ class QwenAdapter extends BaseModelAdapter {
       modelEndpoint: this.modelEndpoint,
       temperature: this.temperature,
       maxTokens: this.maxTokens,
+      contextWindow: this.contextWindow,
       features: [
         '中文优化',
         '多轮对话',
@@ -69,6 +86,10 @@ class DeepSeekAdapter extends BaseModelAdapter {
     };
   }
 
+  getStreamParams() {
+    return { stream: true, stream_options: { include_usage: true } };
+  }
+
   getModelInfo() {
     return {
       type: 'deepseek',
@@ -77,6 +98,7 @@ class DeepSeekAdapter extends BaseModelAdapter {
       modelEndpoint: this.modelEndpoint,
       temperature: this.temperature,
       maxTokens: this.maxTokens,
+      contextWindow: this.contextWindow,
       features: [
         '代码专精',
         '逻辑推理',
@@ -98,7 +120,11 @@ class ModelAdapterFactory {
     [MODEL_TYPES.DEEPSEEK]: DeepSeekAdapter,
     [MODEL_TYPES.VOLCES]: VolcesAdapter,
     [MODEL_TYPES.KIMI]: KimiAdapter,
-    [MODEL_TYPES.HUNYUAN]: HunyuanAdapter
+    [MODEL_TYPES.HUNYUAN]: HunyuanAdapter,
+    [MODEL_TYPES.CUSTOM]: OpenAICompatibleAdapter,
+    [MODEL_TYPES.OLLAMA]: OllamaAdapter,
+    [MODEL_TYPES.ANTHROPIC]: AnthropicAdapter,
+    [MODEL_TYPES.GEMINI]: GeminiAdapter
   };
 
   /**
@@ -292,5 +318,9 @@ export {
   VolcesAdapter,
   KimiAdapter,
   HunyuanAdapter,
+  OpenAICompatibleAdapter,
+  OllamaAdapter,
+  AnthropicAdapter,
+  GeminiAdapter,
   BaseModelAdapter
 };
\ No newline at end of file
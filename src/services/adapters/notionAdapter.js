@@ -0,0 +1,598 @@
+/**
+ * Notion数据库适配器
+ * 使用集成令牌（Integration Token）读写Notion数据库，每条同步记录对应数据库中的一个页面
+ * 写入时按数据库属性的类型转换字段值，数据库中不存在的属性会被忽略
+ */
+import BaseAdapter from './baseAdapter.js';
+import { ERROR_CODES } from '../../utils/constants.js';
+
+// Notion API版本
+const NOTION_VERSION = '2022-06-28';
+
+// 单个富文本片段的最大长度和单个属性的最大片段数
+const RICH_TEXT_LIMIT = 2000;
+const RICH_TEXT_MAX_PARTS = 100;
+
+// 数据库查询单页最大条数
+const QUERY_PAGE_LIMIT = 100;
+
+class NotionAdapter extends BaseAdapter {
+  constructor(config) {
+    super(config);
+    // 侧边栏表单中应用密钥填写集成令牌，表格token填写数据库ID
+    this.integrationToken = config.integrationToken || config.appSecret;
+    this.databaseId = this.normalizeDatabaseId(config.databaseId) ||
+      this.normalizeDatabaseId(config.tableId) ||
+      this.normalizeDatabaseId(config.tableToken);
+    this.baseUrl = (config.baseUrl || 'https://api.notion.com/v1').replace(/\/$/, '');
+    this.notionVersion = config.notionVersion || NOTION_VERSION;
+    this.minRequestInterval = config.minRequestInterval ?? 350; // Notion平均限速为每秒3次请求
+    this.lastRequestAt = 0;
+    this.schemaCache = new Map();
+  }
+
+  /**
+   * 获取必需的配置字段
+   * @returns {Array} 必需字段列表
+   */
+  getRequiredConfigFields() {
+    return ['integrationToken', 'databaseId'];
+  }
+
+  /**
+   * 从数据库ID、UUID或数据库链接中提取32位数据库ID
+   * @param {string} input - 数据库ID或链接
+   * @returns {string} 数据库ID，无法识别时返回空字符串
+   */
+  normalizeDatabaseId(input) {
+    if (!input) return '';
+    const path = String(input).split('?')[0].split('#')[0];
+    const lastSegment = path.split('/').filter(Boolean).pop() || '';
+    const match = lastSegment.replace(/-/g, '').match(/[0-9a-f]{32}$/i);
+    return match ? match[0].toLowerCase() : '';
+  }
+
+  /**
+   * 确定写入的数据库：同步时的表格名称是数据库ID或链接时使用它，否则使用配置中的数据库
+   * @param {Object} data - 记录数据
+   * @returns {string} 数据库ID
+   */
+  resolveDatabaseId(data = {}) {
+    const databaseId = this.normalizeDatabaseId(data.tableId) ||
+      this.normalizeDatabaseId(data.tableToken) ||
+      this.databaseId;
+    if (!databaseId) {
+      throw new Error('未配置Notion数据库ID');
+    }
+    return databaseId;
+  }
+
+  /**
+   * 批量创建记录，Notion没有批量接口，逐条创建并记录每条结果
+   * @param {Array} dataList - 记录数据列表
+   * @returns {Promise<Array>} 创建结果列表
+   */
+  async batchCreateRecords(dataList) {
+    return this.runEach(dataList, data => this.createRecord(data));
+  }
+
+  /**
+   * 批量更新记录
+   * @param {Array} updates - 更新数据列表 [{id, data}]
+   * @returns {Promise<Array>} 更新结果列表
+   */
+  async batchUpdateRecords(updates) {
+    return this.runEach(updates, update => this.updateRecord(update.id, update.data));
+  }
+
+  /**
+   * 批量归档记录
+   * @param {Array} recordIds - 页面ID列表
+   * @returns {Promise<Array>} 归档结果列表
+   */
+  async batchDeleteRecords(recordIds) {
+    return this.runEach(recordIds, recordId => this.deleteRecord(recordId));
+  }
+
+  /**
+   * 逐条执行操作，单条失败不影响其他记录
+   * @param {Array} items - 待处理项
+   * @param {Function} operation - 单条操作
+   * @returns {Promise<Array>} [{ id, success, error, originalIndex }]
+   */
+  async runEach(items, operation) {
+    const results = [];
+    for (let i = 0; i < items.length; i++) {
+      try {
+        const result = await operation(items[i]);
+        results.push({ ...result, success: true, originalIndex: i });
+      } catch (error) {
+        results.push({ success: false, error: error.message, originalIndex: i });
+      }
+    }
+    return results;
+  }
+
+  /**
+   * 创建记录（数据库页面）
+   * @param {Object} data - 记录数据
+   * @returns {Promise<Object>} 创建结果
+   */
+  async createRecord(data) {
+    try {
+      const databaseId = this.resolveDatabaseId(data);
+      const schema = await this.getDatabaseSchema(databaseId);
+
+      const page = await this.request('/pages', 'POST', {
+        parent: { database_id: databaseId },
+        properties: this.buildProperties(data, schema)
+      });
+
+      return this.formatNotionRecord(page);
+    } catch (error) {
+      this.log('error', '创建Notion记录失败', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 更新记录
+   * @param {string} recordId - 页面ID
+   * @param {Object} data - 更新数据
+   * @returns {Promise<Object>} 更新结果
+   */
+  async updateRecord(recordId, data) {
+    try {
+      const schema = await this.getDatabaseSchema(this.resolveDatabaseId(data));
+
+      const page = await this.request(`/pages/${recordId}`, 'PATCH', {
+        properties: this.buildProperties(data, schema)
+      });
+
+      return this.formatNotionRecord(page);
+    } catch (error) {
+      this.log('error', '更新Notion记录失败', { error: error.message, recordId });
+      throw error;
+    }
+  }
+
+  /**
+   * 删除记录，Notion中以归档页面实现
+   * @param {string} recordId - 页面ID
+   * @returns {Promise<Object>} 删除结果
+   */
+  async deleteRecord(recordId) {
+    try {
+      const page = await this.request(`/pages/${recordId}`, 'PATCH', { archived: true });
+      return { success: true, id: page.id };
+    } catch (error) {
+      this.log('error', '归档Notion记录失败', { error: error.message, recordId });
+      throw error;
+    }
+  }
+
+  /**
+   * 查询数据库页面，按游标翻页直到取满所需条数
+   * @param {Object} params - 查询参数 { pageSize, limit, filter, sorts, databaseId }
+   * @returns {Promise<Array>} 记录列表
+   */
+  async getRecords(params = {}) {
+    try {
+      const databaseId = this.normalizeDatabaseId(params.databaseId) || this.resolveDatabaseId();
+      const limit = params.limit || params.pageSize || QUERY_PAGE_LIMIT;
+      const pages = [];
+      let cursor;
+
+      do {
+        const response = await this.request(`/databases/${databaseId}/query`, 'POST', {
+          page_size: Math.min(QUERY_PAGE_LIMIT, limit - pages.length),
+          ...(cursor ? { start_cursor: cursor } : {}),
+          ...(params.filter ? { filter: params.filter } : {}),
+          ...(params.sorts ? { sorts: params.sorts } : {})
+        });
+        pages.push(...(response.results || []));
+        cursor = response.has_more ? response.next_cursor : null;
+      } while (cursor && pages.length < limit);
+
+      return pages.map(page => this.formatNotionRecord(page));
+    } catch (error) {
+      this.log('error', '查询Notion数据库失败', { error: error.message, params });
+      throw error;
+    }
+  }
+
+  /**
+   * 按ID属性查询已同步的页面，数据库没有ID属性时退回逐条比对
+   * @param {string} id - 本地数据ID
+   * @returns {Promise<Object|null>} 匹配的记录
+   */
+  async findRecordById(id) {
+    const schema = await this.getDatabaseSchema(this.resolveDatabaseId());
+    const idProperty = schema['ID'];
+    if (!idProperty || !['rich_text', 'title'].includes(idProperty.type)) {
+      return super.findRecordById(id);
+    }
+
+    const records = await this.getRecords({
+      filter: { property: 'ID', [idProperty.type]: { equals: String(id) } }
+    });
+    return this.pickLatestRecord(records);
+  }
+
+  /**
+   * 将Notion页面还原为表格数据
+   * @param {Object} record - formatNotionRecord返回的记录
+   * @returns {Object|null} 表格数据
+   */
+  parseRecord(record) {
+    const properties = record.properties || {};
+    const data = this.readProperty(properties['数据']);
+    if (!data) {
+      return null;
+    }
+
+    const titleProperty = Object.values(properties).find(property => property.type === 'title');
+    return {
+      id: this.readProperty(properties['ID']) || record.id,
+      type: this.readProperty(properties['类型']) || '',
+      name: this.readProperty(titleProperty) || '',
+      data,
+      metadata: { recordId: record.id, updatedAt: record.lastModifiedTime }
+    };
+  }
+
+  /**
+   * 测试连接
+   * @returns {Promise<boolean>} 连接测试结果
+   */
+  async testConnection() {
+    try {
+      await this.getTableInfo();
+      this.log('info', 'Notion连接测试成功');
+      return true;
+    } catch (error) {
+      this.log('error', 'Notion连接测试失败', { error: error.message });
+      return false;
+    }
+  }
+
+  /**
+   * 获取数据库信息
+   * @returns {Promise<Object>} 表格信息
+   */
+  async getTableInfo() {
+    try {
+      const databaseId = this.resolveDatabaseId();
+      const database = await this.request(`/databases/${databaseId}`);
+      this.schemaCache.set(databaseId, database.properties || {});
+
+      return {
+        name: (database.title || []).map(part => part.plain_text || '').join('') || 'Notion数据库',
+        databaseId,
+        fields: Object.entries(database.properties || {}).map(([name, property]) => ({ name, type: property.type })),
+        platform: 'notion',
+        isConnected: true
+      };
+    } catch (error) {
+      this.log('error', '获取Notion数据库信息失败', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 读取数据库属性定义，同一适配器实例内缓存
+   * @param {string} databaseId - 数据库ID
+   * @returns {Promise<Object>} 属性名 → 属性定义
+   */
+  async getDatabaseSchema(databaseId) {
+    if (!this.schemaCache.has(databaseId)) {
+      const database = await this.request(`/databases/${databaseId}`);
+      this.schemaCache.set(databaseId, database.properties || {});
+    }
+    return this.schemaCache.get(databaseId);
+  }
+
+  /**
+   * 按数据库属性类型构建页面属性
+   * 标题属性始终写入记录名称，其余属性按名称匹配"数据集合"中的字段和ID、类型、数据等同步字段
+   * @param {Object} data - 记录数据
+   * @param {Object} schema - 数据库属性定义
+   * @returns {Object} 页面属性
+   */
+  buildProperties(data, schema) {
+    const values = this.flattenRecordData(data);
+    const properties = {};
+
+    for (const [name, property] of Object.entries(schema)) {
+      const value = property.type === 'title'
+        ? values[name] ?? values['工作名称'] ?? values['配置名称'] ?? data.name
+        : values[name];
+      if (value === undefined) {
+        continue;
+      }
+
+      const formatted = this.formatPropertyValue(property.type, value, name);
+      if (formatted !== undefined) {
+        properties[name] = formatted;
+      }
+    }
+
+    return properties;
+  }
+
+  /**
+   * 展开记录数据：原始字段、"数据集合"中的中文字段，以及拉取还原所需的ID、类型、名称、数据
+   * @param {Object} data - 记录数据
+   * @returns {Object} 字段名 → 值
+   */
+  flattenRecordData(data) {
+    const values = {};
+    for (const [key, value] of Object.entries(data)) {
+      if (value !== null && typeof value !== 'object') {
+        values[key] = value;
+      }
+    }
+
+    if (typeof data['数据集合'] === 'string') {
+      try {
+        Object.assign(values, JSON.parse(data['数据集合']));
+      } catch (error) {
+        this.log('warn', '"数据集合"不是有效的JSON，忽略其中的字段');
+      }
+    }
+    delete values['数据集合'];
+
+    return {
+      ...values,
+      'ID': data.id,
+      '类型': data.type,
+      '名称': data.name,
+      '数据': data.data
+    };
+  }
+
+  /**
+   * 将字段值转换为指定类型的Notion属性值
+   * @param {string} type - 属性类型
+   * @param {any} value - 字段值
+   * @param {string} name - 属性名称，用于错误提示
+   * @returns {Object|undefined} 属性值，不支持写入的类型返回undefined
+   */
+  formatPropertyValue(type, value, name = '') {
+    const empty = value === null || value === undefined || value === '';
+    const text = empty ? '' : String(value);
+
+    switch (type) {
+    case 'title':
+      return { title: this.toRichText(text, name) };
+    case 'rich_text':
+      return { rich_text: this.toRichText(text, name) };
+    case 'number': {
+      const number = Number(value);
+      return { number: empty || Number.isNaN(number) ? null : number };
+    }
+    case 'select':
+      // 选项名称不能包含逗号
+      return { select: empty ? null : { name: text.replace(/,/g, ' ').slice(0, 100) } };
+    case 'multi_select':
+      return {
+        multi_select: text.split(',').map(name => name.trim()).filter(Boolean).map(name => ({ name: name.slice(0, 100) }))
+      };
+    case 'date': {
+      const date = new Date(typeof value === 'string' ? value.replace(' ', 'T') : value);
+      return { date: empty || Number.isNaN(date.getTime()) ? null : { start: date.toISOString() } };
+    }
+    case 'checkbox':
+      return { checkbox: value === true || value === 'true' || value === '是' };
+    case 'url':
+      return { url: text || null };
+    case 'email':
+      return { email: text || null };
+    case 'phone_number':
+      return { phone_number: text || null };
+    default:
+      return undefined;
+    }
+  }
+
+  /**
+   * 将文本切分为富文本片段
+   * 切分点落在代理对中间时前移一位，表情和生僻字不会被拆成两个无效字符
+   * 超出单个属性上限时直接报错：截断后的"数据"无法还原，下次拉取还会把残缺的数据写回本地
+   * @param {string} text - 文本
+   * @param {string} name - 属性名称，用于错误提示
+   * @returns {Array} 富文本片段
+   */
+  toRichText(text, name = '') {
+    const parts = [];
+    for (let i = 0; i < text.length && parts.length <= RICH_TEXT_MAX_PARTS;) {
+      let end = Math.min(i + RICH_TEXT_LIMIT, text.length);
+      if (end < text.length && /[\uD800-\uDBFF]/.test(text[end - 1])) {
+        end--;
+      }
+      parts.push({ type: 'text', text: { content: text.slice(i, end) } });
+      i = end;
+    }
+
+    if (parts.length > RICH_TEXT_MAX_PARTS) {
+      const maxLength = RICH_TEXT_LIMIT * RICH_TEXT_MAX_PARTS;
+      const error = new Error(`${name ? `字段"${name}"` : '字段'}内容长度${text.length}超过Notion单个属性上限${maxLength}字`);
+      error.code = ERROR_CODES.DATA_ERROR;
+      throw error;
+    }
+    return parts;
+  }
+
+  /**
+   * 读取Notion属性的文本值
+   * @param {Object} property - 页面属性
+   * @returns {any} 属性值
+   */
+  readProperty(property) {
+    if (!property) return '';
+
+    switch (property.type) {
+    case 'title':
+    case 'rich_text':
+      return (property[property.type] || []).map(part => part.plain_text ?? part.text?.content ?? '').join('');
+    case 'select':
+      return property.select?.name || '';
+    case 'multi_select':
+      return (property.multi_select || []).map(option => option.name).join(',');
+    case 'date':
+      return property.date?.start || '';
+    case 'formula':
+      return property.formula?.[property.formula.type] ?? '';
+    case 'created_time':
+    case 'last_edited_time':
+    case 'number':
+    case 'checkbox':
+    case 'url':
+    case 'email':
+    case 'phone_number':
+      return property[property.type] ?? '';
+    default:
+      return '';
+    }
+  }
+
+  /**
+   * 格式化Notion页面
+   * @param {Object} page - Notion页面对象
+   * @returns {Object} 记录
+   */
+  formatNotionRecord(page) {
+    return {
+      id: page.id,
+      properties: page.properties || {},
+      createdTime: page.created_time,
+      lastModifiedTime: page.last_edited_time,
+      archived: !!page.archived
+    };
+  }
+
+  /**
+   * 发送Notion API请求
+   * @param {string} path - 接口路径
+   * @param {string} method - 请求方法
+   * @param {Object} body - 请求体
+   * @returns {Promise<Object>} 响应结果
+   */
+  async request(path, method = 'GET', body = null) {
+    return this.makeRequest(`${this.baseUrl}${path}`, {
+      method,
+      ...(body ? { body: JSON.stringify(body) } : {})
+    });
+  }
+
+  /**
+   * 获取认证头信息
+   * @returns {Object} 认证头信息
+   */
+  getAuthHeaders() {
+    return {
+      'Authorization': `Bearer ${this.integrationToken}`,
+      'Notion-Version': this.notionVersion
+    };
+  }
+
+  /**
+   * 控制请求频率，相邻请求间隔不少于minRequestInterval
+   * @returns {Promise<void>}
+   */
+  async checkRateLimit() {
+    const waitTime = this.lastRequestAt + this.minRequestInterval - Date.now();
+    if (waitTime > 0) {
+      await this.delay(waitTime);
+    }
+    this.lastRequestAt = Date.now();
+  }
+
+  /**
+   * 重写makeRequest方法以支持速率限制和Notion错误格式
+   * 仅对限流、冲突、服务端错误和网络错误重试，参数或权限错误直接抛出
+   * @param {string} url - 请求URL
+   * @param {Object} options - 请求选项
+   * @returns {Promise<Object>} 响应结果
+   */
+  async makeRequest(url, options = {}) {
+    if (!this.integrationToken) {
+      throw new Error('未配置Notion集成令牌');
+    }
+
+    const requestOptions = {
+      method: 'GET',
+      timeout: this.timeout,
+      ...options,
+      headers: {
+        'Content-Type': 'application/json',
+        ...this.getAuthHeaders(),
+        ...(options.headers || {})
+      }
+    };
+
+    let lastError;
+    for (let attempt = 1; attempt <= this.retryCount; attempt++) {
+      await this.checkRateLimit();
+      let retryAfter = 0;
+
+      try {
+        const response = await this.fetchWithTimeout(url, requestOptions);
+        const data = await response.json().catch(() => ({}));
+
+        if (response.ok) {
+          return this.handleResponse(data);
+        }
+
+        lastError = this.createApiError(response.status, data);
+        if (![409, 429].includes(response.status) && response.status < 500) {
+          throw lastError;
+        }
+        retryAfter = Number(response.headers?.get?.('Retry-After')) * 1000 || 0;
+      } catch (error) {
+        if (error === lastError && error.retryable === false) {
+          throw error;
+        }
+        lastError = error;
+      }
+
+      this.log('warn', `Notion请求失败 (尝试 ${attempt}/${this.retryCount}): ${lastError.message}`);
+      if (attempt < this.retryCount) {
+        await this.delay(retryAfter || this.retryDelay * attempt);
+      }
+    }
+
+    throw new Error(`请求失败，已重试 ${this.retryCount} 次: ${lastError.message}`);
+  }
+
+  /**
+   * 根据Notion错误响应创建错误对象
+   * @param {number} status - HTTP状态码
+   * @param {Object} data - 错误响应 { code, message }
+   * @returns {Error} 错误对象
+   */
+  createApiError(status, data) {
+    const detail = status === 404
+      ? '页面或数据库不存在，或未共享给该集成'
+      : data.message || `HTTP ${status}`;
+    const error = new Error(`Notion API错误 (${data.code || status}): ${detail}`);
+    error.code = data.code || `HTTP_${status}`;
+    error.status = status;
+    error.retryable = [409, 429].includes(status) || status >= 500;
+    return error;
+  }
+
+  /**
+   * 处理API响应
+   * @param {Object} data - 响应数据
+   * @returns {Object} 处理后的数据
+   */
+  handleResponse(data) {
+    if (data.object === 'error') {
+      throw new Error(`Notion API错误 (${data.code}): ${data.message}`);
+    }
+    return data;
+  }
+}
+
+export default NotionAdapter;
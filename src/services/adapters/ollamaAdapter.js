@@ -0,0 +1,240 @@
+/**
+ * Ollama本地模型适配器
+ * 调用本机Ollama服务的 /api/chat 接口，文本不离开本机，断网时也可改写
+ */
+
+import BaseModelAdapter from './baseModelAdapter.js';
+import { ERROR_CODES } from '../../utils/constants.js';
+
+/**
+ * 补全模型标签，未写标签时Ollama默认使用latest
+ * @param {string} name - 模型名称
+ * @returns {string} 带标签的模型名称
+ */
+function withDefaultTag(name) {
+  return name.includes(':') ? name : `${name}:latest`;
+}
+
+class OllamaAdapter extends BaseModelAdapter {
+  constructor(config) {
+    super(config);
+    this.baseUrl = (config.baseUrl || '').replace(/\/+$/, '');
+  }
+
+  /**
+   * 构建请求头，Ollama本身不需要鉴权，填写了API Key时按Bearer发送（适用于带鉴权的反向代理）
+   * @returns {Object} 请求头
+   */
+  buildHeaders() {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers['Authorization'] = `Bearer ${this.apiKey}`;
+    }
+    return headers;
+  }
+
+  /**
+   * 构建请求体，采样参数放在options中，且必须显式关闭流式（Ollama默认流式返回）
+   * @param {Array} messages - 消息数组
+   * @param {Object} options - 额外选项
+   * @returns {Object} 请求体
+   */
+  buildRequestBody(messages, options = {}) {
+    const sampling = {
+      temperature: options.temperature || this.temperature,
+      num_predict: options.maxTokens || options.max_tokens || this.maxTokens
+    };
+    if (options.topP) {
+      sampling.top_p = options.topP;
+    }
+
+    return {
+      model: this.modelEndpoint,
+      messages,
+      stream: false,
+      options: sampling
+    };
+  }
+
+  /**
+   * 获取API URL
+   * @returns {string} API URL
+   */
+  getApiUrl() {
+    return `${this.baseUrl}/api/chat`;
+  }
+
+  /**
+   * 获取本地已安装的模型列表
+   * @param {AbortSignal} signal - 取消信号（可选）
+   * @returns {Promise<Array<Object>>} 模型列表，按名称排序
+   */
+  async listModels(signal = null) {
+    let response;
+    try {
+      response = await fetch(`${this.baseUrl}/api/tags`, {
+        method: 'GET',
+        headers: this.buildHeaders(),
+        signal
+      });
+    } catch (error) {
+      const networkError = new Error(`无法连接Ollama服务(${this.baseUrl})，请确认已运行 ollama serve`);
+      networkError.code = ERROR_CODES.NETWORK_ERROR;
+      throw networkError;
+    }
+
+    if (response.status === 403) {
+      const error = new Error('Ollama拒绝了扩展的请求，请设置环境变量 OLLAMA_ORIGINS=chrome-extension://* 后重启Ollama');
+      error.code = ERROR_CODES.PERMISSION_ERROR;
+      throw error;
+    }
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`HTTP ${response.status}: ${errorText}`);
+    }
+
+    const data = await response.json();
+    return (data.models || [])
+      .map(model => ({
+        name: model.name,
+        size: model.size,
+        modifiedAt: model.modified_at,
+        family: model.details ? model.details.family : '',
+        parameterSize: model.details ? model.details.parameter_size : ''
+      }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * 测试连接：确认Ollama服务可访问，且配置的模型已拉取到本地
+   * @returns {Promise<Object>} 测试结果
+   */
+  async testConnection() {
+    try {
+      const models = await this.listModels();
+      const target = withDefaultTag(this.modelEndpoint || '');
+      const installed = models.find(model => withDefaultTag(model.name) === target);
+
+      if (!installed) {
+        const error = `模型 ${this.modelEndpoint} 未安装，请先运行 ollama pull ${this.modelEndpoint}`;
+        return {
+          success: false,
+          error,
+          code: ERROR_CODES.INVALID_CONFIG,
+          message: `连接测试失败: ${error}`
+        };
+      }
+
+      return {
+        success: true,
+        data: { model: installed, models },
+        message: '连接测试成功'
+      };
+    } catch (error) {
+      console.error('Ollama连接测试失败:', error);
+      return {
+        success: false,
+        error: error.message,
+        code: error.code,
+        message: `连接测试失败: ${error.message}`
+      };
+    }
+  }
+
+  /**
+   * Ollama流式输出为逐行JSON（application/x-ndjson），而非SSE
+   * @param {string} contentType - 响应的Content-Type
+   * @returns {boolean} 是否为流式响应
+   */
+  isStreamResponse(contentType) {
+    return contentType.includes('application/x-ndjson');
+  }
+
+  extractStreamData(line) {
+    const trimmed = line.trim();
+    return trimmed || null;
+  }
+
+  extractStreamDelta(chunk) {
+    return (chunk.message && chunk.message.content) || '';
+  }
+
+  extractStreamUsage(chunk) {
+    return chunk.done ? this.extractUsage(chunk) : null;
+  }
+
+  checkStreamError(chunk) {
+    if (chunk.error) {
+      throw new Error(typeof chunk.error === 'string' ? chunk.error : JSON.stringify(chunk.error));
+    }
+  }
+
+  /**
+   * 将Ollama的计数字段转换为统一的用量格式
+   * @param {Object} response - API响应
+   * @returns {Object} 用量统计
+   */
+  extractUsage(response) {
+    const promptTokens = response.prompt_eval_count || 0;
+    const completionTokens = response.eval_count || 0;
+    return {
+      prompt_tokens: promptTokens,
+      completion_tokens: completionTokens,
+      total_tokens: promptTokens + completionTokens
+    };
+  }
+
+  extractContent(response) {
+    if (response.message && typeof response.message.content === 'string') {
+      return response.message.content;
+    }
+    throw new Error('无效的响应格式');
+  }
+
+  /**
+   * 获取模型信息
+   * @returns {Object} 模型信息
+   */
+  getModelInfo() {
+    return {
+      type: 'ollama',
+      name: 'Ollama本地模型',
+      baseUrl: this.baseUrl,
+      modelEndpoint: this.modelEndpoint,
+      temperature: this.temperature,
+      maxTokens: this.maxTokens,
+      contextWindow: this.contextWindow,
+      local: true,
+      features: [
+        '本地运行',
+        '离线可用',
+        '数据不出本机'
+      ]
+    };
+  }
+
+  /**
+   * 验证配置，API Key可不填
+   * @returns {Object} 验证结果
+   */
+  validateConfig() {
+    const errors = [];
+
+    if (!this.baseUrl) {
+      errors.push('Ollama服务地址不能为空');
+    } else if (!/^https?:\/\//i.test(this.baseUrl)) {
+      errors.push('Ollama服务地址需以http://或https://开头');
+    }
+
+    if (!this.modelEndpoint) {
+      errors.push('模型名称不能为空');
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+}
+
+export default OllamaAdapter;
@@ -0,0 +1,142 @@
+/**
+ * OpenAI兼容模型适配器
+ * 对接任意实现了 /chat/completions 接口的服务，如自建vLLM、Ollama、OneAPI网关和Azure OpenAI
+ */
+
+import BaseModelAdapter from './baseModelAdapter.js';
+
+// 鉴权请求头样式：Bearer令牌、Azure风格的api-key请求头、无需鉴权
+export const AUTH_STYLES = {
+  BEARER: 'bearer',
+  API_KEY: 'api-key',
+  NONE: 'none'
+};
+
+/**
+ * 解析附加请求头，支持JSON字符串或对象
+ * @param {string|Object} headers - 附加请求头
+ * @returns {Object} 请求头对象
+ */
+function parseHeaders(headers) {
+  if (!headers) {
+    return {};
+  }
+  const parsed = typeof headers === 'string' ? JSON.parse(headers) : headers;
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new Error('附加请求头必须是JSON对象');
+  }
+  return parsed;
+}
+
+class OpenAICompatibleAdapter extends BaseModelAdapter {
+  constructor(config) {
+    super(config);
+    this.authStyle = config.authStyle || AUTH_STYLES.BEARER;
+    // 流式输出时请求返回用量，部分网关不认识stream_options会拒绝请求，可在配置中关闭
+    this.streamUsage = config.streamUsage !== false;
+    try {
+      this.extraHeaders = parseHeaders(config.headers);
+      this.headersError = null;
+    } catch (error) {
+      this.extraHeaders = {};
+      this.headersError = error.message;
+    }
+  }
+
+  /**
+   * 构建请求头，附加请求头可覆盖默认值
+   * @returns {Object} 请求头
+   */
+  buildHeaders() {
+    const headers = { 'Content-Type': 'application/json' };
+
+    if (this.authStyle === AUTH_STYLES.BEARER) {
+      headers['Authorization'] = `Bearer ${this.apiKey}`;
+    } else if (this.authStyle === AUTH_STYLES.API_KEY) {
+      headers['api-key'] = this.apiKey;
+    }
+
+    return { ...headers, ...this.extraHeaders };
+  }
+
+  /**
+   * 开启流式输出的请求参数，默认同时请求在流末尾返回用量，否则无法统计tokens和费用
+   * @returns {Object} 合并到请求体的参数
+   */
+  getStreamParams() {
+    if (!this.streamUsage) {
+      return super.getStreamParams();
+    }
+    return { stream: true, stream_options: { include_usage: true } };
+  }
+
+  /**
+   * 获取API URL
+   * Base URL已以/chat/completions结尾时直接使用，查询参数（如Azure的api-version）保留在路径之后
+   * @returns {string} API URL
+   */
+  getApiUrl() {
+    const [path, query] = (this.baseUrl || '').split('?');
+    const cleanPath = path.replace(/\/+$/, '');
+    const url = /\/chat\/completions$/.test(cleanPath) ? cleanPath : `${cleanPath}/chat/completions`;
+    return query ? `${url}?${query}` : url;
+  }
+
+  /**
+   * 获取模型信息
+   * @returns {Object} 模型信息
+   */
+  getModelInfo() {
+    return {
+      type: 'custom',
+      name: 'OpenAI兼容模型',
+      baseUrl: this.baseUrl,
+      modelEndpoint: this.modelEndpoint,
+      authStyle: this.authStyle,
+      streamUsage: this.streamUsage,
+      temperature: this.temperature,
+      maxTokens: this.maxTokens,
+      contextWindow: this.contextWindow,
+      features: [
+        '自建模型服务',
+        'API网关',
+        'Azure OpenAI'
+      ]
+    };
+  }
+
+  /**
+   * 验证配置
+   * @returns {Object} 验证结果
+   */
+  validateConfig() {
+    const errors = [];
+
+    if (!this.baseUrl) {
+      errors.push('Base URL不能为空');
+    } else if (!/^https?:\/\//i.test(this.baseUrl)) {
+      errors.push('Base URL需以http://或https://开头');
+    }
+
+    if (!this.modelEndpoint) {
+      errors.push('模型名称不能为空');
+    }
+
+    if (!Object.values(AUTH_STYLES).includes(this.authStyle)) {
+      errors.push(`不支持的鉴权方式: ${this.authStyle}`);
+    } else if (this.authStyle !== AUTH_STYLES.NONE && !this.apiKey) {
+      errors.push('API Key不能为空');
+    }
+
+    if (this.headersError) {
+      errors.push(`附加请求头无效: ${this.headersError}`);
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+}
+
+export default OpenAICompatibleAdapter;
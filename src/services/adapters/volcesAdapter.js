@@ -47,6 +47,14 @@ class VolcesAdapter extends BaseModelAdapter {
     };
   }
 
+  /**
+   * 开启流式输出的请求参数，同时在最后一个数据块中返回用量
+   * @returns {Object} 请求参数
+   */
+  getStreamParams() {
+    return { stream: true, stream_options: { include_usage: true } };
+  }
+
   /**
    * 获取API URL
    * @returns {string} API URL
@@ -113,40 +121,41 @@ class VolcesAdapter extends BaseModelAdapter {
     }
   }
 
+  /**
+   * 改写时的角色设定
+   * @returns {string} 角色设定
+   */
+  getRewritePersona() {
+    return '你是一个专业的文本改写助手，请根据用户的要求对文本进行改写，保持原意的同时提升表达质量。';
+  }
+
   /**
    * 文本改写
    * @param {string} text - 待改写文本
    * @param {string} prompt - 改写提示
-   * @param {Object} options - 额外选项
+   * @param {Object} options - 额外选项，onChunk为流式输出回调，signal为取消信号，examples为示例
    * @returns {Promise<Object>} 改写结果
    */
   async rewriteText(text, prompt, options = {}) {
     try {
+      const { onChunk, signal, examples, ...requestOptions } = options;
       const url = this.getApiUrl();
       
-      // 构建优化的提示词
-      const systemPrompt = "你是一个专业的文本改写助手，请根据用户的要求对文本进行改写，保持原意的同时提升表达质量。";
-      const userPrompt = `${prompt}\n\n原文：${text}\n\n请改写上述文本：`;
-      
-      const messages = [
-        { role: "system", content: systemPrompt },
-        { role: "user", content: userPrompt }
-      ];
+      const messages = this.buildRewriteMessages(text, prompt, examples);
       
       const body = this.buildRequestBody(messages, {
-        temperature: options.temperature || 0.7,
-        max_tokens: options.maxTokens || Math.max(text.length * 2, 500),
+        temperature: requestOptions.temperature || 0.7,
+        max_tokens: requestOptions.maxTokens || Math.max(text.length * 2, 500),
         top_p: 0.9,
-        ...options
+        ...requestOptions
       });
       
-      const response = await this.sendRequest(url, body);
-      const content = this.extractContent(response);
+      const { content, usage } = await this.requestCompletion(url, body, { onChunk, signal });
       
       return {
         success: true,
         data: content,
-        usage: response.usage || {},
+        usage,
         model: this.endpointId,
         message: 'Volces文本改写成功'
       };
@@ -173,6 +182,7 @@ class VolcesAdapter extends BaseModelAdapter {
       region: this.region,
       temperature: this.temperature,
       maxTokens: this.maxTokens,
+      contextWindow: this.contextWindow,
       features: [
         '中文优化',
         '多轮对话',
@@ -0,0 +1,406 @@
+/**
+ * Webhook / REST适配器
+ * 将同步数据按模板发送到任意HTTP接口（内部CMS、n8n流程等），接口只写不读
+ * URL、请求头和请求体模板中的{{字段}}由DataMapper.serializeForTable的输出填充
+ */
+import BaseAdapter from './baseAdapter.js';
+
+// 签名和事件请求头
+const DEFAULT_SIGNATURE_HEADER = 'X-FlowFocus-Signature';
+const TIMESTAMP_HEADER = 'X-FlowFocus-Timestamp';
+const ACTION_HEADER = 'X-FlowFocus-Action';
+
+// 支持的请求方法
+const SUPPORTED_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE', 'GET'];
+
+// 模板占位符：{{id}}、{{metadata.updatedAt}}、{{local.rewrittenText}}、{{数据集合}}
+const PLACEHOLDER_PATTERN = /\{\{\s*([^{}\s]+)\s*\}\}/g;
+const SINGLE_PLACEHOLDER_PATTERN = /^\{\{\s*([^{}\s]+)\s*\}\}$/;
+
+// 未配置请求体模板时发送的内容
+const DEFAULT_BODY_TEMPLATE = {
+  action: '{{action}}',
+  recordId: '{{recordId}}',
+  tableName: '{{tableName}}',
+  record: '{{record}}'
+};
+
+/**
+ * 按点分路径读取上下文中的值
+ * @param {Object} context - 模板上下文
+ * @param {string} path - 字段路径
+ * @returns {any} 字段值
+ */
+function getPath(context, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), context);
+}
+
+/**
+ * 填充字符串模板，对象值序列化为JSON
+ * @param {string} template - 模板
+ * @param {Object} context - 模板上下文
+ * @param {Function} encode - 值的编码函数
+ * @returns {string} 填充后的字符串
+ */
+function renderString(template, context, encode = value => value) {
+  return template.replace(PLACEHOLDER_PATTERN, (match, path) => {
+    const value = getPath(context, path);
+    if (value === undefined || value === null) return '';
+    return encode(typeof value === 'object' ? JSON.stringify(value) : String(value));
+  });
+}
+
+/**
+ * 填充JSON模板，整个字符串只有一个占位符时保留原值类型
+ * @param {any} node - 模板节点
+ * @param {Object} context - 模板上下文
+ * @returns {any} 填充后的节点
+ */
+function renderJson(node, context) {
+  if (typeof node === 'string') {
+    const single = node.match(SINGLE_PLACEHOLDER_PATTERN);
+    if (single) {
+      const value = getPath(context, single[1]);
+      return value === undefined ? null : value;
+    }
+    return renderString(node, context);
+  }
+  if (Array.isArray(node)) {
+    return node.map(item => renderJson(item, context));
+  }
+  if (node && typeof node === 'object') {
+    return Object.fromEntries(Object.entries(node).map(([key, value]) => [key, renderJson(value, context)]));
+  }
+  return node;
+}
+
+class WebhookAdapter extends BaseAdapter {
+  constructor(config) {
+    super(config);
+    // 侧边栏表单中表格token填写URL模板，应用密钥填写签名密钥
+    this.url = config.url || [config.tableToken, config.tableId].find(value => /^https?:\/\//i.test(value || '')) || '';
+    this.method = (config.method || 'POST').toUpperCase();
+    this.updateMethod = (config.updateMethod || this.method).toUpperCase();
+    this.headers = this.parseTemplate(config.headers, '请求头模板') || {};
+    this.bodyTemplate = this.parseTemplate(config.bodyTemplate, '请求体模板') || DEFAULT_BODY_TEMPLATE;
+    this.hmacSecret = config.hmacSecret ?? config.appSecret ?? '';
+    this.signatureHeader = config.signatureHeader || DEFAULT_SIGNATURE_HEADER;
+    this.responseIdPath = config.responseIdPath || '';
+  }
+
+  /**
+   * 获取必需的配置字段
+   * @returns {Array} 必需字段列表
+   */
+  getRequiredConfigFields() {
+    return ['url'];
+  }
+
+  /**
+   * 解析JSON模板配置，已是对象时直接使用
+   * @param {string|Object} template - 模板
+   * @param {string} label - 模板名称，用于错误信息
+   * @returns {Object|null} 模板对象
+   */
+  parseTemplate(template, label) {
+    if (!template) return null;
+    if (typeof template === 'object') return template;
+
+    try {
+      return JSON.parse(template);
+    } catch (error) {
+      throw new Error(`${label}不是有效的JSON: ${error.message}`);
+    }
+  }
+
+  /**
+   * 构建模板上下文
+   * 序列化数据的字段可直接引用，{{local.字段}}引用本地原始数据，{{record}}为完整序列化数据
+   * @param {string} action - create | update | delete | test
+   * @param {Object} data - DataMapper.serializeForTable的输出
+   * @param {string} recordId - 远端记录ID
+   * @returns {Object} 模板上下文
+   */
+  buildContext(action, data = {}, recordId = '') {
+    let local = {};
+    try {
+      local = typeof data.data === 'string' ? JSON.parse(data.data) : data.data || {};
+    } catch (error) {
+      local = {};
+    }
+
+    return {
+      ...data,
+      action,
+      recordId: recordId || data.id || '',
+      tableName: data.tableId && !/^https?:\/\//i.test(data.tableId) ? data.tableId : '',
+      timestamp: new Date().toISOString(),
+      local,
+      record: data
+    };
+  }
+
+  /**
+   * 按模板发送一次请求
+   * @param {string} action - 动作
+   * @param {Object} data - 同步数据
+   * @param {string} recordId - 远端记录ID
+   * @returns {Promise<Object>} { id, response }
+   */
+  async send(action, data, recordId) {
+    if (!this.url) {
+      throw new Error('未配置Webhook URL');
+    }
+
+    const methods = { create: this.method, update: this.updateMethod, delete: 'DELETE', test: this.method };
+    const method = methods[action];
+    const context = this.buildContext(action, data, recordId);
+    const url = renderString(this.url, context, encodeURIComponent);
+    const body = method === 'GET' ? '' : JSON.stringify(renderJson(this.bodyTemplate, context));
+
+    const headers = {
+      ...Object.fromEntries(Object.entries(this.headers).map(([name, value]) => [name, renderString(String(value), context)])),
+      [ACTION_HEADER]: action,
+      ...(await this.signPayload(body))
+    };
+
+    const response = await this.makeRequest(url, {
+      method,
+      headers,
+      ...(body ? { body } : {})
+    });
+
+    const remoteId = this.responseIdPath
+      ? getPath(response, this.responseIdPath)
+      : response?.id ?? response?.recordId ?? response?.data?.id;
+    return { id: remoteId != null ? String(remoteId) : context.recordId, response };
+  }
+
+  /**
+   * 计算请求签名：HMAC-SHA256(密钥, "时间戳.请求体")，十六进制
+   * 接收方用同一密钥重新计算并比对，时间戳用于拒绝重放请求
+   * @param {string} body - 请求体
+   * @returns {Promise<Object>} 签名请求头，未配置密钥时为空
+   */
+  async signPayload(body) {
+    if (!this.hmacSecret) {
+      return {};
+    }
+
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const encoder = new TextEncoder();
+    const key = await crypto.subtle.importKey(
+      'raw',
+      encoder.encode(this.hmacSecret),
+      { name: 'HMAC', hash: 'SHA-256' },
+      false,
+      ['sign']
+    );
+    const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(`${timestamp}.${body}`));
+    const hex = Array.from(new Uint8Array(signature), byte => byte.toString(16).padStart(2, '0')).join('');
+
+    return {
+      [TIMESTAMP_HEADER]: timestamp,
+      [this.signatureHeader]: `sha256=${hex}`
+    };
+  }
+
+  /**
+   * 批量创建记录，逐条发送
+   * @param {Array} dataList - 记录数据列表
+   * @returns {Promise<Array>} 创建结果列表
+   */
+  async batchCreateRecords(dataList) {
+    return this.runEach(dataList, data => this.createRecord(data));
+  }
+
+  /**
+   * 批量更新记录，逐条发送
+   * @param {Array} updates - 更新数据列表 [{id, data}]
+   * @returns {Promise<Array>} 更新结果列表
+   */
+  async batchUpdateRecords(updates) {
+    return this.runEach(updates, update => this.updateRecord(update.id, update.data));
+  }
+
+  /**
+   * 逐条执行操作，单条失败不影响其他记录
+   * @param {Array} items - 待处理项
+   * @param {Function} operation - 单条操作
+   * @returns {Promise<Array>} [{ id, success, error, originalIndex }]
+   */
+  async runEach(items, operation) {
+    const results = [];
+    for (let i = 0; i < items.length; i++) {
+      try {
+        const result = await operation(items[i]);
+        results.push({ ...result, success: true, originalIndex: i });
+      } catch (error) {
+        results.push({ success: false, error: error.message, originalIndex: i });
+      }
+    }
+    return results;
+  }
+
+  /**
+   * 创建记录
+   * @param {Object} data - 记录数据
+   * @returns {Promise<Object>} 创建结果
+   */
+  async createRecord(data) {
+    try {
+      const { id } = await this.send('create', data);
+      return { id };
+    } catch (error) {
+      this.log('error', 'Webhook发送失败', { error: error.message, action: 'create' });
+      throw error;
+    }
+  }
+
+  /**
+   * 更新记录
+   * @param {string} recordId - 远端记录ID
+   * @param {Object} data - 更新数据
+   * @returns {Promise<Object>} 更新结果
+   */
+  async updateRecord(recordId, data) {
+    try {
+      const { id } = await this.send('update', data, recordId);
+      return { id };
+    } catch (error) {
+      this.log('error', 'Webhook发送失败', { error: error.message, action: 'update', recordId });
+      throw error;
+    }
+  }
+
+  /**
+   * 删除记录
+   * @param {string} recordId - 远端记录ID
+   * @returns {Promise<Object>} 删除结果
+   */
+  async deleteRecord(recordId) {
+    try {
+      await this.send('delete', { id: recordId }, recordId);
+      return { success: true, id: recordId };
+    } catch (error) {
+      this.log('error', 'Webhook发送失败', { error: error.message, action: 'delete', recordId });
+      throw error;
+    }
+  }
+
+  /**
+   * Webhook只写不读，没有可拉取的记录
+   * @returns {Promise<Array>} 空列表
+   */
+  async getRecords() {
+    return [];
+  }
+
+  /**
+   * Webhook记录无法还原
+   * @returns {null}
+   */
+  parseRecord() {
+    return null;
+  }
+
+  /**
+   * 测试连接：按模板发送一次action为test的请求，接收方可据此忽略
+   * @returns {Promise<boolean>} 连接测试结果
+   */
+  async testConnection() {
+    try {
+      await this.send('test', {
+        id: 'flowfocus-test',
+        type: 'test',
+        name: 'FlowFocus连接测试',
+        data: JSON.stringify({ id: 'flowfocus-test' }),
+        metadata: { source: 'FlowFocus' }
+      });
+      this.log('info', 'Webhook连接测试成功');
+      return true;
+    } catch (error) {
+      this.log('error', 'Webhook连接测试失败', { error: error.message });
+      return false;
+    }
+  }
+
+  /**
+   * 获取接口信息
+   * @returns {Promise<Object>} 表格信息
+   */
+  async getTableInfo() {
+    return {
+      name: this.url.replace(/\?.*$/, ''),
+      method: this.method,
+      signed: !!this.hmacSecret,
+      platform: 'webhook',
+      isConnected: true
+    };
+  }
+
+  /**
+   * 请求头完全由模板决定，不附加默认认证头
+   * @returns {Object} 认证头信息
+   */
+  getAuthHeaders() {
+    return {};
+  }
+
+  /**
+   * 解析响应体，空响应或非JSON响应按文本返回
+   * @param {Response} response - 响应对象
+   * @returns {Promise<Object>} 响应数据
+   */
+  async parseResponseBody(response) {
+    const text = await response.text();
+    if (!text) return {};
+
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      return { text };
+    }
+  }
+
+  /**
+   * 接口响应格式由接收方决定，HTTP状态码成功即视为成功
+   * @param {Object} data - 响应数据
+   * @returns {Object} 响应数据
+   */
+  handleResponse(data) {
+    return data;
+  }
+
+  /**
+   * 校验模板配置
+   * @param {Object} config - 配置信息
+   * @returns {Array} 错误列表
+   */
+  static validateTemplates(config) {
+    const errors = [];
+    const url = config.url || config.tableId || '';
+    if (!/^https?:\/\//i.test(url)) {
+      errors.push('Webhook URL需以http://或https://开头');
+    }
+    if (config.method && !SUPPORTED_METHODS.includes(config.method.toUpperCase())) {
+      errors.push(`不支持的请求方法: ${config.method}`);
+    }
+
+    for (const [field, label] of [['headers', '请求头模板'], ['bodyTemplate', '请求体模板']]) {
+      if (config[field] && typeof config[field] === 'string') {
+        try {
+          const parsed = JSON.parse(config[field]);
+          if (field === 'headers' && (typeof parsed !== 'object' || Array.isArray(parsed) || parsed === null)) {
+            errors.push('请求头模板必须是JSON对象');
+          }
+        } catch (error) {
+          errors.push(`${label}不是有效的JSON`);
+        }
+      }
+    }
+    return errors;
+  }
+}
+
+export default WebhookAdapter;
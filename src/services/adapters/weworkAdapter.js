@@ -5,6 +5,9 @@
  */
 import BaseAdapter from './baseAdapter.js';
 
+// 智能表格查询记录接口单页最多返回1000条
+const WEWORK_PAGE_SIZE = 1000;
+
 class WeworkAdapter extends BaseAdapter {
   constructor(config) {
     super(config);
@@ -14,6 +17,7 @@ class WeworkAdapter extends BaseAdapter {
     this.baseUrl = config.baseUrl || 'https://qyapi.weixin.qq.com';
     this.docId = config.docId;
     this.sheetId = config.sheetId;
+    this.idFieldId = null;
     this.accessToken = null;
     this.tokenExpiry = null;
     this.rateLimitRemaining = 1000;
@@ -336,6 +340,35 @@ class WeworkAdapter extends BaseAdapter {
    * @returns {Promise<Array>} 记录列表
    */
   async getRecords(params = {}) {
+    const page = await this.fetchRecordPage(params);
+    return page.records;
+  }
+
+  /**
+   * 按偏移量翻页读取全部记录
+   * @param {Object} params - 查询参数 { filter }
+   * @returns {Promise<Array>} 记录列表
+   */
+  async getAllRecords(params = {}) {
+    const records = [];
+    let offset = 0;
+    let page;
+
+    do {
+      page = await this.fetchRecordPage({ ...params, limit: WEWORK_PAGE_SIZE, offset });
+      records.push(...page.records);
+      offset = page.nextOffset;
+    } while (page.hasMore);
+
+    return records;
+  }
+
+  /**
+   * 读取一页记录
+   * @param {Object} params - 查询参数 { limit, offset, filter }
+   * @returns {Promise<Object>} { records, hasMore, nextOffset }
+   */
+  async fetchRecordPage(params = {}) {
     try {
       const token = await this.getAccessToken();
       const url = `${this.baseUrl}/cgi-bin/wedoc/smartsheet/get_records?access_token=${token}`;
@@ -350,6 +383,9 @@ class WeworkAdapter extends BaseAdapter {
       if (params.filter) {
         requestData.filter = params.filter;
       }
+      if (params.filterSpec) {
+        requestData.filter_spec = params.filterSpec;
+      }
       
       const headers = await this.getAuthHeaders();
       
@@ -359,13 +395,69 @@ class WeworkAdapter extends BaseAdapter {
         body: JSON.stringify(requestData)
       });
 
-      return this.formatWeworkRecords(response.records || []);
+      const records = this.formatWeworkRecords(response.records || []);
+      return {
+        records,
+        hasMore: records.length > 0 && !!response.has_more,
+        nextOffset: response.next || requestData.offset + records.length
+      };
     } catch (error) {
       this.log('error', '获取企业微信记录列表失败', { error: error.message, params });
       throw error;
     }
   }
 
+  /**
+   * 按ID列筛选已同步的记录
+   * 无法确定ID列时退回逐条比对
+   * @param {string} id - 本地数据ID
+   * @returns {Promise<Object|null>} 匹配的记录，存在多条时返回最近修改的一条
+   */
+  async findRecordById(id) {
+    const idFieldId = await this.getIdFieldId();
+    if (!idFieldId) {
+      return super.findRecordById(id);
+    }
+
+    const records = await this.getAllRecords({
+      filterSpec: {
+        conjunction: 'CONJUNCTION_AND',
+        conditions: [{
+          field_id: idFieldId,
+          field_type: 'FIELD_TYPE_TEXT',
+          operator: 'OPERATOR_IS',
+          string_value: { value: [String(id)] }
+        }]
+      }
+    });
+    return this.pickLatestRecord(records);
+  }
+
+  /**
+   * 获取ID列的字段ID：优先取标题为ID的字段，否则按字段映射中的列位置
+   * @returns {Promise<string|null>} 字段ID
+   */
+  async getIdFieldId() {
+    if (this.idFieldId) {
+      return this.idFieldId;
+    }
+
+    try {
+      const token = await this.getAccessToken();
+      const response = await this.makeRequest(`${this.baseUrl}/cgi-bin/wedoc/smartsheet/get_fields?access_token=${token}`, {
+        method: 'POST',
+        headers: await this.getAuthHeaders(),
+        body: JSON.stringify({ docid: this.docId, sheet_id: this.sheetId })
+      });
+      const fields = response.fields || [];
+      const idField = fields.find(field => field.field_title === 'ID') || fields[this.getFieldMapping().id.index];
+      this.idFieldId = idField ? idField.field_id : null;
+    } catch (error) {
+      this.log('warn', '读取企业微信字段列表失败，改为逐条比对ID', { error: error.message });
+    }
+    return this.idFieldId;
+  }
+
   /**
    * 测试连接
    * @returns {Promise<boolean>} 连接测试结果
@@ -503,6 +595,29 @@ class WeworkAdapter extends BaseAdapter {
     return response;
   }
 
+  /**
+   * 将企业微信智能表格记录还原为表格数据
+   * @param {Object} record - formatWeworkRecords返回的记录
+   * @returns {Object|null} 表格数据
+   */
+  parseRecord(record) {
+    const fieldMapping = this.getFieldMapping();
+    const values = record.values || [];
+    const valueOf = key => values[fieldMapping[key].index]?.value;
+    const data = valueOf('data');
+    if (!data) {
+      return null;
+    }
+    
+    return {
+      id: valueOf('id') || record.id,
+      type: valueOf('type') || '',
+      name: valueOf('name') || '',
+      data,
+      metadata: { recordId: record.id, updatedAt: record.updateTime }
+    };
+  }
+
   formatWeworkRecords(records) {
     return records.map(record => ({
       id: record.record_id,
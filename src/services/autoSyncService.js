@@ -0,0 +1,352 @@
+/**
+ * 自动同步服务
+ * 通过chrome.alarms按每个同步目标的计划，定期把待同步的改写记录加入同步队列并推送到多维表格
+ */
+
+import storageService from './storageService.js';
+import syncQueueService from './syncQueueService.js';
+import syncStateService from './syncStateService.js';
+import encryptionService from './encryptionService.js';
+import { DEFAULT_CONFIG, ERROR_CODES } from '../utils/constants.js';
+
+// 自动同步计划和运行状态的存储键，分开保存以免后台写状态时覆盖侧边栏的计划修改
+export const AUTO_SYNC_SCHEDULES_KEY = 'autoSyncSchedules';
+export const AUTO_SYNC_STATUS_KEY = 'autoSyncStatus';
+
+// 自动同步闹钟名称前缀，后接目标配置ID
+const ALARM_PREFIX = 'flowfocus-autosync:';
+
+class AutoSyncService {
+  constructor() {
+    this.defaultIntervalMinutes = Math.round(DEFAULT_CONFIG.SYNC_INTERVAL / 60000);
+    this.running = new Set();
+  }
+
+  /**
+   * 读取全部同步目标的自动同步计划
+   * @returns {Promise<Object>} 目标配置ID → 计划
+   */
+  async getSchedules() {
+    return await storageService.loadData(AUTO_SYNC_SCHEDULES_KEY) || {};
+  }
+
+  /**
+   * 读取单个同步目标的自动同步计划，未设置时返回默认计划
+   * @param {string} targetConfigId - 目标配置ID
+   * @returns {Promise<Object>} { enabled, tableName, intervalMinutes, quietStart, quietEnd }
+   */
+  async getSchedule(targetConfigId) {
+    const schedules = await this.getSchedules();
+    return {
+      enabled: false,
+      tableName: '',
+      intervalMinutes: this.defaultIntervalMinutes,
+      quietStart: '',
+      quietEnd: '',
+      ...(schedules[targetConfigId] || {})
+    };
+  }
+
+  /**
+   * 保存同步目标的自动同步计划并重新注册该目标的闹钟
+   * @param {string} targetConfigId - 目标配置ID
+   * @param {Object} schedule - 自动同步计划
+   * @returns {Promise<Object>} 保存后的计划
+   */
+  async saveSchedule(targetConfigId, schedule) {
+    const saved = this.validateSchedule(schedule);
+    const schedules = await this.getSchedules();
+    schedules[targetConfigId] = saved;
+    await storageService.saveData(AUTO_SYNC_SCHEDULES_KEY, schedules);
+    await this.registerAlarm(targetConfigId, saved);
+    return saved;
+  }
+
+  /**
+   * 删除同步目标的自动同步计划和运行状态，用于删除表格配置时清理
+   * @param {string} targetConfigId - 目标配置ID
+   * @returns {Promise<void>}
+   */
+  async removeSchedule(targetConfigId) {
+    const schedules = await this.getSchedules();
+    if (schedules[targetConfigId]) {
+      delete schedules[targetConfigId];
+      await storageService.saveData(AUTO_SYNC_SCHEDULES_KEY, schedules);
+      await this.registerAlarm(targetConfigId, null);
+    }
+
+    const statuses = await this.getStatuses();
+    if (statuses[targetConfigId]) {
+      delete statuses[targetConfigId];
+      await storageService.saveData(AUTO_SYNC_STATUS_KEY, statuses);
+    }
+  }
+
+  /**
+   * 校验并规范化自动同步计划
+   * @param {Object} schedule - 自动同步计划
+   * @returns {Object} 规范化后的计划
+   */
+  validateSchedule(schedule) {
+    const tableName = (schedule.tableName || '').trim();
+    const intervalMinutes = Number(schedule.intervalMinutes) || this.defaultIntervalMinutes;
+    const timePattern = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+    if (schedule.enabled && !tableName) {
+      throw new Error('启用自动同步需要填写目标表格名称');
+    }
+    if (intervalMinutes < 1) {
+      throw new Error('同步间隔不能少于1分钟');
+    }
+    for (const time of [schedule.quietStart, schedule.quietEnd]) {
+      if (time && !timePattern.test(time)) {
+        throw new Error(`免打扰时间格式无效: ${time}`);
+      }
+    }
+
+    return {
+      enabled: !!schedule.enabled,
+      tableName,
+      intervalMinutes: Math.round(intervalMinutes),
+      quietStart: schedule.quietStart || '',
+      quietEnd: schedule.quietEnd || ''
+    };
+  }
+
+  /**
+   * 按已保存的计划注册全部自动同步闹钟，扩展安装和浏览器启动时调用
+   * 清除已停用目标的闹钟，计划未变的闹钟保持原有倒计时
+   * @returns {Promise<void>}
+   */
+  async registerAlarms() {
+    if (typeof chrome === 'undefined' || !chrome.alarms) {
+      return;
+    }
+
+    const schedules = await this.getSchedules();
+    const alarms = await chrome.alarms.getAll();
+    for (const alarm of alarms) {
+      const targetConfigId = alarm.name.slice(ALARM_PREFIX.length);
+      if (alarm.name.startsWith(ALARM_PREFIX) && !schedules[targetConfigId]?.enabled) {
+        await chrome.alarms.clear(alarm.name);
+      }
+    }
+
+    for (const [targetConfigId, schedule] of Object.entries(schedules)) {
+      await this.registerAlarm(targetConfigId, schedule);
+    }
+  }
+
+  /**
+   * 注册单个同步目标的闹钟，不影响其他目标的倒计时
+   * 间隔未变时保留现有闹钟，计划停用或删除时清除
+   * @param {string} targetConfigId - 目标配置ID
+   * @param {Object|null} schedule - 自动同步计划
+   * @returns {Promise<void>}
+   */
+  async registerAlarm(targetConfigId, schedule) {
+    if (typeof chrome === 'undefined' || !chrome.alarms) {
+      return;
+    }
+
+    const name = ALARM_PREFIX + targetConfigId;
+    if (!schedule || !schedule.enabled) {
+      await chrome.alarms.clear(name);
+      return;
+    }
+
+    const existing = await chrome.alarms.get(name);
+    if (existing && existing.periodInMinutes === schedule.intervalMinutes) {
+      return;
+    }
+    await chrome.alarms.create(name, {
+      delayInMinutes: schedule.intervalMinutes,
+      periodInMinutes: schedule.intervalMinutes
+    });
+  }
+
+  /**
+   * 处理闹钟事件，非自动同步闹钟直接忽略
+   * @param {Object} alarm - chrome.alarms闹钟
+   * @returns {Promise<Object|null>} 运行状态
+   */
+  async handleAlarm(alarm) {
+    if (!alarm || !alarm.name.startsWith(ALARM_PREFIX)) {
+      return null;
+    }
+    return this.runTarget(alarm.name.slice(ALARM_PREFIX.length));
+  }
+
+  /**
+   * 对单个同步目标执行一次自动同步
+   * @param {string} targetConfigId - 目标配置ID
+   * @param {Object} options - 选项 { manual }，手动运行时不受启用状态和免打扰时段限制
+   * @returns {Promise<Object>} 运行状态 { state, message, synced, failed, conflicts, lastRunAt }
+   */
+  async runTarget(targetConfigId, options = {}) {
+    if (this.running.has(targetConfigId)) {
+      return { state: 'skipped', message: '上一次同步尚未结束' };
+    }
+
+    this.running.add(targetConfigId);
+    try {
+      const schedule = await this.getSchedule(targetConfigId);
+      if (!options.manual && !schedule.enabled) {
+        return { state: 'skipped', message: '未启用自动同步' };
+      }
+      if (!options.manual && this.isQuietTime(schedule)) {
+        return await this.saveStatus(targetConfigId, { state: 'skipped', message: '处于免打扰时段' });
+      }
+
+      return await this.saveStatus(targetConfigId, await this.pushPendingRecords(targetConfigId, schedule));
+    } catch (error) {
+      const message = error.code === ERROR_CODES.VAULT_LOCKED
+        ? '敏感配置已锁定，请打开侧边栏解锁后手动运行'
+        : error.message;
+      return await this.saveStatus(targetConfigId, { state: 'failed', message });
+    } finally {
+      this.running.delete(targetConfigId);
+    }
+  }
+
+  /**
+   * 将目标表格中尚未同步或同步后又修改过的改写记录加入同步队列并推送
+   * 离线或锁定时任务留在队列中，由后台在恢复后继续推送
+   * @param {string} targetConfigId - 目标配置ID
+   * @param {Object} schedule - 自动同步计划
+   * @returns {Promise<Object>} 运行结果
+   */
+  async pushPendingRecords(targetConfigId, schedule) {
+    const tableConfigs = await storageService.loadData('tableConfigs') || [];
+    const targetConfig = tableConfigs.find(config => config.id === targetConfigId);
+    if (!targetConfig) {
+      throw new Error('同步目标配置不存在');
+    }
+
+    const pending = await this.getPendingRecords(targetConfig, schedule.tableName);
+    for (const record of pending) {
+      await syncQueueService.enqueue({
+        recordId: record.id,
+        dataType: 'rewriteRecord',
+        targetConfigId,
+        tableName: schedule.tableName
+      });
+    }
+
+    await encryptionService.ensureUnlocked();
+
+    // 离线时不推送，只安排联网检查
+    const result = await syncQueueService.drain({ targetConfigId });
+    if (!syncQueueService.isOnline()) {
+      return { state: 'skipped', message: `当前离线，${pending.length} 条记录已加入同步队列`, synced: 0, failed: 0, conflicts: 0 };
+    }
+    if (result.synced + result.failed + result.conflicts === 0) {
+      const message = pending.length > 0 ? `${pending.length} 条记录等待重试` : '没有待同步的记录';
+      return { state: pending.length > 0 ? 'skipped' : 'success', message, synced: 0, failed: 0, conflicts: 0 };
+    }
+
+    let state = 'success';
+    if (result.failed > 0 || result.conflicts > 0) {
+      state = result.synced > 0 ? 'partial' : 'failed';
+    }
+    let message = `同步 ${result.synced} 条`;
+    if (result.failed > 0) {
+      message += `，失败 ${result.failed} 条（${result.errors[0]}），稍后自动重试`;
+    }
+    if (result.conflicts > 0) {
+      message += `，冲突 ${result.conflicts} 条，请在侧边栏手动同步处理`;
+    }
+
+    return { state, message, synced: result.synced, failed: result.failed, conflicts: result.conflicts };
+  }
+
+  /**
+   * 将新保存的改写记录加入所有已启用自动同步的目标，联网时由后台尽快推送
+   * @param {Object} record - 改写记录
+   * @returns {Promise<number>} 加入的任务数
+   */
+  async enqueueRecord(record) {
+    const schedules = await this.getSchedules();
+    let count = 0;
+    for (const [targetConfigId, schedule] of Object.entries(schedules)) {
+      if (schedule.enabled) {
+        await syncQueueService.enqueue({
+          recordId: record.id,
+          dataType: 'rewriteRecord',
+          targetConfigId,
+          tableName: schedule.tableName
+        });
+        count++;
+      }
+    }
+    return count;
+  }
+
+  /**
+   * 获取需要推送到目标表格的改写记录
+   * @param {Object} targetConfig - 目标配置
+   * @param {string} tableName - 目标表格名称
+   * @returns {Promise<Array>} 待同步的改写记录
+   */
+  async getPendingRecords(targetConfig, tableName) {
+    const records = await storageService.loadData('rewriteRecords') || [];
+    const targetKey = syncStateService.getTargetKey(targetConfig, tableName);
+    const state = (await syncStateService.loadState())[targetKey] || {};
+
+    return records.filter(record => {
+      const entry = state[record.id];
+      return !entry || (entry.localUpdatedAt || '') !== (record.updatedAt || '');
+    });
+  }
+
+  /**
+   * 判断当前是否处于免打扰时段，支持跨午夜的时段（如22:00-08:00）
+   * @param {Object} schedule - 自动同步计划
+   * @param {Date} now - 当前时间
+   * @returns {boolean}
+   */
+  isQuietTime(schedule, now = new Date()) {
+    if (!schedule.quietStart || !schedule.quietEnd || schedule.quietStart === schedule.quietEnd) {
+      return false;
+    }
+
+    const toMinutes = time => {
+      const [hours, minutes] = time.split(':').map(Number);
+      return hours * 60 + minutes;
+    };
+    const current = now.getHours() * 60 + now.getMinutes();
+    const start = toMinutes(schedule.quietStart);
+    const end = toMinutes(schedule.quietEnd);
+
+    return start < end
+      ? current >= start && current < end
+      : current >= start || current < end;
+  }
+
+  /**
+   * 读取全部同步目标的最近运行状态
+   * @returns {Promise<Object>} 目标配置ID → 运行状态
+   */
+  async getStatuses() {
+    return await storageService.loadData(AUTO_SYNC_STATUS_KEY) || {};
+  }
+
+  /**
+   * 保存同步目标的最近运行状态
+   * @param {string} targetConfigId - 目标配置ID
+   * @param {Object} status - 运行状态
+   * @returns {Promise<Object>} 保存后的运行状态
+   */
+  async saveStatus(targetConfigId, status) {
+    const statuses = await this.getStatuses();
+    const saved = { ...status, lastRunAt: new Date().toISOString() };
+    statuses[targetConfigId] = saved;
+    await storageService.saveData(AUTO_SYNC_STATUS_KEY, statuses);
+    return saved;
+  }
+}
+
+// 导出自动同步服务实例
+const autoSyncService = new AutoSyncService();
+export default autoSyncService;
+export { AutoSyncService };
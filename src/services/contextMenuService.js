@@ -0,0 +1,126 @@
+/**
+ * 右键菜单服务
+ * 在网页选中文字的右键菜单中列出改写风格和用户保存的提示词模板，
+ * 选择后把改写请求交给侧边栏，由侧边栏用当前选用的模型改写并显示结果
+ */
+
+import storageService from './storageService.js';
+import enhancedRewriteService from './enhancedRewriteService.js';
+import { generateUUID } from '../utils/utils.js';
+
+// 待侧边栏处理的右键改写请求的存储键
+export const PENDING_CONTEXT_REWRITE_KEY = 'pendingContextRewrite';
+
+// 右键菜单根菜单项ID
+export const CONTEXT_MENU_ROOT_ID = 'flowfocus-rewrite';
+
+// 子菜单项ID前缀，后接改写风格或模板ID
+const STYLE_MENU_PREFIX = 'flowfocus-style:';
+const TEMPLATE_MENU_PREFIX = 'flowfocus-template:';
+
+// 侧边栏未能及时打开时，超过此时间的请求不再执行，避免之后打开侧边栏时意外改写
+const PENDING_REWRITE_TTL = 5 * 60 * 1000;
+
+class ContextMenuService {
+  constructor() {
+    this.registering = Promise.resolve();
+  }
+
+  /**
+   * 生成菜单项：根菜单下先列出改写风格，再列出提示词模板
+   * @param {Array<Object>} templates - 提示词模板
+   * @returns {Array<Object>} chrome.contextMenus.create的参数列表
+   */
+  buildMenuItems(templates = []) {
+    const items = [{ id: CONTEXT_MENU_ROOT_ID, title: '用 FlowFocus 改写', contexts: ['selection'] }];
+    enhancedRewriteService.getAvailableStyles().forEach(style => {
+      items.push({ id: STYLE_MENU_PREFIX + style.key, parentId: CONTEXT_MENU_ROOT_ID, title: style.name, contexts: ['selection'] });
+    });
+
+    if (templates.length > 0) {
+      items.push({ id: 'flowfocus-separator', parentId: CONTEXT_MENU_ROOT_ID, type: 'separator', contexts: ['selection'] });
+      templates.forEach(template => {
+        items.push({ id: TEMPLATE_MENU_PREFIX + template.id, parentId: CONTEXT_MENU_ROOT_ID, title: template.name, contexts: ['selection'] });
+      });
+    }
+    return items;
+  }
+
+  /**
+   * 重新注册右键菜单，多次调用时依次执行，避免菜单项ID重复
+   * @returns {Promise<void>}
+   */
+  registerMenus() {
+    this.registering = this.registering
+      .then(async () => {
+        const templates = await storageService.loadCustomPromptTemplates();
+        await chrome.contextMenus.removeAll();
+        this.buildMenuItems(templates).forEach(item => {
+          chrome.contextMenus.create(item, () => {
+            if (chrome.runtime.lastError) {
+              console.warn('创建右键菜单失败:', chrome.runtime.lastError.message);
+            }
+          });
+        });
+      })
+      .catch(error => console.error('注册右键菜单失败:', error));
+    return this.registering;
+  }
+
+  /**
+   * 解析点击的菜单项
+   * @param {string} menuItemId - 菜单项ID
+   * @returns {Promise<Object|null>} { name, prompt, examples }，不是改写菜单项或模板已删除时为null
+   */
+  async resolveMenuItem(menuItemId) {
+    const id = String(menuItemId);
+    if (id.startsWith(STYLE_MENU_PREFIX)) {
+      const style = id.slice(STYLE_MENU_PREFIX.length);
+      const template = enhancedRewriteService.rewriteTemplates[style];
+      if (!template) {
+        return null;
+      }
+      return {
+        name: template.name,
+        prompt: enhancedRewriteService.buildRewritePrompt(style),
+        examples: enhancedRewriteService.buildRewriteExamples(style)
+      };
+    }
+
+    if (id.startsWith(TEMPLATE_MENU_PREFIX)) {
+      const templates = await storageService.loadCustomPromptTemplates();
+      const template = templates.find(item => item.id === id.slice(TEMPLATE_MENU_PREFIX.length));
+      return template ? { name: template.name, prompt: template.prompt, examples: [] } : null;
+    }
+    return null;
+  }
+
+  /**
+   * 保存待侧边栏处理的改写请求
+   * @param {Object} request - { text, name, prompt, examples }
+   * @returns {Promise<Object>} 保存的请求
+   */
+  async queueRewrite(request) {
+    const pending = { ...request, id: generateUUID(), createdAt: new Date().toISOString() };
+    await storageService.saveData(PENDING_CONTEXT_REWRITE_KEY, pending);
+    return pending;
+  }
+
+  /**
+   * 取出待处理的改写请求，取出后即删除，已过期的请求丢弃
+   * @returns {Promise<Object|null>} 改写请求
+   */
+  async takePendingRewrite() {
+    const pending = await storageService.loadData(PENDING_CONTEXT_REWRITE_KEY);
+    if (!pending) {
+      return null;
+    }
+    await storageService.deleteData(PENDING_CONTEXT_REWRITE_KEY);
+    return Date.now() - Date.parse(pending.createdAt) > PENDING_REWRITE_TTL ? null : pending;
+  }
+}
+
+// 导出右键菜单服务实例
+const contextMenuService = new ContextMenuService();
+export default contextMenuService;
+export { ContextMenuService };
@@ -4,6 +4,8 @@
  * 支持跨平台数据转换、压缩优化、版本管理和数据迁移
  */
 import { DateUtils } from '../utils/helpers.js';
+import sensitiveDataHandler from './sensitiveDataHandler.js';
+import encryptionService from './encryptionService.js';
 
 class DataMapper {
   /**
@@ -51,12 +53,13 @@ class DataMapper {
           serializedData['数据集合'] = JSON.stringify({
             '配置名称': localData.name,
             '大模型品牌': localData.modelType || localData.type || '未知',
-            'API Key': localData.apiKey ? '已设置' : '未设置',
+            'API Key': this.describeSecret(localData.apiKey),
             'Base URL': localData.baseUrl,
             '模型端点': localData.modelEndpoint,
             '创建时间': localData.createdAt ? DateUtils.format(new Date(localData.createdAt), 'YYYY-MM-DD HH:mm:ss') : DateUtils.format(new Date(), 'YYYY-MM-DD HH:mm:ss'),
             '更新时间': DateUtils.format(new Date(), 'YYYY-MM-DD HH:mm:ss'),
-            '状态': '正常'
+            '状态': '正常',
+            '数据': serializedData.data
           });
           break;
           
@@ -81,7 +84,8 @@ class DataMapper {
             '大模型品牌': localData.modelType || '未知',
             '大模型名称': localData.modelName || '未知',
             '创建时间': localData.createdAt ? DateUtils.format(new Date(localData.createdAt), 'YYYY-MM-DD HH:mm:ss') : DateUtils.format(new Date(), 'YYYY-MM-DD HH:mm:ss'),
-            '更新时间': localData.updatedAt ? DateUtils.format(new Date(localData.updatedAt), 'YYYY-MM-DD HH:mm:ss') : DateUtils.format(new Date(), 'YYYY-MM-DD HH:mm:ss')
+            '更新时间': localData.updatedAt ? DateUtils.format(new Date(localData.updatedAt), 'YYYY-MM-DD HH:mm:ss') : DateUtils.format(new Date(), 'YYYY-MM-DD HH:mm:ss'),
+            '数据': serializedData.data
           });
           break;
           
@@ -89,6 +93,19 @@ class DataMapper {
           serializedData.platform = localData.platform;
           serializedData.tableName = localData.tableName;
           serializedData.isConnected = localData.isConnected || false;
+          
+          // 表格配置同样写入"数据集合"，密钥仅以加密信封形式出现在"数据"中
+          serializedData['数据集合'] = JSON.stringify({
+            '配置名称': localData.name,
+            '平台': localData.platform,
+            'App ID': localData.appId || '',
+            'App Secret': this.describeSecret(localData.appSecret),
+            '多维表格token': localData.sourceTableId || '',
+            '创建时间': localData.createdAt ? DateUtils.format(new Date(localData.createdAt), 'YYYY-MM-DD HH:mm:ss') : DateUtils.format(new Date(), 'YYYY-MM-DD HH:mm:ss'),
+            '更新时间': DateUtils.format(new Date(), 'YYYY-MM-DD HH:mm:ss'),
+            '状态': '正常',
+            '数据': serializedData.data
+          });
           break;
       }
       
@@ -133,6 +150,83 @@ class DataMapper {
     }
   }
 
+  /**
+   * 序列化前先封装敏感字段，供写入多维表格使用
+   * 密钥以共享口令加密信封写入，未提供口令时密钥置空
+   * @param {Object} localData - 已解密的本地数据
+   * @param {string} dataType - 数据类型
+   * @param {Object} options - 选项 { passphrase }
+   * @returns {Promise<Object>} 序列化后的数据
+   */
+  static async secureSerializeForTable(localData, dataType, options = {}) {
+    const sealed = await sensitiveDataHandler.sealSensitiveData(localData, dataType, options.passphrase);
+    return this.serializeForTable(sealed, dataType);
+  }
+
+  /**
+   * 从多维表格行还原本地数据，并用共享口令解开密钥信封
+   * 同时支持序列化数据对象和飞书原始记录（fields中的"数据集合"）
+   * @param {Object} tableData - 多维表格数据或飞书记录
+   * @param {Object} options - 选项 { passphrase, dataType }
+   * @returns {Promise<Object>} 还原后的本地数据
+   */
+  static async secureDeserializeFromTable(tableData, options = {}) {
+    const row = this.normalizeTableRow(tableData);
+    const sealed = JSON.parse(row.data);
+    const dataType = options.dataType || row.type || sealed.type;
+    const opened = await sensitiveDataHandler.openSensitiveData(sealed, dataType, options.passphrase);
+
+    return this.deserializeFromTable({
+      ...row,
+      type: dataType,
+      data: JSON.stringify(opened)
+    });
+  }
+
+  /**
+   * 将飞书记录整理为deserializeFromTable可识别的结构
+   * @param {Object} tableData - 多维表格数据或飞书记录
+   * @returns {Object} 包含data字段的数据对象
+   */
+  static normalizeTableRow(tableData) {
+    if (!tableData || typeof tableData !== 'object') {
+      throw new Error('无效的表格记录');
+    }
+    if (tableData.data) {
+      return tableData;
+    }
+
+    let dataSet = tableData.fields?.['数据集合'] ?? tableData['数据集合'];
+    // 飞书文本字段可能以富文本片段数组返回
+    if (Array.isArray(dataSet)) {
+      dataSet = dataSet.map(part => (typeof part === 'string' ? part : part?.text || '')).join('');
+    }
+    if (typeof dataSet === 'string') {
+      dataSet = JSON.parse(dataSet);
+    }
+    if (!dataSet || !dataSet['数据']) {
+      throw new Error('记录中缺少可还原的数据，请重新同步该记录');
+    }
+
+    return {
+      id: tableData.fields?.ID || tableData.id,
+      data: dataSet['数据'],
+      metadata: { recordId: tableData.record_id || tableData.id }
+    };
+  }
+
+  /**
+   * 生成敏感字段在表格中的展示文本
+   * @param {any} value - 字段值
+   * @returns {string} 展示文本
+   */
+  static describeSecret(value) {
+    if (encryptionService.isEnvelope(value)) {
+      return '已加密';
+    }
+    return value ? '已设置' : '未设置';
+  }
+
   /**
    * 验证数据格式
    * @param {Object} data - 待验证数据
@@ -934,7 +1028,7 @@ if (typeof module !== 'undefined' && module.exports) {
   module.exports.default = DataMapper; // 兼容ES模块默认导入
 } else if (typeof define === 'function' && define.amd) {
   define([], function() { return DataMapper; });
-} else {
+} else if (typeof window !== 'undefined') {
   window.DataMapper = DataMapper;
 }
 
@@ -0,0 +1,645 @@
+/**
+ * 加密服务模块
+ * 基于WebCrypto实现AES-256-GCM加解密，密钥通过PBKDF2派生
+ * 默认使用本机随机主密钥；启用主密码后密钥仅保存在内存中，空闲超时自动锁定
+ */
+
+import { ERROR_CODES, EVENT_TYPES, DEFAULT_CONFIG } from '../utils/constants.js';
+
+// 密钥材料在Chrome Storage中的存储键
+export const KEY_MATERIAL_STORAGE_KEY = 'encryptionKeyMaterial';
+
+// 密文前缀，格式为 enc:v1:<keyId>:<iv>:<ciphertext>
+const ENCRYPTED_PREFIX = 'enc:v1:';
+
+// 用于校验主密码是否正确的已知明文
+const VERIFIER_TEXT = 'flowfocus-vault';
+
+// 共享口令指纹的派生上下文，同一口令在不同设备上得到相同的keyId
+const SHARE_KEY_ID_CONTEXT = 'flowfocus-share-key-id';
+
+const PBKDF2_ITERATIONS = 10000;
+const KEY_LENGTH = 256;
+const IV_LENGTH = 12;
+const SALT_LENGTH = 16;
+const SECRET_LENGTH = 32;
+
+/**
+ * 字节数组转Base64
+ * @param {Uint8Array} bytes - 字节数组
+ * @returns {string} Base64字符串
+ */
+function bytesToBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return btoa(binary);
+}
+
+/**
+ * Base64转字节数组
+ * @param {string} base64 - Base64字符串
+ * @returns {Uint8Array} 字节数组
+ */
+function base64ToBytes(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+/**
+ * 生成安全随机字节
+ * @param {number} length - 字节长度
+ * @returns {Uint8Array} 随机字节
+ */
+function randomBytes(length) {
+  return crypto.getRandomValues(new Uint8Array(length));
+}
+
+/**
+ * 生成密钥ID
+ * @returns {string} 16位十六进制字符串
+ */
+function generateKeyId() {
+  return Array.from(randomBytes(8), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+class EncryptionService {
+  constructor() {
+    this.key = null;
+    this.keyId = null;
+    this.material = null;
+    this.initPromise = null;
+    this.autoLockTimer = null;
+    this.lockListeners = new Set();
+    this.watchKeyMaterial();
+  }
+
+  /**
+   * 监听密钥材料的变化：侧边栏启用或停用主密码后，后台等其他页面丢弃旧密钥，下次使用时按新材料重新初始化
+   * 同一密钥的设置变化（如自动锁定时长）只更新材料，不影响已解锁的密钥
+   */
+  watchKeyMaterial() {
+    if (typeof chrome === 'undefined' || !chrome.storage || !chrome.storage.onChanged) {
+      return;
+    }
+
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      const change = changes[KEY_MATERIAL_STORAGE_KEY];
+      if (areaName !== 'local' || !change || !this.material) {
+        return;
+      }
+
+      const material = change.newValue;
+      if (material && material.keyId === this.material.keyId) {
+        this.material = material;
+        return;
+      }
+
+      const wasUnlocked = this.isPassphraseEnabled() && !!this.key;
+      this.clearMemory();
+      if (wasUnlocked) {
+        this.notifyLockListeners(EVENT_TYPES.VAULT_LOCKED);
+      }
+    });
+  }
+
+  /**
+   * 检查当前环境是否支持WebCrypto
+   * @returns {boolean}
+   */
+  isSupported() {
+    return typeof crypto !== 'undefined' &&
+      !!crypto.subtle &&
+      typeof crypto.getRandomValues === 'function';
+  }
+
+  /**
+   * 初始化加密服务，首次运行时生成并保存密钥材料
+   * 启用主密码时只读取密钥材料，保持锁定状态直到调用unlock
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    if (this.material) {
+      return;
+    }
+
+    if (!this.initPromise) {
+      this.initPromise = this.loadOrCreateKey().finally(() => {
+        this.initPromise = null;
+      });
+    }
+
+    return this.initPromise;
+  }
+
+  /**
+   * 读取密钥材料并派生加密密钥
+   * @returns {Promise<void>}
+   */
+  async loadOrCreateKey() {
+    if (!this.isSupported()) {
+      throw new Error('当前环境不支持WebCrypto，无法加密敏感数据');
+    }
+
+    const material = await this.retrieveKey();
+    if (!material) {
+      const bundle = await this.createDeviceKeyBundle();
+      await this.storeKey(bundle.material);
+      this.activateKeyBundle(bundle);
+      return;
+    }
+
+    if (material.mode === 'passphrase') {
+      this.material = material;
+      return;
+    }
+
+    this.key = await this.generateKey(
+      base64ToBytes(material.secret),
+      base64ToBytes(material.salt),
+      material.iterations || PBKDF2_ITERATIONS
+    );
+    this.keyId = material.keyId;
+    this.material = material;
+  }
+
+  /**
+   * 使用PBKDF2派生AES-GCM密钥
+   * @param {string|Uint8Array} masterPassword - 主密码或主密钥字节
+   * @param {Uint8Array} salt - 盐值
+   * @param {number} iterations - 迭代次数
+   * @returns {Promise<CryptoKey>} 派生密钥
+   */
+  async generateKey(masterPassword, salt, iterations = PBKDF2_ITERATIONS) {
+    const passwordBytes = typeof masterPassword === 'string'
+      ? new TextEncoder().encode(masterPassword)
+      : masterPassword;
+
+    const baseKey = await crypto.subtle.importKey('raw', passwordBytes, 'PBKDF2', false, ['deriveKey']);
+
+    return crypto.subtle.deriveKey(
+      { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+      baseKey,
+      { name: 'AES-GCM', length: KEY_LENGTH },
+      false,
+      ['encrypt', 'decrypt']
+    );
+  }
+
+  /**
+   * 生成基于本机随机主密钥的密钥包（未启用主密码时使用）
+   * @returns {Promise<Object>} 密钥包 { material, key }
+   */
+  async createDeviceKeyBundle() {
+    const material = {
+      mode: 'device',
+      keyId: generateKeyId(),
+      secret: bytesToBase64(randomBytes(SECRET_LENGTH)),
+      salt: bytesToBase64(randomBytes(SALT_LENGTH)),
+      iterations: PBKDF2_ITERATIONS,
+      createdAt: new Date().toISOString()
+    };
+
+    const key = await this.generateKey(base64ToBytes(material.secret), base64ToBytes(material.salt));
+    return { material, key };
+  }
+
+  /**
+   * 生成基于主密码的密钥包，存储中只保留盐值和校验密文
+   * @param {string} passphrase - 主密码
+   * @param {number} autoLockMinutes - 空闲自动锁定时长（分钟）
+   * @returns {Promise<Object>} 密钥包 { material, key }
+   */
+  async createPassphraseKeyBundle(passphrase, autoLockMinutes = DEFAULT_CONFIG.AUTO_LOCK_MINUTES) {
+    if (!passphrase) {
+      throw new Error('主密码不能为空');
+    }
+
+    const salt = randomBytes(SALT_LENGTH);
+    const keyId = generateKeyId();
+    const key = await this.generateKey(passphrase, salt);
+
+    return {
+      material: {
+        mode: 'passphrase',
+        keyId,
+        salt: bytesToBase64(salt),
+        iterations: PBKDF2_ITERATIONS,
+        verifier: await this.encrypt(VERIFIER_TEXT, { key, keyId }),
+        autoLockMinutes,
+        createdAt: new Date().toISOString()
+      },
+      key
+    };
+  }
+
+  /**
+   * 启用新的密钥包（调用方需先保存密钥材料）
+   * @param {Object} bundle - 密钥包 { material, key }
+   */
+  activateKeyBundle(bundle) {
+    this.material = bundle.material;
+    this.key = bundle.key;
+    this.keyId = bundle.material.keyId;
+
+    if (this.isPassphraseEnabled()) {
+      this.touch();
+    } else {
+      this.clearAutoLockTimer();
+    }
+  }
+
+  /**
+   * 保存密钥材料
+   * @param {Object} material - 密钥材料
+   * @returns {Promise<void>}
+   */
+  async storeKey(material) {
+    return new Promise((resolve, reject) => {
+      chrome.storage.local.set({ [KEY_MATERIAL_STORAGE_KEY]: material }, () => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+
+  /**
+   * 读取密钥材料
+   * @returns {Promise<Object|null>}
+   */
+  async retrieveKey() {
+    return new Promise((resolve, reject) => {
+      chrome.storage.local.get(KEY_MATERIAL_STORAGE_KEY, (result) => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+        } else {
+          resolve(result[KEY_MATERIAL_STORAGE_KEY] || null);
+        }
+      });
+    });
+  }
+
+  /**
+   * 是否启用了主密码
+   * @returns {boolean}
+   */
+  isPassphraseEnabled() {
+    return !!this.material && this.material.mode === 'passphrase';
+  }
+
+  /**
+   * 是否处于锁定状态（启用主密码且内存中没有密钥）
+   * @returns {boolean}
+   */
+  isLocked() {
+    return this.isPassphraseEnabled() && !this.key;
+  }
+
+  /**
+   * 获取空闲自动锁定时长（分钟）
+   * @returns {number}
+   */
+  getAutoLockMinutes() {
+    return (this.material && this.material.autoLockMinutes) || DEFAULT_CONFIG.AUTO_LOCK_MINUTES;
+  }
+
+  /**
+   * 确保已解锁，锁定时抛出VAULT_LOCKED错误
+   * @returns {Promise<void>}
+   */
+  async ensureUnlocked() {
+    await this.initialize();
+    if (this.isLocked()) {
+      throw this.createLockedError();
+    }
+  }
+
+  /**
+   * 创建锁定错误
+   * @returns {Error}
+   */
+  createLockedError() {
+    const error = new Error('敏感配置已锁定，请先输入主密码解锁');
+    error.code = ERROR_CODES.VAULT_LOCKED;
+    return error;
+  }
+
+  /**
+   * 使用主密码解锁
+   * @param {string} passphrase - 主密码
+   * @returns {Promise<void>}
+   */
+  async unlock(passphrase) {
+    await this.initialize();
+    if (!this.isLocked()) {
+      return;
+    }
+
+    const material = this.material;
+    const key = await this.generateKey(
+      passphrase || '',
+      base64ToBytes(material.salt),
+      material.iterations || PBKDF2_ITERATIONS
+    );
+
+    try {
+      await this.decrypt(material.verifier, { key, keyId: material.keyId });
+    } catch (error) {
+      const passphraseError = new Error('主密码错误');
+      passphraseError.code = ERROR_CODES.INVALID_PASSPHRASE;
+      throw passphraseError;
+    }
+
+    this.key = key;
+    this.keyId = material.keyId;
+    this.touch();
+    this.notifyLockListeners(EVENT_TYPES.VAULT_UNLOCKED);
+  }
+
+  /**
+   * 立即锁定，清除内存中的密钥（仅在启用主密码时有效）
+   */
+  lock() {
+    if (!this.isPassphraseEnabled() || !this.key) {
+      return;
+    }
+
+    this.key = null;
+    this.keyId = null;
+    this.clearAutoLockTimer();
+    this.notifyLockListeners(EVENT_TYPES.VAULT_LOCKED);
+  }
+
+  /**
+   * 记录一次活动，重置空闲自动锁定计时
+   */
+  touch() {
+    if (!this.isPassphraseEnabled() || !this.key) {
+      return;
+    }
+
+    this.clearAutoLockTimer();
+    this.autoLockTimer = setTimeout(() => this.lock(), this.getAutoLockMinutes() * 60 * 1000);
+  }
+
+  /**
+   * 修改空闲自动锁定时长
+   * @param {number} minutes - 分钟数
+   * @returns {Promise<void>}
+   */
+  async setAutoLockMinutes(minutes) {
+    await this.initialize();
+    const value = Number(minutes);
+    if (!Number.isFinite(value) || value <= 0) {
+      throw new Error('自动锁定时长必须为正数');
+    }
+
+    this.material = { ...this.material, autoLockMinutes: value };
+    await this.storeKey(this.material);
+    this.touch();
+  }
+
+  clearAutoLockTimer() {
+    if (this.autoLockTimer) {
+      clearTimeout(this.autoLockTimer);
+      this.autoLockTimer = null;
+    }
+  }
+
+  /**
+   * 监听锁定状态变化
+   * @param {Function} listener - 回调，参数为 EVENT_TYPES.VAULT_LOCKED / VAULT_UNLOCKED
+   */
+  addLockListener(listener) {
+    this.lockListeners.add(listener);
+  }
+
+  /**
+   * 移除锁定状态监听
+   * @param {Function} listener - 回调
+   */
+  removeLockListener(listener) {
+    this.lockListeners.delete(listener);
+  }
+
+  notifyLockListeners(eventType) {
+    this.lockListeners.forEach(listener => {
+      try {
+        listener(eventType);
+      } catch (error) {
+        console.error('锁定状态监听器执行失败:', error);
+      }
+    });
+  }
+
+  /**
+   * 加密字符串，空值和已加密的值原样返回
+   * @param {string} data - 明文
+   * @param {Object} options - 可选 { key, keyId }，默认使用当前密钥
+   * @returns {Promise<string>} 密文
+   */
+  async encrypt(data, options = {}) {
+    if (typeof data !== 'string' || data === '' || this.isEncrypted(data)) {
+      return data;
+    }
+
+    const { key, keyId } = await this.resolveKey(options);
+
+    const iv = randomBytes(IV_LENGTH);
+    const cipherBuffer = await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv },
+      key,
+      new TextEncoder().encode(data)
+    );
+
+    return `${ENCRYPTED_PREFIX}${keyId}:${bytesToBase64(iv)}:${bytesToBase64(new Uint8Array(cipherBuffer))}`;
+  }
+
+  /**
+   * 解密字符串，非密文原样返回
+   * @param {string} encryptedData - 密文
+   * @param {Object} options - 可选 { key, keyId }，默认使用当前密钥
+   * @returns {Promise<string>} 明文
+   */
+  async decrypt(encryptedData, options = {}) {
+    if (!this.isEncrypted(encryptedData)) {
+      return encryptedData;
+    }
+
+    const { key, keyId: currentKeyId } = await this.resolveKey(options);
+
+    const [keyId, iv, cipherText] = encryptedData.slice(ENCRYPTED_PREFIX.length).split(':');
+    if (keyId !== currentKeyId) {
+      throw new Error(`密文使用的密钥(${keyId})与当前密钥不一致`);
+    }
+
+    const plainBuffer = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: base64ToBytes(iv) },
+      key,
+      base64ToBytes(cipherText)
+    );
+
+    return new TextDecoder().decode(plainBuffer);
+  }
+
+  /**
+   * 获取本次加解密使用的密钥
+   * @param {Object} options - 可选 { key, keyId }
+   * @returns {Promise<Object>} { key, keyId }
+   */
+  async resolveKey(options) {
+    if (options.key) {
+      return { key: options.key, keyId: options.keyId };
+    }
+
+    await this.ensureUnlocked();
+    this.touch();
+    return { key: this.key, keyId: this.keyId };
+  }
+
+  /**
+   * 用共享口令生成可同步的加密信封，每个信封使用独立的盐值和IV
+   * @param {string} plaintext - 明文
+   * @param {string} passphrase - 共享口令
+   * @returns {Promise<Object>} 信封 { v, alg, kdf, iterations, salt, iv, ciphertext, keyId }
+   */
+  async createEnvelope(plaintext, passphrase) {
+    if (!passphrase) {
+      throw new Error('共享口令不能为空');
+    }
+
+    const salt = randomBytes(SALT_LENGTH);
+    const iv = randomBytes(IV_LENGTH);
+    const key = await this.generateKey(passphrase, salt);
+    const cipherBuffer = await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv },
+      key,
+      new TextEncoder().encode(plaintext)
+    );
+
+    return {
+      v: 1,
+      alg: 'AES-256-GCM',
+      kdf: 'PBKDF2-SHA256',
+      iterations: PBKDF2_ITERATIONS,
+      salt: bytesToBase64(salt),
+      iv: bytesToBase64(iv),
+      ciphertext: bytesToBase64(new Uint8Array(cipherBuffer)),
+      keyId: await this.getShareKeyId(passphrase)
+    };
+  }
+
+  /**
+   * 用共享口令打开加密信封
+   * @param {Object} envelope - 信封
+   * @param {string} passphrase - 共享口令
+   * @returns {Promise<string>} 明文
+   */
+  async openEnvelope(envelope, passphrase) {
+    if (!this.isEnvelope(envelope)) {
+      throw new Error('无效的加密信封');
+    }
+
+    const createPassphraseError = message => {
+      const error = new Error(message);
+      error.code = ERROR_CODES.INVALID_PASSPHRASE;
+      return error;
+    };
+
+    if (!passphrase) {
+      throw createPassphraseError('该记录包含加密密钥，需要共享口令才能还原');
+    }
+
+    if (envelope.keyId && envelope.keyId !== await this.getShareKeyId(passphrase)) {
+      throw createPassphraseError('共享口令与加密时使用的口令不一致');
+    }
+
+    const key = await this.generateKey(
+      passphrase,
+      base64ToBytes(envelope.salt),
+      envelope.iterations || PBKDF2_ITERATIONS
+    );
+
+    try {
+      const plainBuffer = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: base64ToBytes(envelope.iv) },
+        key,
+        base64ToBytes(envelope.ciphertext)
+      );
+      return new TextDecoder().decode(plainBuffer);
+    } catch (error) {
+      throw createPassphraseError('共享口令错误或密文已损坏');
+    }
+  }
+
+  /**
+   * 计算共享口令指纹，用于在解密前判断口令是否匹配
+   * 指纹同样经过PBKDF2派生，不会比直接破解信封更容易
+   * @param {string} passphrase - 共享口令
+   * @returns {Promise<string>} 16位十六进制指纹
+   */
+  async getShareKeyId(passphrase) {
+    const baseKey = await crypto.subtle.importKey(
+      'raw',
+      new TextEncoder().encode(passphrase),
+      'PBKDF2',
+      false,
+      ['deriveBits']
+    );
+    const bits = await crypto.subtle.deriveBits(
+      {
+        name: 'PBKDF2',
+        salt: new TextEncoder().encode(SHARE_KEY_ID_CONTEXT),
+        iterations: PBKDF2_ITERATIONS,
+        hash: 'SHA-256'
+      },
+      baseKey,
+      64
+    );
+    return Array.from(new Uint8Array(bits), b => b.toString(16).padStart(2, '0')).join('');
+  }
+
+  /**
+   * 判断值是否为加密信封
+   * @param {any} value - 待检查的值
+   * @returns {boolean}
+   */
+  isEnvelope(value) {
+    return !!value && typeof value === 'object' &&
+      typeof value.ciphertext === 'string' &&
+      typeof value.iv === 'string' &&
+      typeof value.salt === 'string';
+  }
+
+  /**
+   * 判断值是否为本服务生成的密文
+   * @param {any} value - 待检查的值
+   * @returns {boolean}
+   */
+  isEncrypted(value) {
+    return typeof value === 'string' && value.startsWith(ENCRYPTED_PREFIX);
+  }
+
+  /**
+   * 清除内存中的密钥和密钥材料，下次使用时重新初始化
+   */
+  clearMemory() {
+    this.clearAutoLockTimer();
+    this.key = null;
+    this.keyId = null;
+    this.material = null;
+  }
+}
+
+// 导出加密服务实例
+const encryptionService = new EncryptionService();
+export default encryptionService;
+export { EncryptionService };
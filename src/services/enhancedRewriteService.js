@@ -6,30 +6,74 @@
 
 import modelService from './modelService.js';
 import modelConfigManager from './modelConfigManager.js';
+import storageService from './storageService.js';
+import usageService from './usageService.js';
 import performanceMonitor from './performanceMonitor.js';
 import { RewriteRecord } from '../models/recordModels.js';
-import { RECORD_CATEGORIES, QUALITY_RATINGS } from '../utils/constants.js';
+import {
+  RECORD_CATEGORIES,
+  QUALITY_RATINGS,
+  ERROR_CODES,
+  DEFAULT_CONFIG,
+  VALIDATION_RULES
+} from '../utils/constants.js';
+
+// 分段时为提示词格式和防注入说明预留的tokens
+const CHUNK_PROMPT_RESERVE = 200;
+
+// 每段至少的tokens，避免上下文窗口过小时切得过碎
+const MIN_CHUNK_TOKENS = 100;
+
+// 句子边界：中文句末标点（可带后引号、括号）之后，英文句号后需有空白，以及段内换行；连续的标点和空白不拆开
+const SENTENCE_BOUNDARY = /(?<=[。！？!?；;…]+[”’"'）)]*|\.[”’"')]*\s+|\n)(?![。！？!?；;…”’"'）)\s])/;
+
+/**
+ * 按字数硬切超长的句子，不拆开代理对
+ * @param {string} value - 文本
+ * @param {number} size - 每片字数
+ * @returns {Array<string>} 切片
+ */
+function sliceByLength(value, size) {
+  const chars = Array.from(value);
+  const slices = [];
+  for (let i = 0; i < chars.length; i += size) {
+    slices.push(chars.slice(i, i + size).join(''));
+  }
+  return slices;
+}
 
 class EnhancedRewriteService {
   constructor() {
     this.rewriteHistory = new Map();
     this.qualityThresholds = {
       minLength: 10,
-      maxLength: 10000,
+      maxLength: VALIDATION_RULES.MAX_TEXT_LENGTH,
       qualityScore: 3 // 最低质量分数
     };
     
-    // 预设改写模板
+    // 预设改写模板，prompt作为系统提示，examples为可选的示例（原文和改写结果成对出现）
     this.rewriteTemplates = {
       'formal': {
         name: '正式化',
         prompt: '请将以下文本改写为更加正式、专业的表达方式，保持原意不变：',
-        category: RECORD_CATEGORIES.BUSINESS
+        category: RECORD_CATEGORIES.BUSINESS,
+        examples: [
+          {
+            input: '这事儿我们下周再说吧，最近实在太忙了。',
+            output: '此事拟于下周再行商议，近期工作较为繁忙，敬请谅解。'
+          }
+        ]
       },
       'casual': {
         name: '口语化',
         prompt: '请将以下文本改写为更加轻松、口语化的表达方式，保持原意不变：',
-        category: RECORD_CATEGORIES.GENERAL
+        category: RECORD_CATEGORIES.GENERAL,
+        examples: [
+          {
+            input: '本次会议旨在就项目当前进度进行全面沟通。',
+            output: '这次开会主要就是聊聊项目现在进展到哪儿了。'
+          }
+        ]
       },
       'academic': {
         name: '学术化',
@@ -44,7 +88,13 @@ class EnhancedRewriteService {
       'concise': {
         name: '简洁化',
         prompt: '请将以下文本改写得更加简洁明了，去除冗余表达，保留核心信息：',
-        category: RECORD_CATEGORIES.GENERAL
+        category: RECORD_CATEGORIES.GENERAL,
+        examples: [
+          {
+            input: '我们经过了非常仔细认真的研究和反复的讨论之后，最终做出了决定，决定把产品的发布时间往后推迟。',
+            output: '经研究讨论，我们决定推迟产品发布。'
+          }
+        ]
       },
       'detailed': {
         name: '详细化',
@@ -89,6 +139,26 @@ class EnhancedRewriteService {
         strengths: ['中文表达', '多场景适配', '智能问答'],
         bestFor: ['formal', 'casual', 'general'],
         temperature: { creative: 0.8, formal: 0.5, balanced: 0.7 }
+      },
+      'custom': {
+        strengths: ['自建部署', '网关接入'],
+        bestFor: ['general'],
+        temperature: { creative: 0.8, formal: 0.3, balanced: 0.7 }
+      },
+      'ollama': {
+        strengths: ['本地运行', '离线可用'],
+        bestFor: ['general', 'concise'],
+        temperature: { creative: 0.8, formal: 0.3, balanced: 0.6 }
+      },
+      'anthropic': {
+        strengths: ['长文本处理', '内容创作', '指令遵循'],
+        bestFor: ['formal', 'detailed', 'academic'],
+        temperature: { creative: 0.9, formal: 0.3, balanced: 0.6 }
+      },
+      'gemini': {
+        strengths: ['多语言', '长文本处理', '内容创作'],
+        bestFor: ['general', 'creative', 'marketing'],
+        temperature: { creative: 0.9, formal: 0.3, balanced: 0.7 }
       }
     };
   }
@@ -97,8 +167,10 @@ class EnhancedRewriteService {
    * 智能改写文本
    * @param {string} text - 原始文本
    * @param {string} style - 改写风格
-   * @param {Object} options - 改写选项
-   * @returns {Promise<Object>} 改写结果
+   * @param {Object} options - 改写选项，signal为取消信号，tags为文本标签（含confidential时只使用本地模型），
+   *   fallback为false时不改用备用模型，bypassCache为true时不使用缓存结果；
+   *   超出模型上下文窗口的长文自动分段改写，此时concurrency、carryContext和onProgress同rewriteInChunks
+   * @returns {Promise<Object>} 改写结果，取消时cancelled为true，命中缓存时cached为true，分段时chunks为各段情况
    */
   async rewriteText(text, style = 'general', options = {}) {
     const timerId = performanceMonitor.startTiming('EnhancedRewriteService.rewriteText');
@@ -111,24 +183,62 @@ class EnhancedRewriteService {
       }
       
       // 获取最佳模型配置
-      const modelConfig = await this.selectBestModel(style, text.length, options.preferredModel);
+      const tags = options.tags || [];
+      const modelConfig = await this.selectBestModel(style, text.length, options.preferredModel, tags);
       if (!modelConfig) {
         throw new Error('没有可用的模型配置');
       }
       
       // 构建改写提示
       const prompt = this.buildRewritePrompt(style, options.customPrompt);
+      const examples = this.buildRewriteExamples(style, options);
       
       // 优化模型参数
       const modelOptions = this.optimizeModelParameters(modelConfig.type, style, text.length);
       
-      // 执行改写
-      const rewriteResult = await modelService.rewriteText(
-        modelConfig.toStorageFormat(),
-        text,
-        prompt,
-        modelOptions
-      );
+      // 执行改写，可重试的错误依次改用备用模型；超出首选模型单次可处理的长度时分段改写
+      // 机密文本的备用模型同样只能是本地模型
+      const modelConfigs = modelService.filterConfigsByTags(options.fallback === false
+        ? [modelConfig]
+        : await this.getFallbackConfigs(modelConfig), tags);
+      const storageConfigs = modelConfigs.map(config => config.toStorageFormat());
+      const requestOptions = { ...modelOptions, examples, tags, signal: options.signal, bypassCache: options.bypassCache };
+      const chunkTokenLimit = this.getChunkTokenLimit(storageConfigs[0], prompt, {
+        ...requestOptions,
+        carryContext: options.carryContext
+      });
+      const rewriteResult = usageService.estimateTokens(text) > chunkTokenLimit
+        ? await this.rewriteInChunks(storageConfigs, text, prompt, {
+          ...requestOptions,
+          concurrency: options.concurrency,
+          carryContext: options.carryContext,
+          onProgress: options.onProgress
+        })
+        : await modelService.rewriteWithFallback(storageConfigs, text, prompt, requestOptions);
+      // 作答模型以结果中的answeredBy为准，分段改写时为第一段的模型；没有作答的模型时（如已取消）记为选中的模型
+      const answeredConfig = (rewriteResult.answeredBy &&
+        modelConfigs.find(config => config.id === rewriteResult.answeredBy.configId)) || modelConfig;
+      
+      if (rewriteResult.cancelled) {
+        // 取消的改写同样记入历史，标记为已取消以区别于失败
+        const record = new RewriteRecord({
+          originalText: text,
+          modelType: answeredConfig.type,
+          modelName: answeredConfig.name,
+          category: this.rewriteTemplates[style]?.category || RECORD_CATEGORIES.GENERAL,
+          tags,
+          metadata: { prompt, modelOptions, status: 'cancelled', skippedModels: rewriteResult.skipped }
+        });
+        this.rewriteHistory.set(record.id, record);
+        performanceMonitor.endTiming(timerId, false, { cancelled: true, style, modelType: modelConfig.type });
+        
+        return {
+          success: false,
+          cancelled: true,
+          record,
+          error: rewriteResult.error
+        };
+      }
       
       if (!rewriteResult.success) {
         throw new Error(rewriteResult.error || '改写失败');
@@ -139,25 +249,35 @@ class EnhancedRewriteService {
         text,
         rewriteResult.data,
         style,
-        modelConfig.type
+        answeredConfig.type
       );
       
-      // 创建改写记录
+      // 创建改写记录，模型为实际作答的模型
       const record = new RewriteRecord({
         originalText: text,
         rewrittenText: rewriteResult.data,
         style,
-        modelType: modelConfig.type,
-        modelName: modelConfig.name,
+        modelType: answeredConfig.type,
+        modelName: answeredConfig.name,
         category: this.rewriteTemplates[style]?.category || RECORD_CATEGORIES.GENERAL,
         qualityRating: qualityAssessment.rating,
         qualityScore: qualityAssessment.score,
+        tags,
+        cost: rewriteResult.cost || 0,
         metadata: {
           prompt,
           modelOptions,
           usage: rewriteResult.usage,
+          currency: rewriteResult.currency,
+          budgetWarning: rewriteResult.budgetWarning,
           duration: Date.now() - timerId,
-          qualityDetails: qualityAssessment.details
+          qualityDetails: qualityAssessment.details,
+          answeredBy: rewriteResult.answeredBy,
+          // 分段改写的各段可能由不同模型作答，按段记录
+          chunkAnsweredBy: rewriteResult.chunks ? rewriteResult.chunks.map(chunk => chunk.answeredBy) : undefined,
+          skippedModels: rewriteResult.skipped,
+          cached: !!rewriteResult.cached,
+          chunks: rewriteResult.chunks
         }
       });
       
@@ -167,14 +287,15 @@ class EnhancedRewriteService {
       performanceMonitor.endTiming(timerId, true, {
         textLength: text.length,
         style,
-        modelType: modelConfig.type,
+        modelType: answeredConfig.type,
         qualityRating: qualityAssessment.rating
       });
       
       performanceMonitor.log('info', 'EnhancedRewriteService', '文本改写成功', {
         recordId: record.id,
         style,
-        modelType: modelConfig.type,
+        modelType: answeredConfig.type,
+        skippedModels: rewriteResult.skipped.length,
         qualityRating: qualityAssessment.rating,
         originalLength: text.length,
         rewrittenLength: rewriteResult.data.length
@@ -186,10 +307,15 @@ class EnhancedRewriteService {
         result: rewriteResult.data,
         quality: qualityAssessment,
         model: {
-          type: modelConfig.type,
-          name: modelConfig.name
+          type: answeredConfig.type,
+          name: answeredConfig.name
         },
-        usage: rewriteResult.usage
+        skipped: rewriteResult.skipped,
+        cached: !!rewriteResult.cached,
+        usage: rewriteResult.usage,
+        cost: rewriteResult.cost || 0,
+        budgetWarning: rewriteResult.budgetWarning,
+        chunks: rewriteResult.chunks
       };
       
     } catch (error) {
@@ -198,16 +324,180 @@ class EnhancedRewriteService {
       
       return {
         success: false,
-        error: error.message
+        error: error.message,
+        code: error.code
       };
     }
   }
 
+  /**
+   * 长文分段改写：按段落、句子切分到首选模型的上下文窗口以内，有限并发逐段改写后按原顺序拼接
+   * 任一段失败或被取消时停止发起后续的段，data为从开头起已连续完成的部分
+   * @param {Array<Object>} configs - 按尝试顺序排列的模型配置（存储格式），每段各自按此顺序改用备用模型
+   * @param {string} text - 原始文本
+   * @param {string} prompt - 改写提示词
+   * @param {Object} options - 同modelService.rewriteWithFallback；concurrency为同时改写的段数，
+   *   carryContext为true时在提示词中附带上一段原文的结尾以保持衔接，
+   *   onProgress({ index, total, completed, status })在每段开始和结束时调用，status为running/done/failed/cancelled，
+   *   onChunk(index, chunk)接收各段的流式输出，attempt(config, chunkText, chunkPrompt, { onChunk, signal })可替换单段的调用方式
+   * 分段前按整篇文档的预估费用检查费用上限，超出的模型不参与改写，各段不再单独检查；机密文本只使用本地模型
+   * @returns {Promise<Object>} 合并后的结果，usage和cost为各段之和，chunks为各段的长度、作答模型和缓存情况
+   */
+  async rewriteInChunks(configs, text, prompt, options = {}) {
+    const {
+      concurrency = DEFAULT_CONFIG.CHUNK_CONCURRENCY,
+      carryContext = false,
+      onProgress,
+      onChunk,
+      attempt,
+      signal,
+      ...requestOptions
+    } = options;
+    
+    // 分段按首个可用模型的上下文窗口切分，机密文本须先排除云端模型
+    const candidates = modelService.filterConfigsByTags(configs, requestOptions.tags);
+    if (configs.length > 0 && candidates.length === 0) {
+      return { ...modelService.createLocalModelRequiredResult(), data: '', answeredBy: null, skipped: [], chunks: [] };
+    }
+    
+    // 逐段检查时每段都可能未超出上限而合计超出，这里一次性检查整篇文档
+    const budgets = await Promise.all(candidates.map(config => usageService.checkBudget(config, text, prompt)));
+    const firstAllowed = budgets.findIndex(budget => budget.allowed);
+    if (firstAllowed === -1) {
+      return {
+        success: false,
+        error: budgets.length > 0 ? budgets[0].message : '没有可用的模型配置',
+        code: budgets.length > 0 ? ERROR_CODES.BUDGET_EXCEEDED : undefined,
+        data: '',
+        answeredBy: null,
+        skipped: [],
+        chunks: []
+      };
+    }
+    // 排在前面而超出上限的模型记为跳过，和逐个模型改用备用模型时一致
+    const budgetSkipped = candidates.slice(0, firstAllowed).map((config, index) => ({
+      ...modelService.describeConfig(config),
+      error: budgets[index].message,
+      code: ERROR_CODES.BUDGET_EXCEEDED
+    }));
+    const allowedConfigs = candidates.filter((config, index) => budgets[index].allowed);
+    
+    const chunks = this.splitIntoChunks(text, this.getChunkTokenLimit(allowedConfigs[0], prompt, { ...requestOptions, carryContext }));
+    const results = new Array(chunks.length).fill(null);
+    const controller = new AbortController();
+    const abort = () => controller.abort();
+    let nextIndex = 0;
+    let completed = 0;
+    
+    const report = (index, status) => {
+      if (typeof onProgress === 'function') {
+        onProgress({ index, total: chunks.length, completed, status });
+      }
+    };
+    
+    const rewriteChunk = async (index) => {
+      const chunk = chunks[index];
+      const chunkPrompt = carryContext && index > 0 ? this.buildChunkPrompt(prompt, chunks[index - 1].text) : prompt;
+      report(index, 'running');
+      
+      const result = await modelService.rewriteWithFallback(allowedConfigs, chunk.text, chunkPrompt, {
+        ...requestOptions,
+        budgetChecked: true,
+        signal: controller.signal,
+        onChunk: (delta) => {
+          if (typeof onChunk === 'function') {
+            onChunk(index, delta);
+          }
+        },
+        ...(attempt ? { attempt: (config, attemptOptions) => attempt(config, chunk.text, chunkPrompt, attemptOptions) } : {})
+      });
+      results[index] = result;
+      
+      if (result.success) {
+        completed++;
+        report(index, 'done');
+      } else {
+        // 一段失败后其余的段也中止，避免继续产生费用
+        controller.abort();
+        report(index, result.cancelled ? 'cancelled' : 'failed');
+      }
+    };
+    
+    const worker = async () => {
+      while (nextIndex < chunks.length && !controller.signal.aborted) {
+        await rewriteChunk(nextIndex++);
+      }
+    };
+    
+    if (signal) {
+      if (signal.aborted) {
+        controller.abort();
+      }
+      signal.addEventListener('abort', abort);
+    }
+    try {
+      const workerCount = Math.min(Math.max(concurrency || 1, 1), chunks.length);
+      await Promise.all(Array.from({ length: workerCount }, worker));
+    } finally {
+      if (signal) {
+        signal.removeEventListener('abort', abort);
+      }
+    }
+    
+    // 从开头起连续完成的段才拼入结果，段后保留原文的分隔空白
+    const doneCount = results.findIndex(result => !result || !result.success);
+    const data = chunks.slice(0, doneCount === -1 ? chunks.length : doneCount)
+      .map((chunk, index) => results[index].data.trim() + chunk.separator)
+      .join('')
+      .trim();
+    const succeeded = results.filter(result => result && result.success);
+    const usage = succeeded.reduce((sum, result) => {
+      const { promptTokens, completionTokens } = usageService.normalizeUsage(result.usage || {});
+      sum.prompt_tokens += promptTokens;
+      sum.completion_tokens += completionTokens;
+      sum.total_tokens += promptTokens + completionTokens;
+      return sum;
+    }, { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 });
+    const merged = {
+      data,
+      usage,
+      cost: Math.round(succeeded.reduce((sum, result) => sum + (result.cost || 0), 0) * 1e6) / 1e6,
+      currency: succeeded.length > 0 ? succeeded[0].currency : undefined,
+      budgetWarning: budgets[firstAllowed].warning,
+      cached: succeeded.length === chunks.length && succeeded.every(result => result.cached),
+      answeredBy: results[0] && results[0].success ? results[0].answeredBy : null,
+      skipped: budgetSkipped.concat(results.flatMap((result, index) =>
+        (result ? result.skipped : []).map(item => ({ ...item, chunkIndex: index })))),
+      chunks: chunks.map((chunk, index) => ({
+        index,
+        length: chunk.text.length,
+        success: !!(results[index] && results[index].success),
+        answeredBy: results[index] ? results[index].answeredBy : null,
+        cached: !!(results[index] && results[index].cached)
+      }))
+    };
+    
+    if (signal && signal.aborted) {
+      return { ...modelService.createCancelledResult(), ...merged };
+    }
+    const failed = results.find(result => result && !result.success && !result.cancelled);
+    if (failed) {
+      const failedIndex = results.indexOf(failed);
+      return {
+        ...merged,
+        success: false,
+        error: `第${failedIndex + 1}/${chunks.length}段改写失败: ${failed.error || '未知错误'}`,
+        code: failed.code
+      };
+    }
+    return { ...merged, success: true };
+  }
+
   /**
    * 批量改写
    * @param {Array<Object>} texts - 文本数组
    * @param {string} style - 改写风格
-   * @param {Object} options - 改写选项
+   * @param {Object} options - 改写选项，signal中止后进行中的请求被取消，尚未开始的批次不再发起
    * @returns {Promise<Object>} 批量改写结果
    */
   async batchRewrite(texts, style = 'general', options = {}) {
@@ -218,6 +508,7 @@ class EnhancedRewriteService {
         total: texts.length,
         success: 0,
         failed: 0,
+        cancelled: 0,
         results: [],
         errors: []
       };
@@ -227,6 +518,10 @@ class EnhancedRewriteService {
       
       // 分批处理
       for (let i = 0; i < texts.length; i += batchSize) {
+        if (options.signal && options.signal.aborted) {
+          results.cancelled += texts.length - i;
+          break;
+        }
         const batch = texts.slice(i, i + batchSize);
         
         // 并发处理当前批次
@@ -237,7 +532,8 @@ class EnhancedRewriteService {
             concurrentBatch.map(textItem => 
               this.rewriteText(textItem.text || textItem, style, {
                 ...options,
-                id: textItem.id
+                id: textItem.id,
+                tags: textItem.tags || options.tags
               })
             )
           );
@@ -253,6 +549,8 @@ class EnhancedRewriteService {
             if (result.status === 'fulfilled' && result.value.success) {
               results.success++;
               results.results.push(result.value);
+            } else if (result.status === 'fulfilled' && result.value.cancelled) {
+              results.cancelled++;
             } else {
               results.failed++;
               const error = result.status === 'fulfilled' 
@@ -286,9 +584,10 @@ class EnhancedRewriteService {
    * @param {string} text - 原始文本
    * @param {string} style - 改写风格
    * @param {Array<string>} modelTypes - 模型类型数组
+   * @param {Object} options - 选项 { signal }，中止后未完成的模型结果标记为已取消
    * @returns {Promise<Object>} 对比结果
    */
-  async compareModels(text, style = 'general', modelTypes = null) {
+  async compareModels(text, style = 'general', modelTypes = null, options = {}) {
     const timerId = performanceMonitor.startTiming('EnhancedRewriteService.compareModels');
     
     try {
@@ -304,13 +603,16 @@ class EnhancedRewriteService {
       const promises = availableModels.map(async (config) => {
         try {
           const result = await this.rewriteText(text, style, {
-            preferredModel: config.type
+            preferredModel: config.type,
+            fallback: false,
+            signal: options.signal
           });
           
           return {
             modelType: config.type,
             modelName: config.name,
             success: result.success,
+            cancelled: !!result.cancelled,
             result: result.success ? result.result : null,
             quality: result.success ? result.quality : null,
             usage: result.success ? result.usage : null,
@@ -495,13 +797,30 @@ class EnhancedRewriteService {
     return { isValid: true };
   }
 
-  async selectBestModel(style, textLength, preferredModel = null) {
-    const availableConfigs = modelConfigManager.getAllConfigs();
+  /**
+   * 选择改写模型
+   * 标记为机密的文本只在本地模型中选择，首选模型不是本地模型时忽略；没有本地模型时抛出错误，不发往云端
+   * @param {string} style - 改写风格
+   * @param {number} textLength - 文本长度
+   * @param {string} preferredModel - 首选模型类型（可选）
+   * @param {Array<string>} tags - 文本标签
+   * @returns {Promise<Object|null>} 模型配置，没有任何配置时返回null
+   */
+  async selectBestModel(style, textLength, preferredModel = null, tags = []) {
+    const allConfigs = modelConfigManager.getAllConfigs();
     
-    if (availableConfigs.length === 0) {
+    if (allConfigs.length === 0) {
       return null;
     }
     
+    const availableConfigs = modelService.filterConfigsByTags(allConfigs, tags);
+    if (availableConfigs.length === 0) {
+      const { error: message, code } = modelService.createLocalModelRequiredResult();
+      const error = new Error(message);
+      error.code = code;
+      throw error;
+    }
+    
     // 如果指定了首选模型
     if (preferredModel) {
       const preferredConfig = availableConfigs.find(config => config.type === preferredModel);
@@ -543,6 +862,25 @@ class EnhancedRewriteService {
     return scoredConfigs[0].config;
   }
 
+  /**
+   * 是否为本地模型，内容不会发往云端，判断规则见modelService.isLocalModel
+   * @param {Object} config - 模型配置
+   * @returns {boolean}
+   */
+  isLocalModel(config) {
+    return modelService.isLocalModel(config);
+  }
+
+  // 选中的模型排在最前，其后按用户设置的备用顺序，已删除的配置自动忽略
+  async getFallbackConfigs(primaryConfig) {
+    const chain = await storageService.loadModelFallbackChain();
+    const fallbackConfigs = chain
+      .filter(configId => configId !== primaryConfig.id)
+      .map(configId => modelConfigManager.getConfig(configId))
+      .filter(Boolean);
+    return [primaryConfig, ...fallbackConfigs];
+  }
+
   buildRewritePrompt(style, customPrompt = null) {
     if (customPrompt) {
       return customPrompt;
@@ -552,6 +890,97 @@ class EnhancedRewriteService {
     return template ? template.prompt : '请改写以下文本，保持原意不变：';
   }
 
+  /**
+   * 获取改写示例：优先使用调用方传入的示例，自定义提示词时不套用模板示例
+   * @param {string} style - 改写风格
+   * @param {Object} options - 改写选项
+   * @returns {Array<Object>} 示例 [{ input, output }]
+   */
+  buildRewriteExamples(style, options = {}) {
+    if (Array.isArray(options.examples)) {
+      return options.examples;
+    }
+    if (options.customPrompt) {
+      return [];
+    }
+    const template = this.rewriteTemplates[style];
+    return (template && template.examples) || [];
+  }
+
+  /**
+   * 计算分段改写时每段原文的token上限
+   * 原文、提示词和改写结果共用上下文窗口，结果按与原文等长估计，同时不超过单次输出的maxTokens
+   * @param {Object} config - 模型配置
+   * @param {string} prompt - 改写提示词
+   * @param {Object} options - { examples, maxTokens, carryContext }
+   * @returns {number} 每段的token上限
+   */
+  getChunkTokenLimit(config, prompt, options = {}) {
+    const info = modelService.getModelInfo(config.modelType || config.type, config) || {};
+    const contextWindow = info.contextWindow || 8192;
+    const maxOutputTokens = options.maxTokens || info.maxTokens || 2000;
+    const examplesText = (options.examples || []).map(example => `${example.input}${example.output}`).join('');
+    const overhead = usageService.estimateTokens(prompt + examplesText) + CHUNK_PROMPT_RESERVE +
+      (options.carryContext ? DEFAULT_CONFIG.CHUNK_CONTEXT_CHARS : 0);
+    const byWindow = Math.floor((contextWindow - overhead) / 2);
+    return Math.max(Math.min(byWindow, maxOutputTokens), MIN_CHUNK_TOKENS);
+  }
+
+  /**
+   * 将长文切分为不超过token上限的段：优先在段落间切分，段落过长时在句子间切分，单句仍过长时按字数切分
+   * @param {string} text - 原始文本
+   * @param {number} maxTokens - 每段的token上限
+   * @returns {Array<Object>} [{ text, separator }]，separator为段后的原文空白，拼接时原样保留
+   */
+  splitIntoChunks(text, maxTokens) {
+    const splitters = [
+      value => value.split(/(?<=\n\s*\n)/),
+      value => value.split(SENTENCE_BOUNDARY),
+      value => sliceByLength(value, maxTokens)
+    ];
+    const pieces = [];
+    let current = '';
+    
+    const append = (piece, level) => {
+      if (!piece.trim() || usageService.estimateTokens(current + piece) <= maxTokens) {
+        current += piece;
+        return;
+      }
+      if (current.trim()) {
+        pieces.push(current);
+        current = '';
+      }
+      if (usageService.estimateTokens(piece) <= maxTokens || level >= splitters.length) {
+        current += piece;
+        return;
+      }
+      splitters[level](piece).forEach(part => append(part, level + 1));
+    };
+    
+    splitters[0](String(text || '')).forEach(piece => append(piece, 1));
+    if (current.trim()) {
+      pieces.push(current);
+    } else if (pieces.length > 0) {
+      pieces[pieces.length - 1] += current;
+    }
+    
+    return pieces.map(piece => {
+      const content = piece.trimEnd();
+      return { text: content, separator: piece.slice(content.length) };
+    });
+  }
+
+  /**
+   * 在提示词后附带上一段原文的结尾，供模型衔接语气和指代
+   * @param {string} prompt - 改写提示词
+   * @param {string} previousText - 上一段原文
+   * @returns {string} 本段使用的提示词
+   */
+  buildChunkPrompt(prompt, previousText) {
+    const tail = previousText.slice(-DEFAULT_CONFIG.CHUNK_CONTEXT_CHARS);
+    return `${prompt}\n\n待改写的原文节选自一篇长文，以下是紧接其前的上文结尾，仅供衔接参考，不要改写或输出这部分：\n${tail}`;
+  }
+
   optimizeModelParameters(modelType, style, textLength) {
     const capabilities = this.modelCapabilities[modelType] || {};
     const temperatures = capabilities.temperature || { creative: 0.7, formal: 0.3, balanced: 0.5 };
@@ -634,10 +1063,15 @@ class EnhancedRewriteService {
       .filter(r => r.status === 'fulfilled' && r.value.success)
       .map(r => r.value);
     
+    const cancelledCount = results
+      .filter(r => r.status === 'fulfilled' && r.value.cancelled)
+      .length;
+    
     const summary = {
       totalModels: results.length,
       successCount: successResults.length,
-      failedCount: results.length - successResults.length
+      cancelledCount,
+      failedCount: results.length - successResults.length - cancelledCount
     };
     
     if (successResults.length > 0) {
@@ -671,7 +1105,7 @@ const enhancedRewriteService = new EnhancedRewriteService();
 // 导出
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = { EnhancedRewriteService, enhancedRewriteService };
-} else {
+} else if (typeof window !== 'undefined') {
   window.EnhancedRewriteService = EnhancedRewriteService;
   window.enhancedRewriteService = enhancedRewriteService;
 }
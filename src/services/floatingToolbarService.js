@@ -0,0 +1,122 @@
+/**
+ * 划词工具栏设置服务
+ * 划词工具栏默认关闭；开启后在网页中选中文字时显示快捷改写按钮，可按网站名单限制显示范围
+ * 内容脚本直接读取保存的设置，按钮名称随设置一起保存
+ */
+
+import storageService from './storageService.js';
+import enhancedRewriteService from './enhancedRewriteService.js';
+import { normalizeSite, matchesSite, isSiteAllowed, buildToolbarConfig } from '../utils/floatingToolbarRules.js';
+
+// 划词工具栏设置的存储键，内容脚本监听此键的变化
+export const FLOATING_TOOLBAR_SETTINGS_KEY = 'floatingToolbarSettings';
+
+// 默认显示的快捷改写风格
+const DEFAULT_TOOLBAR_STYLES = ['formal', 'casual', 'concise'];
+
+class FloatingToolbarService {
+  /**
+   * 规范化网站名单中的一项：去掉协议、路径、端口和通配前缀，只保留小写域名
+   * @param {string} site - 用户填写的网站，如 https://www.example.com/path 或 *.example.com
+   * @returns {string} 域名，无效时为空字符串
+   */
+  normalizeSite(site) {
+    return normalizeSite(site);
+  }
+
+  /**
+   * 规范化设置，去掉无效和重复的网站及不存在的改写风格，并记下各风格的名称供内容脚本显示
+   * @param {Object} settings - 设置 { enabled, allowedSites, blockedSites, styles }
+   * @returns {Object} 规范化后的设置 { enabled, allowedSites, blockedSites, styles, styleNames }
+   */
+  normalizeSettings(settings = {}) {
+    const normalizeSites = sites => [...new Set((sites || []).map(site => this.normalizeSite(site)).filter(Boolean))];
+    const styles = (settings.styles || DEFAULT_TOOLBAR_STYLES)
+      .filter(style => enhancedRewriteService.rewriteTemplates[style]);
+    const uniqueStyles = [...new Set(styles)];
+    return {
+      enabled: !!settings.enabled,
+      allowedSites: normalizeSites(settings.allowedSites),
+      blockedSites: normalizeSites(settings.blockedSites),
+      styles: uniqueStyles,
+      styleNames: Object.fromEntries(uniqueStyles.map(style => [style, enhancedRewriteService.rewriteTemplates[style].name]))
+    };
+  }
+
+  /**
+   * 读取划词工具栏设置
+   * @returns {Promise<Object>} 设置
+   */
+  async getSettings() {
+    return this.normalizeSettings(await storageService.loadData(FLOATING_TOOLBAR_SETTINGS_KEY) || {});
+  }
+
+  /**
+   * 保存划词工具栏设置
+   * @param {Object} settings - 设置
+   * @returns {Promise<Object>} 保存后的设置
+   */
+  async saveSettings(settings) {
+    const saved = this.normalizeSettings(settings);
+    await storageService.saveData(FLOATING_TOOLBAR_SETTINGS_KEY, saved);
+    return saved;
+  }
+
+  /**
+   * 判断网站是否在名单中，名单中的域名同时匹配其子域名
+   * @param {string} hostname - 网页域名
+   * @param {Array<string>} sites - 网站名单
+   * @returns {boolean}
+   */
+  matchesSite(hostname, sites) {
+    return matchesSite(hostname, sites);
+  }
+
+  /**
+   * 判断网站是否显示划词工具栏：不在停用名单中，且启用名单为空或在启用名单中
+   * @param {Object} settings - 设置
+   * @param {string} hostname - 网页域名
+   * @returns {boolean}
+   */
+  isSiteAllowed(settings, hostname) {
+    return isSiteAllowed(settings, hostname);
+  }
+
+  /**
+   * 获取网页中的工具栏配置，与内容脚本按存储中的设置计算的结果一致
+   * @param {string} hostname - 网页域名
+   * @returns {Promise<Object>} { enabled, styles: [{ key, name }] }
+   */
+  async getToolbarConfig(hostname) {
+    return buildToolbarConfig(await this.getSettings(), hostname);
+  }
+
+  /**
+   * 重新保存已有的设置，更新其中记下的风格名称；扩展安装或升级时调用
+   * @returns {Promise<void>}
+   */
+  async refreshStoredSettings() {
+    const stored = await storageService.loadData(FLOATING_TOOLBAR_SETTINGS_KEY);
+    if (stored) {
+      await this.saveSettings(stored);
+    }
+  }
+
+  /**
+   * 在指定网站停用划词工具栏
+   * @param {string} hostname - 网页域名
+   * @returns {Promise<Object>} 保存后的设置
+   */
+  async blockSite(hostname) {
+    const settings = await this.getSettings();
+    return this.saveSettings({
+      ...settings,
+      blockedSites: [...settings.blockedSites, hostname]
+    });
+  }
+}
+
+// 导出划词工具栏设置服务实例
+const floatingToolbarService = new FloatingToolbarService();
+export default floatingToolbarService;
+export { FloatingToolbarService };
@@ -8,6 +8,7 @@ import ModelAdapterFactory from './adapters/modelAdapterFactory.js';
 import storageService from './storageService.js';
 import modelService from './modelService.js';
 import performanceMonitor from './performanceMonitor.js';
+import encryptionService from './encryptionService.js';
 import { MODEL_TYPES, EVENT_TYPES } from '../utils/constants.js';
 
 class ModelConfigManager {
@@ -17,6 +18,8 @@ class ModelConfigManager {
     this.validationCache = new Map();
     this.eventListeners = new Map();
     this.isInitialized = false;
+    this.isLocked = false;
+    this.handleLockChange = this.handleLockChange.bind(this);
     
     // 配置验证规则
     this.validationRules = {
@@ -41,6 +44,11 @@ class ModelConfigManager {
     const timerId = performanceMonitor.startTiming('ModelConfigManager.initialize');
     
     try {
+      // 启用主密码时以锁定状态启动，密钥字段保持密文
+      await encryptionService.initialize();
+      this.isLocked = encryptionService.isLocked();
+      encryptionService.addLockListener(this.handleLockChange);
+      
       // 从存储加载配置
       await this.loadConfigs();
       
@@ -52,7 +60,8 @@ class ModelConfigManager {
       performanceMonitor.endTiming(timerId, true);
       performanceMonitor.log('info', 'ModelConfigManager', '配置管理器初始化完成', {
         configCount: this.configs.size,
-        activeConfigId: this.activeConfigId
+        activeConfigId: this.activeConfigId,
+        isLocked: this.isLocked
       });
       
     } catch (error) {
@@ -71,6 +80,8 @@ class ModelConfigManager {
     const timerId = performanceMonitor.startTiming('ModelConfigManager.createConfig');
     
     try {
+      await this.ensureUnlocked();
+      
       // 验证配置数据
       const validation = await this.validateConfig(configData);
       if (!validation.isValid) {
@@ -133,6 +144,8 @@ class ModelConfigManager {
     const timerId = performanceMonitor.startTiming('ModelConfigManager.updateConfig');
     
     try {
+      await this.ensureUnlocked();
+      
       const config = this.configs.get(configId);
       if (!config) {
         throw new Error(`配置不存在: ${configId}`);
@@ -265,7 +278,7 @@ class ModelConfigManager {
       this.activeConfigId = configId;
       
       // 保存活跃配置ID
-      await storageService.setItem('activeModelConfigId', configId);
+      await storageService.saveData('activeModelConfigId', configId);
       
       // 清除旧配置的适配器缓存
       if (oldConfigId) {
@@ -344,15 +357,22 @@ class ModelConfigManager {
     try {
       const errors = [];
       
+      // 本地Ollama和无需鉴权的自定义模型可以不填API密钥
+      const keyless = configData.authStyle === 'none' || configData.type === MODEL_TYPES.OLLAMA;
+      const skippedFields = keyless ? ['apiKey'] : [];
+      
       // 基础字段验证
       for (const field of this.validationRules.required) {
-        if (!configData[field]) {
+        if (!configData[field] && !skippedFields.includes(field)) {
           errors.push(`${field} 是必填字段`);
         }
       }
       
       // 类型验证
       for (const [field, validator] of Object.entries(this.validationRules.typeValidation)) {
+        if (skippedFields.includes(field)) {
+          continue;
+        }
         if (configData[field] !== undefined && !validator(configData[field])) {
           errors.push(`${field} 格式不正确`);
         }
@@ -481,6 +501,8 @@ class ModelConfigManager {
     const timerId = performanceMonitor.startTiming('ModelConfigManager.importConfigs');
     
     try {
+      await this.ensureUnlocked();
+      
       const results = {
         total: configsData.length,
         success: 0,
@@ -504,7 +526,10 @@ class ModelConfigManager {
           // 创建或更新配置
           let config;
           if (existingConfig && options.overwrite) {
-            config = await this.updateConfig(existingConfig.id, configData);
+            config = await this.updateConfig(existingConfig.id, {
+              ...configData,
+              testConnection: options.testConnection !== false
+            });
           } else {
             config = await this.createConfig({
               ...configData,
@@ -580,11 +605,32 @@ class ModelConfigManager {
     }
   }
 
+  /**
+   * 确保密钥已解锁，锁定时抛出VAULT_LOCKED错误
+   * @returns {Promise<void>}
+   */
+  async ensureUnlocked() {
+    await encryptionService.ensureUnlocked();
+  }
+
   // 私有方法
+  async handleLockChange(eventType) {
+    this.isLocked = eventType === EVENT_TYPES.VAULT_LOCKED;
+    
+    try {
+      // 重新加载，解锁后得到明文，锁定后内存中只剩密文
+      await this.loadConfigs();
+    } catch (error) {
+      performanceMonitor.recordError(error, 'ModelConfigManager.handleLockChange');
+    }
+    
+    this.dispatchEvent(eventType, { isLocked: this.isLocked });
+  }
+
   async loadConfigs() {
     try {
-      const configsData = await storageService.getItem('modelConfigs') || [];
-      const activeConfigId = await storageService.getItem('activeModelConfigId');
+      const configsData = await storageService.loadData('modelConfigs') || [];
+      const activeConfigId = await storageService.loadData('activeModelConfigId');
       
       this.configs.clear();
       
@@ -604,7 +650,7 @@ class ModelConfigManager {
   async saveConfigs() {
     try {
       const configsData = Array.from(this.configs.values()).map(config => config.toStorageFormat());
-      await storageService.setItem('modelConfigs', configsData);
+      await storageService.saveData('modelConfigs', configsData);
     } catch (error) {
       performanceMonitor.recordError(error, 'ModelConfigManager.saveConfigs');
       throw new Error(`保存配置失败: ${error.message}`);
@@ -661,7 +707,7 @@ const modelConfigManager = new ModelConfigManager();
 // 导出
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = { ModelConfigManager, modelConfigManager };
-} else {
+} else if (typeof window !== 'undefined') {
   window.ModelConfigManager = ModelConfigManager;
   window.modelConfigManager = modelConfigManager;
 }
@@ -3,15 +3,25 @@
  * 处理不同大模型的API调用
  */
 
-import { retry } from '../utils/utils.js';
+import { retry, isRetryableError, isPrivateNetworkUrl } from '../utils/utils.js';
 import storageService from './storageService.js';
+import sensitiveDataHandler from './sensitiveDataHandler.js';
+import encryptionService from './encryptionService.js';
+import rewriteCacheService from './rewriteCacheService.js';
+import usageService from './usageService.js';
 import ModelAdapterFactory from './adapters/modelAdapterFactory.js';
-import { MODEL_TYPES, MODEL_CONFIGS } from '../utils/constants.js';
+import { MODEL_TYPES, MODEL_CONFIGS, ERROR_CODES, DEFAULT_CONFIG, MODEL_RETRYABLE_ERRORS, CONFIDENTIAL_TAG } from '../utils/constants.js';
+
+// 侧边栏与后台之间转发流式改写输出的Port名称
+export const REWRITE_STREAM_PORT = 'rewriteStream';
 
 class ModelService {
   constructor() {
     this.adapters = new Map(); // 缓存适配器实例
     this.performanceMetrics = new Map(); // 性能指标
+
+    // 锁定时丢弃持有明文密钥的适配器
+    encryptionService.addLockListener(() => this.clearAdapterCache());
   }
 
   // 支持的模型类型（从常量导入）
@@ -65,7 +75,7 @@ class ModelService {
     const startTime = Date.now();
     
     try {
-      const adapter = this.getAdapter(config);
+      const adapter = this.getAdapter(await sensitiveDataHandler.revealSensitiveData(config, 'modelConfig'));
       const result = await adapter.testConnection();
       
       // 记录性能指标
@@ -81,31 +91,111 @@ class ModelService {
       return {
         success: false,
         error: error.message,
+        code: error.code,
         message: '模型连接测试失败'
       };
     }
   }
 
+  /**
+   * 列出模型服务上可用的模型，目前仅本地Ollama支持
+   * 表单中的地址随时可能修改，这里不复用缓存的适配器
+   * @param {Object} config - 模型配置
+   * @returns {Promise<Object>} { success, models }
+   */
+  async listModels(config) {
+    try {
+      const adapter = ModelAdapterFactory.createAdapter(config.type, config);
+      if (typeof adapter.listModels !== 'function') {
+        throw new Error(`${config.type} 不支持获取模型列表`);
+      }
+      return {
+        success: true,
+        models: await adapter.listModels()
+      };
+    } catch (error) {
+      console.error('获取模型列表失败:', error);
+      return {
+        success: false,
+        error: error.message,
+        code: error.code
+      };
+    }
+  }
+
   /**
    * 调用AI模型进行文本改写
    * @param {Object} config - 模型配置
    * @param {string} text - 待改写的文本
    * @param {string} rewritePrompt - 改写提示词
-   * @param {Object} options - 额外选项
-   * @returns {Promise<Object>}
+   * @param {Object} options - 额外选项，传入onChunk(text)时流式返回改写内容，传入signal可中途取消，
+   *   bypassCache为true时不读取缓存（成功的结果仍会写入缓存），tags为文本标签（机密文本只发给本地模型，且不读写缓存），
+   *   budgetChecked为true表示调用方已按整篇文档检查过费用上限（分段改写），本次不再检查
+   * @returns {Promise<Object>} 取消时返回 { success: false, cancelled: true }；命中缓存时cached为true；
+   *   成功时附带本次费用cost，超出费用上限但仅提醒时附带budgetWarning
    */
   async rewriteText(config, text, rewritePrompt, options = {}) {
     const startTime = Date.now();
+    const { bypassCache = false, tags = [], budgetChecked = false, ...requestOptions } = options;
+    if (options.signal && options.signal.aborted) {
+      return this.createCancelledResult();
+    }
+    if (this.filterConfigsByTags([config], tags).length === 0) {
+      return this.createLocalModelRequiredResult();
+    }
     
     try {
-      const adapter = this.getAdapter(config);
-      const result = await adapter.rewriteText(text, rewritePrompt, options);
+      const cacheable = await rewriteCacheService.isCacheable(tags);
+      const cacheKey = cacheable ? await rewriteCacheService.buildKey(config, text, rewritePrompt, requestOptions) : null;
+      if (cacheable && !bypassCache) {
+        const cached = await rewriteCacheService.get(cacheKey);
+        if (cached) {
+          if (typeof options.onChunk === 'function') {
+            options.onChunk(cached.data);
+          }
+          return {
+            success: true,
+            data: cached.data,
+            usage: cached.usage,
+            cached: true,
+            cachedAt: cached.createdAt,
+            message: '改写成功（缓存结果）'
+          };
+        }
+      }
+      
+      // 预计超出费用上限时，按配置阻止请求或仅提醒
+      const budget = budgetChecked ? { allowed: true } : await usageService.checkBudget(config, text, rewritePrompt);
+      if (!budget.allowed) {
+        const error = new Error(budget.message);
+        error.code = ERROR_CODES.BUDGET_EXCEEDED;
+        throw error;
+      }
+      
+      const adapter = this.getAdapter(await sensitiveDataHandler.revealSensitiveData(config, 'modelConfig'));
+      const result = await adapter.rewriteText(text, rewritePrompt, requestOptions);
+      
+      // 适配器把取消当作普通失败返回，这里按取消信号改为取消结果
+      if (!result.success && options.signal && options.signal.aborted) {
+        this.recordPerformanceMetric(config.type, 'rewriteText', Date.now() - startTime, false, true);
+        return this.createCancelledResult();
+      }
       
       // 记录性能指标
       this.recordPerformanceMetric(config.type, 'rewriteText', Date.now() - startTime, result.success);
       
-      // 记录使用统计
-      this.recordUsageStats(config.type, result.usage || {});
+      if (result.success) {
+        // 记录用量和费用
+        const accounting = await this.recordUsageStats(config, result.usage || {});
+        result.cost = accounting.cost;
+        result.currency = accounting.currency;
+        if (budget.warning) {
+          result.budgetWarning = budget.warning;
+        }
+        if (cacheable) {
+          await rewriteCacheService.set(cacheKey, result, config);
+        }
+      }
       
       return result;
     } catch (error) {
@@ -117,19 +207,181 @@ class ModelService {
       return {
         success: false,
         error: error.message,
+        code: error.code,
         message: '文本改写失败'
       };
     }
   }
 
+  /**
+   * 按顺序使用多个模型配置改写，前一个出现限流、超时、网络或服务端错误时改用下一个
+   * 流式输出已经开始后不再切换，避免不同模型的内容混在一起；标记为机密的文本只在本地模型之间切换
+   * @param {Array<Object>} configs - 按尝试顺序排列的模型配置，第一个为首选
+   * @param {string} text - 待改写的文本
+   * @param {string} rewritePrompt - 改写提示词
+   * @param {Object} options - 同rewriteText；timeout为单个模型的响应超时（毫秒），流式输出时每收到一段重新计时，
+   *   attempt(config, { onChunk, signal })可替换单次调用方式（如经后台流式改写）
+   * @returns {Promise<Object>} 最后一次尝试的结果，附带answeredBy（作答的模型）和skipped（被跳过的模型及原因）
+   */
+  async rewriteWithFallback(configs, text, rewritePrompt, options = {}) {
+    const {
+      attempt = (config, attemptOptions) => this.rewriteText(config, text, rewritePrompt, { ...requestOptions, ...attemptOptions }),
+      timeout = DEFAULT_CONFIG.MODEL_RESPONSE_TIMEOUT,
+      onChunk,
+      signal,
+      ...requestOptions
+    } = options;
+    const candidates = this.filterConfigsByTags(configs, requestOptions.tags);
+    if (configs.length > 0 && candidates.length === 0) {
+      return { ...this.createLocalModelRequiredResult(), answeredBy: null, skipped: [] };
+    }
+    const skipped = [];
+    let result = { success: false, error: '没有可用的模型配置' };
+    
+    for (let i = 0; i < candidates.length; i++) {
+      const config = candidates[i];
+      if (signal && signal.aborted) {
+        result = this.createCancelledResult();
+        break;
+      }
+      
+      // 每个模型单独计时，用户取消时一并中止当前请求
+      const controller = new AbortController();
+      const abort = () => controller.abort();
+      let timedOut = false;
+      let started = false;
+      let timer = null;
+      const resetTimer = () => {
+        clearTimeout(timer);
+        timer = setTimeout(() => {
+          timedOut = true;
+          controller.abort();
+        }, timeout);
+      };
+      resetTimer();
+      if (signal) {
+        signal.addEventListener('abort', abort);
+      }
+      
+      // 流式输出中途停滞同样算作超时，避免连接一直不结束
+      const attemptOnChunk = typeof onChunk === 'function'
+        ? (chunk) => {
+          started = true;
+          resetTimer();
+          onChunk(chunk);
+        }
+        : null;
+      
+      try {
+        result = await attempt(config, { onChunk: attemptOnChunk, signal: controller.signal });
+      } catch (error) {
+        result = { success: false, error: error.message, code: error.code };
+      } finally {
+        clearTimeout(timer);
+        if (signal) {
+          signal.removeEventListener('abort', abort);
+        }
+      }
+      
+      if (timedOut && !result.success) {
+        result = {
+          success: false,
+          error: `模型响应超时（${Math.round(timeout / 1000)}秒）`,
+          code: ERROR_CODES.TIMEOUT
+        };
+      }
+      
+      if (result.success || result.cancelled || started || i === candidates.length - 1) {
+        break;
+      }
+      
+      const error = new Error(result.error || '');
+      error.code = result.code;
+      if (!isRetryableError(error, MODEL_RETRYABLE_ERRORS)) {
+        break;
+      }
+      skipped.push({ ...this.describeConfig(config), error: result.error, code: result.code });
+    }
+    
+    const answered = result.success ? candidates[skipped.length] : null;
+    return {
+      ...result,
+      answeredBy: answered ? this.describeConfig(answered) : null,
+      skipped
+    };
+  }
+
+  /**
+   * 生成用于记录的模型配置摘要，不含密钥
+   * @param {Object} config - 模型配置
+   * @returns {Object} { configId, name, modelType }
+   */
+  describeConfig(config) {
+    return {
+      configId: config.id,
+      name: config.name,
+      modelType: config.modelType || config.type
+    };
+  }
+
+  /**
+   * 是否为本地模型：模型类型在本机运行，且服务地址为本机或局域网地址
+   * Ollama等本地模型的地址也可能被改为公网服务器，此时不视为本地模型
+   * @param {Object} config - 模型配置
+   * @returns {boolean}
+   */
+  isLocalModel(config) {
+    const defaults = MODEL_CONFIGS[config.modelType || config.type] || {};
+    return !!defaults.local && isPrivateNetworkUrl(config.baseUrl || defaults.baseUrl);
+  }
+
+  /**
+   * 按文本标签筛选可用的模型配置，机密文本只保留本地模型
+   * @param {Array<Object>} configs - 模型配置
+   * @param {Array<string>} tags - 文本标签
+   * @returns {Array<Object>} 可用的模型配置
+   */
+  filterConfigsByTags(configs, tags = []) {
+    return (tags || []).includes(CONFIDENTIAL_TAG) ? configs.filter(config => this.isLocalModel(config)) : configs;
+  }
+
+  /**
+   * 创建机密文本没有可用本地模型的结果
+   * @returns {Object} 失败结果
+   */
+  createLocalModelRequiredResult() {
+    const error = '文本已标记为机密，但没有可用的本地模型，为避免内容发往云端已停止改写';
+    return {
+      success: false,
+      code: ERROR_CODES.LOCAL_MODEL_REQUIRED,
+      error,
+      message: error
+    };
+  }
+
+  /**
+   * 创建改写已取消的结果
+   * @returns {Object} 取消结果
+   */
+  createCancelledResult() {
+    return {
+      success: false,
+      cancelled: true,
+      code: ERROR_CODES.CANCELLED,
+      error: '改写已取消',
+      message: '改写已取消'
+    };
+  }
+
   /**
    * 记录性能指标
    * @param {string} modelType - 模型类型
    * @param {string} operation - 操作类型
    * @param {number} duration - 耗时（毫秒）
    * @param {boolean} success - 是否成功
+   * @param {boolean} cancelled - 是否被用户取消，取消的请求不计入失败
    */
-  recordPerformanceMetric(modelType, operation, duration, success) {
+  recordPerformanceMetric(modelType, operation, duration, success, cancelled = false) {
     const key = `${modelType}_${operation}`;
     
     if (!this.performanceMetrics.has(key)) {
@@ -137,6 +389,7 @@ class ModelService {
         totalRequests: 0,
         successRequests: 0,
         failedRequests: 0,
+        cancelledRequests: 0,
         totalDuration: 0,
         avgDuration: 0,
         minDuration: Infinity,
@@ -149,6 +402,8 @@ class ModelService {
     
     if (success) {
       metrics.successRequests++;
+    } else if (cancelled) {
+      metrics.cancelledRequests++;
     } else {
       metrics.failedRequests++;
     }
@@ -161,12 +416,17 @@ class ModelService {
 
   /**
    * 记录使用统计
-   * @param {string} modelType - 模型类型
+   * @param {Object} config - 模型配置
    * @param {Object} usage - 使用统计
+   * @returns {Promise<Object>} 本次 { promptTokens, completionTokens, cost, currency }，统计失败时费用记为0
    */
-  recordUsageStats(modelType, usage) {
-    // 可以扩展为更详细的使用统计记录
-    console.log(`${modelType} usage:`, usage);
+  async recordUsageStats(config, usage) {
+    try {
+      return await usageService.recordUsage(config, usage);
+    } catch (error) {
+      console.error('记录用量统计失败:', error);
+      return { ...usageService.normalizeUsage(usage), cost: 0, currency: config.currency || 'CNY' };
+    }
   }
 
   /**
@@ -229,13 +489,15 @@ class ModelService {
   /**
    * 获取模型信息
    * @param {string} modelType - 模型类型
+   * @param {Object} config - 模型配置（可选），传入时按其模型名和参数返回
    * @returns {Object} 模型信息
    */
-  getModelInfo(modelType) {
+  getModelInfo(modelType, config = {}) {
     try {
       const defaultConfig = ModelAdapterFactory.getDefaultConfig(modelType);
       const tempAdapter = ModelAdapterFactory.createAdapter(modelType, {
         ...defaultConfig,
+        ...config,
         apiKey: 'temp'
       });
       
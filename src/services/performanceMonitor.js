@@ -64,7 +64,7 @@ class PerformanceMonitor {
    * 结束性能计时
    * @param {string} timerId - 计时器ID
    * @param {boolean} success - 是否成功
-   * @param {Object} result - 结果数据
+   * @param {Object} result - 结果数据，cancelled为true时记为已取消而非失败
    * @returns {Object} 性能指标
    */
   endTiming(timerId, success = true, result = {}) {
@@ -76,6 +76,7 @@ class PerformanceMonitor {
     
     const endTime = performance.now();
     const duration = endTime - metric.startTime;
+    const cancelled = !success && result.cancelled === true;
     
     const performanceData = {
       ...metric,
@@ -83,7 +84,7 @@ class PerformanceMonitor {
       duration,
       success,
       result,
-      status: 'completed'
+      status: cancelled ? 'cancelled' : 'completed'
     };
     
     // 更新指标
@@ -94,9 +95,9 @@ class PerformanceMonitor {
     
     // 记录日志
     this.log(
-      success ? 'info' : 'error',
+      success || cancelled ? 'info' : 'error',
       'Performance',
-      `${metric.operation} ${success ? '完成' : '失败'}`,
+      `${metric.operation} ${success ? '完成' : cancelled ? '已取消' : '失败'}`,
       {
         duration: `${duration.toFixed(2)}ms`,
         success,
@@ -129,7 +130,7 @@ class PerformanceMonitor {
       message,
       data,
       sessionId: this.sessionId,
-      url: window.location?.href || 'unknown'
+      url: (typeof window !== 'undefined' && window.location?.href) || 'unknown'
     };
     
     this.logs.unshift(logEntry);
@@ -506,7 +507,7 @@ const performanceMonitor = new PerformanceMonitor();
 // 导出
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = { PerformanceMonitor, performanceMonitor };
-} else {
+} else if (typeof window !== 'undefined') {
   window.PerformanceMonitor = PerformanceMonitor;
   window.performanceMonitor = performanceMonitor;
 }
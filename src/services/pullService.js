@@ -0,0 +1,254 @@
+/**
+ * 表格拉取服务
+ * 从多维表格读取已同步的记录，预览后还原为本地的模型配置、表格配置和改写记录
+ */
+
+import TableService from './tableService.js';
+import DataMapper from './dataMapper.js';
+import storageService from './storageService.js';
+import modelConfigManager from './modelConfigManager.js';
+import encryptionService from './encryptionService.js';
+
+// 可以从表格还原的数据类型及其本地存储键
+const PULLABLE_TYPES = {
+  modelConfig: 'modelConfigs',
+  tableConfig: 'tableConfigs',
+  rewriteRecord: 'rewriteRecords'
+};
+
+class PullService {
+  /**
+   * 读取表格记录并生成预览
+   * @param {Object} sourceConfig - 记录所在的多维表格配置（已解密）
+   * @param {string} tableName - 同步时使用的表格名称或ID
+   * @param {Object} options - 选项 { passphrase }，未提供口令时使用配置中保存的共享口令
+   * @returns {Promise<Array>} 预览项 [{ recordId, type, name, data, exists, error, code }]
+   */
+  async previewFromTable(sourceConfig, tableName, options = {}) {
+    if (!sourceConfig) {
+      throw new Error('请选择拉取来源配置');
+    }
+
+    const tableService = new TableService({
+      ...sourceConfig,
+      tableToken: sourceConfig.tableToken || sourceConfig.tableId,
+      tableId: tableName
+    });
+    const rows = await tableService.pullRecords();
+    const passphrase = options.passphrase || sourceConfig.sharePassphrase;
+    const localItems = await this.loadLocalItems();
+
+    const items = [];
+    for (const row of rows) {
+      const recordId = row.metadata?.recordId || row.id;
+      try {
+        const restored = await DataMapper.secureDeserializeFromTable(row, { passphrase });
+        const type = row.type || restored.type;
+        if (!PULLABLE_TYPES[type]) {
+          continue;
+        }
+
+        const data = this.toLocalFormat(restored, type);
+        items.push({
+          recordId,
+          type,
+          name: data.name || '未命名',
+          data,
+          exists: !!this.findLocalItem(localItems[type], data),
+          error: null
+        });
+      } catch (error) {
+        items.push({
+          recordId,
+          type: row.type || this.peekType(row),
+          name: row.name || recordId,
+          data: null,
+          exists: false,
+          error: error.message,
+          code: error.code
+        });
+      }
+    }
+
+    return items;
+  }
+
+  /**
+   * 导入选中的预览项
+   * 模型配置经由ModelConfigManager导入，表格配置和改写记录直接写入存储
+   * @param {Array} items - previewFromTable返回的预览项
+   * @param {Object} options - 选项 { overwrite }，为false时跳过本地已存在的数据
+   * @returns {Promise<Object>} 导入结果 { total, success, failed, skipped, errors }
+   */
+  async importItems(items, options = {}) {
+    await encryptionService.ensureUnlocked();
+
+    const results = {
+      total: items.length,
+      success: 0,
+      failed: 0,
+      skipped: 0,
+      errors: []
+    };
+    const localItems = await this.loadLocalItems();
+    const pending = { modelConfig: [], tableConfig: [], rewriteRecord: [] };
+
+    for (const item of items) {
+      if (item.error || !item.data || !pending[item.type]) {
+        results.failed++;
+        results.errors.push(`无法导入 ${item.name}: ${item.error || '数据无效'}`);
+        continue;
+      }
+
+      const existing = this.findLocalItem(localItems[item.type], item.data);
+      if (existing && !options.overwrite) {
+        results.skipped++;
+        continue;
+      }
+
+      // 覆盖时沿用本地ID，避免同名数据出现两份
+      pending[item.type].push(existing ? { ...item.data, id: existing.id } : item.data);
+    }
+
+    if (pending.modelConfig.length > 0) {
+      await modelConfigManager.initialize();
+      // 侧边栏可能在管理器初始化后修改过存储，导入前重新加载以免覆盖
+      await modelConfigManager.loadConfigs();
+
+      const imported = await modelConfigManager.importConfigs(
+        pending.modelConfig.map(config => ({ ...config, type: config.modelType })),
+        { overwrite: true, testConnection: false }
+      );
+      results.success += imported.success;
+      results.failed += imported.failed;
+      results.errors.push(...imported.errors);
+    }
+
+    for (const config of pending.tableConfig) {
+      await this.importWith(results, config, () => storageService.saveTableConfig(config));
+    }
+
+    for (const record of pending.rewriteRecord) {
+      await this.importWith(results, record, () => storageService.saveRewriteRecord(record));
+    }
+
+    return results;
+  }
+
+  /**
+   * 用远端数据覆盖本地同ID数据，用于增量同步中拉取远端修改
+   * 保留远端的updatedAt和本地的metadata，前者用于下次增量比较，后者记录本机的同步偏好
+   * @param {string} type - 数据类型
+   * @param {Object} restored - DataMapper还原的数据
+   * @returns {Promise<Object>} 保存后的本地数据
+   */
+  async applyRemoteUpdate(type, restored) {
+    const storageKey = PULLABLE_TYPES[type];
+    if (!storageKey) {
+      throw new Error(`不支持的数据类型: ${type}`);
+    }
+
+    const list = await storageService.loadData(storageKey) || [];
+    const data = this.toLocalFormat(restored, type);
+    const index = list.findIndex(item => item.id === data.id);
+    const saved = {
+      ...(index >= 0 ? list[index] : {}),
+      ...data,
+      metadata: index >= 0 && list[index].metadata ? list[index].metadata : data.metadata,
+      updatedAt: data.updatedAt || new Date().toISOString()
+    };
+
+    if (index >= 0) {
+      list[index] = saved;
+    } else {
+      list.push(saved);
+    }
+    await storageService.saveData(storageKey, list);
+
+    return saved;
+  }
+
+  /**
+   * 执行单项导入并记录结果
+   * @param {Object} results - 导入结果
+   * @param {Object} data - 导入的数据
+   * @param {Function} save - 保存函数
+   * @returns {Promise<void>}
+   */
+  async importWith(results, data, save) {
+    try {
+      await save();
+      results.success++;
+    } catch (error) {
+      results.failed++;
+      results.errors.push(`导入失败 ${data.name}: ${error.message}`);
+    }
+  }
+
+  /**
+   * 将还原的同步数据整理为本地存储格式
+   * 同步数据中的tableToken/tableId指向同步目的表格，不属于原始配置
+   * @param {Object} restored - DataMapper还原的数据
+   * @param {string} type - 数据类型
+   * @returns {Object} 本地格式数据
+   */
+  toLocalFormat(restored, type) {
+    const data = { ...restored };
+    delete data.syncMetadata;
+    delete data.tableToken;
+    delete data.tableId;
+
+    switch (type) {
+    case 'modelConfig':
+      data.modelType = data.modelType || data.type;
+      break;
+    case 'tableConfig':
+      data.tableId = data.sourceTableId || '';
+      delete data.sourceTableId;
+      break;
+    }
+
+    return data;
+  }
+
+  /**
+   * 在还原失败时从原始数据中读取类型，便于预览列表展示
+   * @param {Object} row - 表格数据
+   * @returns {string} 数据类型
+   */
+  peekType(row) {
+    try {
+      return JSON.parse(row.data).type || '';
+    } catch (error) {
+      return '';
+    }
+  }
+
+  /**
+   * 加载本地已有数据，用于判断预览项是否已存在
+   * @returns {Promise<Object>} 按数据类型分组的本地数据
+   */
+  async loadLocalItems() {
+    const localItems = {};
+    for (const [type, storageKey] of Object.entries(PULLABLE_TYPES)) {
+      localItems[type] = await storageService.loadData(storageKey) || [];
+    }
+    return localItems;
+  }
+
+  /**
+   * 按ID或名称查找本地数据
+   * @param {Array} list - 本地数据列表
+   * @param {Object} data - 待匹配数据
+   * @returns {Object|undefined} 匹配的本地数据
+   */
+  findLocalItem(list, data) {
+    return (list || []).find(item => item.id === data.id) ||
+      (list || []).find(item => item.name && item.name === data.name);
+  }
+}
+
+// 导出表格拉取服务实例
+const pullService = new PullService();
+export default pullService;
+export { PullService };
@@ -0,0 +1,308 @@
+/**
+ * 改写结果缓存服务
+ * 相同文本、提示词、模型和生成参数的改写直接返回上次的结果，省去等待和API费用
+ * 缓存保存在存储中，侧边栏和后台共用；按条数和总字数限制大小，超出时淘汰最久未使用的结果
+ * 缓存内容是明文，机密文本和启用主密码时不缓存
+ */
+
+import storageService from './storageService.js';
+import encryptionService from './encryptionService.js';
+import ModelAdapterFactory from './adapters/modelAdapterFactory.js';
+import { DEFAULT_CONFIG, CONFIDENTIAL_TAG } from '../utils/constants.js';
+
+// 改写缓存的存储键
+export const REWRITE_CACHE_STORAGE_KEY = 'rewriteCache';
+
+// 缓存命中统计的存储键，与缓存内容分开保存，未命中时只写这一小块数据
+export const REWRITE_CACHE_STATS_STORAGE_KEY = 'rewriteCacheStats';
+
+/**
+ * 计算字符串的SHA-256摘要
+ * @param {string} value - 输入字符串
+ * @returns {Promise<string>} 十六进制摘要
+ */
+async function sha256Hex(value) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(value));
+  return Array.from(new Uint8Array(digest))
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+/**
+ * 创建空的命中统计
+ * @returns {Object} { hits, misses, savedTokens }
+ */
+function createEmptyStats() {
+  return { hits: 0, misses: 0, savedTokens: 0 };
+}
+
+class RewriteCacheService {
+  constructor() {
+    this.maxEntries = DEFAULT_CONFIG.REWRITE_CACHE_MAX_ENTRIES;
+    this.maxChars = DEFAULT_CONFIG.REWRITE_CACHE_MAX_CHARS;
+    this.ttl = DEFAULT_CONFIG.REWRITE_CACHE_TTL;
+    this.writing = Promise.resolve();
+  }
+
+  /**
+   * 判断改写结果能否缓存：机密文本和启用主密码时不读写缓存，避免明文留在存储中
+   * @param {Array<string>} tags - 文本标签
+   * @returns {Promise<boolean>}
+   */
+  async isCacheable(tags = []) {
+    if (tags.includes(CONFIDENTIAL_TAG)) {
+      return false;
+    }
+
+    try {
+      await encryptionService.initialize();
+      return !encryptionService.isPassphraseEnabled();
+    } catch (error) {
+      console.error('读取加密状态失败:', error);
+      return false;
+    }
+  }
+
+  /**
+   * 规范化待改写文本：统一换行和Unicode形式，去掉首尾空白，合并连续空格
+   * @param {string} text - 原始文本
+   * @returns {string} 规范化后的文本
+   */
+  normalizeText(text) {
+    return String(text || '')
+      .normalize('NFC')
+      .replace(/\r\n?/g, '\n')
+      .replace(/[ \t\u3000]+/g, ' ')
+      .replace(/ *\n */g, '\n')
+      .trim();
+  }
+
+  /**
+   * 生成缓存键：规范化文本、提示词、示例、模型（服务地址和模型名）、适配器的系统提示及温度等生成参数的摘要
+   * 不含配置ID和API Key，同一模型的多个配置共用缓存
+   * @param {Object} config - 模型配置
+   * @param {string} text - 待改写的文本
+   * @param {string} rewritePrompt - 改写提示词
+   * @param {Object} options - 改写选项 { temperature, maxTokens, topP, examples }
+   * @returns {Promise<string>} 缓存键
+   */
+  async buildKey(config, text, rewritePrompt, options = {}) {
+    const temperature = options.temperature !== undefined ? options.temperature : config.temperature;
+    const adapter = this.getAdapterSettings(config);
+    const material = JSON.stringify([
+      this.normalizeText(text),
+      rewritePrompt || '',
+      options.examples || [],
+      config.modelType || config.type,
+      config.baseUrl || '',
+      config.modelEndpoint || '',
+      adapter.system,
+      temperature === undefined ? null : temperature,
+      options.maxTokens || options.max_tokens || adapter.maxTokens || null,
+      options.topP || null
+    ]);
+    return sha256Hex(material);
+  }
+
+  /**
+   * 读取适配器中影响输出的设置：系统提示里的角色设定和改写约束，以及未单独指定时的输出上限
+   * @param {Object} config - 模型配置
+   * @returns {Object} { system, maxTokens }
+   */
+  getAdapterSettings(config) {
+    const adapter = ModelAdapterFactory.createAdapter(config.modelType || config.type, config);
+    const [system] = adapter.buildRewriteMessages('', '');
+    return { system: system.content, maxTokens: adapter.maxTokens };
+  }
+
+  /**
+   * 读取缓存数据
+   * @returns {Promise<Object>} { entries }
+   */
+  async load() {
+    const cache = await storageService.loadData(REWRITE_CACHE_STORAGE_KEY);
+    return { entries: (cache && cache.entries) || {} };
+  }
+
+  /**
+   * 读取命中统计
+   * @returns {Promise<Object>} { hits, misses, savedTokens }
+   */
+  async loadStats() {
+    const stats = await storageService.loadData(REWRITE_CACHE_STATS_STORAGE_KEY);
+    return stats ? { ...createEmptyStats(), ...stats } : createEmptyStats();
+  }
+
+  /**
+   * 读取、修改并保存存储中的数据，排在之前的写入完成后执行
+   * @param {string} storageKey - 存储键
+   * @param {Function} load - 读取函数
+   * @param {Function} mutate - 修改函数，参数为当前数据，返回false时不保存
+   * @returns {Promise<void>}
+   */
+  update(storageKey, load, mutate) {
+    const task = this.writing.then(async () => {
+      const data = await load();
+      if (mutate(data) !== false) {
+        await storageService.saveData(storageKey, data);
+      }
+    });
+    // 单次写入失败不影响后续写入
+    this.writing = task.catch(() => {});
+    return task;
+  }
+
+  /**
+   * 修改缓存内容
+   * @param {Function} mutate - 修改函数，参数为 { entries }
+   * @returns {Promise<void>}
+   */
+  updateCache(mutate) {
+    return this.update(REWRITE_CACHE_STORAGE_KEY, () => this.load(), mutate);
+  }
+
+  /**
+   * 修改命中统计
+   * @param {Function} mutate - 修改函数，参数为 { hits, misses, savedTokens }
+   * @returns {Promise<void>}
+   */
+  updateStats(mutate) {
+    return this.update(REWRITE_CACHE_STATS_STORAGE_KEY, () => this.loadStats(), mutate);
+  }
+
+  /**
+   * 判断缓存项是否已过期
+   * @param {Object} entry - 缓存项
+   * @param {number} now - 当前时间戳
+   * @returns {boolean}
+   */
+  isExpired(entry, now = Date.now()) {
+    return now - Date.parse(entry.createdAt) > this.ttl;
+  }
+
+  /**
+   * 查找缓存的改写结果，同时更新命中统计；过期的结果视为未命中，留待下次写入时清理
+   * 未命中时只更新统计，不重写缓存内容
+   * @param {string} key - 缓存键
+   * @returns {Promise<Object|null>} 缓存项 { data, usage, modelType, createdAt }
+   */
+  async get(key) {
+    try {
+      const cache = await this.load();
+      const entry = cache.entries[key];
+      const now = Date.now();
+
+      if (!entry || this.isExpired(entry, now)) {
+        await this.updateStats(stats => {
+          stats.misses++;
+        });
+        return null;
+      }
+
+      await this.updateCache(latest => {
+        const current = latest.entries[key];
+        if (!current) {
+          return false;
+        }
+        current.lastUsedAt = new Date(now).toISOString();
+        current.hitCount = (current.hitCount || 0) + 1;
+      });
+      await this.updateStats(stats => {
+        stats.hits++;
+        stats.savedTokens += (entry.usage && entry.usage.total_tokens) || 0;
+      });
+      return entry;
+    } catch (error) {
+      console.error('读取改写缓存失败:', error);
+      return null;
+    }
+  }
+
+  /**
+   * 缓存改写结果，超出条数或字数上限时淘汰最久未使用的结果
+   * @param {string} key - 缓存键
+   * @param {Object} result - 改写结果 { data, usage }
+   * @param {Object} config - 模型配置
+   * @returns {Promise<void>}
+   */
+  async set(key, result, config) {
+    if (!result.data || result.data.length > this.maxChars) {
+      return;
+    }
+
+    try {
+      const now = new Date().toISOString();
+      await this.updateCache(cache => {
+        cache.entries[key] = {
+          data: result.data,
+          usage: result.usage || {},
+          modelType: config.modelType || config.type,
+          createdAt: now,
+          lastUsedAt: now,
+          hitCount: 0
+        };
+        this.evict(cache);
+      });
+    } catch (error) {
+      console.error('写入改写缓存失败:', error);
+    }
+  }
+
+  /**
+   * 删除过期的缓存，再按最近使用时间淘汰，直到条数和总字数都不超过上限
+   * @param {Object} cache - 缓存数据，原地修改
+   */
+  evict(cache) {
+    const now = Date.now();
+    Object.keys(cache.entries)
+      .filter(key => this.isExpired(cache.entries[key], now))
+      .forEach(key => delete cache.entries[key]);
+
+    const keys = Object.keys(cache.entries)
+      .sort((a, b) => Date.parse(cache.entries[a].lastUsedAt) - Date.parse(cache.entries[b].lastUsedAt));
+    let totalChars = keys.reduce((sum, key) => sum + cache.entries[key].data.length, 0);
+
+    while (keys.length > 0 && (keys.length > this.maxEntries || totalChars > this.maxChars)) {
+      const oldestKey = keys.shift();
+      totalChars -= cache.entries[oldestKey].data.length;
+      delete cache.entries[oldestKey];
+    }
+  }
+
+  /**
+   * 获取缓存统计
+   * @returns {Promise<Object>} { entries, chars, hits, misses, hitRate, savedTokens }
+   */
+  async getStats() {
+    const [cache, stats] = await Promise.all([this.load(), this.loadStats()]);
+    const entries = Object.values(cache.entries);
+    const lookups = stats.hits + stats.misses;
+    return {
+      entries: entries.length,
+      chars: entries.reduce((sum, entry) => sum + entry.data.length, 0),
+      hits: stats.hits,
+      misses: stats.misses,
+      hitRate: lookups > 0 ? stats.hits / lookups : 0,
+      savedTokens: stats.savedTokens
+    };
+  }
+
+  /**
+   * 清空缓存和统计
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    const task = this.writing.then(async () => {
+      await storageService.deleteData(REWRITE_CACHE_STORAGE_KEY);
+      await storageService.deleteData(REWRITE_CACHE_STATS_STORAGE_KEY);
+    });
+    this.writing = task.catch(() => {});
+    return task;
+  }
+}
+
+// 导出改写缓存服务实例
+const rewriteCacheService = new RewriteCacheService();
+
+export default rewriteCacheService;
+export { RewriteCacheService };
@@ -0,0 +1,207 @@
+/**
+ * 敏感数据处理器
+ * 负责识别和加解密配置对象中的敏感字段
+ */
+
+import encryptionService from './encryptionService.js';
+import { ERROR_CODES } from '../utils/constants.js';
+
+const isNonEmptyString = value => typeof value === 'string' && value !== '';
+
+class SensitiveDataHandler {
+  constructor(encryptionService) {
+    this.encryptionService = encryptionService;
+    this.sensitiveFieldsMap = {
+      modelConfig: ['apiKey', 'secretId', 'secretKey', 'headers'],
+      tableConfig: ['appSecret', 'corpSecret', 'apiKey', 'integrationToken', 'personalAccessToken', 'accessToken', 'serviceAccountKey', 'hmacSecret', 'headers', 'sharePassphrase']
+    };
+    // 仅保存在本地、不随记录同步到表格的字段
+    this.localOnlyFields = ['sharePassphrase'];
+  }
+
+  /**
+   * 检查数据类型是否包含敏感字段
+   * @param {string} dataType - 数据类型
+   * @returns {boolean}
+   */
+  hasSensitiveFields(dataType) {
+    return this.getSensitiveFields(dataType).length > 0;
+  }
+
+  /**
+   * 获取数据类型的敏感字段列表
+   * @param {string} dataType - 数据类型
+   * @returns {Array<string>} 敏感字段列表
+   */
+  getSensitiveFields(dataType) {
+    return this.sensitiveFieldsMap[dataType] || [];
+  }
+
+  /**
+   * 获取所有数据类型的敏感字段（去重）
+   * @returns {Array<string>} 敏感字段列表
+   */
+  getAllSensitiveFields() {
+    return [...new Set(Object.values(this.sensitiveFieldsMap).flat())];
+  }
+
+  /**
+   * 加密对象中的敏感数据
+   * @param {Object} obj - 数据对象
+   * @param {string} dataType - 数据类型
+   * @param {Object} options - 传给加密服务的选项 { key, keyId }
+   * @returns {Promise<Object>} 敏感字段已加密的新对象
+   */
+  async encryptSensitiveData(obj, dataType, options = {}) {
+    return this.transformFields(obj, this.getSensitiveFields(dataType), value =>
+      this.encryptionService.encrypt(value, options)
+    );
+  }
+
+  /**
+   * 解密对象中的敏感数据，单个字段解密失败时保留密文
+   * 锁定状态下不报错，密文原样返回，供列表等不需要密钥的场景使用
+   * @param {Object} obj - 数据对象
+   * @param {string} dataType - 数据类型
+   * @returns {Promise<Object>} 敏感字段已解密的新对象
+   */
+  async decryptSensitiveData(obj, dataType) {
+    return this.transformFields(obj, this.getSensitiveFields(dataType), async (value, field) => {
+      try {
+        return await this.encryptionService.decrypt(value);
+      } catch (error) {
+        if (error.code !== ERROR_CODES.VAULT_LOCKED) {
+          console.error(`解密字段 ${field} 失败:`, error);
+        }
+        return value;
+      }
+    });
+  }
+
+  /**
+   * 严格解密对象中的敏感数据，任一字段无法解密即抛出错误
+   * 用于调用模型、同步等必须拿到明文凭证的场景
+   * @param {Object} obj - 数据对象
+   * @param {string} dataType - 数据类型
+   * @returns {Promise<Object>} 敏感字段已解密的新对象
+   */
+  async revealSensitiveData(obj, dataType) {
+    return this.transformFields(obj, this.getSensitiveFields(dataType), value =>
+      this.encryptionService.decrypt(value)
+    );
+  }
+
+  /**
+   * 将敏感字段封装为共享口令加密信封，用于写入多维表格
+   * 未设置共享口令时将敏感字段置空，保证明文不会离开本机
+   * @param {Object} obj - 已解密的数据对象
+   * @param {string} dataType - 数据类型
+   * @param {string} passphrase - 共享口令
+   * @returns {Promise<Object>} 可安全同步的新对象
+   */
+  async sealSensitiveData(obj, dataType, passphrase) {
+    const fields = this.getSensitiveFields(dataType);
+    const sealable = fields.filter(field => !this.localOnlyFields.includes(field));
+    const stripped = await this.transformFields(obj, this.localOnlyFields, () => undefined, () => true);
+
+    if (!passphrase) {
+      return this.transformFields(stripped, sealable, () => '', () => true);
+    }
+
+    return this.transformFields(stripped, sealable, value =>
+      this.encryptionService.createEnvelope(value, passphrase)
+    );
+  }
+
+  /**
+   * 用共享口令打开对象中的加密信封，还原敏感字段明文
+   * @param {Object} obj - 从表格读取的数据对象
+   * @param {string} dataType - 数据类型
+   * @param {string} passphrase - 共享口令
+   * @returns {Promise<Object>} 敏感字段已还原的新对象
+   */
+  async openSensitiveData(obj, dataType, passphrase) {
+    return this.transformFields(
+      obj,
+      this.getSensitiveFields(dataType),
+      value => this.encryptionService.openEnvelope(value, passphrase),
+      value => this.encryptionService.isEnvelope(value)
+    );
+  }
+
+  /**
+   * 检查对象中是否包含加密信封
+   * @param {Object} obj - 数据对象
+   * @param {string} dataType - 数据类型
+   * @returns {boolean}
+   */
+  hasSealedSecrets(obj, dataType) {
+    if (!obj || typeof obj !== 'object') {
+      return false;
+    }
+
+    const fields = this.getSensitiveFields(dataType);
+    const isSealed = target => fields.some(field => this.encryptionService.isEnvelope(target[field]));
+
+    return isSealed(obj) || (!!obj.config && typeof obj.config === 'object' && isSealed(obj.config));
+  }
+
+  /**
+   * 检查对象中是否仍有明文敏感数据
+   * @param {Object} obj - 数据对象
+   * @param {string} dataType - 数据类型
+   * @returns {boolean}
+   */
+  hasPlaintextSecrets(obj, dataType) {
+    if (!obj || typeof obj !== 'object') {
+      return false;
+    }
+
+    const fields = this.getSensitiveFields(dataType);
+    const isPlaintext = target => fields.some(field =>
+      typeof target[field] === 'string' &&
+      target[field] !== '' &&
+      !this.encryptionService.isEncrypted(target[field])
+    );
+
+    return isPlaintext(obj) || (!!obj.config && typeof obj.config === 'object' && isPlaintext(obj.config));
+  }
+
+  /**
+   * 对对象顶层及其config子对象中的敏感字段执行转换
+   * @param {Object} obj - 数据对象
+   * @param {Array<string>} fields - 敏感字段列表
+   * @param {Function} transform - 转换函数，返回undefined时移除该字段
+   * @param {Function} matches - 判断字段值是否需要转换，默认只处理非空字符串
+   * @returns {Promise<Object>} 转换后的新对象
+   */
+  async transformFields(obj, fields, transform, matches = isNonEmptyString) {
+    if (!obj || typeof obj !== 'object' || fields.length === 0) {
+      return obj;
+    }
+
+    const result = { ...obj };
+    for (const field of fields) {
+      if (Object.prototype.hasOwnProperty.call(result, field) && matches(result[field])) {
+        const value = await transform(result[field], field);
+        if (value === undefined) {
+          delete result[field];
+        } else {
+          result[field] = value;
+        }
+      }
+    }
+
+    // TableConfig模型把平台凭证放在config子对象中
+    if (result.config && typeof result.config === 'object' && !Array.isArray(result.config)) {
+      result.config = await this.transformFields(result.config, fields, transform, matches);
+    }
+
+    return result;
+  }
+}
+
+// 导出敏感数据处理器实例
+const sensitiveDataHandler = new SensitiveDataHandler(encryptionService);
+export default sensitiveDataHandler;
+export { SensitiveDataHandler };
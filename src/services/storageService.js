@@ -3,6 +3,25 @@
  * 提供数据的增删改查功能
  */
 
+import sensitiveDataHandler from './sensitiveDataHandler.js';
+import encryptionService, { KEY_MATERIAL_STORAGE_KEY } from './encryptionService.js';
+import { generateUUID } from '../utils/utils.js';
+
+// 备用模型顺序的存储键，值为模型配置ID数组
+export const MODEL_FALLBACK_CHAIN_KEY = 'modelFallbackChain';
+
+// 侧边栏当前选用的模型配置名称，右键菜单改写时沿用
+export const ACTIVE_MODEL_CONFIG_KEY = 'activeModelConfig';
+
+// 用户保存的改写提示词模板，值为 [{ id, name, prompt, createdAt }]
+export const CUSTOM_PROMPT_TEMPLATES_KEY = 'customPromptTemplates';
+
+// 需要透明加解密的存储键及其对应的数据类型
+const SENSITIVE_STORAGE_KEYS = {
+  modelConfigs: 'modelConfig',
+  tableConfigs: 'tableConfig'
+};
+
 class StorageService {
   /**
    * 保存数据到Chrome Storage
@@ -11,9 +30,11 @@ class StorageService {
    * @returns {Promise<void>}
    */
   async saveData(key, value) {
+    const storedValue = await this.encryptForStorage(key, value);
+
     return new Promise((resolve, reject) => {
       const data = {};
-      data[key] = value;
+      data[key] = storedValue;
       
       chrome.storage.local.set(data, () => {
         if (chrome.runtime.lastError) {
@@ -31,6 +52,16 @@ class StorageService {
    * @returns {Promise<any>}
    */
   async loadData(key) {
+    const value = await this.loadRawData(key);
+    return this.decryptFromStorage(key, value);
+  }
+
+  /**
+   * 从Chrome Storage加载原始数据（不解密）
+   * @param {string} key - 存储键
+   * @returns {Promise<any>}
+   */
+  async loadRawData(key) {
     return new Promise((resolve, reject) => {
       chrome.storage.local.get(key, (result) => {
         if (chrome.runtime.lastError) {
@@ -42,6 +73,34 @@ class StorageService {
     });
   }
 
+  /**
+   * 加密配置列表中的敏感字段
+   * @param {string} key - 存储键
+   * @param {any} value - 存储值
+   * @returns {Promise<any>}
+   */
+  async encryptForStorage(key, value) {
+    const dataType = SENSITIVE_STORAGE_KEYS[key];
+    if (!dataType || !Array.isArray(value)) {
+      return value;
+    }
+    return Promise.all(value.map(item => sensitiveDataHandler.encryptSensitiveData(item, dataType)));
+  }
+
+  /**
+   * 解密配置列表中的敏感字段
+   * @param {string} key - 存储键
+   * @param {any} value - 存储值
+   * @returns {Promise<any>}
+   */
+  async decryptFromStorage(key, value) {
+    const dataType = SENSITIVE_STORAGE_KEYS[key];
+    if (!dataType || !Array.isArray(value)) {
+      return value;
+    }
+    return Promise.all(value.map(item => sensitiveDataHandler.decryptSensitiveData(item, dataType)));
+  }
+
   /**
    * 从Chrome Storage删除数据
    * @param {string} key - 存储键
@@ -183,6 +242,91 @@ class StorageService {
     }
   }
 
+  /**
+   * 加载备用模型顺序
+   * @returns {Promise<Array<string>>} 按尝试顺序排列的模型配置ID
+   */
+  async loadModelFallbackChain() {
+    try {
+      return await this.loadData(MODEL_FALLBACK_CHAIN_KEY) || [];
+    } catch (error) {
+      console.error('加载备用模型顺序失败:', error);
+      return [];
+    }
+  }
+
+  /**
+   * 保存备用模型顺序，重复的ID只保留第一次出现的位置
+   * @param {Array<string>} configIds - 按尝试顺序排列的模型配置ID
+   * @returns {Promise<void>}
+   */
+  async saveModelFallbackChain(configIds) {
+    await this.saveData(MODEL_FALLBACK_CHAIN_KEY, [...new Set(configIds.filter(Boolean))]);
+  }
+
+  /**
+   * 加载当前选用的模型配置名称
+   * @returns {Promise<string|null>} 模型配置名称
+   */
+  async loadActiveModelConfigName() {
+    try {
+      return await this.loadData(ACTIVE_MODEL_CONFIG_KEY) || null;
+    } catch (error) {
+      console.error('加载当前模型配置失败:', error);
+      return null;
+    }
+  }
+
+  /**
+   * 保存当前选用的模型配置名称
+   * @param {string} configName - 模型配置名称
+   * @returns {Promise<void>}
+   */
+  async saveActiveModelConfigName(configName) {
+    await this.saveData(ACTIVE_MODEL_CONFIG_KEY, configName || null);
+  }
+
+  /**
+   * 加载提示词模板
+   * @returns {Promise<Array<Object>>} 模板列表
+   */
+  async loadCustomPromptTemplates() {
+    try {
+      return await this.loadData(CUSTOM_PROMPT_TEMPLATES_KEY) || [];
+    } catch (error) {
+      console.error('加载提示词模板失败:', error);
+      return [];
+    }
+  }
+
+  /**
+   * 保存提示词模板，同名模板覆盖原有的提示词
+   * @param {Object} template - 模板 { name, prompt }
+   * @returns {Promise<Object>} 保存后的模板
+   */
+  async saveCustomPromptTemplate(template) {
+    const templates = await this.loadCustomPromptTemplates();
+    const existing = templates.find(item => item.name === template.name);
+    const saved = existing
+      ? Object.assign(existing, { prompt: template.prompt })
+      : { id: generateUUID(), name: template.name, prompt: template.prompt, createdAt: new Date().toISOString() };
+    if (!existing) {
+      templates.push(saved);
+    }
+    await this.saveData(CUSTOM_PROMPT_TEMPLATES_KEY, templates);
+    return saved;
+  }
+
+  /**
+   * 删除提示词模板
+   * @param {string} templateId - 模板ID
+   * @returns {Promise<void>}
+   */
+  async deleteCustomPromptTemplate(templateId) {
+    const templates = await this.loadCustomPromptTemplates();
+    await this.saveData(CUSTOM_PROMPT_TEMPLATES_KEY, templates.filter(item => item.id !== templateId));
+  }
+
   /**
    * 保存改写记录
    * @param {Object} record - 改写记录对象
@@ -285,15 +429,17 @@ class StorageService {
    * 编辑改写记录
    * @param {string} recordName - 记录名称
    * @param {Object} updates - 更新内容
+   * @param {Object} options - 选项 { touch }，touch为false时不更新updatedAt（用于同步状态等非内容修改）
    * @returns {Promise<void>}
    */
-  async editRewriteRecord(recordName, updates) {
+  async editRewriteRecord(recordName, updates, options = {}) {
     try {
       const records = await this.loadRewriteRecords();
       const index = records.findIndex(record => record.name === recordName);
       
       if (index >= 0) {
-        records[index] = { ...records[index], ...updates, updatedAt: new Date().toISOString() };
+        const updatedAt = options.touch === false ? records[index].updatedAt : new Date().toISOString();
+        records[index] = { ...records[index], ...updates, updatedAt };
         await this.saveData('rewriteRecords', records);
       } else {
         throw new Error(`未找到名称为 "${recordName}" 的改写记录`);
@@ -418,6 +564,90 @@ class StorageService {
     }
   }
 
+  /**
+   * 将已存储的明文敏感字段重新加密保存
+   * @returns {Promise<number>} 重新加密的存储键数量
+   */
+  async encryptExistingSecrets() {
+    let migratedCount = 0;
+
+    // 锁定状态下无法加密，等解锁后再迁移
+    await encryptionService.initialize();
+    if (encryptionService.isLocked()) {
+      return migratedCount;
+    }
+
+    for (const [key, dataType] of Object.entries(SENSITIVE_STORAGE_KEYS)) {
+      const items = await this.loadRawData(key);
+      if (!Array.isArray(items)) {
+        continue;
+      }
+
+      if (items.some(item => sensitiveDataHandler.hasPlaintextSecrets(item, dataType))) {
+        // saveData会跳过已加密字段，只加密剩余的明文
+        await this.saveData(key, items);
+        migratedCount++;
+      }
+    }
+
+    return migratedCount;
+  }
+
+  /**
+   * 启用或修改主密码，并用新密钥重新加密所有敏感字段
+   * @param {string} passphrase - 主密码
+   * @param {number} autoLockMinutes - 空闲自动锁定时长（分钟）
+   * @returns {Promise<void>}
+   */
+  async enableMasterPassphrase(passphrase, autoLockMinutes) {
+    const bundle = await encryptionService.createPassphraseKeyBundle(passphrase, autoLockMinutes);
+    await this.rekeySecrets(bundle);
+  }
+
+  /**
+   * 停用主密码，改回本机随机主密钥
+   * @returns {Promise<void>}
+   */
+  async disableMasterPassphrase() {
+    const bundle = await encryptionService.createDeviceKeyBundle();
+    await this.rekeySecrets(bundle);
+  }
+
+  /**
+   * 用新密钥包重新加密所有敏感字段，密钥材料与数据一次性写入
+   * @param {Object} bundle - 密钥包 { material, key }
+   * @returns {Promise<void>}
+   */
+  async rekeySecrets(bundle) {
+    await encryptionService.ensureUnlocked();
+
+    const data = { [KEY_MATERIAL_STORAGE_KEY]: bundle.material };
+    const keyOptions = { key: bundle.key, keyId: bundle.material.keyId };
+
+    for (const [key, dataType] of Object.entries(SENSITIVE_STORAGE_KEYS)) {
+      const items = await this.loadRawData(key);
+      if (!Array.isArray(items)) {
+        continue;
+      }
+
+      // 任一字段无法解密时中止，避免旧密文在换钥后永久丢失
+      const plainItems = await Promise.all(items.map(item => sensitiveDataHandler.revealSensitiveData(item, dataType)));
+      data[key] = await Promise.all(plainItems.map(item => sensitiveDataHandler.encryptSensitiveData(item, dataType, keyOptions)));
+    }
+
+    await new Promise((resolve, reject) => {
+      chrome.storage.local.set(data, () => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+        } else {
+          resolve();
+        }
+      });
+    });
+
+    encryptionService.activateKeyBundle(bundle);
+  }
+
   async migrateTargetTableFields() {
     try {
       const modelConfigs = await this.loadModelConfigs();
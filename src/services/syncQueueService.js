@@ -0,0 +1,378 @@
+/**
+ * 同步队列服务
+ * 待同步任务保存在存储中，后台脚本被挂起或离线时不会丢失，恢复后按重试时间继续推送
+ */
+
+import storageService from './storageService.js';
+import SyncService from './syncService.js';
+import TableService from './tableService.js';
+import encryptionService from './encryptionService.js';
+import { ERROR_CODES } from '../utils/constants.js';
+
+// 同步队列的存储键
+export const SYNC_QUEUE_STORAGE_KEY = 'syncQueue';
+
+// 队列重试闹钟名称
+export const SYNC_QUEUE_ALARM = 'flowfocus-sync-queue';
+
+// 队列支持的数据类型及其本地存储键
+const QUEUE_DATA_TYPES = {
+  rewriteRecord: 'rewriteRecords'
+};
+
+class SyncQueueService {
+  constructor() {
+    this.maxAttempts = 5;
+    this.baseRetryDelay = 30000;
+    this.maxRetryDelay = 1800000;
+    this.offlineCheckMinutes = 1;
+    this.draining = null;
+    // 所有任务都存放在同一个存储键中，写入依次执行，避免推送队列时新加入的任务被覆盖
+    this.writing = Promise.resolve();
+  }
+
+  /**
+   * 读取全部同步任务
+   * @returns {Promise<Array>} 同步任务列表
+   */
+  async getJobs() {
+    return await storageService.loadData(SYNC_QUEUE_STORAGE_KEY) || [];
+  }
+
+  /**
+   * 加入同步任务，同一数据和目标只保留一个任务
+   * 已有任务仍在等待重试时保持其退避时间，已失败或冲突的任务重新开始计数
+   * @param {Object} job - { recordId, dataType, targetConfigId, tableName }
+   * @returns {Promise<Object>} 队列中的任务
+   */
+  async enqueue(job) {
+    if (!QUEUE_DATA_TYPES[job.dataType]) {
+      throw new Error(`不支持的同步数据类型: ${job.dataType}`);
+    }
+
+    let queued = null;
+    await this.updateJobs(jobs => {
+      const now = new Date().toISOString();
+      const id = this.getJobId(job);
+      const index = jobs.findIndex(item => item.id === id);
+
+      if (index >= 0 && jobs[index].status === 'pending') {
+        queued = jobs[index];
+        return false;
+      }
+
+      queued = {
+        id,
+        recordId: job.recordId,
+        dataType: job.dataType,
+        targetConfigId: job.targetConfigId,
+        tableName: job.tableName,
+        status: 'pending',
+        attempts: 0,
+        nextRetryAt: now,
+        lastError: null,
+        createdAt: index >= 0 ? jobs[index].createdAt : now,
+        updatedAt: now
+      };
+
+      if (index >= 0) {
+        jobs[index] = queued;
+      } else {
+        jobs.push(queued);
+      }
+      return true;
+    });
+    return queued;
+  }
+
+  /**
+   * 生成任务ID：数据类型 + 数据ID + 目标 + 表格
+   * @param {Object} job - 同步任务
+   * @returns {string} 任务ID
+   */
+  getJobId(job) {
+    return [job.dataType, job.recordId, job.targetConfigId, job.tableName].join(':');
+  }
+
+  /**
+   * 推送到期的同步任务
+   * 离线或主密码锁定时保留任务等待下次触发，同一上下文中的并发调用共享同一次执行
+   * @param {Object} options - 选项 { targetConfigId }，指定时只推送该目标的任务
+   * @returns {Promise<Object>} 推送结果 { synced, failed, conflicts, deferred, errors }
+   */
+  async drain(options = {}) {
+    if (!this.draining) {
+      this.draining = this.drainDueJobs(options).finally(() => {
+        this.draining = null;
+      });
+      return this.draining;
+    }
+
+    // 正在推送其他目标时，等待其结束后再推送指定目标
+    await this.draining.catch(() => {});
+    return this.drain(options);
+  }
+
+  /**
+   * 按目标分组推送到期任务，并为剩余任务安排下次重试
+   * @param {Object} options - 选项 { targetConfigId }
+   * @returns {Promise<Object>} 推送结果
+   */
+  async drainDueJobs(options) {
+    const result = { synced: 0, failed: 0, conflicts: 0, deferred: 0, errors: [] };
+
+    try {
+      if (!this.isOnline()) {
+        result.deferred = (await this.getJobs()).length;
+        return result;
+      }
+
+      await encryptionService.ensureUnlocked();
+
+      const now = Date.now();
+      const dueJobs = (await this.getJobs()).filter(job =>
+        job.status === 'pending' &&
+        Date.parse(job.nextRetryAt) <= now &&
+        (!options.targetConfigId || job.targetConfigId === options.targetConfigId)
+      );
+
+      const groups = new Map();
+      for (const job of dueJobs) {
+        const groupKey = `${job.targetConfigId}:${job.tableName}`;
+        groups.set(groupKey, [...(groups.get(groupKey) || []), job]);
+      }
+
+      for (const jobs of groups.values()) {
+        await this.processGroup(jobs, result);
+        if (!this.isOnline()) {
+          break;
+        }
+      }
+    } catch (error) {
+      if (error.code !== ERROR_CODES.VAULT_LOCKED) {
+        throw error;
+      }
+      result.deferred = (await this.getJobs()).length;
+    } finally {
+      await this.scheduleNextDrain();
+    }
+
+    return result;
+  }
+
+  /**
+   * 推送同一目标表格的任务，复用表格服务和远端快照
+   * @param {Array} jobs - 同一目标表格的任务
+   * @param {Object} result - 推送结果
+   * @returns {Promise<void>}
+   */
+  async processGroup(jobs, result) {
+    const { targetConfigId, tableName } = jobs[0];
+    const tableConfigs = await storageService.loadData('tableConfigs') || [];
+    const targetConfig = tableConfigs.find(config => config.id === targetConfigId);
+
+    // 目标配置已被删除时任务无法完成，直接移出队列
+    if (!targetConfig) {
+      await this.removeJobs(jobs.map(job => job.id));
+      return;
+    }
+
+    const syncService = new SyncService();
+    const tableService = new TableService(targetConfig);
+    let remoteIndex = null;
+    try {
+      remoteIndex = await syncService.fetchRemoteIndex(targetConfig, tableName);
+    } catch (error) {
+      console.warn('读取远端快照失败，本次只推送本地数据:', error.message);
+    }
+
+    for (const job of jobs) {
+      if (!this.isOnline()) {
+        result.deferred++;
+        continue;
+      }
+
+      const records = await storageService.loadData(QUEUE_DATA_TYPES[job.dataType]) || [];
+      const record = records.find(item => item.id === job.recordId);
+      if (!record) {
+        await this.removeJobs([job.id]);
+        continue;
+      }
+
+      try {
+        const syncData = this.toSyncData(record, targetConfig, tableName);
+        const synced = await syncService.syncSingle(syncData, targetConfig, { remoteIndex }, tableService);
+        if (synced.status === 'conflict') {
+          result.conflicts++;
+          await this.updateJob(job.id, { status: 'conflict', lastError: '本地与表格数据冲突，需要手动同步处理' });
+        } else {
+          result.synced++;
+          await this.removeJobs([job.id]);
+        }
+      } catch (error) {
+        if (error.code === ERROR_CODES.VAULT_LOCKED) {
+          throw error;
+        }
+        result.failed++;
+        result.errors.push(`${record.name}: ${error.message}`);
+        await this.recordFailure(job, error);
+      }
+    }
+  }
+
+  /**
+   * 记录任务失败并按指数退避安排重试，超过最大次数后标记为失败
+   * @param {Object} job - 同步任务
+   * @param {Error} error - 错误对象
+   * @returns {Promise<void>}
+   */
+  async recordFailure(job, error) {
+    const attempts = job.attempts + 1;
+    const delay = Math.min(this.baseRetryDelay * Math.pow(2, attempts - 1), this.maxRetryDelay);
+
+    await this.updateJob(job.id, {
+      attempts,
+      status: attempts >= this.maxAttempts ? 'failed' : 'pending',
+      nextRetryAt: new Date(Date.now() + delay).toISOString(),
+      lastError: error.message
+    });
+  }
+
+  /**
+   * 更新队列中的任务
+   * @param {string} jobId - 任务ID
+   * @param {Object} updates - 更新内容
+   * @returns {Promise<void>}
+   */
+  async updateJob(jobId, updates) {
+    await this.updateJobs(jobs => {
+      const index = jobs.findIndex(job => job.id === jobId);
+      if (index < 0) {
+        return false;
+      }
+      jobs[index] = { ...jobs[index], ...updates, updatedAt: new Date().toISOString() };
+      return true;
+    });
+  }
+
+  /**
+   * 从队列中移除任务
+   * @param {Array} jobIds - 任务ID列表
+   * @returns {Promise<void>}
+   */
+  async removeJobs(jobIds) {
+    await this.updateJobs(jobs => {
+      const remaining = jobs.filter(job => !jobIds.includes(job.id));
+      if (remaining.length === jobs.length) {
+        return false;
+      }
+      jobs.splice(0, jobs.length, ...remaining);
+      return true;
+    });
+  }
+
+  /**
+   * 移除某个同步目标的全部任务，用于删除表格配置时清理
+   * @param {string} targetConfigId - 目标配置ID
+   * @returns {Promise<void>}
+   */
+  async removeTargetJobs(targetConfigId) {
+    await this.updateJobs(jobs => {
+      const remaining = jobs.filter(job => job.targetConfigId !== targetConfigId);
+      if (remaining.length === jobs.length) {
+        return false;
+      }
+      jobs.splice(0, jobs.length, ...remaining);
+      return true;
+    });
+  }
+
+  /**
+   * 读取、修改并保存同步任务，排在之前的写入完成后执行
+   * @param {Function} mutate - 修改函数，参数为当前任务列表，返回false时不保存
+   * @returns {Promise<void>}
+   */
+  updateJobs(mutate) {
+    const task = this.writing.then(async () => {
+      const jobs = await this.getJobs();
+      if (mutate(jobs) !== false) {
+        await storageService.saveData(SYNC_QUEUE_STORAGE_KEY, jobs);
+      }
+    });
+    // 单次写入失败不影响后续写入
+    this.writing = task.catch(() => {});
+    return task;
+  }
+
+  /**
+   * 按最早的重试时间注册队列闹钟，离线时定期检查网络
+   * 闹钟可以唤醒已挂起的后台脚本，保证队列最终被推送
+   * @returns {Promise<void>}
+   */
+  async scheduleNextDrain() {
+    if (typeof chrome === 'undefined' || !chrome.alarms) {
+      return;
+    }
+
+    const pendingJobs = (await this.getJobs()).filter(job => job.status === 'pending');
+    if (pendingJobs.length === 0) {
+      await chrome.alarms.clear(SYNC_QUEUE_ALARM);
+      return;
+    }
+
+    const nextRetryAt = Math.min(...pendingJobs.map(job => Date.parse(job.nextRetryAt)));
+    const offlineRetryAt = Date.now() + this.offlineCheckMinutes * 60000;
+    await chrome.alarms.create(SYNC_QUEUE_ALARM, {
+      when: this.isOnline() ? Math.max(nextRetryAt, Date.now()) : offlineRetryAt
+    });
+  }
+
+  /**
+   * 当前是否联网，无法判断时视为联网
+   * @returns {boolean}
+   */
+  isOnline() {
+    return typeof navigator === 'undefined' || navigator.onLine !== false;
+  }
+
+  /**
+   * 将改写记录转换为同步数据，字段与侧边栏手动同步保持一致
+   * @param {Object} record - 改写记录
+   * @param {Object} targetConfig - 目标配置
+   * @param {string} tableName - 目标表格名称
+   * @returns {Object} 同步数据
+   */
+  toSyncData(record, targetConfig, tableName) {
+    return {
+      id: record.id,
+      name: record.name,
+      type: 'rewriteRecord',
+      originalText: record.originalText,
+      rewritePrompt: record.rewritePrompt,
+      rewrittenText: record.rewrittenText,
+      modelConfigId: record.modelConfigId,
+      modelConfigName: record.modelConfigName || '',
+      modelType: record.modelType,
+      modelName: record.modelName,
+      tableToken: targetConfig.tableToken || targetConfig.tableId,
+      tableId: tableName,
+      createdAt: record.createdAt,
+      updatedAt: record.updatedAt,
+      metadata: {
+        source: 'FlowFocus',
+        syncType: 'autoRewriteRecordSync',
+        sourceConfigId: record.id,
+        targetConfigId: targetConfig.id,
+        targetTableName: tableName,
+        syncTime: new Date().toISOString(),
+        url: record.sourceUrl || '',
+        title: record.sourceTitle || ''
+      }
+    };
+  }
+}
+
+// 导出同步队列服务实例
+const syncQueueService = new SyncQueueService();
+export default syncQueueService;
+export { SyncQueueService };
@@ -1,6 +1,11 @@
 // 导入所需服务
 import DataMapper from './dataMapper.js';
 import TableService from './tableService.js';
+import encryptionService from './encryptionService.js';
+import syncStateService from './syncStateService.js';
+import pullService from './pullService.js';
+import sensitiveDataHandler from './sensitiveDataHandler.js';
+import { isRetryableError } from '../utils/utils.js';
 
 /**
  * 数据同步服务类
@@ -74,17 +79,22 @@ class SyncService {
 
   /**
    * 单条同步（增强版）
+   * 已同步过的记录更新远端原有行而不是重新创建；传入options.remoteIndex时进行双向增量同步：
+   * 仅远端修改则拉取到本地，两侧都修改则返回冲突交由用户处理
    * @param {Object} record - 记录数据
    * @param {Object} targetConfig - 目标配置
-   * @param {Object} options - 同步选项
+   * @param {Object} options - 同步选项 { remoteIndex, maxRetries, retryDelay }
    * @param {Object} sharedTableService - 可选的共享表格服务实例（用于批量同步复用）
-   * @returns {Promise<Object>} 同步结果
+   * @returns {Promise<Object>} 同步结果 { syncId, status, action, result, conflict, duration }
    */
   async syncSingle(record, targetConfig, options = {}, sharedTableService = null) {
     const syncId = this.generateSyncId();
     const startTime = Date.now();
     const platform = targetConfig.platform;
     
+    // 锁定时直接拒绝，不计入平台错误和熔断统计
+    await encryptionService.ensureUnlocked();
+    
     try {
       // 检查熔断器状态
       if (this.isCircuitBreakerOpen(platform)) {
@@ -114,7 +124,45 @@ class SyncService {
       
       console.log('修正后的数据类型:', dataType, '原始类型:', originalType, '记录ID:', record.id);
       
-      const mappedData = DataMapper.serializeForTable(record, dataType);
+      const targetKey = syncStateService.getTargetKey(targetConfig, record.tableId);
+      const entry = await syncStateService.getEntry(targetKey, record.id);
+      const remote = options.remoteIndex ? options.remoteIndex.get(record.id) : null;
+      
+      if (remote) {
+        const change = await this.detectChange(record, entry, remote);
+        
+        if (change === 'unchanged') {
+          this.updateSyncStatus(syncId, 'success', record.id);
+          return { syncId, status: 'success', action: 'unchanged', duration: Date.now() - startTime };
+        }
+        
+        if (change === 'remote' || change === 'conflict') {
+          const restored = await DataMapper.secureDeserializeFromTable(remote, {
+            passphrase: targetConfig.sharePassphrase,
+            dataType
+          });
+          
+          if (change === 'conflict') {
+            this.updateSyncStatus(syncId, 'conflict', record.id);
+            return {
+              syncId,
+              status: 'conflict',
+              action: 'conflict',
+              conflict: { targetKey, dataType, local: record, remote: restored, remoteRow: remote },
+              duration: Date.now() - startTime
+            };
+          }
+          
+          const saved = await this.applyRemote(targetKey, dataType, restored, remote);
+          this.updateSyncStatus(syncId, 'success', record.id, saved);
+          return { syncId, status: 'success', action: 'pulled', result: saved, duration: Date.now() - startTime };
+        }
+      }
+      
+      const mappedData = await DataMapper.secureSerializeForTable(record, dataType, {
+        passphrase: targetConfig.sharePassphrase
+      });
+      let remoteRecordId = remote?.metadata?.recordId || entry?.recordId || null;
       
       // 使用共享表格服务实例或创建新实例
       // 重要：将源记录中的认证信息也传递给表格服务，确保在批量同步时能正确获取访问令牌
@@ -130,20 +178,50 @@ class SyncService {
         tableService = new TableService(tableServiceConfig);
       }
       
-      // 执行同步（带重试机制）
-      const result = await this.executeWithRetry(
-        () => tableService.createRecord(mappedData),
+      // 执行同步（带重试机制），已有远端行时更新，否则创建
+      const retry = fn => this.executeWithRetry(
+        fn,
         options.maxRetries || this.maxRetries,
         options.retryDelay || this.retryDelay,
         platform
       );
+      // 没有远端快照和同步状态时按ID查找已有行，避免失败重试后重复创建
+      if (!remoteRecordId && !options.remoteIndex) {
+        const lookupService = this.createTargetTableService(targetConfig, record.tableId);
+        const found = await retry(() => lookupService.findRecordById(record.id));
+        remoteRecordId = found?.id || null;
+      }
+      
+      let action = remoteRecordId ? 'updated' : 'created';
+      let result;
+      
+      if (remoteRecordId) {
+        try {
+          result = await retry(() => tableService.updateRecord(remoteRecordId, mappedData));
+        } catch (error) {
+          // 远端行已被删除时重新创建
+          if (remote || !this.isRecordNotFoundError(error)) {
+            throw error;
+          }
+          action = 'created';
+          result = await retry(() => tableService.createRecord(mappedData));
+        }
+      } else {
+        result = await retry(() => tableService.createRecord(mappedData));
+      }
+      
+      await syncStateService.setEntry(targetKey, record.id, {
+        recordId: result?.id || remoteRecordId,
+        localUpdatedAt: record.updatedAt || '',
+        remoteHash: await syncStateService.fingerprint(mappedData.data)
+      });
       
       // 记录成功指标
       this.recordPerformanceMetric(platform, 'syncSingle', Date.now() - startTime, true);
       this.updateCircuitBreakerSuccess(platform);
       
       this.updateSyncStatus(syncId, 'success', record.id, result);
-      return { syncId, status: 'success', result, duration: Date.now() - startTime };
+      return { syncId, status: 'success', action, result, duration: Date.now() - startTime };
       
     } catch (error) {
       // 记录失败指标
@@ -156,6 +234,192 @@ class SyncService {
     }
   }
 
+  /**
+   * 拉取目标表格的远端快照，按本地数据ID建立索引
+   * 旧版本每次同步都会新建行，同一ID可能对应多行，此时以最后修改的一行为准
+   * @param {Object} targetConfig - 目标配置
+   * @param {string} tableName - 目标表格名称或ID
+   * @returns {Promise<Map>} 本地数据ID → 表格数据
+   */
+  async fetchRemoteIndex(targetConfig, tableName) {
+    const tableService = this.createTargetTableService(targetConfig, tableName);
+    const rows = await tableService.pullRecords();
+    const rowTime = row => Number(new Date(row.metadata?.updatedAt || 0)) || 0;
+    const index = new Map();
+    
+    for (const row of rows) {
+      let localId;
+      try {
+        localId = JSON.parse(row.data).id;
+      } catch (error) {
+        continue;
+      }
+      
+      const current = index.get(localId);
+      if (localId && (!current || rowTime(row) >= rowTime(current))) {
+        index.set(localId, row);
+      }
+    }
+    
+    return index;
+  }
+
+  /**
+   * 为批量同步中涉及的每个表格读取远端快照
+   * 读取失败的表格不做增量同步，只推送本地数据
+   * @param {Array} records - 记录数组
+   * @param {Object} targetConfig - 目标配置
+   * @returns {Promise<Map>} 表格名称 → 远端快照（读取失败时为null）
+   */
+  async fetchRemoteIndexes(records, targetConfig) {
+    const indexes = new Map();
+    for (const tableName of new Set(records.map(record => record.tableId))) {
+      try {
+        indexes.set(tableName, await this.fetchRemoteIndex(targetConfig, tableName));
+      } catch (error) {
+        console.warn(`读取表格 ${tableName} 的远端快照失败，本次只推送本地数据:`, error.message);
+        indexes.set(tableName, null);
+      }
+    }
+    return indexes;
+  }
+
+  /**
+   * 创建指向目标表格的表格服务
+   * 目标配置中的tableId是多维表格token，具体表格由同步时的表格名称决定
+   * @param {Object} targetConfig - 目标配置
+   * @param {string} tableName - 目标表格名称或ID
+   * @returns {TableService} 表格服务实例
+   */
+  createTargetTableService(targetConfig, tableName) {
+    return new TableService({
+      ...targetConfig,
+      tableToken: targetConfig.tableToken || targetConfig.tableId,
+      tableId: tableName
+    });
+  }
+
+  /**
+   * 判断本地与远端自上次同步以来的变化
+   * 本地以updatedAt判断，远端以数据指纹判断，不受两端时钟偏差影响
+   * @param {Object} record - 本地记录
+   * @param {Object|null} entry - 同步状态
+   * @param {Object} remote - 远端表格数据
+   * @returns {Promise<string>} local | remote | conflict | unchanged
+   */
+  async detectChange(record, entry, remote) {
+    // 从未与该远端行同步过（如旧版本创建的行），以本地为准覆盖
+    if (!entry) {
+      return 'local';
+    }
+    
+    const remoteChanged = await syncStateService.fingerprint(remote.data) !== entry.remoteHash;
+    const localChanged = (record.updatedAt || '') !== (entry.localUpdatedAt || '');
+    
+    if (remoteChanged && localChanged) {
+      return 'conflict';
+    }
+    if (remoteChanged) {
+      return 'remote';
+    }
+    return localChanged ? 'local' : 'unchanged';
+  }
+
+  /**
+   * 将远端数据写入本地并记录同步状态
+   * @param {string} targetKey - 同步目标标识
+   * @param {string} dataType - 数据类型
+   * @param {Object} restored - 还原后的远端数据
+   * @param {Object} remote - 远端表格数据
+   * @returns {Promise<Object>} 保存后的本地数据
+   */
+  async applyRemote(targetKey, dataType, restored, remote) {
+    const saved = await pullService.applyRemoteUpdate(dataType, restored);
+    await syncStateService.setEntry(targetKey, saved.id, {
+      recordId: remote.metadata?.recordId,
+      localUpdatedAt: saved.updatedAt,
+      remoteHash: await syncStateService.fingerprint(remote.data)
+    });
+    return saved;
+  }
+
+  /**
+   * 解决同步冲突
+   * @param {Object} conflict - syncSingle返回的冲突信息
+   * @param {string} choice - local 保留本地 | remote 使用表格
+   * @param {Object} targetConfig - 目标配置
+   * @returns {Promise<Object>} 处理结果
+   */
+  async resolveConflict(conflict, choice, targetConfig) {
+    await encryptionService.ensureUnlocked();
+    
+    const { targetKey, dataType, local, remote, remoteRow } = conflict;
+    
+    if (choice === 'remote') {
+      const saved = await this.applyRemote(targetKey, dataType, remote, remoteRow);
+      return { action: 'pulled', result: saved };
+    }
+    
+    if (choice !== 'local') {
+      throw new Error(`未知的冲突处理方式: ${choice}`);
+    }
+    
+    const mappedData = await DataMapper.secureSerializeForTable(local, dataType, {
+      passphrase: targetConfig.sharePassphrase
+    });
+    const tableService = new TableService({
+      ...targetConfig,
+      tableToken: targetConfig.tableToken || targetConfig.tableId,
+      tableId: local.tableId
+    });
+    const recordId = remoteRow.metadata?.recordId;
+    const result = await tableService.updateRecord(recordId, mappedData);
+    
+    await syncStateService.setEntry(targetKey, local.id, {
+      recordId,
+      localUpdatedAt: local.updatedAt || '',
+      remoteHash: await syncStateService.fingerprint(mappedData.data)
+    });
+    return { action: 'updated', result };
+  }
+
+  /**
+   * 对比冲突双方的字段，供界面并排展示
+   * 敏感字段只标明是否不同，不展示内容
+   * @param {Object} conflict - 冲突信息
+   * @returns {Array<Object>} [{ field, local, remote, changed }]
+   */
+  getConflictDiff(conflict) {
+    const { dataType } = conflict;
+    const local = pullService.toLocalFormat(conflict.local, dataType);
+    const remote = pullService.toLocalFormat(conflict.remote, dataType);
+    const hidden = ['metadata', 'syncMetadata', 'type', 'createdAt'];
+    const secrets = sensitiveDataHandler.getSensitiveFields(dataType);
+    const fields = [...new Set([...Object.keys(local), ...Object.keys(remote)])]
+      .filter(field => !hidden.includes(field));
+    const display = value => (value === undefined || value === null ? '' : String(value));
+    
+    return fields.map(field => {
+      const changed = display(local[field]) !== display(remote[field]);
+      const isSecret = secrets.includes(field);
+      return {
+        field,
+        local: isSecret ? (local[field] ? '******' : '') : display(local[field]),
+        remote: isSecret ? (remote[field] ? '******' : '') : display(remote[field]),
+        changed
+      };
+    });
+  }
+
+  /**
+   * 判断是否为远端记录不存在的错误
+   * @param {Error} error - 错误对象
+   * @returns {boolean}
+   */
+  isRecordNotFoundError(error) {
+    return /not\s*found|不存在|1254043/i.test(`${error.code || ''} ${error.message || ''}`);
+  }
+
   /**
    * 带重试机制的执行函数
    * @param {Function} fn - 执行函数
@@ -198,21 +462,7 @@ class SyncService {
    * @returns {boolean} 是否可重试
    */
   isRetryableError(error, retryableErrors = []) {
-    const errorMessage = error.message.toLowerCase();
-    const errorCode = error.code;
-    
-    // 默认可重试错误
-    const defaultRetryableErrors = [
-      'timeout', 'network', 'rate limit', 'too many requests',
-      'service unavailable', 'internal server error', 'bad gateway'
-    ];
-    
-    const allRetryableErrors = [...defaultRetryableErrors, ...retryableErrors];
-    
-    return allRetryableErrors.some(retryableError => 
-      errorMessage.includes(retryableError.toLowerCase()) ||
-      errorCode === retryableError
-    );
+    return isRetryableError(error, retryableErrors);
   }
 
   /**
@@ -232,6 +482,11 @@ class SyncService {
     const concurrentLimit = options.concurrentLimit || config.concurrentLimit;
     const delay = options.delay || config.delay;
     
+    await encryptionService.ensureUnlocked();
+    
+    // 与单条同步一样按远端快照做增量同步和冲突检测
+    const remoteIndexes = await this.fetchRemoteIndexes(records, targetConfig);
+    
     const results = [];
     const totalRecords = records.length;
     let processedCount = 0;
@@ -251,7 +506,7 @@ class SyncService {
         const batchPromises = [];
         for (let j = 0; j < batch.length; j += concurrentLimit) {
           const concurrentBatch = batch.slice(j, j + concurrentLimit);
-          const concurrentPromise = this.processConcurrentBatch(concurrentBatch, targetConfig);
+          const concurrentPromise = this.processConcurrentBatch(concurrentBatch, targetConfig, remoteIndexes);
           batchPromises.push(concurrentPromise);
         }
         
@@ -319,16 +574,21 @@ class SyncService {
    * 处理并发批次
    * @param {Array} batch - 批次记录
    * @param {Object} targetConfig - 目标配置
-   * @returns {Promise<Array>} 批次结果
+   * @param {Map} remoteIndexes - 表格名称 → 远端快照
+   * @returns {Promise<Array>} 批次结果，冲突的记录status为conflict并带有冲突信息
    */
-  async processConcurrentBatch(batch, targetConfig) {
+  async processConcurrentBatch(batch, targetConfig, remoteIndexes = new Map()) {
     const promises = batch.map(async (record) => {
       try {
-        const result = await this.syncSingle(record, targetConfig);
+        const result = await this.syncSingle(record, targetConfig, {
+          remoteIndex: remoteIndexes.get(record.tableId) || null
+        });
         return {
           recordId: record.id,
-          status: 'success',
+          status: result.status,
+          action: result.action,
           result: result.result,
+          conflict: result.conflict,
           syncId: result.syncId
         };
       } catch (error) {
@@ -399,141 +659,6 @@ class SyncService {
     }
   }
 
-  /**
-   * 智能同步 - 根据目标平台优化同步策略
-   * @param {Array} records - 记录数组
-   * @param {Object} targetConfig - 目标配置
-   * @param {Object} options - 同步选项
-   * @returns {Promise<Object>} 同步结果
-   */
-  async smartSync(records, targetConfig, options = {}) {
-    const platform = targetConfig.platform;
-    
-    // 根据平台特性优化同步策略
-    const platformOptimizations = {
-      'feishu': {
-        supportsBatch: true,
-        maxBatchSize: 100,
-        recommendedConcurrency: 5,
-        rateLimit: 1000 // 每分钟请求数
-      },
-      'dingtalk': {
-        supportsBatch: false,
-        maxBatchSize: 1,
-        recommendedConcurrency: 3,
-        rateLimit: 600
-      },
-      'wework': {
-        supportsBatch: true,
-        maxBatchSize: 100,
-        recommendedConcurrency: 3,
-        rateLimit: 500
-      }
-    };
-    
-    const optimization = platformOptimizations[platform] || platformOptimizations.dingtalk;
-    
-    // 应用平台优化
-    const optimizedOptions = {
-      ...options,
-      batchSize: Math.min(options.batchSize || 10, optimization.maxBatchSize),
-      concurrentLimit: Math.min(options.concurrentLimit || 3, optimization.recommendedConcurrency),
-      delay: options.delay || Math.max(100, 60000 / optimization.rateLimit)
-    };
-    
-    console.log(`智能同步 - 平台: ${platform}, 优化配置:`, optimizedOptions);
-    
-    // 如果平台支持真正的批量操作，使用适配器的批量方法
-    if (optimization.supportsBatch && records.length > 10) {
-      return await this.syncWithAdapterBatch(records, targetConfig, optimizedOptions);
-    } else {
-      return await this.syncBatch(records, targetConfig, optimizedOptions);
-    }
-  }
-
-  /**
-   * 使用适配器批量方法同步
-   * @param {Array} records - 记录数组
-   * @param {Object} targetConfig - 目标配置
-   * @param {Object} options - 同步选项
-   * @returns {Promise<Object>} 同步结果
-   */
-  async syncWithAdapterBatch(records, targetConfig, options = {}) {
-    const batchId = this.generateBatchId();
-    const batchSize = options.batchSize || 50;
-    const results = [];
-    
-    try {
-      // 创建表格服务实例
-      const tableService = new TableService(targetConfig);
-      
-      // 分批处理
-      for (let i = 0; i < records.length; i += batchSize) {
-        const batch = records.slice(i, i + batchSize);
-        
-        // 数据映射
-        const mappedData = batch.map(record => 
-          DataMapper.serializeForTable(record, record.type)
-        );
-        
-        try {
-          // 使用适配器的批量创建方法
-          const batchResults = await tableService.batchCreateRecords(mappedData);
-          
-          // 处理批量结果
-          batchResults.forEach((result, index) => {
-            results.push({
-              recordId: batch[index].id,
-              status: result.error ? 'failed' : 'success',
-              result: result.error ? null : result,
-              error: result.error || null,
-              syncId: this.generateSyncId()
-            });
-          });
-          
-        } catch (error) {
-          // 批量失败时，为整个批次创建失败记录
-          batch.forEach(record => {
-            results.push({
-              recordId: record.id,
-              status: 'failed',
-              error: error.message,
-              syncId: this.generateSyncId()
-            });
-          });
-        }
-        
-        // 更新进度
-        const progressCallback = this.progressCallbacks.get(batchId);
-        if (progressCallback) {
-          const progress = {
-            batchId,
-            processed: Math.min(i + batchSize, records.length),
-            total: records.length,
-            percentage: Math.round((Math.min(i + batchSize, records.length) / records.length) * 100)
-          };
-          progressCallback(progress);
-        }
-        
-        // 批次间延迟
-        if (i + batchSize < records.length) {
-          await this.delay(options.delay || 200);
-        }
-      }
-      
-      return {
-        batchId,
-        type: 'adapterBatch',
-        results,
-        summary: this.generateBatchSummary(results)
-      };
-      
-    } catch (error) {
-      console.error('适配器批量同步失败:', error);
-      throw error;
-    }
-  }
-
   /**
    * 重试同步
    * @param {string} syncId - 同步ID
@@ -624,12 +749,14 @@ class SyncService {
   generateBatchSummary(results) {
     const total = results.length;
     const success = results.filter(r => r.status === 'success').length;
-    const failed = total - success;
+    const conflicts = results.filter(r => r.status === 'conflict').length;
+    const failed = total - success - conflicts;
     
     return {
       total,
       success,
       failed,
+      conflicts,
       successRate: total > 0 ? (success / total * 100).toFixed(2) + '%' : '0%'
     };
   }
@@ -895,6 +1022,6 @@ export default SyncService;
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = SyncService;
   module.exports.default = SyncService;
-} else {
+} else if (typeof window !== 'undefined') {
   window.SyncService = SyncService;
 }
\ No newline at end of file
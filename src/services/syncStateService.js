@@ -0,0 +1,116 @@
+/**
+ * 同步状态服务
+ * 记录每条本地数据在各同步目标中对应的远端记录，用于增量同步和冲突检测
+ */
+
+import storageService from './storageService.js';
+
+// 同步状态的存储键
+export const SYNC_STATE_STORAGE_KEY = 'syncState';
+
+class SyncStateService {
+  constructor() {
+    // 所有状态都存放在同一个存储键中，写入依次执行，避免并发同步时互相覆盖
+    this.writing = Promise.resolve();
+  }
+
+  /**
+   * 生成同步目标标识：目标配置 + 表格
+   * @param {Object} targetConfig - 目标多维表格配置
+   * @param {string} tableName - 表格名称或ID
+   * @returns {string} 同步目标标识
+   */
+  getTargetKey(targetConfig, tableName) {
+    const configKey = targetConfig.id || targetConfig.tableToken || targetConfig.tableId || '';
+    return `${configKey}:${tableName || ''}`;
+  }
+
+  /**
+   * 获取本地数据在某个同步目标中的状态
+   * @param {string} targetKey - 同步目标标识
+   * @param {string} localId - 本地数据ID
+   * @returns {Promise<Object|null>} { recordId, localUpdatedAt, remoteHash, lastSyncAt }
+   */
+  async getEntry(targetKey, localId) {
+    const state = await this.loadState();
+    return state[targetKey]?.[localId] || null;
+  }
+
+  /**
+   * 写入本地数据在某个同步目标中的状态
+   * @param {string} targetKey - 同步目标标识
+   * @param {string} localId - 本地数据ID
+   * @param {Object} entry - 同步状态
+   * @returns {Promise<Object>} 写入后的状态
+   */
+  async setEntry(targetKey, localId, entry) {
+    const saved = {
+      ...entry,
+      lastSyncAt: entry.lastSyncAt || new Date().toISOString()
+    };
+
+    await this.updateState(state => {
+      state[targetKey] = { ...(state[targetKey] || {}), [localId]: saved };
+      return true;
+    });
+    return saved;
+  }
+
+  /**
+   * 删除本地数据在某个同步目标中的状态
+   * @param {string} targetKey - 同步目标标识
+   * @param {string} localId - 本地数据ID
+   * @returns {Promise<void>}
+   */
+  async removeEntry(targetKey, localId) {
+    await this.updateState(state => {
+      if (!state[targetKey] || !state[targetKey][localId]) {
+        return false;
+      }
+      delete state[targetKey][localId];
+      return true;
+    });
+  }
+
+  /**
+   * 读取、修改并保存同步状态，排在之前的写入完成后执行
+   * @param {Function} mutate - 修改函数，参数为当前状态，返回false时不保存
+   * @returns {Promise<void>}
+   */
+  updateState(mutate) {
+    const task = this.writing.then(async () => {
+      const state = await this.loadState();
+      if (mutate(state) !== false) {
+        await storageService.saveData(SYNC_STATE_STORAGE_KEY, state);
+      }
+    });
+    // 单次写入失败不影响后续写入
+    this.writing = task.catch(() => {});
+    return task;
+  }
+
+  /**
+   * 计算远端数据指纹
+   * 远端数据中的密钥已封装为信封，指纹不涉及明文
+   * @param {string} text - 远端数据字符串
+   * @returns {Promise<string>} SHA-256十六进制指纹
+   */
+  async fingerprint(text) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text || ''));
+    return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+  }
+
+  /**
+   * 加载同步状态
+   * 侧边栏和后台脚本都会写入，因此每次都从存储读取而不做缓存
+   * @returns {Promise<Object>} 按同步目标分组的状态
+   */
+  async loadState() {
+    return await storageService.loadData(SYNC_STATE_STORAGE_KEY) || {};
+  }
+}
+
+// 导出同步状态服务实例
+const syncStateService = new SyncStateService();
+export default syncStateService;
+export { SyncStateService };
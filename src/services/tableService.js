@@ -5,6 +5,10 @@
 import FeishuAdapter from './adapters/feishuAdapter.js';
 import DingtalkAdapter from './adapters/dingtalkAdapter.js';
 import WeworkAdapter from './adapters/weworkAdapter.js';
+import NotionAdapter from './adapters/notionAdapter.js';
+import AirtableAdapter from './adapters/airtableAdapter.js';
+import GoogleSheetsAdapter from './adapters/googleSheetsAdapter.js';
+import WebhookAdapter from './adapters/webhookAdapter.js';
 
 class TableService {
   constructor(config) {
@@ -14,7 +18,7 @@ class TableService {
 
   /**
    * 创建平台适配器
-   * @param {string} platform - 平台类型 (feishu, dingtalk, wework)
+   * @param {string} platform - 平台类型 (feishu, dingtalk, wework, notion, airtable, googlesheets, webhook)
    * @returns {Object} 适配器实例
    */
   createAdapter(platform) {
@@ -25,6 +29,14 @@ class TableService {
         return new DingtalkAdapter(this.config);
       case 'wework':
         return new WeworkAdapter(this.config);
+      case 'notion':
+        return new NotionAdapter(this.config);
+      case 'airtable':
+        return new AirtableAdapter(this.config);
+      case 'googlesheets':
+        return new GoogleSheetsAdapter(this.config);
+      case 'webhook':
+        return new WebhookAdapter(this.config);
       default:
         throw new Error(`不支持的平台类型: ${platform}`);
     }
@@ -59,6 +71,20 @@ class TableService {
     }
   }
 
+  /**
+   * 按本地数据ID查找已同步的记录
+   * @param {string} id - 本地数据ID
+   * @returns {Promise<Object|null>} 匹配的记录
+   */
+  async findRecordById(id) {
+    try {
+      return await this.adapter.findRecordById(id);
+    } catch (error) {
+      console.error('查找记录失败:', error);
+      throw error;
+    }
+  }
+
   /**
    * 删除记录
    * @param {string} id - 记录ID
@@ -87,6 +113,24 @@ class TableService {
     }
   }
 
+  /**
+   * 翻页拉取全部记录并还原为DataMapper可识别的表格数据
+   * 不含FlowFocus数据的记录会被忽略
+   * @param {Object} params - 查询参数
+   * @returns {Promise<Array>} 表格数据列表
+   */
+  async pullRecords(params = {}) {
+    try {
+      const records = await this.adapter.getAllRecords(params);
+      return records
+        .map(record => this.adapter.parseRecord(record))
+        .filter(Boolean);
+    } catch (error) {
+      console.error('拉取记录失败:', error);
+      throw error;
+    }
+  }
+
   /**
    * 测试连接
    * @returns {Promise<boolean>} 连接测试结果
@@ -0,0 +1,258 @@
+/**
+ * 用量与费用统计服务
+ * 按模型配置中的单价（每1K tokens）计算每次改写的费用，按天和按月累计保存在存储中
+ * 配置了费用上限时，在发起请求前预估本次费用，超出上限则阻止或提醒
+ */
+
+import storageService from './storageService.js';
+
+// 用量统计的存储键
+export const USAGE_STATS_STORAGE_KEY = 'modelUsageStats';
+
+// 超出费用上限时的处理方式
+export const SPEND_LIMIT_ACTIONS = {
+  BLOCK: 'block',
+  WARN: 'warn'
+};
+
+// 币种显示名称
+export const CURRENCY_LABELS = {
+  CNY: '元',
+  USD: '美元'
+};
+
+/**
+ * 生成本地日期键
+ * @param {Date} date - 日期
+ * @returns {Object} { day: 'YYYY-MM-DD', month: 'YYYY-MM' }
+ */
+function toPeriodKeys(date) {
+  const month = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+  return {
+    day: `${month}-${String(date.getDate()).padStart(2, '0')}`,
+    month
+  };
+}
+
+/**
+ * 创建空的累计项
+ * @returns {Object} { requests, promptTokens, completionTokens, cost }
+ */
+function createTotals() {
+  return { requests: 0, promptTokens: 0, completionTokens: 0, cost: 0 };
+}
+
+/**
+ * 金额保留6位小数，避免浮点累加误差
+ * @param {number} value - 金额
+ * @returns {number} 金额
+ */
+function roundCost(value) {
+  return Math.round(value * 1e6) / 1e6;
+}
+
+class UsageService {
+  constructor() {
+    this.dailyRetentionDays = 62;
+    this.monthlyRetention = 24;
+    this.writing = Promise.resolve();
+  }
+
+  /**
+   * 统一各家接口的用量字段，混元为PromptTokens/CompletionTokens
+   * @param {Object} usage - 适配器返回的用量
+   * @returns {Object} { promptTokens, completionTokens }
+   */
+  normalizeUsage(usage = {}) {
+    const promptTokens = usage.prompt_tokens || usage.PromptTokens || 0;
+    const completionTokens = usage.completion_tokens || usage.CompletionTokens ||
+      Math.max((usage.total_tokens || usage.TotalTokens || 0) - promptTokens, 0);
+    return { promptTokens, completionTokens };
+  }
+
+  /**
+   * 按配置单价计算费用，未设置单价时为0
+   * @param {Object} config - 模型配置 { inputPrice, outputPrice }，单价为每1K tokens
+   * @param {Object} usage - 用量
+   * @returns {number} 费用
+   */
+  calculateCost(config, usage) {
+    const { promptTokens, completionTokens } = this.normalizeUsage(usage);
+    const inputPrice = Number(config.inputPrice) || 0;
+    const outputPrice = Number(config.outputPrice) || 0;
+    return roundCost((promptTokens * inputPrice + completionTokens * outputPrice) / 1000);
+  }
+
+  /**
+   * 粗略估算token数：中日韩字符每字约1个token，其余字符每4个约1个token
+   * @param {string} text - 文本
+   * @returns {number} token数
+   */
+  estimateTokens(text) {
+    const value = String(text || '');
+    const cjkCount = (value.match(/[぀-ヿ㐀-鿿가-힯＀-￯]/g) || []).length;
+    return cjkCount + Math.ceil((value.length - cjkCount) / 4);
+  }
+
+  /**
+   * 预估一次改写的费用，输出长度按与原文相当估计
+   * @param {Object} config - 模型配置
+   * @param {string} text - 待改写的文本
+   * @param {string} rewritePrompt - 改写提示词
+   * @returns {number} 预估费用
+   */
+  estimateCost(config, text, rewritePrompt) {
+    const textTokens = this.estimateTokens(text);
+    return this.calculateCost(config, {
+      prompt_tokens: textTokens + this.estimateTokens(rewritePrompt),
+      completion_tokens: textTokens
+    });
+  }
+
+  /**
+   * 读取全部用量统计
+   * @returns {Promise<Object>} configId → { name, currency, daily, monthly }
+   */
+  async load() {
+    return await storageService.loadData(USAGE_STATS_STORAGE_KEY) || {};
+  }
+
+  /**
+   * 读取、修改并保存用量统计，排在之前的写入完成后执行，避免并发改写的累计互相覆盖
+   * @param {Function} mutate - 修改函数，参数为全部用量统计
+   * @returns {Promise<void>}
+   */
+  updateStats(mutate) {
+    const task = this.writing.then(async () => {
+      const stats = await this.load();
+      mutate(stats);
+      await storageService.saveData(USAGE_STATS_STORAGE_KEY, stats);
+    });
+    // 单次写入失败不影响后续写入
+    this.writing = task.catch(() => {});
+    return task;
+  }
+
+  /**
+   * 累计一次改写的用量和费用
+   * @param {Object} config - 模型配置
+   * @param {Object} usage - 适配器返回的用量
+   * @param {Date} date - 发生时间，默认当前时间
+   * @returns {Promise<Object>} 本次 { promptTokens, completionTokens, cost, currency }
+   */
+  async recordUsage(config, usage, date = new Date()) {
+    const { promptTokens, completionTokens } = this.normalizeUsage(usage);
+    const cost = this.calculateCost(config, usage);
+    const currency = config.currency || 'CNY';
+    const configId = config.id || config.name || config.modelType || config.type;
+    const { day, month } = toPeriodKeys(date);
+
+    await this.updateStats(stats => {
+      const entry = stats[configId] || { daily: {}, monthly: {} };
+      entry.name = config.name || entry.name || configId;
+      entry.modelType = config.modelType || config.type;
+      entry.currency = currency;
+
+      for (const [bucket, key] of [[entry.daily, day], [entry.monthly, month]]) {
+        const totals = bucket[key] || createTotals();
+        totals.requests++;
+        totals.promptTokens += promptTokens;
+        totals.completionTokens += completionTokens;
+        totals.cost = roundCost(totals.cost + cost);
+        bucket[key] = totals;
+      }
+
+      stats[configId] = this.prune(entry);
+    });
+    return { promptTokens, completionTokens, cost, currency };
+  }
+
+  /**
+   * 清理超过保留期的按天和按月统计
+   * @param {Object} entry - 单个配置的统计，原地修改
+   * @returns {Object} 清理后的统计
+   */
+  prune(entry) {
+    const dayKeys = Object.keys(entry.daily).sort();
+    dayKeys.slice(0, Math.max(dayKeys.length - this.dailyRetentionDays, 0))
+      .forEach(key => delete entry.daily[key]);
+
+    const monthKeys = Object.keys(entry.monthly).sort();
+    monthKeys.slice(0, Math.max(monthKeys.length - this.monthlyRetention, 0))
+      .forEach(key => delete entry.monthly[key]);
+    return entry;
+  }
+
+  /**
+   * 获取配置当天和当月的累计
+   * @param {string} configId - 模型配置ID
+   * @param {Date} date - 日期，默认当前时间
+   * @returns {Promise<Object>} { today, month }
+   */
+  async getTotals(configId, date = new Date()) {
+    const stats = await this.load();
+    const entry = stats[configId];
+    const { day, month } = toPeriodKeys(date);
+    return {
+      today: (entry && entry.daily[day]) || createTotals(),
+      month: (entry && entry.monthly[month]) || createTotals()
+    };
+  }
+
+  /**
+   * 检查本次改写是否会超出配置的每日或每月费用上限
+   * @param {Object} config - 模型配置 { dailySpendLimit, monthlySpendLimit, spendLimitAction }
+   * @param {string} text - 待改写的文本
+   * @param {string} rewritePrompt - 改写提示词
+   * @returns {Promise<Object>} { allowed, warning }，不允许时message为原因
+   */
+  async checkBudget(config, text, rewritePrompt) {
+    const dailyLimit = Number(config.dailySpendLimit) || 0;
+    const monthlyLimit = Number(config.monthlySpendLimit) || 0;
+    if (!dailyLimit && !monthlyLimit) {
+      return { allowed: true };
+    }
+
+    const estimated = this.estimateCost(config, text, rewritePrompt);
+    const totals = await this.getTotals(config.id || config.name);
+    const currency = CURRENCY_LABELS[config.currency] || config.currency || CURRENCY_LABELS.CNY;
+    const exceeded = [
+      { label: '今日', limit: dailyLimit, spent: totals.today.cost },
+      { label: '本月', limit: monthlyLimit, spent: totals.month.cost }
+    ].find(period => period.limit > 0 && period.spent + estimated > period.limit);
+
+    if (!exceeded) {
+      return { allowed: true };
+    }
+
+    const message = `${config.name || '该模型'}${exceeded.label}已花费 ${exceeded.spent.toFixed(4)} ${currency}，` +
+      `本次预计 ${estimated.toFixed(4)} ${currency}，将超出上限 ${exceeded.limit} ${currency}`;
+    if (config.spendLimitAction === SPEND_LIMIT_ACTIONS.WARN) {
+      return { allowed: true, warning: message };
+    }
+    return { allowed: false, message };
+  }
+
+  /**
+   * 汇总各配置当天和当月的用量，供侧边栏展示
+   * @param {Date} date - 日期，默认当前时间
+   * @returns {Promise<Array<Object>>} [{ configId, name, modelType, currency, today, month }]
+   */
+  async getSummary(date = new Date()) {
+    const stats = await this.load();
+    const { day, month } = toPeriodKeys(date);
+    return Object.entries(stats).map(([configId, entry]) => ({
+      configId,
+      name: entry.name,
+      modelType: entry.modelType,
+      currency: entry.currency,
+      today: entry.daily[day] || createTotals(),
+      month: entry.monthly[month] || createTotals()
+    }));
+  }
+}
+
+// 导出用量统计服务实例
+const usageService = new UsageService();
+export default usageService;
+export { UsageService };
@@ -2,14 +2,38 @@
  * 侧边栏JavaScript逻辑
  */
 import storageService from '../services/storageService.js';
-import modelService from '../services/modelService.js';
+import modelService, { REWRITE_STREAM_PORT } from '../services/modelService.js';
 import TableService from '../services/tableService.js';
+import AdapterFactory from '../services/adapters/adapterFactory.js';
 import SyncService from '../services/syncService.js';
+import encryptionService from '../services/encryptionService.js';
+import sensitiveDataHandler from '../services/sensitiveDataHandler.js';
+import pullService from '../services/pullService.js';
+import autoSyncService, { AUTO_SYNC_STATUS_KEY } from '../services/autoSyncService.js';
+import syncQueueService from '../services/syncQueueService.js';
+import rewriteCacheService from '../services/rewriteCacheService.js';
+import usageService, { CURRENCY_LABELS } from '../services/usageService.js';
+import enhancedRewriteService from '../services/enhancedRewriteService.js';
+import contextMenuService, { PENDING_CONTEXT_REWRITE_KEY } from '../services/contextMenuService.js';
+import floatingToolbarService from '../services/floatingToolbarService.js';
 import { generateUUID } from '../utils/utils.js';
+import { ERROR_CODES, DEFAULT_CONFIG, VALIDATION_RULES, CONFIDENTIAL_TAG } from '../utils/constants.js';
 
 // 当前选中的标签页
 let currentTab = 'tableConfig';
 
+// 从表格拉取的预览项
+let pullPreviewItems = [];
+
+// 进行中改写的取消控制器
+let rewriteController = null;
+
+// 最近一次成功改写的模型、费用等信息，保存记录时写入
+let lastRewrite = null;
+
+// 最近处理的右键菜单改写请求ID，避免同一请求被处理两次
+let lastContextRewriteId = null;
+
 // 触发webpack重新编译
 
 
@@ -35,6 +59,62 @@ const MODEL_DEFAULTS = {
     'hunyuan': {
         baseUrl: 'https://api.hunyuan.cloud.tencent.com/v1',
         modelEndpoint: 'hunyuan-turbos-latest'
+    },
+    'custom': {
+        baseUrl: '',
+        modelEndpoint: ''
+    },
+    'ollama': {
+        baseUrl: 'http://localhost:11434',
+        modelEndpoint: 'qwen2.5:7b'
+    },
+    'anthropic': {
+        baseUrl: 'https://api.anthropic.com',
+        modelEndpoint: 'claude-3-5-haiku-latest'
+    },
+    'gemini': {
+        baseUrl: 'https://generativelanguage.googleapis.com',
+        modelEndpoint: 'gemini-2.0-flash'
+    }
+};
+
+// 多维表格配置表单的字段标签，未列出的平台使用default，appId为null时隐藏应用ID，appSecretOptional为true时密钥可不填
+const TABLE_FORM_LABELS = {
+    'default': {
+        appId: '应用ID：',
+        appSecret: '应用密钥：',
+        appSecretPlaceholder: '请输入应用密钥',
+        tableId: '表格token：',
+        tableIdPlaceholder: '请输入表格token'
+    },
+    'notion': {
+        appId: null,
+        appSecret: 'Integration Token：',
+        appSecretPlaceholder: '请输入Notion集成令牌',
+        tableId: '数据库ID：',
+        tableIdPlaceholder: '请输入数据库ID或粘贴数据库链接'
+    },
+    'airtable': {
+        appId: null,
+        appSecret: 'Personal Access Token：',
+        appSecretPlaceholder: '请输入Airtable个人访问令牌',
+        tableId: 'Base ID：',
+        tableIdPlaceholder: '请输入Base ID或粘贴Airtable表格链接'
+    },
+    'googlesheets': {
+        appId: null,
+        appSecret: '访问令牌：',
+        appSecretPlaceholder: '请输入OAuth访问令牌或粘贴服务账号JSON密钥',
+        tableId: '表格ID：',
+        tableIdPlaceholder: '请输入表格ID或粘贴Google表格链接'
+    },
+    'webhook': {
+        appId: null,
+        appSecret: '签名密钥：',
+        appSecretPlaceholder: '可选，填写后按HMAC-SHA256对请求体签名',
+        appSecretOptional: true,
+        tableId: 'URL模板：',
+        tableIdPlaceholder: 'https://example.com/api/items/{{id}}'
     }
 };
 
@@ -52,6 +132,11 @@ document.addEventListener('DOMContentLoaded', async function() {
     } catch (error) {
         console.error('记录升级过程中出现错误:', error);
     }
+    try {
+        await storageService.encryptExistingSecrets();
+    } catch (error) {
+        console.error('敏感数据加密迁移失败:', error);
+    }
     
     // 初始化标签页
     initTabs();
@@ -65,10 +150,34 @@ document.addEventListener('DOMContentLoaded', async function() {
     // 初始化改写功能标签页
     initRewriteTab();
     
+    // 初始化主密码保护功能
+    initSecuritySettings();
+    
     // 插件加载时填充默认值
     fillModelDefaults();
+    
+    // 处理网页右键菜单发来的改写请求
+    initContextMenuRewrite();
+    
+    // 网络恢复时推送离线期间积压的同步任务
+    window.addEventListener('online', drainSyncQueue);
 });
 
+// 推送同步队列
+// 启用主密码时后台始终处于锁定状态，只能在已解锁的侧边栏中推送；否则交给后台推送
+async function drainSyncQueue() {
+    try {
+        await encryptionService.initialize();
+        if (!encryptionService.isPassphraseEnabled()) {
+            await chrome.runtime.sendMessage({ action: 'drainSyncQueue' });
+        } else if (!encryptionService.isLocked()) {
+            await syncQueueService.drain();
+        }
+    } catch (error) {
+        console.warn('推送同步队列失败:', error.message);
+    }
+}
+
 // 初始化标签页切换功能
 function initTabs() {
     console.log('初始化标签页功能');
@@ -106,6 +215,8 @@ function initTabs() {
             if (modelConfigTab) modelConfigTab.classList.add('active');
             if (modelConfigPanel) modelConfigPanel.classList.add('active');
             fillModelDefaults();
+            loadUsageSummary();
+            loadRewriteCacheStats();
         } else if (targetTab === 'rewrite') {
             if (rewriteTab) rewriteTab.classList.add('active');
             if (rewritePanel) rewritePanel.classList.add('active');
@@ -160,18 +271,27 @@ function initModelConfigTab() {
         const modelType = document.getElementById('modelType');
         const saveConfigBtn = document.getElementById('saveConfigBtn');
         const testConnectionBtn = document.getElementById('testConnectionBtn');
+        const loadLocalModelsBtn = document.getElementById('loadLocalModelsBtn');
         const selectAllConfigs = document.getElementById('selectAllConfigs');
         const deleteSelectedConfigsBtn = document.getElementById('deleteSelectedConfigsBtn');
+        const clearRewriteCacheBtn = document.getElementById('clearRewriteCacheBtn');
+        const saveFloatingToolbarBtn = document.getElementById('saveFloatingToolbarBtn');
         
         // 绑定事件，确保元素存在再添加事件监听器
         if (modelType) modelType.addEventListener('change', fillModelDefaults); // 大模型下拉框选择变化时填充默认值
         if (saveConfigBtn) saveConfigBtn.addEventListener('click', saveModelConfig);
         if (testConnectionBtn) testConnectionBtn.addEventListener('click', testModelConnection);
+        if (loadLocalModelsBtn) loadLocalModelsBtn.addEventListener('click', () => loadLocalModels(true));
         if (selectAllConfigs) selectAllConfigs.addEventListener('change', toggleAllConfigs);
         if (deleteSelectedConfigsBtn) deleteSelectedConfigsBtn.addEventListener('click', deleteSelectedConfigs);
+        if (clearRewriteCacheBtn) clearRewriteCacheBtn.addEventListener('click', clearRewriteCache);
+        if (saveFloatingToolbarBtn) saveFloatingToolbarBtn.addEventListener('click', saveFloatingToolbarSettings);
         
-        // 加载已保存的配置
+        // 加载已保存的配置、用量、缓存统计和划词工具栏设置
         loadModelConfigs();
+        loadUsageSummary();
+        loadRewriteCacheStats();
+        loadFloatingToolbarSettings();
     } catch (error) {
         console.error('初始化大模型配置标签页失败:', error);
         showAlert('初始化模型配置功能失败: ' + error.message, 'error');
@@ -182,11 +302,19 @@ function initModelConfigTab() {
 function initRewriteTab() {
     // 获取元素
     const getSelectedTextBtn = document.getElementById('getSelectedTextBtn');
+    const getPageContentBtn = document.getElementById('getPageContentBtn');
     const copyOriginalBtn = document.getElementById('copyOriginalBtn');
     const clearOriginalBtn = document.getElementById('clearOriginalBtn');
     const startRewriteBtn = document.getElementById('startRewriteBtn');
+    const stopRewriteBtn = document.getElementById('stopRewriteBtn');
     const clearPromptBtn = document.getElementById('clearPromptBtn');
+    const promptTemplateSelect = document.getElementById('promptTemplateSelect');
+    const savePromptTemplateBtn = document.getElementById('savePromptTemplateBtn');
+    const deletePromptTemplateBtn = document.getElementById('deletePromptTemplateBtn');
+    const modelSelect = document.getElementById('modelSelect');
     const copyResultBtn = document.getElementById('copyResultBtn');
+    const replaceInPageBtn = document.getElementById('replaceInPageBtn');
+    const undoReplaceBtn = document.getElementById('undoReplaceBtn');
     const saveResultBtn = document.getElementById('saveResultBtn');
     const selectAllRecords = document.getElementById('selectAllRecords');
     const deleteSelectedRecordsBtn = document.getElementById('deleteSelectedRecordsBtn');
@@ -200,11 +328,20 @@ function initRewriteTab() {
     
     // 绑定事件
     getSelectedTextBtn.addEventListener('click', getSelectedText);
+    getPageContentBtn.addEventListener('click', getPageContent);
     copyOriginalBtn.addEventListener('click', copyOriginalText);
     clearOriginalBtn.addEventListener('click', clearOriginalText);
-    startRewriteBtn.addEventListener('click', startRewrite);
+    startRewriteBtn.addEventListener('click', () => startRewrite());
+    stopRewriteBtn.addEventListener('click', stopRewrite);
     clearPromptBtn.addEventListener('click', clearRewritePrompt);
+    promptTemplateSelect.addEventListener('change', applyPromptTemplate);
+    savePromptTemplateBtn.addEventListener('click', savePromptTemplate);
+    deletePromptTemplateBtn.addEventListener('click', deletePromptTemplate);
+    // 记住选用的模型，右键菜单改写时沿用
+    modelSelect.addEventListener('change', () => storageService.saveActiveModelConfigName(modelSelect.value));
     copyResultBtn.addEventListener('click', copyRewriteResult);
+    replaceInPageBtn.addEventListener('click', replaceInPage);
+    undoReplaceBtn.addEventListener('click', undoReplaceInPage);
     saveResultBtn.addEventListener('click', saveRewriteResult);
     selectAllRecords.addEventListener('change', toggleAllRecords);
     deleteSelectedRecordsBtn.addEventListener('click', deleteSelectedRecords);
@@ -215,10 +352,123 @@ function initRewriteTab() {
     // 加载模型配置到下拉列表
     loadModelConfigsToSelect();
     
+    // 加载提示词模板
+    loadPromptTemplates();
+    
     // 加载改写历史记录
     loadRewriteHistory();
 }
 
+// 监听右键菜单的改写请求；侧边栏由右键菜单打开时请求可能已先写入存储
+function initContextMenuRewrite() {
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName === 'local' && changes[PENDING_CONTEXT_REWRITE_KEY] && changes[PENDING_CONTEXT_REWRITE_KEY].newValue) {
+            runPendingContextRewrite();
+        }
+    });
+    runPendingContextRewrite();
+}
+
+// 用当前选用的模型改写右键菜单中选中的文字，结果显示在改写标签页
+async function runPendingContextRewrite() {
+    try {
+        const request = await contextMenuService.takePendingRewrite();
+        if (!request || request.id === lastContextRewriteId) {
+            return;
+        }
+        lastContextRewriteId = request.id;
+        
+        if (rewriteController) {
+            showAlert('上一次改写尚未完成，请稍后再从右键菜单改写', 'warning');
+            return;
+        }
+        
+        document.getElementById('rewriteTab').click();
+        await loadModelConfigsToSelect();
+        document.getElementById('originalText').value = request.text;
+        document.getElementById('rewritePrompt').value = request.prompt;
+        document.getElementById('promptTemplateSelect').value = '';
+        showAlert(`正在按"${request.name}"改写选中的文字`, 'info');
+        await startRewrite({ examples: request.examples });
+    } catch (error) {
+        console.error('处理右键菜单改写失败:', error);
+        showAlert('右键菜单改写失败: ' + error.message, 'error');
+    }
+}
+
+// 加载提示词模板到下拉列表
+async function loadPromptTemplates(selectedId = '') {
+    const templates = await storageService.loadCustomPromptTemplates();
+    const promptTemplateSelect = document.getElementById('promptTemplateSelect');
+    promptTemplateSelect.innerHTML = '<option value="">选择已保存的提示词模板</option>';
+    templates.forEach(template => {
+        const option = document.createElement('option');
+        option.value = template.id;
+        option.textContent = template.name;
+        promptTemplateSelect.appendChild(option);
+    });
+    promptTemplateSelect.value = selectedId;
+}
+
+// 选择模板后填入提示词
+async function applyPromptTemplate() {
+    const templateId = document.getElementById('promptTemplateSelect').value;
+    if (!templateId) {
+        return;
+    }
+    const templates = await storageService.loadCustomPromptTemplates();
+    const template = templates.find(item => item.id === templateId);
+    if (template) {
+        document.getElementById('rewritePrompt').value = template.prompt;
+    }
+}
+
+// 把当前提示词保存为模板，同名模板直接覆盖；模板会出现在网页右键菜单中
+async function savePromptTemplate() {
+    const rewritePrompt = document.getElementById('rewritePrompt').value.trim();
+    if (!rewritePrompt) {
+        showAlert('请先输入改写提示词', 'warning');
+        return;
+    }
+    
+    const name = window.prompt('模板名称（将显示在网页右键菜单中）：', rewritePrompt.slice(0, 20));
+    if (!name || !name.trim()) {
+        return;
+    }
+    
+    try {
+        const template = await storageService.saveCustomPromptTemplate({ name: name.trim(), prompt: rewritePrompt });
+        await loadPromptTemplates(template.id);
+        showAlert(`已保存提示词模板 "${template.name}"`, 'success');
+    } catch (error) {
+        console.error('保存提示词模板失败:', error);
+        showAlert('保存提示词模板失败: ' + error.message, 'error');
+    }
+}
+
+// 删除选中的提示词模板
+async function deletePromptTemplate() {
+    const promptTemplateSelect = document.getElementById('promptTemplateSelect');
+    if (!promptTemplateSelect.value) {
+        showAlert('请先选择要删除的模板', 'warning');
+        return;
+    }
+    
+    const name = promptTemplateSelect.options[promptTemplateSelect.selectedIndex].textContent;
+    if (!confirm(`确定要删除提示词模板 "${name}" 吗？`)) {
+        return;
+    }
+    
+    try {
+        await storageService.deleteCustomPromptTemplate(promptTemplateSelect.value);
+        await loadPromptTemplates();
+        showAlert('已删除提示词模板', 'success');
+    } catch (error) {
+        console.error('删除提示词模板失败:', error);
+        showAlert('删除提示词模板失败: ' + error.message, 'error');
+    }
+}
+
 // 初始化多维表格配置标签页
 function initTableConfigTab() {
     // 获取元素
@@ -241,12 +491,196 @@ function initTableConfigTab() {
         batchSyncTableConfigsBtn.addEventListener('click', batchSyncTableConfigs);
     }
     
+    // 从表格拉取按钮事件监听
+    const pullFromTableBtn = document.getElementById('pullFromTableBtn');
+    if (pullFromTableBtn) {
+        pullFromTableBtn.addEventListener('click', showPullDialog);
+    }
+    
+    // 后台自动同步完成后刷新各链接的运行状态
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName === 'local' && changes[AUTO_SYNC_STATUS_KEY]) {
+            refreshAutoSyncStatus();
+        }
+    });
+    
     // 加载已保存的配置
     loadTableConfigs();
 }
 
 
 
+// 初始化主密码保护功能
+function initSecuritySettings() {
+    const vaultUnlockBtn = document.getElementById('vaultUnlockBtn');
+    const vaultUnlockInput = document.getElementById('vaultUnlockInput');
+    const enablePassphraseBtn = document.getElementById('enablePassphraseBtn');
+    const disablePassphraseBtn = document.getElementById('disablePassphraseBtn');
+    const lockVaultBtn = document.getElementById('lockVaultBtn');
+    const autoLockMinutes = document.getElementById('autoLockMinutes');
+    
+    if (vaultUnlockBtn) vaultUnlockBtn.addEventListener('click', unlockVault);
+    if (vaultUnlockInput) {
+        vaultUnlockInput.addEventListener('keydown', function(e) {
+            if (e.key === 'Enter') unlockVault();
+        });
+    }
+    if (enablePassphraseBtn) enablePassphraseBtn.addEventListener('click', enableMasterPassphrase);
+    if (disablePassphraseBtn) disablePassphraseBtn.addEventListener('click', disableMasterPassphrase);
+    if (lockVaultBtn) lockVaultBtn.addEventListener('click', () => encryptionService.lock());
+    if (autoLockMinutes) autoLockMinutes.addEventListener('change', updateAutoLockMinutes);
+    
+    // 侧边栏内的操作视为活动，重置空闲锁定计时
+    document.addEventListener('click', () => encryptionService.touch());
+    document.addEventListener('keydown', () => encryptionService.touch());
+    
+    // 锁定状态变化后刷新提示和配置列表
+    encryptionService.addLockListener(() => {
+        refreshVaultState();
+        loadTableConfigs();
+        loadModelConfigs();
+    });
+    
+    refreshVaultState();
+}
+
+// 刷新主密码状态显示
+async function refreshVaultState() {
+    try {
+        await encryptionService.initialize();
+    } catch (error) {
+        console.error('初始化加密服务失败:', error);
+        return;
+    }
+    
+    const enabled = encryptionService.isPassphraseEnabled();
+    const locked = encryptionService.isLocked();
+    
+    const banner = document.getElementById('vaultLockBanner');
+    const vaultStatus = document.getElementById('vaultStatus');
+    const enablePassphraseBtn = document.getElementById('enablePassphraseBtn');
+    const disablePassphraseBtn = document.getElementById('disablePassphraseBtn');
+    const lockVaultBtn = document.getElementById('lockVaultBtn');
+    const autoLockMinutes = document.getElementById('autoLockMinutes');
+    
+    if (banner) banner.style.display = locked ? 'block' : 'none';
+    if (vaultStatus) vaultStatus.textContent = !enabled ? '未启用' : (locked ? '已锁定' : '已解锁');
+    if (enablePassphraseBtn) enablePassphraseBtn.textContent = enabled ? '修改主密码' : '设置主密码';
+    if (disablePassphraseBtn) disablePassphraseBtn.disabled = !enabled || locked;
+    if (lockVaultBtn) lockVaultBtn.disabled = !enabled || locked;
+    if (autoLockMinutes) autoLockMinutes.value = encryptionService.getAutoLockMinutes();
+}
+
+// 检查是否已解锁，锁定时提示用户输入主密码
+async function ensureVaultUnlocked() {
+    await encryptionService.initialize();
+    if (!encryptionService.isLocked()) {
+        return true;
+    }
+    
+    showAlert('敏感配置已锁定，请先输入主密码解锁', 'warning');
+    await refreshVaultState();
+    const vaultUnlockInput = document.getElementById('vaultUnlockInput');
+    if (vaultUnlockInput) vaultUnlockInput.focus();
+    return false;
+}
+
+// 使用主密码解锁
+async function unlockVault() {
+    const vaultUnlockInput = document.getElementById('vaultUnlockInput');
+    const passphrase = vaultUnlockInput.value;
+    
+    if (!passphrase) {
+        showAlert('请输入主密码', 'warning');
+        return;
+    }
+    
+    try {
+        await encryptionService.unlock(passphrase);
+        vaultUnlockInput.value = '';
+        // 锁定期间跳过的明文迁移在解锁后补做
+        await storageService.encryptExistingSecrets();
+        showAlert('已解锁', 'success');
+        // 后台无法使用主密码，锁定期间积压的同步任务由侧边栏推送
+        drainSyncQueue();
+    } catch (error) {
+        console.error('解锁失败:', error);
+        if (error.code === ERROR_CODES.INVALID_PASSPHRASE) {
+            showAlert('主密码错误', 'error');
+        } else {
+            showAlert('解锁失败: ' + error.message, 'error');
+        }
+    }
+}
+
+// 设置或修改主密码
+async function enableMasterPassphrase() {
+    const passphraseInput = document.getElementById('masterPassphrase');
+    const passphrase = passphraseInput.value;
+    const autoLockMinutes = Number(document.getElementById('autoLockMinutes').value) || DEFAULT_CONFIG.AUTO_LOCK_MINUTES;
+    
+    if (!passphrase) {
+        showAlert('请输入主密码', 'warning');
+        return;
+    }
+    
+    if (!(await ensureVaultUnlocked())) {
+        return;
+    }
+    
+    if (!confirm('主密码无法找回，忘记后已保存的密钥需要重新填写。确定继续吗？')) {
+        return;
+    }
+    
+    try {
+        await storageService.enableMasterPassphrase(passphrase, autoLockMinutes);
+        // 启用主密码后不再缓存改写结果，已缓存的明文一并清除
+        await rewriteCacheService.clear();
+        passphraseInput.value = '';
+        await refreshVaultState();
+        await loadRewriteCacheStats();
+        showAlert('主密码已设置', 'success');
+    } catch (error) {
+        console.error('设置主密码失败:', error);
+        showAlert('设置主密码失败: ' + error.message, 'error');
+    }
+}
+
+// 停用主密码
+async function disableMasterPassphrase() {
+    if (!(await ensureVaultUnlocked())) {
+        return;
+    }
+    
+    if (!confirm('停用后密钥将改用本机密钥加密，无需输入主密码即可使用。确定停用吗？')) {
+        return;
+    }
+    
+    try {
+        await storageService.disableMasterPassphrase();
+        await refreshVaultState();
+        showAlert('主密码已停用', 'success');
+    } catch (error) {
+        console.error('停用主密码失败:', error);
+        showAlert('停用主密码失败: ' + error.message, 'error');
+    }
+}
+
+// 修改空闲自动锁定时长
+async function updateAutoLockMinutes() {
+    if (!encryptionService.isPassphraseEnabled()) {
+        return;
+    }
+    
+    try {
+        await encryptionService.setAutoLockMinutes(document.getElementById('autoLockMinutes').value);
+        showAlert('自动锁定时长已更新', 'success');
+    } catch (error) {
+        showAlert('更新自动锁定时长失败: ' + error.message, 'error');
+        await refreshVaultState();
+    }
+}
+
 // 填充大模型默认值
 function fillModelDefaults() {
     const modelType = document.getElementById('modelType').value;
@@ -269,6 +703,126 @@ function fillModelDefaults() {
         baseUrlInput.value = defaults.baseUrl;
         modelEndpointInput.value = defaults.modelEndpoint;
     }
+    
+    document.getElementById('modelAuthStyle').value = 'bearer';
+    document.getElementById('modelHeaders').value = '';
+    document.getElementById('modelStreamUsage').checked = true;
+    applyModelFormFields(modelType);
+    
+    if (modelType === 'ollama') {
+        loadLocalModels(false);
+    }
+}
+
+// 按模型类型切换表单：自定义模型显示鉴权方式和附加请求头，并调整输入提示
+function applyModelFormFields(modelType) {
+    const isCustom = modelType === 'custom';
+    const isOllama = modelType === 'ollama';
+    document.querySelectorAll('.custom-model-only').forEach(group => {
+        group.style.display = isCustom ? '' : 'none';
+    });
+    document.querySelectorAll('.ollama-only').forEach(group => {
+        group.style.display = isOllama ? '' : 'none';
+    });
+    document.getElementById('baseUrl').placeholder = isCustom ? '如 http://localhost:8000/v1' : '请输入基础URL';
+    document.getElementById('modelEndpoint').placeholder = isCustom ? '请输入模型名称或部署名称' : '请输入模型端点';
+    document.getElementById('apiKey').placeholder = isOllama ? '本地模型可不填' : '请输入API密钥';
+    
+    // 本地模型的端点输入框提供已安装模型的候选列表
+    const modelEndpointInput = document.getElementById('modelEndpoint');
+    if (isOllama) {
+        modelEndpointInput.setAttribute('list', 'localModelOptions');
+    } else {
+        modelEndpointInput.removeAttribute('list');
+    }
+}
+
+// 获取本机Ollama已安装的模型，填入模型端点的候选列表
+// showResult为false时（切换模型类型时自动加载）只更新提示文字，不弹出提示
+async function loadLocalModels(showResult) {
+    const hint = document.getElementById('localModelsHint');
+    const options = document.getElementById('localModelOptions');
+    const baseUrl = document.getElementById('baseUrl').value.trim();
+    
+    const response = await modelService.listModels({ type: 'ollama', baseUrl });
+    if (!response.success) {
+        hint.textContent = response.error;
+        if (showResult) {
+            showAlert('获取本地模型失败: ' + response.error, 'error');
+        }
+        return;
+    }
+    
+    options.innerHTML = '';
+    response.models.forEach(model => {
+        const option = document.createElement('option');
+        option.value = model.name;
+        option.textContent = model.parameterSize ? `${model.name}（${model.parameterSize}）` : model.name;
+        options.appendChild(option);
+    });
+    
+    hint.textContent = response.models.length > 0
+        ? `已安装 ${response.models.length} 个模型，可在模型端点中选择`
+        : '尚未安装模型，请先运行 ollama pull <模型名>';
+    
+    // 自动加载时，默认模型未安装则改为第一个已安装的模型
+    const modelEndpointInput = document.getElementById('modelEndpoint');
+    const names = response.models.map(model => model.name);
+    if (showResult) {
+        showAlert(`已获取 ${names.length} 个本地模型`, 'success');
+    } else if (names.length > 0 && !names.includes(modelEndpointInput.value) && !names.includes(`${modelEndpointInput.value}:latest`)) {
+        modelEndpointInput.value = names[0];
+    }
+}
+
+// 读取自定义模型的鉴权方式、附加请求头和流式用量开关，请求头不是JSON对象时抛出错误
+function readCustomModelFields() {
+    const headers = document.getElementById('modelHeaders').value.trim();
+    if (headers) {
+        let parsed;
+        try {
+            parsed = JSON.parse(headers);
+        } catch (error) {
+            throw new Error('附加请求头不是有效的JSON');
+        }
+        if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+            throw new Error('附加请求头必须是JSON对象');
+        }
+    }
+    return {
+        authStyle: document.getElementById('modelAuthStyle').value,
+        headers,
+        streamUsage: document.getElementById('modelStreamUsage').checked
+    };
+}
+
+// 读取计费单价和费用上限，未填写的记为0，负数时抛出错误
+function readPricingFields() {
+    const readAmount = (id) => {
+        const value = Number(document.getElementById(id).value || 0);
+        if (!Number.isFinite(value) || value < 0) {
+            throw new Error('单价和费用上限不能为负数');
+        }
+        return value;
+    };
+    return {
+        inputPrice: readAmount('inputPrice'),
+        outputPrice: readAmount('outputPrice'),
+        currency: document.getElementById('priceCurrency').value,
+        dailySpendLimit: readAmount('dailySpendLimit'),
+        monthlySpendLimit: readAmount('monthlySpendLimit'),
+        spendLimitAction: document.getElementById('spendLimitAction').value
+    };
+}
+
+// 把计费单价和费用上限填入表单，0显示为空
+function fillPricingFields(config = {}) {
+    document.getElementById('inputPrice').value = config.inputPrice || '';
+    document.getElementById('outputPrice').value = config.outputPrice || '';
+    document.getElementById('priceCurrency').value = config.currency || 'CNY';
+    document.getElementById('dailySpendLimit').value = config.dailySpendLimit || '';
+    document.getElementById('monthlySpendLimit').value = config.monthlySpendLimit || '';
+    document.getElementById('spendLimitAction').value = config.spendLimitAction || 'block';
 }
 
 // 退出编辑模式
@@ -279,6 +833,7 @@ function exitEditMode() {
     document.getElementById('baseUrl').value = '';
     document.getElementById('modelEndpoint').value = '';
     document.getElementById('configId').value = ''; // 清空配置ID，退出编辑模式
+    fillPricingFields();
     
     // 重置模型类型选择并填充默认值
     document.getElementById('modelType').value = 'qwen'; // 重置为默认选项
@@ -287,6 +842,10 @@ function exitEditMode() {
 
 // 保存模型配置
 async function saveModelConfig() {
+    if (!(await ensureVaultUnlocked())) {
+        return;
+    }
+    
     try {
         // 获取表单数据
         const configName = document.getElementById('configName').value;
@@ -302,11 +861,39 @@ async function saveModelConfig() {
             return;
         }
         
-        if (!apiKey) {
+        // 自定义模型和本地模型需要填写地址和模型名称，并按地址申请站点访问权限
+        let customFields = {};
+        if (modelType === 'custom' || modelType === 'ollama') {
+            if (!baseUrl || !modelEndpoint) {
+                showAlert('请填写Base URL和模型名称', 'warning');
+                return;
+            }
+            if (modelType === 'custom') {
+                try {
+                    customFields = readCustomModelFields();
+                } catch (error) {
+                    showAlert(error.message, 'warning');
+                    return;
+                }
+            }
+            if (!await requestHostPermission(baseUrl)) {
+                showAlert('未授予访问该地址的权限，请求可能被浏览器拦截', 'warning');
+            }
+        }
+        
+        if (!apiKey && customFields.authStyle !== 'none' && modelType !== 'ollama') {
             showAlert('请输入API Key', 'warning');
             return;
         }
         
+        let pricingFields;
+        try {
+            pricingFields = readPricingFields();
+        } catch (error) {
+            showAlert(error.message, 'warning');
+            return;
+        }
+        
         let config;
         if (configId) {
             // 编辑模式：通过ID查找并更新配置
@@ -322,6 +909,7 @@ async function saveModelConfig() {
             foundConfig.apiKey = apiKey;
             foundConfig.baseUrl = baseUrl;
             foundConfig.modelEndpoint = modelEndpoint;
+            Object.assign(foundConfig, customFields, pricingFields);
             foundConfig.updatedAt = new Date().toISOString();
             config = foundConfig;
         } else {
@@ -337,6 +925,7 @@ async function saveModelConfig() {
                 existingConfig.apiKey = apiKey;
                 existingConfig.baseUrl = baseUrl;
                 existingConfig.modelEndpoint = modelEndpoint;
+                Object.assign(existingConfig, customFields, pricingFields);
                 existingConfig.updatedAt = new Date().toISOString();
                 config = existingConfig;
             } else {
@@ -348,6 +937,8 @@ async function saveModelConfig() {
                     apiKey: apiKey, // 在实际应用中应该加密存储
                     baseUrl: baseUrl,
                     modelEndpoint: modelEndpoint,
+                    ...customFields,
+                    ...pricingFields,
                     createdAt: new Date().toISOString(),
                     updatedAt: new Date().toISOString()
                 };
@@ -362,8 +953,9 @@ async function saveModelConfig() {
         // 保存成功后，只清空configId字段退出编辑模式，保留表单内容
         document.getElementById('configId').value = '';
         
-        // 重新加载配置列表
+        // 重新加载配置列表和用量（上限可能已修改）
         loadModelConfigs();
+        loadUsageSummary();
         
         // 更新改写功能标签页的模型选择列表
         if (currentTab === 'rewrite') {
@@ -383,7 +975,17 @@ async function testModelConnection() {
         const baseUrl = document.getElementById('baseUrl').value;
         const modelEndpoint = document.getElementById('modelEndpoint').value;
         
-        if (!apiKey) {
+        let customFields = {};
+        if (modelType === 'custom') {
+            try {
+                customFields = readCustomModelFields();
+            } catch (error) {
+                showAlert(error.message, 'warning');
+                return;
+            }
+        }
+        
+        if (!apiKey && customFields.authStyle !== 'none' && modelType !== 'ollama') {
             showAlert('请填写API Key', 'warning');
             return;
         }
@@ -394,7 +996,8 @@ async function testModelConnection() {
             modelType: modelType,
             apiKey: apiKey,
             baseUrl: baseUrl,
-            modelEndpoint: modelEndpoint
+            modelEndpoint: modelEndpoint,
+            ...customFields
         };
         
         // 显示加载状态
@@ -430,6 +1033,7 @@ async function loadModelConfigs() {
         }
         
         const configs = await storageService.loadModelConfigs();
+        await loadFallbackChain(configs);
         
         if (!configs || configs.length === 0) {
             configsList.innerHTML = '<div class="empty-message">暂无配置</div>';
@@ -491,6 +1095,235 @@ async function loadModelConfigs() {
     }
 }
 
+// 渲染备用模型列表：勾选的模型按尝试顺序排在前面，可上下调整
+async function loadFallbackChain(configs) {
+    const fallbackChainList = document.getElementById('fallbackChainList');
+    if (!fallbackChainList) {
+        return;
+    }
+    
+    if (!configs || configs.length === 0) {
+        fallbackChainList.innerHTML = '<div class="empty-message">暂无配置</div>';
+        return;
+    }
+    
+    // 忽略已删除的配置
+    const chain = (await storageService.loadModelFallbackChain())
+        .filter(configId => configs.some(config => config.id === configId));
+    const orderedConfigs = [
+        ...chain.map(configId => configs.find(config => config.id === configId)),
+        ...configs.filter(config => !chain.includes(config.id))
+    ];
+    
+    fallbackChainList.innerHTML = orderedConfigs.map(config => {
+        const index = chain.indexOf(config.id);
+        const enabled = index !== -1;
+        return `
+            <div class="fallback-item${enabled ? '' : ' disabled'}" data-id="${config.id}">
+                <label class="checkbox-label">
+                    <input type="checkbox" class="fallback-checkbox" ${enabled ? 'checked' : ''}>
+                    <span class="fallback-name">${enabled ? `${index + 1}. ` : ''}${config.name} (${config.modelType})</span>
+                </label>
+                <span>
+                    <button class="fallback-up-btn" title="提前" ${index > 0 ? '' : 'disabled'}>↑</button>
+                    <button class="fallback-down-btn" title="延后" ${enabled && index < chain.length - 1 ? '' : 'disabled'}>↓</button>
+                </span>
+            </div>
+        `;
+    }).join('');
+    
+    fallbackChainList.querySelectorAll('.fallback-item').forEach(item => {
+        const configId = item.dataset.id;
+        const index = chain.indexOf(configId);
+        
+        item.querySelector('.fallback-checkbox').addEventListener('change', function() {
+            const nextChain = this.checked
+                ? [...chain, configId]
+                : chain.filter(id => id !== configId);
+            updateFallbackChain(configs, nextChain);
+        });
+        
+        item.querySelector('.fallback-up-btn').addEventListener('click', function() {
+            const nextChain = [...chain];
+            [nextChain[index - 1], nextChain[index]] = [nextChain[index], nextChain[index - 1]];
+            updateFallbackChain(configs, nextChain);
+        });
+        
+        item.querySelector('.fallback-down-btn').addEventListener('click', function() {
+            const nextChain = [...chain];
+            [nextChain[index], nextChain[index + 1]] = [nextChain[index + 1], nextChain[index]];
+            updateFallbackChain(configs, nextChain);
+        });
+    });
+}
+
+// 保存备用模型顺序并刷新列表
+async function updateFallbackChain(configs, chain) {
+    try {
+        await storageService.saveModelFallbackChain(chain);
+        await loadFallbackChain(configs);
+    } catch (error) {
+        console.error('保存备用模型顺序失败:', error);
+        showAlert('保存备用模型顺序失败: ' + error.message, 'error');
+    }
+}
+
+// 显示各模型配置今日和本月的用量与费用，超出上限的金额标红
+async function loadUsageSummary() {
+    const usageSummary = document.getElementById('usageSummary');
+    if (!usageSummary) {
+        return;
+    }
+    
+    try {
+        const [summary, configs] = await Promise.all([usageService.getSummary(), storageService.loadModelConfigs()]);
+        if (summary.length === 0) {
+            usageSummary.innerHTML = '<div class="empty-message">暂无用量</div>';
+            return;
+        }
+        
+        const formatCost = (totals, limit, currency) => {
+            const text = `${totals.cost.toFixed(4)}${limit ? ` / ${limit}` : ''} ${currency}`;
+            return limit && totals.cost >= limit ? `<span class="over-limit">${text}</span>` : text;
+        };
+        
+        usageSummary.innerHTML = `
+            <table class="usage-table">
+                <thead>
+                    <tr><th>模型配置</th><th>今日费用</th><th>本月费用</th><th>本月tokens</th></tr>
+                </thead>
+                <tbody>
+                    ${summary.map(item => {
+                        const config = configs.find(c => c.id === item.configId) || {};
+                        const currency = CURRENCY_LABELS[item.currency] || item.currency;
+                        return `
+                            <tr>
+                                <td>${config.name || item.name}</td>
+                                <td>${formatCost(item.today, config.dailySpendLimit, currency)}</td>
+                                <td>${formatCost(item.month, config.monthlySpendLimit, currency)}</td>
+                                <td>${item.month.promptTokens + item.month.completionTokens}</td>
+                            </tr>
+                        `;
+                    }).join('')}
+                </tbody>
+            </table>
+        `;
+    } catch (error) {
+        console.error('加载用量统计失败:', error);
+        usageSummary.innerHTML = '<div class="error-message">加载用量统计失败</div>';
+    }
+}
+
+// 显示改写缓存统计
+async function loadRewriteCacheStats() {
+    const rewriteCacheStats = document.getElementById('rewriteCacheStats');
+    if (!rewriteCacheStats) {
+        return;
+    }
+    
+    try {
+        const stats = await rewriteCacheService.getStats();
+        if (stats.entries === 0 && stats.hits + stats.misses === 0) {
+            rewriteCacheStats.textContent = '暂无缓存';
+            return;
+        }
+        rewriteCacheStats.textContent = `已缓存 ${stats.entries} 条结果（${stats.chars} 字），` +
+            `命中 ${stats.hits} 次，命中率 ${Math.round(stats.hitRate * 100)}%，节省约 ${stats.savedTokens} tokens`;
+    } catch (error) {
+        console.error('加载改写缓存统计失败:', error);
+        rewriteCacheStats.textContent = '加载缓存统计失败';
+    }
+}
+
+// 清空改写缓存
+async function clearRewriteCache() {
+    if (!confirm('确定要清空全部改写缓存吗？')) {
+        return;
+    }
+    
+    try {
+        await rewriteCacheService.clear();
+        await loadRewriteCacheStats();
+        showAlert('改写缓存已清空', 'success');
+    } catch (error) {
+        console.error('清空改写缓存失败:', error);
+        showAlert('清空改写缓存失败: ' + error.message, 'error');
+    }
+}
+
+// 加载划词工具栏设置
+async function loadFloatingToolbarSettings() {
+    const enabledCheckbox = document.getElementById('floatingToolbarEnabled');
+    const stylesContainer = document.getElementById('floatingToolbarStyles');
+    if (!enabledCheckbox || !stylesContainer) {
+        return;
+    }
+    
+    try {
+        const settings = await floatingToolbarService.getSettings();
+        enabledCheckbox.checked = settings.enabled;
+        document.getElementById('floatingToolbarAllowedSites').value = settings.allowedSites.join('\n');
+        document.getElementById('floatingToolbarBlockedSites').value = settings.blockedSites.join('\n');
+        
+        stylesContainer.innerHTML = '';
+        enhancedRewriteService.getAvailableStyles().forEach(style => {
+            const label = document.createElement('label');
+            label.className = 'checkbox-label';
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = style.key;
+            checkbox.checked = settings.styles.includes(style.key);
+            label.append(checkbox, ' ' + style.name);
+            stylesContainer.appendChild(label);
+        });
+    } catch (error) {
+        console.error('加载划词工具栏设置失败:', error);
+        showAlert('加载划词工具栏设置失败: ' + error.message, 'error');
+    }
+}
+
+// 保存划词工具栏设置，已打开的网页随即更新
+async function saveFloatingToolbarSettings() {
+    const splitSites = id => document.getElementById(id).value.split(/[\s,]+/);
+    const styles = Array.from(document.querySelectorAll('#floatingToolbarStyles input:checked'))
+        .map(checkbox => checkbox.value);
+    
+    if (styles.length === 0) {
+        showAlert('请至少选择一种快捷改写风格', 'warning');
+        return;
+    }
+    
+    try {
+        await floatingToolbarService.saveSettings({
+            enabled: document.getElementById('floatingToolbarEnabled').checked,
+            allowedSites: splitSites('floatingToolbarAllowedSites'),
+            blockedSites: splitSites('floatingToolbarBlockedSites'),
+            styles
+        });
+        await loadFloatingToolbarSettings();
+        showAlert('划词工具栏设置已保存', 'success');
+    } catch (error) {
+        console.error('保存划词工具栏设置失败:', error);
+        showAlert('保存划词工具栏设置失败: ' + error.message, 'error');
+    }
+}
+
+// 选中的模型排在最前，其后为备用模型
+async function loadRewriteConfigs(selectedConfig) {
+    const configs = await storageService.loadModelConfigs();
+    const chain = await storageService.loadModelFallbackChain();
+    const fallbackConfigs = chain
+        .filter(configId => configId !== selectedConfig.id)
+        .map(configId => configs.find(config => config.id === configId))
+        .filter(Boolean);
+    
+    // 确保配置对象包含type字段
+    return [selectedConfig, ...fallbackConfigs].map(config => ({
+        ...config,
+        type: config.modelType
+    }));
+}
+
 // 编辑模型配置
 async function editModelConfig(configName) {
     try {
@@ -506,6 +1339,11 @@ async function editModelConfig(configName) {
         document.getElementById('apiKey').value = config.apiKey;
         document.getElementById('baseUrl').value = config.baseUrl || '';
         document.getElementById('modelEndpoint').value = config.modelEndpoint || '';
+        document.getElementById('modelAuthStyle').value = config.authStyle || 'bearer';
+        document.getElementById('modelHeaders').value = config.headers || '';
+        document.getElementById('modelStreamUsage').checked = config.streamUsage !== false;
+        fillPricingFields(config);
+        applyModelFormFields(config.modelType);
         document.getElementById('configId').value = config.id; // 保存配置ID到隐藏字段
     } catch (error) {
         console.error('编辑模型配置失败:', error);
@@ -731,6 +1569,63 @@ async function getTextWithFallback(tabId) {
     }
 }
 
+// 获取网页正文，用于整篇改写长文
+async function getPageContent() {
+    try {
+        const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+        const content = await getPageContentWithFallback(tab.id);
+        
+        if (content.data) {
+            document.getElementById('originalText').value = content.data;
+            if (content.truncated) {
+                showAlert(`网页正文超出${VALIDATION_RULES.MAX_TEXT_LENGTH}字，已截取前面部分`, 'warning');
+            } else {
+                showAlert(`已获取网页正文（${content.data.length}字）`, 'success');
+            }
+        } else {
+            showAlert('未找到网页正文', 'warning');
+        }
+    } catch (error) {
+        console.error('获取网页正文失败:', error);
+        showAlert('获取网页正文失败: ' + (error.message || '未知错误'), 'error');
+    }
+}
+
+// 获取网页正文（带备选方案），内容脚本未加载时直接注入脚本读取
+async function getPageContentWithFallback(tabId) {
+    try {
+        const response = await chrome.tabs.sendMessage(tabId, {
+            action: 'getPageContent'
+        });
+        
+        if (response && response.success) {
+            return response;
+        } else {
+            throw new Error(response ? response.error : '无法与页面通信');
+        }
+    } catch (error) {
+        console.warn('通过消息传递获取网页正文失败:', error);
+        
+        const results = await chrome.scripting.executeScript({
+            target: { tabId: tabId },
+            func: (maxLength) => {
+                const article = document.querySelector('article') ||
+                    document.querySelector('[role="main"]') ||
+                    document.querySelector('main') ||
+                    document.body;
+                const text = article ? (article.innerText || '').trim() : '';
+                return { data: text.substring(0, maxLength), truncated: text.length > maxLength };
+            },
+            args: [VALIDATION_RULES.MAX_TEXT_LENGTH]
+        });
+        
+        if (results && results[0] && results[0].result) {
+            return results[0].result;
+        }
+        throw new Error('无法获取网页正文，请刷新页面后重试');
+    }
+}
+
 // 复制原文
 function copyOriginalText() {
     const originalText = document.getElementById('originalText').value;
@@ -758,8 +1653,8 @@ function clearRewritePrompt() {
     showAlert('已清空改写提示词', 'success');
 }
 
-// 开始改写
-async function startRewrite() {
+// 开始改写，examples为随提示词发送的示例（右键菜单选择改写风格时带上模板示例）
+async function startRewrite({ examples = [] } = {}) {
     try {
         const originalText = document.getElementById('originalText').value;
         const rewritePrompt = document.getElementById('rewritePrompt').value;
@@ -777,6 +1672,10 @@ async function startRewrite() {
             return;
         }
         
+        if (!(await ensureVaultUnlocked())) {
+            return;
+        }
+        
         // 获取模型配置
         const config = await storageService.getModelConfig(configName);
         if (!config) {
@@ -789,23 +1688,77 @@ async function startRewrite() {
         const originalTextContent = startRewriteBtn.textContent;
         startRewriteBtn.textContent = '处理中...';
         startRewriteBtn.disabled = true;
-        
-        // 确保配置对象包含type字段
-        const modelConfig = {
-            ...config,
-            type: config.modelType
-        };
-        
-        // 调用模型服务进行文本改写
-        const response = await modelService.rewriteText(modelConfig, originalText, rewritePrompt);
+        rewriteController = new AbortController();
+        document.getElementById('stopRewriteBtn').style.display = '';
+        lastRewrite = null;
+        
+        // 调用模型服务进行文本改写，边生成边显示；选中的模型不可用时依次改用备用模型
+        const modelConfigs = await loadRewriteConfigs(config);
+        const bypassCache = document.getElementById('bypassCache').checked;
+        const carryContext = document.getElementById('carryChunkContext').checked;
+        // 机密文本只交给本地模型，选中的模型和备用模型中的云端模型都不会收到原文
+        const tags = document.getElementById('confidentialText').checked ? [CONFIDENTIAL_TAG] : [];
+        const cacheHitBadge = document.getElementById('cacheHitBadge');
+        cacheHitBadge.style.display = 'none';
+        document.getElementById('chunkProgress').style.display = 'none';
+        const rewriteResult = document.getElementById('rewriteResult');
+        rewriteResult.value = '';
+        
+        // 超出首个可用模型单次可处理的长度时分段改写
+        const firstConfig = modelService.filterConfigsByTags(modelConfigs, tags)[0] || modelConfigs[0];
+        const chunkTokenLimit = enhancedRewriteService.getChunkTokenLimit(firstConfig, rewritePrompt, { examples, carryContext });
+        const response = usageService.estimateTokens(originalText) > chunkTokenLimit
+            ? await rewriteLongText(modelConfigs, originalText, rewritePrompt, { bypassCache, carryContext, examples, tags })
+            : await modelService.rewriteWithFallback(modelConfigs, originalText, rewritePrompt, {
+                tags,
+                onChunk: (text) => {
+                    rewriteResult.value += text;
+                    rewriteResult.scrollTop = rewriteResult.scrollHeight;
+                },
+                signal: rewriteController.signal,
+                attempt: (modelConfig, options) => requestRewriteStream(modelConfig, originalText, rewritePrompt, options.onChunk, options.signal, { bypassCache, examples, tags })
+            });
         
         // 恢复按钮状态
         startRewriteBtn.textContent = originalTextContent;
         startRewriteBtn.disabled = false;
+        resetRewriteController();
+        
+        if (response.cached) {
+            cacheHitBadge.title = `缓存于 ${new Date(response.cachedAt).toLocaleString()}，勾选“不使用缓存”可重新生成`;
+            cacheHitBadge.style.display = '';
+        }
         
         if (response.success) {
-            document.getElementById('rewriteResult').value = response.data;
-            showAlert('文本改写完成', 'success');
+            lastRewrite = {
+                configName,
+                originalText,
+                answeredBy: response.answeredBy,
+                skipped: response.skipped,
+                usage: response.usage || {},
+                cost: response.cost || 0,
+                currency: response.currency
+            };
+        }
+        
+        if (response.success && response.budgetWarning) {
+            rewriteResult.value = response.data;
+            showAlert(response.budgetWarning, 'warning');
+        } else if (response.success && response.skipped.length > 0) {
+            rewriteResult.value = response.data;
+            const skippedNames = [...new Set(response.skipped.map(model => model.name))].join('、');
+            showAlert(`${skippedNames} 暂不可用，已由备用模型 ${response.answeredBy.name} 完成改写`, 'info');
+        } else if (response.success && response.chunks) {
+            rewriteResult.value = response.data;
+            showAlert(`长文已分${response.chunks.length}段改写完成`, 'success');
+        } else if (response.success) {
+            rewriteResult.value = response.data;
+            showAlert(response.cached ? '已使用缓存的改写结果' : '文本改写完成', 'success');
+        } else if (response.cancelled) {
+            // 保留已生成的部分内容
+            showAlert('已停止改写', 'info');
+        } else if (response.code === ERROR_CODES.VAULT_LOCKED) {
+            await ensureVaultUnlocked();
         } else {
             showAlert('改写失败: ' + response.error, 'error');
         }
@@ -814,12 +1767,118 @@ async function startRewrite() {
         const startRewriteBtn = document.getElementById('startRewriteBtn');
         startRewriteBtn.textContent = '🔄 开始改写';
         startRewriteBtn.disabled = false;
+        resetRewriteController();
         
         console.error('文本改写失败:', error);
         showAlert('改写失败: ' + error.message, 'error');
     }
 }
 
+// 分段改写的状态说明
+const CHUNK_STATUS_LABELS = {
+    running: '改写中',
+    done: '已完成',
+    failed: '失败',
+    cancelled: '已停止'
+};
+
+// 长文分段改写：进度条中每格对应一段，改写过程中按原文顺序显示各段已生成的内容
+async function rewriteLongText(modelConfigs, originalText, rewritePrompt, { bypassCache, carryContext, examples, tags }) {
+    const rewriteResult = document.getElementById('rewriteResult');
+    const chunkProgress = document.getElementById('chunkProgress');
+    const progressText = document.getElementById('chunkProgressText');
+    const progressCells = document.getElementById('chunkProgressCells');
+    const partials = [];
+    
+    progressCells.innerHTML = '';
+    progressText.textContent = '正在分段...';
+    chunkProgress.style.display = '';
+    
+    const response = await enhancedRewriteService.rewriteInChunks(modelConfigs, originalText, rewritePrompt, {
+        bypassCache,
+        carryContext,
+        examples,
+        tags,
+        signal: rewriteController.signal,
+        onProgress: ({ index, total, completed, status }) => {
+            while (progressCells.children.length < total) {
+                const cell = document.createElement('span');
+                cell.className = 'chunk-cell';
+                cell.title = `第${progressCells.children.length + 1}段：等待中`;
+                progressCells.appendChild(cell);
+            }
+            progressCells.children[index].className = `chunk-cell ${status}`;
+            progressCells.children[index].title = `第${index + 1}段：${CHUNK_STATUS_LABELS[status]}`;
+            progressText.textContent = `分段改写：已完成 ${completed}/${total} 段`;
+        },
+        onChunk: (index, text) => {
+            partials[index] = (partials[index] || '') + text;
+            rewriteResult.value = partials.filter(Boolean).join('\n\n');
+        },
+        // 整篇文档已在分段前检查过费用上限，各段不再单独检查
+        attempt: (modelConfig, chunkText, chunkPrompt, options) =>
+            requestRewriteStream(modelConfig, chunkText, chunkPrompt, options.onChunk, options.signal, { bypassCache, examples, tags, budgetChecked: true })
+    });
+    
+    if (!response.success && response.data) {
+        // 失败或停止时只保留从开头起已完成的部分
+        rewriteResult.value = response.data;
+    }
+    return response;
+}
+
+// 停止进行中的改写
+function stopRewrite() {
+    if (rewriteController) {
+        rewriteController.abort();
+    }
+}
+
+// 改写结束后清理取消控制器并隐藏停止按钮
+function resetRewriteController() {
+    rewriteController = null;
+    document.getElementById('stopRewriteBtn').style.display = 'none';
+}
+
+// 通过后台流式改写，onChunk接收增量文本，signal中止时通知后台取消请求；无法连接后台时直接在侧边栏调用模型
+// tags随请求交给后台，后台同样拒绝把机密文本发给云端模型
+async function requestRewriteStream(modelConfig, originalText, rewritePrompt, onChunk, signal, { bypassCache = false, examples = [], tags = [], budgetChecked = false } = {}) {
+    // 后台可能未解锁主密码，由侧边栏解密后再交给后台
+    const config = await sensitiveDataHandler.revealSensitiveData(modelConfig, 'modelConfig');
+    if (typeof chrome === 'undefined' || !chrome.runtime || !chrome.runtime.connect) {
+        return modelService.rewriteText(config, originalText, rewritePrompt, { onChunk, signal, bypassCache, examples, tags, budgetChecked });
+    }
+    if (signal.aborted) {
+        return modelService.createCancelledResult();
+    }
+    
+    return new Promise((resolve) => {
+        const port = chrome.runtime.connect({ name: REWRITE_STREAM_PORT });
+        let finished = false;
+        
+        port.onMessage.addListener((message) => {
+            if (message.type === 'chunk') {
+                onChunk(message.text);
+            } else if (message.type === 'done') {
+                finished = true;
+                port.disconnect();
+                resolve(message.response);
+            }
+        });
+        port.onDisconnect.addListener(() => {
+            if (!finished) {
+                resolve({ success: false, error: '与后台服务的连接已断开' });
+            }
+        });
+        signal.addEventListener('abort', () => {
+            if (!finished) {
+                port.postMessage({ type: 'cancel' });
+            }
+        });
+        port.postMessage({ type: 'start', config, text: originalText, rewritePrompt, bypassCache, examples, tags, budgetChecked });
+    });
+}
+
 // 复制改写结果
 function copyRewriteResult() {
     const rewriteResult = document.getElementById('rewriteResult').value;
@@ -835,6 +1894,55 @@ function copyRewriteResult() {
     });
 }
 
+// 用改写结果替换网页中选中的原文，内容脚本记住了获取选中文字时的位置
+async function replaceInPage() {
+    const rewriteResult = document.getElementById('rewriteResult').value;
+    const originalText = document.getElementById('originalText').value;
+    if (!rewriteResult) {
+        showAlert('没有可替换的改写结果', 'warning');
+        return;
+    }
+    
+    try {
+        const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+        const response = await chrome.tabs.sendMessage(tab.id, {
+            action: 'replaceSelection',
+            text: rewriteResult,
+            originalText
+        });
+        
+        if (response && response.success) {
+            document.getElementById('undoReplaceBtn').style.display = '';
+            showAlert('已替换网页中的原文，可点击"撤销替换"恢复', 'success');
+        } else {
+            showAlert('替换失败: ' + (response ? response.error : '无法与页面通信'), 'warning');
+        }
+    } catch (error) {
+        console.error('替换网页原文失败:', error);
+        showAlert('替换失败，请刷新页面后重新获取选中文字: ' + error.message, 'error');
+    }
+}
+
+// 撤销最近一次替换网页原文
+async function undoReplaceInPage() {
+    const undoReplaceBtn = document.getElementById('undoReplaceBtn');
+    try {
+        const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+        const response = await chrome.tabs.sendMessage(tab.id, { action: 'undoReplace' });
+        
+        if (response && response.success) {
+            undoReplaceBtn.style.display = 'none';
+            showAlert('已恢复网页中的原文', 'success');
+        } else {
+            showAlert('撤销失败: ' + (response ? response.error : '无法与页面通信'), 'warning');
+        }
+    } catch (error) {
+        console.error('撤销替换失败:', error);
+        undoReplaceBtn.style.display = 'none';
+        showAlert('撤销失败: ' + error.message, 'error');
+    }
+}
+
 // 保存改写结果
 async function saveRewriteResult() {
     try {
@@ -953,9 +2061,23 @@ async function saveRewriteResult() {
             }
         }
         
+        // 记录本次改写的用量和费用；由备用模型完成时，记录实际作答的模型及前面模型被跳过的原因
+        if (lastRewrite && lastRewrite.configName === configName && lastRewrite.originalText === originalText) {
+            await applyRewriteInfoToRecord(record, lastRewrite);
+        }
+        
         // 保存改写记录
         await storageService.saveRewriteRecord(record);
         
+        // 已开启自动同步时加入同步队列，离线保存的记录在联网后自动推送
+        try {
+            if (await autoSyncService.enqueueRecord(record) > 0) {
+                drainSyncQueue();
+            }
+        } catch (queueError) {
+            console.warn('加入同步队列失败:', queueError.message);
+        }
+        
         if (recordId) {
             showAlert('改写记录已更新', 'success');
         } else {
@@ -973,6 +2095,26 @@ async function saveRewriteResult() {
     }
 }
 
+// 把改写的用量、费用和实际作答的模型写入改写记录
+async function applyRewriteInfoToRecord(record, rewriteInfo) {
+    record.usage = rewriteInfo.usage;
+    record.cost = rewriteInfo.cost;
+    record.currency = rewriteInfo.currency;
+    
+    if (rewriteInfo.skipped.length === 0) {
+        return;
+    }
+    
+    const modelConfigs = await storageService.loadModelConfigs();
+    const answeredConfig = modelConfigs.find(c => c.id === rewriteInfo.answeredBy.configId);
+    
+    record.modelConfigName = rewriteInfo.answeredBy.name;
+    record.modelConfigId = rewriteInfo.answeredBy.configId;
+    record.modelType = rewriteInfo.answeredBy.modelType;
+    record.modelName = answeredConfig ? answeredConfig.modelEndpoint || '' : '';
+    record.skippedModels = rewriteInfo.skipped.map(({ name, modelType, error }) => ({ name, modelType, error }));
+}
+
 // 加载模型配置到下拉列表
 async function loadModelConfigsToSelect() {
     try {
@@ -988,6 +2130,12 @@ async function loadModelConfigsToSelect() {
         modelSelect.innerHTML = configs.map(config => `
             <option value="${config.name}" data-name="${config.name}">${config.name} (${config.modelType})</option>
         `).join('');
+        
+        // 恢复上次选用的模型
+        const activeConfigName = await storageService.loadActiveModelConfigName();
+        if (activeConfigName && configs.some(config => config.name === activeConfigName)) {
+            modelSelect.value = activeConfigName;
+        }
     } catch (error) {
         console.error('加载模型配置到下拉列表失败:', error);
         document.getElementById('modelSelect').innerHTML = '<option value="">加载配置失败</option>';
@@ -1254,6 +2402,7 @@ function fillTableDefaults() {
     const tableConfigNameInput = document.getElementById('tableConfigName');
     const tableAppIdInput = document.getElementById('tableAppId');
     const tableAppSecretInput = document.getElementById('tableAppSecret');
+    const tableSharePassphraseInput = document.getElementById('tableSharePassphrase');
     const tableIdInput = document.getElementById('tableId');
     
     // 清空所有相关输入框（除了配置名称）
@@ -1262,17 +2411,88 @@ function fillTableDefaults() {
     }
     tableAppIdInput.value = '';
     tableAppSecretInput.value = '';
+    tableSharePassphraseInput.value = '';
     tableIdInput.value = '';
+    fillWebhookFields({});
+    
+    applyTableFormLabels(platform);
+}
+
+// 按平台切换多维表格配置表单的字段标签
+function applyTableFormLabels(platform) {
+    const labels = TABLE_FORM_LABELS[platform] || TABLE_FORM_LABELS['default'];
+    const appIdGroup = document.getElementById('tableAppId').closest('.form-group');
+    
+    appIdGroup.style.display = labels.appId ? '' : 'none';
+    if (labels.appId) {
+        appIdGroup.querySelector('label').textContent = labels.appId;
+    }
+    document.querySelector('label[for="tableAppSecret"]').textContent = labels.appSecret;
+    document.getElementById('tableAppSecret').placeholder = labels.appSecretPlaceholder;
+    document.querySelector('label[for="tableId"]').textContent = labels.tableId;
+    document.getElementById('tableId').placeholder = labels.tableIdPlaceholder;
+    document.querySelectorAll('.webhook-only').forEach(group => {
+        group.style.display = platform === 'webhook' ? '' : 'none';
+    });
+}
+
+// 按平台检查多维表格配置的必填项是否已填写
+function isTableConfigComplete(platform, appId, appSecret, tableId) {
+    const labels = TABLE_FORM_LABELS[platform] || TABLE_FORM_LABELS['default'];
+    return (labels.appId === null || !!appId) &&
+        (labels.appSecretOptional || !!appSecret) &&
+        !!tableId;
+}
+
+// 填充Webhook平台的请求方法、请求头模板和请求体模板
+function fillWebhookFields(config) {
+    const toText = value => (value && typeof value === 'object') ? JSON.stringify(value, null, 2) : (value || '');
+    document.getElementById('tableWebhookMethod').value = config.method || 'POST';
+    document.getElementById('tableWebhookHeaders').value = toText(config.headers);
+    document.getElementById('tableWebhookBody').value = toText(config.bodyTemplate);
+}
+
+// 读取并校验Webhook平台的附加字段，校验失败时抛出错误
+function readWebhookFields(url, hmacSecret) {
+    const fields = {
+        method: document.getElementById('tableWebhookMethod').value,
+        headers: document.getElementById('tableWebhookHeaders').value.trim(),
+        bodyTemplate: document.getElementById('tableWebhookBody').value.trim()
+    };
+    const validation = AdapterFactory.validateConfig('webhook', { url, hmacSecret, ...fields });
+    if (!validation.isValid) {
+        throw new Error(validation.errors.join('；'));
+    }
+    return fields;
+}
+
+// 为用户填写的地址申请站点访问权限，需在用户点击的同步调用栈中发起
+function requestHostPermission(url) {
+    if (typeof chrome === 'undefined' || !chrome.permissions) {
+        return Promise.resolve(true);
+    }
+    let origin;
+    try {
+        origin = new URL(url.replace(/\{\{[^}]*\}\}/g, 'x')).origin;
+    } catch (error) {
+        return Promise.resolve(false);
+    }
+    return chrome.permissions.request({ origins: [origin + '/*'] }).catch(() => false);
 }
 
 // 保存多维表格配置
 async function saveTableConfig() {
+    if (!(await ensureVaultUnlocked())) {
+        return;
+    }
+    
     try {
         // 获取表单数据
         const configName = document.getElementById('tableConfigName').value;
         const platform = document.getElementById('tablePlatform').value;
         const appId = document.getElementById('tableAppId').value;
         const appSecret = document.getElementById('tableAppSecret').value;
+        const sharePassphrase = document.getElementById('tableSharePassphrase').value;
         const tableId = document.getElementById('tableId').value;
         const configId = document.getElementById('tableConfigId').value; // 获取配置ID
         
@@ -1282,11 +2502,25 @@ async function saveTableConfig() {
             return;
         }
         
-        if (!appId || !appSecret || !tableId) {
+        if (!isTableConfigComplete(platform, appId, appSecret, tableId)) {
             showAlert('请填写完整的配置信息', 'warning');
             return;
         }
         
+        // Webhook平台需要额外的请求模板，并按URL申请站点访问权限
+        let platformFields = {};
+        if (platform === 'webhook') {
+            try {
+                platformFields = readWebhookFields(tableId, appSecret);
+            } catch (error) {
+                showAlert('Webhook配置无效: ' + error.message, 'warning');
+                return;
+            }
+            if (!await requestHostPermission(tableId)) {
+                showAlert('未授予访问该地址的权限，同步时请求可能被浏览器拦截', 'warning');
+            }
+        }
+        
         let config;
         if (configId) {
             // 编辑模式：通过ID查找并更新配置
@@ -1301,7 +2535,9 @@ async function saveTableConfig() {
             foundConfig.platform = platform;
             foundConfig.appId = appId;
             foundConfig.appSecret = appSecret;
+            foundConfig.sharePassphrase = sharePassphrase;
             foundConfig.tableId = tableId;
+            Object.assign(foundConfig, platformFields);
             foundConfig.updatedAt = new Date().toISOString();
             config = foundConfig;
         } else {
@@ -1317,7 +2553,9 @@ async function saveTableConfig() {
                 existingConfig.platform = platform;
                 existingConfig.appId = appId;
                 existingConfig.appSecret = appSecret;
+                existingConfig.sharePassphrase = sharePassphrase;
                 existingConfig.tableId = tableId;
+                Object.assign(existingConfig, platformFields);
                 existingConfig.updatedAt = new Date().toISOString();
                 config = existingConfig;
             } else {
@@ -1328,7 +2566,9 @@ async function saveTableConfig() {
                     platform: platform,
                     appId: appId,
                     appSecret: appSecret,
+                    sharePassphrase: sharePassphrase,
                     tableId: tableId,
+                    ...platformFields,
                     createdAt: new Date().toISOString(),
                     updatedAt: new Date().toISOString()
                 };
@@ -1375,7 +2615,7 @@ async function testTableConnection() {
         const appSecret = document.getElementById('tableAppSecret').value;
         const tableId = document.getElementById('tableId').value;
         
-        if (!appId || !appSecret || !tableId) {
+        if (!isTableConfigComplete(platform, appId, appSecret, tableId)) {
             showAlert('请填写完整的配置信息', 'warning');
             return;
         }
@@ -1423,10 +2663,12 @@ async function loadTableConfigs() {
                         <input type="checkbox" class="table-config-checkbox" data-id="${config.id}">
                         <strong>${config.name}</strong> (${getPlatformName(config.platform)})
                     </label>
+                    <div class="auto-sync-status" data-id="${config.id}"></div>
                 </div>
                 <div class="config-actions">
                     <button class="edit-btn" data-id="${config.id}">编辑</button>
                     <button class="sync-btn" data-id="${config.id}">同步</button>
+                    <button class="auto-sync-btn" data-id="${config.id}">自动同步</button>
                     <button class="delete-btn" data-id="${config.id}">删除</button>
                 </div>
             </div>
@@ -1455,6 +2697,15 @@ async function loadTableConfigs() {
             });
         });
         
+        // 绑定自动同步按钮事件
+        document.querySelectorAll('#tableConfigsList .auto-sync-btn').forEach(button => {
+            button.addEventListener('click', function() {
+                const configId = this.getAttribute('data-id');
+                showAutoSyncDialog(configId);
+            });
+        });
+        await refreshAutoSyncStatus();
+        
         // 绑定批量同步按钮事件
         document.getElementById('batchSyncConfigsBtn').addEventListener('click', function() {
             batchSyncModelConfigs();
@@ -1471,12 +2722,149 @@ async function loadTableConfigs() {
     }
 }
 
+// 刷新多维表格配置列表中的自动同步状态
+async function refreshAutoSyncStatus() {
+    try {
+        const schedules = await autoSyncService.getSchedules();
+        const statuses = await autoSyncService.getStatuses();
+        document.querySelectorAll('#tableConfigsList .auto-sync-status').forEach(element => {
+            const configId = element.getAttribute('data-id');
+            const status = statuses[configId];
+            element.textContent = formatAutoSyncStatus(schedules[configId], status);
+            element.classList.toggle('failed', !!status && status.state === 'failed');
+        });
+    } catch (error) {
+        console.warn('读取自动同步状态失败:', error.message);
+    }
+}
+
+// 生成自动同步状态文案
+function formatAutoSyncStatus(schedule, status) {
+    const scheduleText = schedule && schedule.enabled
+        ? `自动同步: 每 ${schedule.intervalMinutes} 分钟 → ${schedule.tableName}`
+        : '自动同步: 未启用';
+    return status ? `${scheduleText}；${formatAutoSyncRun(status)}` : scheduleText;
+}
+
+// 生成最近一次自动同步的运行结果文案
+function formatAutoSyncRun(status) {
+    const stateTexts = {
+        success: '成功',
+        partial: '部分成功',
+        failed: '失败',
+        skipped: '已跳过'
+    };
+    const time = new Date(status.lastRunAt).toLocaleString();
+    return `上次 ${time} ${stateTexts[status.state] || status.state}${status.message ? `（${status.message}）` : ''}`;
+}
+
+// 显示自动同步设置对话框
+async function showAutoSyncDialog(configId) {
+    try {
+        const configs = await storageService.loadData('tableConfigs') || [];
+        const config = configs.find(c => c.id === configId);
+        if (!config) {
+            showAlert('多维表格配置不存在', 'error');
+            return;
+        }
+        
+        const schedule = await autoSyncService.getSchedule(configId);
+        const status = (await autoSyncService.getStatuses())[configId];
+        
+        // 未设置目标表格时预填改写记录的默认目标
+        let tableName = schedule.tableName;
+        if (!tableName) {
+            const globalDefault = await storageService.loadData('rewriteDefaultTarget');
+            if (globalDefault && globalDefault.targetConfigId === configId) {
+                tableName = globalDefault.targetTableName || globalDefault.targetTableId || '';
+            }
+        }
+        
+        document.getElementById('autoSyncDialogTitle').textContent = `自动同步设置 - ${config.name}`;
+        document.getElementById('autoSyncEnabled').checked = schedule.enabled;
+        document.getElementById('autoSyncTableInput').value = tableName;
+        document.getElementById('autoSyncIntervalInput').value = schedule.intervalMinutes;
+        document.getElementById('autoSyncQuietStart').value = schedule.quietStart;
+        document.getElementById('autoSyncQuietEnd').value = schedule.quietEnd;
+        document.getElementById('autoSyncLastRun').textContent = status ? formatAutoSyncRun(status) : '尚未运行';
+        
+        const closeAutoSyncDialog = () => {
+            document.getElementById('autoSyncDialog').style.display = 'none';
+        };
+        document.querySelector('#autoSyncDialog .close').onclick = closeAutoSyncDialog;
+        document.getElementById('cancelAutoSyncBtn').onclick = closeAutoSyncDialog;
+        document.getElementById('saveAutoSyncBtn').onclick = () => saveAutoSyncSchedule(configId);
+        document.getElementById('runAutoSyncNowBtn').onclick = () => runAutoSyncNow(configId);
+        
+        document.getElementById('autoSyncDialog').style.display = 'block';
+    } catch (error) {
+        console.error('显示自动同步设置失败:', error);
+        showAlert('打开自动同步设置失败: ' + error.message, 'error');
+    }
+}
+
+// 读取对话框中的自动同步计划
+function readAutoSyncSchedule() {
+    return {
+        enabled: document.getElementById('autoSyncEnabled').checked,
+        tableName: document.getElementById('autoSyncTableInput').value,
+        intervalMinutes: document.getElementById('autoSyncIntervalInput').value,
+        quietStart: document.getElementById('autoSyncQuietStart').value,
+        quietEnd: document.getElementById('autoSyncQuietEnd').value
+    };
+}
+
+// 保存自动同步计划
+async function saveAutoSyncSchedule(configId) {
+    try {
+        const schedule = await autoSyncService.saveSchedule(configId, readAutoSyncSchedule());
+        document.getElementById('autoSyncDialog').style.display = 'none';
+        await refreshAutoSyncStatus();
+        showAlert(schedule.enabled ? `已开启自动同步，每 ${schedule.intervalMinutes} 分钟运行一次` : '已关闭自动同步', 'success');
+    } catch (error) {
+        console.error('保存自动同步设置失败:', error);
+        showAlert('保存自动同步设置失败: ' + error.message, 'error');
+    }
+}
+
+// 立即对该链接执行一次自动同步，在侧边栏中运行以便使用已解锁的主密码
+async function runAutoSyncNow(configId) {
+    const runBtn = document.getElementById('runAutoSyncNowBtn');
+    const formSchedule = readAutoSyncSchedule();
+    
+    if (!formSchedule.tableName.trim()) {
+        showAlert('请输入同步目的表格名称', 'warning');
+        return;
+    }
+    
+    if (!(await ensureVaultUnlocked())) {
+        return;
+    }
+    
+    const loading = showLoading(runBtn, '同步中...');
+    try {
+        await autoSyncService.saveSchedule(configId, formSchedule);
+        const status = await autoSyncService.runTarget(configId, { manual: true });
+        document.getElementById('autoSyncLastRun').textContent = formatAutoSyncRun(status);
+        showAlert(`自动同步运行完成: ${status.message}`, status.state === 'failed' ? 'error' : 'success');
+    } catch (error) {
+        console.error('运行自动同步失败:', error);
+        showAlert('运行自动同步失败: ' + error.message, 'error');
+    } finally {
+        loading.hide();
+    }
+}
+
 // 获取平台显示名称
 function getPlatformName(platform) {
     const names = {
         'feishu': '飞书',
         'dingtalk': '钉钉',
-        'wework': '企业微信'
+        'wework': '企业微信',
+        'notion': 'Notion',
+        'airtable': 'Airtable',
+        'googlesheets': 'Google Sheets',
+        'webhook': 'Webhook'
     };
     return names[platform] || platform;
 }
@@ -1500,9 +2888,12 @@ async function editTableConfig(configId) {
         // 填充表单
         document.getElementById('tableConfigName').value = config.name;
         document.getElementById('tablePlatform').value = config.platform;
-        document.getElementById('tableAppId').value = config.appId;
+        applyTableFormLabels(config.platform);
+        document.getElementById('tableAppId').value = config.appId || '';
         document.getElementById('tableAppSecret').value = config.appSecret;
+        document.getElementById('tableSharePassphrase').value = config.sharePassphrase || '';
         document.getElementById('tableId').value = config.tableId;
+        fillWebhookFields(config);
         document.getElementById('tableConfigId').value = config.id; // 保存配置ID到隐藏字段
     } catch (error) {
         console.error('编辑表格配置失败:', error);
@@ -1531,6 +2922,8 @@ async function deleteTableConfig(configId) {
     try {
         const filteredConfigs = configs.filter(c => c.id !== configId);
         await storageService.saveData('tableConfigs', filteredConfigs);
+        await autoSyncService.removeSchedule(configId);
+        await syncQueueService.removeTargetJobs(configId);
         
         showAlert('配置已删除', 'success');
         loadTableConfigs();
@@ -1586,6 +2979,10 @@ async function deleteSelectedTableConfigs() {
             const filteredConfigs = configs.filter(c => !selectedConfigs.includes(c.id));
             
             await storageService.saveData('tableConfigs', filteredConfigs);
+            for (const configId of selectedConfigs) {
+                await autoSyncService.removeSchedule(configId);
+                await syncQueueService.removeTargetJobs(configId);
+            }
             
             showAlert('配置已删除', 'success');
             loadTableConfigs();
@@ -2077,6 +3474,191 @@ async function loadTargetTables(targetConfigId, configType) {
     }
 }
 
+// 显示从表格拉取对话框
+async function showPullDialog() {
+    try {
+        const configs = await storageService.loadData('tableConfigs') || [];
+        const sourceSelect = document.getElementById('pullSourceSelect');
+        
+        if (configs.length === 0) {
+            showAlert('请先添加多维表格配置，再从表格拉取', 'warning');
+            return;
+        }
+        
+        sourceSelect.innerHTML = '';
+        configs.forEach(config => {
+            const option = document.createElement('option');
+            option.value = config.id;
+            option.textContent = formatTargetOptionText(config);
+            sourceSelect.appendChild(option);
+        });
+        
+        // 默认使用模型配置同步时记住的目标
+        const globalDefault = await storageService.loadData('modelDefaultTarget');
+        if (globalDefault && configs.some(c => c.id === globalDefault.targetConfigId)) {
+            sourceSelect.value = globalDefault.targetConfigId;
+        }
+        document.getElementById('pullTableInput').value = (globalDefault && (globalDefault.targetTableName || globalDefault.targetTableId)) || '';
+        document.getElementById('pullPassphraseInput').value = '';
+        document.getElementById('pullOverwriteCheckbox').checked = false;
+        
+        pullPreviewItems = [];
+        renderPullPreview();
+        bindPullDialogEvents();
+        
+        document.getElementById('pullDialog').style.display = 'block';
+    } catch (error) {
+        console.error('显示拉取对话框失败:', error);
+        showAlert('打开拉取对话框失败: ' + error.message, 'error');
+    }
+}
+
+// 绑定从表格拉取对话框事件
+function bindPullDialogEvents() {
+    const closePullDialog = () => {
+        document.getElementById('pullDialog').style.display = 'none';
+        pullPreviewItems = [];
+    };
+    
+    document.querySelector('#pullDialog .close').onclick = closePullDialog;
+    document.getElementById('cancelPullBtn').onclick = closePullDialog;
+    document.getElementById('previewPullBtn').onclick = previewPullRecords;
+    document.getElementById('confirmPullBtn').onclick = importPulledRecords;
+    document.getElementById('selectAllPullItems').onchange = function() {
+        document.querySelectorAll('#pullPreviewList .pull-item-checkbox:not(:disabled)').forEach(checkbox => {
+            checkbox.checked = this.checked;
+        });
+    };
+}
+
+// 读取表格记录并预览
+async function previewPullRecords() {
+    const sourceConfigId = document.getElementById('pullSourceSelect').value;
+    const tableName = document.getElementById('pullTableInput').value.trim();
+    const passphrase = document.getElementById('pullPassphraseInput').value;
+    
+    if (!sourceConfigId || !tableName) {
+        showAlert('请选择拉取来源并填写表格名称', 'warning');
+        return;
+    }
+    
+    if (!(await ensureVaultUnlocked())) {
+        return;
+    }
+    
+    const previewBtn = document.getElementById('previewPullBtn');
+    const loading = showLoading(previewBtn, '读取中...');
+    
+    try {
+        const configs = await storageService.loadData('tableConfigs') || [];
+        const sourceConfig = configs.find(c => c.id === sourceConfigId);
+        
+        pullPreviewItems = await pullService.previewFromTable(sourceConfig, tableName, { passphrase });
+        renderPullPreview();
+        
+        if (pullPreviewItems.length === 0) {
+            showAlert('该表格中没有可拉取的记录', 'info');
+        } else if (pullPreviewItems.some(item => item.code === ERROR_CODES.INVALID_PASSPHRASE)) {
+            showAlert('部分记录的密钥无法解密，请检查共享口令', 'warning');
+        }
+    } catch (error) {
+        console.error('读取表格记录失败:', error);
+        showAlert('读取表格记录失败: ' + error.message, 'error');
+    } finally {
+        loading.hide();
+    }
+}
+
+// 渲染拉取预览列表
+function renderPullPreview() {
+    const list = document.getElementById('pullPreviewList');
+    const confirmPullBtn = document.getElementById('confirmPullBtn');
+    const typeNames = {
+        modelConfig: '大模型配置',
+        tableConfig: '多维表格配置',
+        rewriteRecord: '改写记录'
+    };
+    
+    document.getElementById('selectAllPullItems').checked = false;
+    confirmPullBtn.disabled = pullPreviewItems.length === 0;
+    
+    if (pullPreviewItems.length === 0) {
+        list.innerHTML = '<div class="empty-message">请先预览记录</div>';
+        return;
+    }
+    
+    // 记录内容来自共享表格，使用textContent避免注入
+    list.innerHTML = '';
+    pullPreviewItems.forEach((item, index) => {
+        const row = document.createElement('div');
+        row.className = 'config-item';
+        
+        const label = document.createElement('label');
+        label.className = 'checkbox-label';
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.className = 'pull-item-checkbox';
+        checkbox.dataset.index = index;
+        checkbox.disabled = !!item.error;
+        const name = document.createElement('strong');
+        name.textContent = item.name;
+        const type = document.createElement('span');
+        type.className = 'pull-item-type';
+        type.textContent = typeNames[item.type] || item.type || '未知类型';
+        label.append(checkbox, ' ', name, type);
+        
+        const status = document.createElement('div');
+        status.className = item.error ? 'pull-item-status error' : 'pull-item-status';
+        status.textContent = item.error || (item.exists ? '本地已存在' : '新数据');
+        
+        row.append(label, status);
+        list.appendChild(row);
+    });
+}
+
+// 导入选中的拉取记录
+async function importPulledRecords() {
+    const selectedItems = Array.from(document.querySelectorAll('#pullPreviewList .pull-item-checkbox:checked'))
+        .map(checkbox => pullPreviewItems[Number(checkbox.dataset.index)])
+        .filter(Boolean);
+    
+    if (selectedItems.length === 0) {
+        showAlert('请先选择要导入的记录', 'warning');
+        return;
+    }
+    
+    if (!(await ensureVaultUnlocked())) {
+        return;
+    }
+    
+    const confirmPullBtn = document.getElementById('confirmPullBtn');
+    const loading = showLoading(confirmPullBtn, '导入中...');
+    
+    try {
+        const overwrite = document.getElementById('pullOverwriteCheckbox').checked;
+        const results = await pullService.importItems(selectedItems, { overwrite });
+        
+        if (results.errors.length > 0) {
+            console.warn('部分记录导入失败:', results.errors);
+        }
+        const message = `导入完成：成功 ${results.success} 条，跳过 ${results.skipped} 条，失败 ${results.failed} 条`;
+        showAlert(message, results.failed > 0 ? 'warning' : 'success');
+        
+        document.getElementById('pullDialog').style.display = 'none';
+        pullPreviewItems = [];
+        
+        loadTableConfigs();
+        loadModelConfigs();
+        loadModelConfigsToSelect();
+        loadRewriteHistory();
+    } catch (error) {
+        console.error('导入拉取记录失败:', error);
+        showAlert('导入记录失败: ' + error.message, 'error');
+    } finally {
+        loading.hide();
+    }
+}
+
 // 批量同步大模型配置
 async function batchSyncModelConfigs() {
     // 获取选中的配置
@@ -2359,6 +3941,10 @@ async function startSync(configId) {
         return;
     }
     
+    if (!(await ensureVaultUnlocked())) {
+        return;
+    }
+    
     try {
         // 获取目标配置信息
         const targetConfigs = await storageService.loadData('tableConfigs') || [];
@@ -2511,14 +4097,25 @@ async function startSync(configId) {
                     console.warn('预获取访问令牌失败，将在每个配置同步时单独获取:', tokenError.message);
                 }
                 
+                // 读取远端快照用于增量同步，失败时退化为仅推送
+                const remoteIndex = await loadRemoteIndex(syncService, targetConfig, targetTableName);
+                const conflicts = [];
+                
                 // 执行批量同步，使用同一个表格服务实例复用令牌
                 for (let i = 0; i < syncDataArray.length; i++) {
                     const syncData = syncDataArray[i];
                     const sourceConfig = sourceConfigs[i];
                     
+                    // 更新进度显示
+                    syncBtn.textContent = `同步中... (${i + 1}/${syncDataArray.length})`;
+                    
                     try {
                         // 使用同一个表格服务实例执行同步，注意参数顺序
-                        const result = await syncService.syncSingle(syncData, targetConfig, {}, tableService);
+                        const result = await syncService.syncSingle(syncData, targetConfig, { remoteIndex }, tableService);
+                        if (result.status === 'conflict') {
+                            conflicts.push(result.conflict);
+                            continue;
+                        }
                         syncResults.push({ id: sourceConfig.id, name: sourceConfig.name, success: true });
                         successCount++;
                         console.log(`配置 ${sourceConfig.name} 同步成功`, result);
@@ -2532,7 +4129,6 @@ async function startSync(configId) {
                                     const updated = {
                                         ...all[idx],
                                         targetTableName: targetTableName,
-                                        updatedAt: new Date().toISOString(),
                                         metadata: {
                                             ...(all[idx].metadata || {}),
                                             lastTargetConfigId: targetConfig.id,
@@ -2558,7 +4154,6 @@ async function startSync(configId) {
                                     const updated = {
                                         ...all[idx],
                                         targetTableName: targetTableName,
-                                        updatedAt: new Date().toISOString(),
                                         metadata: {
                                             ...(all[idx].metadata || {}),
                                             lastTargetConfigId: targetConfig.id,
@@ -2587,7 +4182,7 @@ async function startSync(configId) {
                                         targetTableName: targetTableName
                                     }
                                 };
-                                await storageService.editRewriteRecord(sourceConfig.name, updates);
+                                await storageService.editRewriteRecord(sourceConfig.name, updates, { touch: false });
                                 await storageService.saveData('rewriteDefaultTarget', {
                                     targetConfigId: targetConfig.id,
                                     targetTableName: targetTableName,
@@ -2602,19 +4197,20 @@ async function startSync(configId) {
                         failCount++;
                         console.error(`配置 ${sourceConfig.name} 同步失败`, error);
                     }
-                    
-                    // 更新进度显示
-                    syncBtn.textContent = `同步中... (${i + 1}/${syncDataArray.length})`;
                 }
                 
                 // 显示批量同步结果
                 let resultMessage = `批量同步完成: 成功 ${successCount} 条, 失败 ${failCount} 条`;
+                if (conflicts.length > 0) {
+                    resultMessage += `, 冲突 ${conflicts.length} 条`;
+                }
                 if (failCount > 0) {
                     const failedConfigs = syncResults.filter(r => !r.success).map(r => r.name).join(', ');
                     resultMessage += `\n\n失败的配置: ${failedConfigs}`;
                 }
                 
-                showAlert(resultMessage, failCount > 0 ? 'warning' : 'success');
+                showAlert(resultMessage, failCount > 0 || conflicts.length > 0 ? 'warning' : 'success');
+                showConflictDialog(conflicts, targetConfig);
                 
                 // 清除同步标记
                 syncBtn.removeAttribute('data-selected-configs');
@@ -2728,10 +4324,18 @@ async function startSync(configId) {
                 }
                 
                 // 执行同步
-                const syncResult = await syncService.syncSingle(syncData, targetConfig);
+                const remoteIndex = await loadRemoteIndex(syncService, targetConfig, targetTableName);
+                const syncResult = await syncService.syncSingle(syncData, targetConfig, { remoteIndex });
                 
                 console.log('配置同步结果:', syncResult);
                 
+                if (syncResult.status === 'conflict') {
+                    document.getElementById('syncDialog').style.display = 'none';
+                    syncBtn.removeAttribute('data-record-id');
+                    showConflictDialog([syncResult.conflict], targetConfig);
+                    return;
+                }
+                
                 // 显示同步成功信息
                 let configTypeName;
                 if (configType === 'modelConfig') {
@@ -2741,7 +4345,12 @@ async function startSync(configId) {
                 } else {
                     configTypeName = '多维表格';
                 }
-                showAlert(`${configTypeName}记录同步成功: ${sourceConfig.name} → ${targetConfig.name} (表格: ${targetTableName})`, 'success');
+                const syncActionTexts = {
+                    pulled: '已从表格更新本地数据',
+                    unchanged: '两端均无变化'
+                };
+                const actionText = syncActionTexts[syncResult.action] ? `，${syncActionTexts[syncResult.action]}` : '';
+                showAlert(`${configTypeName}记录同步成功: ${sourceConfig.name} → ${targetConfig.name} (表格: ${targetTableName})${actionText}`, 'success');
 
                 // 记录改写记录的最近目标表格，便于下次预填
                 if (configType === 'rewriteRecord') {
@@ -2755,7 +4364,7 @@ async function startSync(configId) {
                                 targetTableName: targetTableName
                             }
                         };
-                        await storageService.editRewriteRecord(sourceConfig.name, updates);
+                        await storageService.editRewriteRecord(sourceConfig.name, updates, { touch: false });
                         // 同时保存为改写功能标签的全局默认
                         await storageService.saveData('rewriteDefaultTarget', {
                             targetConfigId: targetConfig.id,
@@ -2774,7 +4383,6 @@ async function startSync(configId) {
                             const updated = {
                                 ...all[idx],
                                 targetTableName: targetTableName,
-                                updatedAt: new Date().toISOString(),
                                 metadata: {
                                     ...(all[idx].metadata || {}),
                                     lastTargetConfigId: targetConfig.id,
@@ -2801,7 +4409,6 @@ async function startSync(configId) {
                             const updated = {
                                 ...all[idx],
                                 targetTableName: targetTableName,
-                                updatedAt: new Date().toISOString(),
                                 metadata: {
                                     ...(all[idx].metadata || {}),
                                     lastTargetConfigId: targetConfig.id,
@@ -2843,6 +4450,105 @@ async function startSync(configId) {
     }
 }
 
+// 读取目标表格的远端快照，失败时返回null，本次同步只推送本地数据
+async function loadRemoteIndex(syncService, targetConfig, targetTableName) {
+    try {
+        return await syncService.fetchRemoteIndex(targetConfig, targetTableName);
+    } catch (error) {
+        console.warn('读取远端记录失败，本次仅推送本地数据:', error.message);
+        return null;
+    }
+}
+
+// 显示同步冲突对话框，逐条并排展示本地与表格中的数据
+function showConflictDialog(conflicts, targetConfig) {
+    if (!conflicts || conflicts.length === 0) {
+        return;
+    }
+    
+    const dialog = document.getElementById('conflictDialog');
+    const list = document.getElementById('conflictList');
+    const syncService = new SyncService();
+    let remaining = conflicts.length;
+    
+    const closeDialog = () => {
+        dialog.style.display = 'none';
+        list.innerHTML = '';
+    };
+    document.querySelector('#conflictDialog .close').onclick = closeDialog;
+    document.getElementById('closeConflictBtn').onclick = closeDialog;
+    
+    // 冲突内容来自共享表格，使用textContent避免注入
+    list.innerHTML = '';
+    conflicts.forEach(conflict => {
+        const item = document.createElement('div');
+        item.className = 'conflict-item';
+        
+        const title = document.createElement('div');
+        title.className = 'conflict-title';
+        title.textContent = conflict.local.name || conflict.local.id;
+        item.appendChild(title);
+        
+        const table = document.createElement('table');
+        table.className = 'conflict-table';
+        const header = table.insertRow();
+        ['字段', '本地', '表格'].forEach(text => {
+            const th = document.createElement('th');
+            th.textContent = text;
+            header.appendChild(th);
+        });
+        syncService.getConflictDiff(conflict).forEach(diff => {
+            const row = table.insertRow();
+            if (diff.changed) {
+                row.className = 'changed';
+            }
+            [diff.field, diff.local, diff.remote].forEach(text => {
+                row.insertCell().textContent = text;
+            });
+        });
+        item.appendChild(table);
+        
+        const actions = document.createElement('div');
+        actions.className = 'conflict-actions';
+        [['local', '保留本地'], ['remote', '使用表格']].forEach(([choice, label]) => {
+            const button = document.createElement('button');
+            button.className = choice === 'local' ? 'btn-primary' : 'btn-secondary';
+            button.textContent = label;
+            button.onclick = async () => {
+                if (!(await ensureVaultUnlocked())) {
+                    return;
+                }
+                const loading = showLoading(button, '处理中...');
+                try {
+                    await syncService.resolveConflict(conflict, choice, targetConfig);
+                    item.remove();
+                    remaining--;
+                    showAlert(`已${label}: ${title.textContent}`, 'success');
+                    if (choice === 'remote') {
+                        loadTableConfigs();
+                        loadModelConfigs();
+                        loadRewriteHistory();
+                    }
+                    if (remaining === 0) {
+                        closeDialog();
+                    }
+                } catch (error) {
+                    console.error('处理同步冲突失败:', error);
+                    showAlert('处理冲突失败: ' + error.message, 'error');
+                } finally {
+                    loading.hide();
+                }
+            };
+            actions.appendChild(button);
+        });
+        item.appendChild(actions);
+        
+        list.appendChild(item);
+    });
+    
+    dialog.style.display = 'block';
+}
+
 // 根据配置类型更新同步对话框的文案
 function updateSyncDialogUI(configType) {
     const titleEl = document.getElementById('syncDialogTitle');
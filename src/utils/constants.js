@@ -17,7 +17,11 @@ export const MODEL_TYPES = {
   DEEPSEEK: 'deepseek',
   VOLCES: 'volces',
   KIMI: 'kimi',
-  HUNYUAN: 'hunyuan'
+  HUNYUAN: 'hunyuan',
+  CUSTOM: 'custom',
+  OLLAMA: 'ollama',
+  ANTHROPIC: 'anthropic',
+  GEMINI: 'gemini'
 };
 
 // 大模型配置
@@ -27,6 +31,7 @@ export const MODEL_CONFIGS = {
     baseUrl: 'https://dashscope.aliyuncs.com/compatible-mode/v1',
     defaultModel: 'qwen-turbo',
     maxTokens: 2000,
+    contextWindow: 131072,
     temperature: 0.7
   },
   [MODEL_TYPES.DEEPSEEK]: {
@@ -34,6 +39,7 @@ export const MODEL_CONFIGS = {
     baseUrl: 'https://api.deepseek.com',
     defaultModel: 'deepseek-chat',
     maxTokens: 2000,
+    contextWindow: 65536,
     temperature: 0.7
   },
   [MODEL_TYPES.VOLCES]: {
@@ -41,6 +47,7 @@ export const MODEL_CONFIGS = {
     baseUrl: 'https://ark.cn-beijing.volces.com/api/v3',
     defaultModel: '',
     maxTokens: 2000,
+    contextWindow: 32768,
     temperature: 0.7
   },
   [MODEL_TYPES.KIMI]: {
@@ -48,6 +55,7 @@ export const MODEL_CONFIGS = {
     baseUrl: 'https://api.moonshot.cn/v1',
     defaultModel: 'moonshot-v1-8k',
     maxTokens: 2000,
+    contextWindow: 8192,
     temperature: 0.7
   },
   [MODEL_TYPES.HUNYUAN]: {
@@ -55,6 +63,42 @@ export const MODEL_CONFIGS = {
     baseUrl: 'https://api.hunyuan.cloud.tencent.com/v1',
     defaultModel: 'hunyuan-turbos-latest',
     maxTokens: 2000,
+    contextWindow: 32768,
+    temperature: 0.7
+  },
+  [MODEL_TYPES.CUSTOM]: {
+    name: 'OpenAI兼容模型',
+    baseUrl: '',
+    defaultModel: '',
+    authStyle: 'bearer',
+    maxTokens: 2000,
+    contextWindow: 8192,
+    temperature: 0.7
+  },
+  [MODEL_TYPES.OLLAMA]: {
+    name: 'Ollama本地模型',
+    baseUrl: 'http://localhost:11434',
+    defaultModel: 'qwen2.5:7b',
+    maxTokens: 2000,
+    contextWindow: 4096,
+    temperature: 0.7,
+    // 本机运行的模型，服务地址为本机或局域网时可改写机密文本
+    local: true
+  },
+  [MODEL_TYPES.ANTHROPIC]: {
+    name: 'Claude模型',
+    baseUrl: 'https://api.anthropic.com',
+    defaultModel: 'claude-3-5-haiku-latest',
+    maxTokens: 2000,
+    contextWindow: 200000,
+    temperature: 0.7
+  },
+  [MODEL_TYPES.GEMINI]: {
+    name: 'Gemini模型',
+    baseUrl: 'https://generativelanguage.googleapis.com',
+    defaultModel: 'gemini-2.0-flash',
+    maxTokens: 2000,
+    contextWindow: 1048576,
     temperature: 0.7
   }
 };
@@ -63,7 +107,11 @@ export const MODEL_CONFIGS = {
 export const TABLE_PLATFORMS = {
   FEISHU: 'feishu',
   DINGTALK: 'dingtalk',
-  WEWORK: 'wework'
+  WEWORK: 'wework',
+  NOTION: 'notion',
+  AIRTABLE: 'airtable',
+  GOOGLE_SHEETS: 'googlesheets',
+  WEBHOOK: 'webhook'
 };
 
 // 多维表格平台配置
@@ -88,6 +136,31 @@ export const PLATFORM_CONFIGS = {
     authUrl: 'https://qyapi.weixin.qq.com/cgi-bin/gettoken',
     requiredFields: ['corpId', 'corpSecret', 'agentId', 'docId', 'sheetId'],
     optionalFields: ['baseUrl']
+  },
+  [TABLE_PLATFORMS.NOTION]: {
+    name: 'Notion数据库',
+    baseUrl: 'https://api.notion.com/v1',
+    apiVersion: '2022-06-28',
+    requiredFields: ['integrationToken', 'databaseId'],
+    optionalFields: ['baseUrl']
+  },
+  [TABLE_PLATFORMS.AIRTABLE]: {
+    name: 'Airtable',
+    baseUrl: 'https://api.airtable.com/v0',
+    requiredFields: ['personalAccessToken', 'baseId', 'tableId'],
+    optionalFields: ['baseUrl']
+  },
+  [TABLE_PLATFORMS.GOOGLE_SHEETS]: {
+    name: 'Google Sheets',
+    baseUrl: 'https://sheets.googleapis.com/v4',
+    authUrl: 'https://oauth2.googleapis.com/token',
+    requiredFields: ['spreadsheetId'],
+    optionalFields: ['authType', 'accessToken', 'serviceAccountKey', 'sheetName', 'baseUrl']
+  },
+  [TABLE_PLATFORMS.WEBHOOK]: {
+    name: 'Webhook / REST接口',
+    requiredFields: ['url'],
+    optionalFields: ['method', 'updateMethod', 'headers', 'bodyTemplate', 'hmacSecret', 'signatureHeader', 'responseIdPath']
   }
 };
 
@@ -137,6 +210,9 @@ export const RECORD_CATEGORIES = {
   MEDICAL: '医疗'
 };
 
+// 标记为机密的文本只交给本地模型改写，没有本地模型时拒绝改写
+export const CONFIDENTIAL_TAG = 'confidential';
+
 // 质量评级
 export const QUALITY_RATINGS = {
   POOR: 1,
@@ -166,7 +242,9 @@ export const EVENT_TYPES = {
   RECORD_DELETED: 'recordDeleted',
   SYNC_STARTED: 'syncStarted',
   SYNC_COMPLETED: 'syncCompleted',
-  SYNC_FAILED: 'syncFailed'
+  SYNC_FAILED: 'syncFailed',
+  VAULT_LOCKED: 'vaultLocked',
+  VAULT_UNLOCKED: 'vaultUnlocked'
 };
 
 // 错误代码
@@ -178,9 +256,25 @@ export const ERROR_CODES = {
   PERMISSION_ERROR: 'PERMISSION_ERROR',
   RATE_LIMIT_ERROR: 'RATE_LIMIT_ERROR',
   DATA_ERROR: 'DATA_ERROR',
-  SYNC_ERROR: 'SYNC_ERROR'
+  SYNC_ERROR: 'SYNC_ERROR',
+  VAULT_LOCKED: 'VAULT_LOCKED',
+  INVALID_PASSPHRASE: 'INVALID_PASSPHRASE',
+  CANCELLED: 'CANCELLED',
+  TIMEOUT: 'TIMEOUT',
+  BUDGET_EXCEEDED: 'BUDGET_EXCEEDED',
+  LOCAL_MODEL_REQUIRED: 'LOCAL_MODEL_REQUIRED'
 };
 
+// 模型请求出现这些错误时改用备用模型：限流、超时、网络和服务端错误，以及该模型的费用已达上限
+export const MODEL_RETRYABLE_ERRORS = [
+  'HTTP 429', 'HTTP 500', 'HTTP 502', 'HTTP 503', 'HTTP 504', 'HTTP 529',
+  'failed to fetch',
+  ERROR_CODES.NETWORK_ERROR,
+  ERROR_CODES.RATE_LIMIT_ERROR,
+  ERROR_CODES.TIMEOUT,
+  ERROR_CODES.BUDGET_EXCEEDED
+];
+
 // HTTP状态码
 export const HTTP_STATUS = {
   OK: 200,
@@ -210,7 +304,14 @@ export const DEFAULT_CONFIG = {
   MAX_CACHE_SIZE: 100,
   AUTO_SAVE_INTERVAL: 30000, // 30秒
   SYNC_INTERVAL: 300000, // 5分钟
-  LOG_RETENTION_DAYS: 30
+  LOG_RETENTION_DAYS: 30,
+  AUTO_LOCK_MINUTES: 15,
+  MODEL_RESPONSE_TIMEOUT: 60000, // 等待模型响应的最长时间，流式输出时为相邻两段输出的最长间隔
+  REWRITE_CACHE_MAX_ENTRIES: 200,
+  REWRITE_CACHE_MAX_CHARS: 1000000, // 缓存结果的总字数上限
+  REWRITE_CACHE_TTL: 604800000, // 7天
+  CHUNK_CONCURRENCY: 2, // 长文分段改写时同时请求的段数
+  CHUNK_CONTEXT_CHARS: 200 // 分段携带上文时附带的上一段原文字数
 };
 
 // UI常量
@@ -266,7 +367,7 @@ export const REGEX_PATTERNS = {
 // 验证规则
 export const VALIDATION_RULES = {
   MIN_TEXT_LENGTH: 1,
-  MAX_TEXT_LENGTH: 10000,
+  MAX_TEXT_LENGTH: 200000,
   MIN_NAME_LENGTH: 1,
   MAX_NAME_LENGTH: 100,
   MIN_DESCRIPTION_LENGTH: 0,
@@ -341,9 +442,11 @@ if (typeof module !== 'undefined' && module.exports) {
     OPERATION_TYPES,
     RECORD_CATEGORIES,
     QUALITY_RATINGS,
+    CONFIDENTIAL_TAG,
     STORAGE_KEYS,
     EVENT_TYPES,
     ERROR_CODES,
+    MODEL_RETRYABLE_ERRORS,
     HTTP_STATUS,
     DEFAULT_CONFIG,
     UI_CONSTANTS,
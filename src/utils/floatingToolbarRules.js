@@ -0,0 +1,63 @@
+/**
+ * 划词工具栏的网站名单规则
+ * 设置服务和内容脚本共用；内容脚本直接读取存储中的设置计算本网站的配置，不必唤起后台
+ * 本模块不依赖其他服务，打包进内容脚本时不会带入模型和存储相关代码
+ */
+
+/**
+ * 规范化网站名单中的一项：去掉协议、路径、端口和通配前缀，只保留小写域名
+ * @param {string} site - 用户填写的网站，如 https://www.example.com/path 或 *.example.com
+ * @returns {string} 域名，无效时为空字符串
+ */
+export function normalizeSite(site) {
+  return String(site || '')
+    .trim()
+    .toLowerCase()
+    .replace(/^[a-z][a-z0-9+.-]*:\/\//, '')
+    .replace(/[/?#].*$/, '')
+    .replace(/:\d+$/, '')
+    .replace(/^\*\./, '')
+    .replace(/\.$/, '');
+}
+
+/**
+ * 判断网站是否在名单中，名单中的域名同时匹配其子域名
+ * @param {string} hostname - 网页域名
+ * @param {Array<string>} sites - 网站名单
+ * @returns {boolean}
+ */
+export function matchesSite(hostname, sites) {
+  const host = normalizeSite(hostname);
+  return (sites || []).map(normalizeSite).some(site => site && (host === site || host.endsWith(`.${site}`)));
+}
+
+/**
+ * 判断网站是否显示划词工具栏：不在停用名单中，且启用名单为空或在启用名单中
+ * @param {Object} settings - 设置 { allowedSites, blockedSites }
+ * @param {string} hostname - 网页域名
+ * @returns {boolean}
+ */
+export function isSiteAllowed(settings, hostname) {
+  if (!hostname || matchesSite(hostname, settings.blockedSites)) {
+    return false;
+  }
+  const allowedSites = (settings.allowedSites || []).filter(site => normalizeSite(site));
+  return allowedSites.length === 0 || matchesSite(hostname, allowedSites);
+}
+
+/**
+ * 按设置计算网页中的工具栏配置，按钮名称取自保存设置时记下的风格名称
+ * @param {Object} settings - 存储中的设置 { enabled, allowedSites, blockedSites, styles, styleNames }
+ * @param {string} hostname - 网页域名
+ * @returns {Object} { enabled, styles: [{ key, name }] }
+ */
+export function buildToolbarConfig(settings, hostname) {
+  const enabled = !!(settings && settings.enabled) && isSiteAllowed(settings, hostname);
+  const styleNames = (settings && settings.styleNames) || {};
+  return {
+    enabled,
+    styles: enabled
+      ? (settings.styles || []).filter(style => styleNames[style]).map(style => ({ key: style, name: styleNames[style] }))
+      : []
+  };
+}
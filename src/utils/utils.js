@@ -51,8 +51,64 @@ export async function retry(fn, maxRetries = 3, delay = 1000) {
   throw lastError;
 }
 
+/**
+ * 判断错误是否值得重试（超时、网络、限流、服务端错误）
+ * @param {Error} error - 错误对象
+ * @param {Array<string>} retryableErrors - 额外的可重试错误，匹配错误消息片段或错误代码
+ * @returns {boolean} 是否可重试
+ */
+export function isRetryableError(error, retryableErrors = []) {
+  const errorMessage = (error.message || '').toLowerCase();
+  const errorCode = error.code;
+  
+  // 默认可重试错误
+  const defaultRetryableErrors = [
+    'timeout', 'network', 'rate limit', 'too many requests',
+    'service unavailable', 'internal server error', 'bad gateway'
+  ];
+  
+  const allRetryableErrors = [...defaultRetryableErrors, ...retryableErrors];
+  
+  return allRetryableErrors.some(retryableError => 
+    errorMessage.includes(retryableError.toLowerCase()) ||
+    errorCode === retryableError
+  );
+}
+
+/**
+ * 判断服务地址是否为本机或局域网地址（回环、私有网段、链路本地），请求不会经公网发往第三方
+ * 只按字面地址判断，不解析域名：除localhost外的域名一律视为外部地址
+ * @param {string} url - 服务地址
+ * @returns {boolean} 是否为本机或局域网地址
+ */
+export function isPrivateNetworkUrl(url) {
+  let hostname;
+  try {
+    hostname = new URL(url).hostname.toLowerCase().replace(/^\[|\]$/g, '');
+  } catch (error) {
+    return false;
+  }
+
+  if (hostname === 'localhost' || hostname.endsWith('.localhost')) {
+    return true;
+  }
+
+  const ipv4 = hostname.match(/^(\d+)\.(\d+)\.(\d+)\.(\d+)$/);
+  if (ipv4) {
+    const [a, b] = ipv4.slice(1, 3).map(Number);
+    return a === 127 || a === 10 ||
+      (a === 172 && b >= 16 && b <= 31) ||
+      (a === 192 && b === 168) ||
+      (a === 169 && b === 254);
+  }
+
+  // IPv6回环、唯一本地地址(fc00::/7)和链路本地地址(fe80::/10)
+  return hostname === '::1' || /^f[cd][0-9a-f]{0,2}:/.test(hostname) || /^fe[89ab][0-9a-f]?:/.test(hostname);
+}
+
 /**
  * 加密数据
+ * @deprecated 仅为Base64编码，不提供任何保密性；敏感数据请使用 services/encryptionService.js
  * @param {string} data - 需要加密的数据
  * @param {string} key - 加密密钥
  * @returns {string} 加密后的数据
@@ -76,6 +132,7 @@ export function encrypt(data, key = '') {
 
 /**
  * 解密数据
+ * @deprecated 仅为Base64编码，不提供任何保密性；敏感数据请使用 services/encryptionService.js
  * @param {string} data - 需要解密的数据
  * @param {string} key - 解密密钥
  * @returns {string} 解密后的数据
@@ -0,0 +1,138 @@
+/**
+ * Airtable适配器测试
+ */
+
+import AirtableAdapter from '../src/services/adapters/airtableAdapter.js';
+
+const BASE_ID = 'appAAAAAAAAAAAAAA';
+const TABLE_ID = 'tblBBBBBBBBBBBBBB';
+
+function createAdapter(config = {}) {
+    return new AirtableAdapter({ personalAccessToken: 'pat.x', baseId: BASE_ID, tableId: TABLE_ID, ...config });
+}
+
+/**
+ * 模拟Airtable写入接口：按请求中的记录依次生成返回记录
+ */
+function echoRecords(adapter, fail = () => false) {
+    let counter = 0;
+    adapter.makeRequest = jest.fn(async (url, options) => {
+        const body = JSON.parse(options.body);
+        const error = fail(body);
+        if (error) {
+            throw error;
+        }
+        return {
+            records: body.records.map(record => ({
+                id: record.id || `rec${counter++}`,
+                fields: record.fields,
+                createdTime: '2024-01-01T00:00:00.000Z'
+            }))
+        };
+    });
+}
+
+describe('AirtableAdapter', () => {
+    test('从表格链接中解析Base ID和表格ID', () => {
+        const adapter = createAdapter({ baseId: undefined, tableId: undefined, tableToken: `https://airtable.com/${BASE_ID}/${TABLE_ID}/viwCCCCCCCCCCCCCC` });
+
+        expect(adapter.baseId).toBe(BASE_ID);
+        expect(adapter.tableId).toBe(TABLE_ID);
+        expect(adapter.getTableUrl({ tableId: '模型配置' })).toBe(`https://api.airtable.com/v0/${BASE_ID}/${encodeURIComponent('模型配置')}`);
+    });
+
+    test('批量创建按每次10条分批，结果与输入顺序一致', async () => {
+        const adapter = createAdapter();
+        echoRecords(adapter);
+        const dataList = Array.from({ length: 23 }, (_, i) => ({ id: `local-${i}`, name: `配置${i}` }));
+
+        const results = await adapter.batchCreateRecords(dataList);
+
+        expect(adapter.makeRequest.mock.calls.map(call => JSON.parse(call[1].body).records.length)).toEqual([10, 10, 3]);
+        expect(results).toHaveLength(23);
+        expect(results.every(result => result.success)).toBe(true);
+        expect(results[22]).toMatchObject({ id: 'rec22', originalIndex: 22, fields: { ID: 'local-22' } });
+    });
+
+    test('某一批失败时只将该批记录标记为失败', async () => {
+        const adapter = createAdapter();
+        echoRecords(adapter, body => body.records[0].id === 'rec10' && new Error('HTTP 422'));
+        const updates = Array.from({ length: 15 }, (_, i) => ({ id: `rec${i}`, data: { id: `local-${i}` } }));
+
+        const results = await adapter.batchUpdateRecords(updates);
+
+        expect(results.slice(0, 10).every(result => result.success)).toBe(true);
+        expect(results.slice(10)).toEqual(Array.from({ length: 5 }, (_, i) => ({
+            success: false,
+            error: 'HTTP 422',
+            originalIndex: 10 + i
+        })));
+    });
+
+    test('表格没有ID字段时去掉ID字段重试一次，之后不再写入ID', async () => {
+        const adapter = createAdapter();
+        const unknownField = Object.assign(new Error('Airtable API错误 (UNKNOWN_FIELD_NAME): Unknown field name: "ID"'), { code: 'UNKNOWN_FIELD_NAME' });
+        echoRecords(adapter, body => 'ID' in body.records[0].fields && unknownField);
+
+        const results = await adapter.batchCreateRecords([{ id: 'local-1' }, { id: 'local-2' }]);
+
+        expect(results.every(result => result.success)).toBe(true);
+        expect(adapter.hasIdField).toBe(false);
+        expect(adapter.buildRecordFields({ id: 'local-3' })).not.toHaveProperty('ID');
+    });
+
+    test('同步数据写入数据集合字段，并能从记录还原', () => {
+        const adapter = createAdapter();
+        const fields = adapter.buildRecordFields({
+            id: 'local-1',
+            type: 'modelConfig',
+            tableId: TABLE_ID,
+            数据: '{"temperature":0.7}',
+            配置名称: '通义千问',
+            extra: { nested: true }
+        });
+
+        expect(fields.ID).toBe('local-1');
+        expect(JSON.parse(fields['数据集合'])).toEqual({
+            id: 'local-1',
+            type: 'modelConfig',
+            数据: '{"temperature":0.7}',
+            配置名称: '通义千问'
+        });
+
+        const record = adapter.parseRecord({ id: 'rec1', fields, lastModifiedTime: '2024-01-01T00:00:00.000Z' });
+        expect(record).toEqual({
+            id: 'local-1',
+            type: '',
+            name: '通义千问',
+            data: '{"temperature":0.7}',
+            metadata: { recordId: 'rec1', updatedAt: '2024-01-01T00:00:00.000Z' }
+        });
+        expect(adapter.parseRecord({ id: 'rec2', fields: { 数据集合: 'not json' } })).toBeNull();
+    });
+
+    test('按ID查询时转义公式中的引号', async () => {
+        const adapter = createAdapter();
+        adapter.makeRequest = jest.fn().mockResolvedValue({ records: [{ id: 'rec1', fields: { ID: "it's" } }] });
+
+        const record = await adapter.findRecordById("it's");
+
+        expect(record.id).toBe('rec1');
+        const url = new URL(adapter.makeRequest.mock.calls[0][0]);
+        expect(url.searchParams.get('filterByFormula')).toBe("{ID}='it\\'s'");
+    });
+
+    test('1秒内最多发送5次请求，超出的请求顺延', async () => {
+        jest.useFakeTimers({ now: 0 });
+        const adapter = createAdapter();
+        const delay = jest.spyOn(adapter, 'delay').mockResolvedValue();
+
+        for (let i = 0; i < 7; i++) {
+            await adapter.checkRateLimit();
+        }
+
+        expect(adapter.requestTimestamps).toEqual([0, 0, 0, 0, 0, 1000, 1000]);
+        expect(delay.mock.calls).toEqual([[1000], [1000]]);
+        jest.useRealTimers();
+    });
+});
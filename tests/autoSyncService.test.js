@@ -0,0 +1,126 @@
+/**
+ * 自动同步服务测试
+ */
+
+import autoSyncService, { AUTO_SYNC_SCHEDULES_KEY } from '../src/services/autoSyncService.js';
+import syncStateService from '../src/services/syncStateService.js';
+import encryptionService from '../src/services/encryptionService.js';
+import { installChromeStorage } from './helpers/chromeStorage.js';
+
+/**
+ * 基于内存的chrome.alarms模拟
+ */
+function installAlarms(initial = []) {
+    const alarms = new Map(initial.map(alarm => [alarm.name, alarm]));
+    global.chrome.alarms = {
+        get: jest.fn(async name => alarms.get(name)),
+        getAll: jest.fn(async () => Array.from(alarms.values())),
+        create: jest.fn(async (name, info) => {
+            alarms.set(name, { name, periodInMinutes: info.periodInMinutes });
+        }),
+        clear: jest.fn(async name => alarms.delete(name))
+    };
+    return alarms;
+}
+
+describe('AutoSyncService', () => {
+    let alarms;
+
+    beforeEach(() => {
+        installChromeStorage();
+        encryptionService.clearMemory();
+        alarms = installAlarms();
+    });
+
+    afterEach(() => {
+        delete global.chrome.alarms;
+    });
+
+    describe('闹钟注册', () => {
+        test('保存一个目标的计划时不重建其他目标的闹钟', async () => {
+            await autoSyncService.saveSchedule('a', { enabled: true, tableName: '表A', intervalMinutes: 30 });
+            await autoSyncService.saveSchedule('b', { enabled: true, tableName: '表B', intervalMinutes: 60 });
+            chrome.alarms.create.mockClear();
+
+            await autoSyncService.saveSchedule('b', { enabled: true, tableName: '表B', intervalMinutes: 15 });
+
+            expect(chrome.alarms.create).toHaveBeenCalledTimes(1);
+            expect(chrome.alarms.create).toHaveBeenCalledWith('flowfocus-autosync:b', { delayInMinutes: 15, periodInMinutes: 15 });
+            expect(chrome.alarms.clear).not.toHaveBeenCalled();
+        });
+
+        test('间隔未变时保留现有闹钟的倒计时', async () => {
+            await autoSyncService.saveSchedule('a', { enabled: true, tableName: '表A', intervalMinutes: 30 });
+            chrome.alarms.create.mockClear();
+
+            await autoSyncService.saveSchedule('a', { enabled: true, tableName: '表A（改名）', intervalMinutes: 30 });
+
+            expect(chrome.alarms.create).not.toHaveBeenCalled();
+        });
+
+        test('停用或删除计划时只清除该目标的闹钟', async () => {
+            await autoSyncService.saveSchedule('a', { enabled: true, tableName: '表A', intervalMinutes: 30 });
+            await autoSyncService.saveSchedule('b', { enabled: true, tableName: '表B', intervalMinutes: 30 });
+
+            await autoSyncService.saveSchedule('a', { enabled: false, tableName: '表A', intervalMinutes: 30 });
+            expect(Array.from(alarms.keys())).toEqual(['flowfocus-autosync:b']);
+
+            await autoSyncService.removeSchedule('b');
+            expect(alarms.size).toBe(0);
+        });
+
+        test('启动时清除已停用目标的闹钟，补建缺失的闹钟', async () => {
+            installChromeStorage({
+                [AUTO_SYNC_SCHEDULES_KEY]: {
+                    a: { enabled: true, tableName: '表A', intervalMinutes: 30 },
+                    b: { enabled: true, tableName: '表B', intervalMinutes: 45 }
+                }
+            });
+            alarms = installAlarms([
+                { name: 'flowfocus-autosync:a', periodInMinutes: 30 },
+                { name: 'flowfocus-autosync:removed', periodInMinutes: 30 },
+                { name: 'other-alarm', periodInMinutes: 1 }
+            ]);
+
+            await autoSyncService.registerAlarms();
+
+            expect(chrome.alarms.create.mock.calls.map(call => call[0])).toEqual(['flowfocus-autosync:b']);
+            expect(Array.from(alarms.keys()).sort()).toEqual(['flowfocus-autosync:a', 'flowfocus-autosync:b', 'other-alarm']);
+        });
+    });
+
+    test('校验计划：启用时需要表格名称，时间格式必须为HH:mm', () => {
+        expect(() => autoSyncService.validateSchedule({ enabled: true, tableName: ' ' })).toThrow('目标表格名称');
+        expect(() => autoSyncService.validateSchedule({ tableName: 't', quietStart: '25:00' })).toThrow('免打扰时间格式无效');
+        expect(autoSyncService.validateSchedule({ enabled: 1, tableName: ' t ', intervalMinutes: '9.6' }))
+            .toEqual({ enabled: true, tableName: 't', intervalMinutes: 10, quietStart: '', quietEnd: '' });
+    });
+
+    test('免打扰时段支持跨午夜', () => {
+        const schedule = { quietStart: '22:00', quietEnd: '08:00' };
+        const at = time => new Date(`2026-01-01T${time}:00`);
+
+        expect(autoSyncService.isQuietTime(schedule, at('23:30'))).toBe(true);
+        expect(autoSyncService.isQuietTime(schedule, at('07:59'))).toBe(true);
+        expect(autoSyncService.isQuietTime(schedule, at('08:00'))).toBe(false);
+        expect(autoSyncService.isQuietTime({ quietStart: '12:00', quietEnd: '13:00' }, at('12:30'))).toBe(true);
+    });
+
+    test('只推送未同步或同步后又修改过的改写记录', async () => {
+        installChromeStorage({
+            rewriteRecords: [
+                { id: 'new', updatedAt: 't1' },
+                { id: 'synced', updatedAt: 't1' },
+                { id: 'edited', updatedAt: 't2' }
+            ]
+        });
+        const targetConfig = { id: 'cfg' };
+        const targetKey = syncStateService.getTargetKey(targetConfig, '表A');
+        await syncStateService.setEntry(targetKey, 'synced', { localUpdatedAt: 't1' });
+        await syncStateService.setEntry(targetKey, 'edited', { localUpdatedAt: 't1' });
+
+        const pending = await autoSyncService.getPendingRecords(targetConfig, '表A');
+
+        expect(pending.map(record => record.id)).toEqual(['new', 'edited']);
+    });
+});
@@ -0,0 +1,92 @@
+/**
+ * 后台脚本测试
+ */
+
+import { REWRITE_STREAM_PORT } from '../src/services/modelService.js';
+import { CONFIDENTIAL_TAG, ERROR_CODES } from '../src/utils/constants.js';
+import { installChromeStorage } from './helpers/chromeStorage.js';
+import { loadBackgroundScript } from './helpers/backgroundScript.js';
+import { createJsonResponse } from './helpers/modelResponses.js';
+
+jest.mock('../src/services/enhancedRewriteService.js', () => require('./helpers/esModules.js')
+    .withDefaultExport(jest.requireActual('../src/services/enhancedRewriteService.js'), 'enhancedRewriteService'));
+jest.mock('../src/services/modelConfigManager.js', () => require('./helpers/esModules.js')
+    .withDefaultExport(jest.requireActual('../src/services/modelConfigManager.js'), 'modelConfigManager'));
+jest.mock('../src/services/performanceMonitor.js', () => require('./helpers/esModules.js')
+    .withDefaultExport(jest.requireActual('../src/services/performanceMonitor.js'), 'performanceMonitor'));
+
+const CLOUD_CONFIG = {
+    id: 'cfg-qwen',
+    name: '通义千问',
+    modelType: 'qwen',
+    apiKey: 'sk-test',
+    baseUrl: 'https://api.example.com',
+    modelEndpoint: 'qwen-plus'
+};
+
+const LOCAL_CONFIG = {
+    id: 'cfg-local',
+    name: '本地模型',
+    modelType: 'ollama',
+    baseUrl: 'http://localhost:11434',
+    modelEndpoint: 'qwen2.5:7b'
+};
+
+/**
+ * 通过Port发起流式改写，返回后台最后回复的结果
+ */
+function rewriteThroughPort(background, message) {
+    return new Promise(resolve => {
+        const port = background.connect({ name: REWRITE_STREAM_PORT });
+        port.onMessage.addListener(reply => {
+            if (reply.type === 'done') {
+                resolve(reply.response);
+            }
+        });
+        port.postMessage({ type: 'start', ...message });
+    });
+}
+
+describe('后台脚本', () => {
+    let background;
+
+    beforeEach(() => {
+        installChromeStorage({ modelConfigs: [CLOUD_CONFIG, LOCAL_CONFIG] });
+        global.fetch = jest.fn(async () => createJsonResponse({ message: { role: 'assistant', content: '本地改写结果' } }));
+        background = loadBackgroundScript();
+    });
+
+    describe('机密文本', () => {
+        test('划词改写不会把机密文本发给云端模型', async () => {
+            const response = await background.sendMessage({
+                action: 'rewriteText',
+                data: { model: '通义千问', text: '内部资料', rewritePrompt: '改写', tags: [CONFIDENTIAL_TAG] }
+            });
+
+            expect(fetch).not.toHaveBeenCalled();
+            expect(response).toMatchObject({ success: false, code: ERROR_CODES.LOCAL_MODEL_REQUIRED });
+        });
+
+        test('划词改写选用本地模型时正常改写', async () => {
+            const response = await background.sendMessage({
+                action: 'rewriteText',
+                data: { model: '本地模型', text: '内部资料', rewritePrompt: '改写', tags: [CONFIDENTIAL_TAG] }
+            });
+
+            expect(fetch).toHaveBeenCalledWith('http://localhost:11434/api/chat', expect.any(Object));
+            expect(response).toMatchObject({ success: true, data: '本地改写结果' });
+        });
+
+        test('侧边栏通过Port流式改写时同样拒绝云端模型', async () => {
+            const response = await rewriteThroughPort(background, {
+                config: { ...CLOUD_CONFIG, type: 'qwen' },
+                text: '内部资料',
+                rewritePrompt: '改写',
+                tags: [CONFIDENTIAL_TAG]
+            });
+
+            expect(fetch).not.toHaveBeenCalled();
+            expect(response).toMatchObject({ success: false, code: ERROR_CODES.LOCAL_MODEL_REQUIRED });
+        });
+    });
+});
@@ -0,0 +1,269 @@
+/**
+ * 内容脚本测试
+ */
+
+import { FLOATING_TOOLBAR_SETTINGS_KEY } from '../src/services/floatingToolbarService.js';
+import { installChromeStorage } from './helpers/chromeStorage.js';
+
+jest.mock('../src/services/enhancedRewriteService.js', () => require('./helpers/esModules.js')
+    .withDefaultExport(jest.requireActual('../src/services/enhancedRewriteService.js'), 'enhancedRewriteService'));
+
+/**
+ * 加载内容脚本，返回向其发送消息的函数
+ * 每次在独立的模块环境中加载，记住的选中内容和替换记录不会带到下一个测试
+ * @param {Object} storageData - 存储中的初始数据
+ * @returns {Function} send(message) => Promise<response>
+ */
+function loadContentScript(storageData = {}) {
+    let listener = null;
+    installChromeStorage(storageData);
+    Object.assign(global.chrome.runtime, {
+        id: 'flowfocus-test',
+        onMessage: { addListener: jest.fn(callback => { listener = callback; }) },
+        sendMessage: jest.fn()
+    });
+    jest.isolateModules(() => {
+        require('../src/content/content.js');
+    });
+    return message => new Promise(resolve => listener(message, {}, resolve));
+}
+
+/**
+ * jsdom未实现可编辑区域判断、剪贴板事件、execCommand和选区位置，按浏览器行为补上测试用到的部分
+ */
+function installBrowserApis() {
+    Range.prototype.getBoundingClientRect = () => ({ top: 0, bottom: 0, left: 0, right: 0, width: 0, height: 0 });
+    Object.defineProperty(HTMLElement.prototype, 'isContentEditable', {
+        configurable: true,
+        get() {
+            return !!this.closest('[contenteditable="true"]');
+        }
+    });
+    global.DataTransfer = class {
+        constructor() {
+            this.items = {};
+        }
+        setData(type, value) {
+            this.items[type] = value;
+        }
+        getData(type) {
+            return this.items[type] || '';
+        }
+    };
+    global.ClipboardEvent = class extends Event {
+        constructor(type, init = {}) {
+            super(type, init);
+            this.clipboardData = init.clipboardData;
+        }
+    };
+}
+
+/**
+ * 选中元素中第一个文本节点的一段文字
+ */
+function selectText(element, start, end) {
+    const range = document.createRange();
+    range.setStart(element.firstChild, start);
+    range.setEnd(element.firstChild, end);
+    const selection = window.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(range);
+}
+
+describe('内容脚本', () => {
+    let send;
+
+    beforeAll(() => {
+        installBrowserApis();
+    });
+
+    beforeEach(() => {
+        document.body.innerHTML = `
+            <article><p id="text">Hello world, this is text.</p></article>
+            <textarea id="field">开头 原文 结尾</textarea>
+            <div id="editor" contenteditable="true"><p id="editorText">编辑器里的原文</p></div>`;
+        window.getSelection().removeAllRanges();
+        send = loadContentScript();
+    });
+
+    afterEach(() => {
+        delete document.execCommand;
+    });
+
+    describe('替换网页中的原文', () => {
+        test('替换选中的网页文字，撤销时放回原来的内容', async () => {
+            const paragraph = document.getElementById('text');
+            selectText(paragraph, 6, 11);
+            expect(await send({ action: 'getSelectedText' })).toMatchObject({ success: true, data: 'world' });
+
+            expect(await send({ action: 'replaceSelection', text: 'WORLD', originalText: 'world' })).toEqual({ success: true });
+            expect(paragraph.textContent).toBe('Hello WORLD, this is text.');
+
+            expect(await send({ action: 'undoReplace' })).toEqual({ success: true });
+            expect(paragraph.textContent).toBe('Hello world, this is text.');
+        });
+
+        test('替换输入框中选中的文字并派发input事件，撤销时恢复原文', async () => {
+            const field = document.getElementById('field');
+            const onInput = jest.fn();
+            field.addEventListener('input', onInput);
+            field.focus();
+            field.setSelectionRange(3, 5);
+            await send({ action: 'getSelectedText' });
+
+            expect(await send({ action: 'replaceSelection', text: '新的文字', originalText: '原文' })).toEqual({ success: true });
+            expect(field.value).toBe('开头 新的文字 结尾');
+            expect(onInput).toHaveBeenCalledTimes(1);
+            expect(onInput.mock.calls[0][0]).toMatchObject({ inputType: 'insertReplacementText', data: '新的文字' });
+
+            expect(await send({ action: 'undoReplace' })).toEqual({ success: true });
+            expect(field.value).toBe('开头 原文 结尾');
+        });
+
+        test('编辑器支持insertText时交给编辑器替换，撤销使用编辑器的撤销', async () => {
+            document.execCommand = jest.fn(() => true);
+            selectText(document.getElementById('editorText'), 5, 7);
+            await send({ action: 'getSelectedText' });
+
+            expect(await send({ action: 'replaceSelection', text: '新内容' })).toEqual({ success: true });
+            expect(document.execCommand).toHaveBeenCalledWith('insertText', false, '新内容');
+            expect(window.getSelection().toString()).toBe('原文');
+
+            expect(await send({ action: 'undoReplace' })).toEqual({ success: true });
+            expect(document.execCommand).toHaveBeenLastCalledWith('undo', false, undefined);
+        });
+
+        test('编辑器自行处理粘贴时不再改动DOM', async () => {
+            const editor = document.getElementById('editor');
+            const onPaste = jest.fn(event => event.preventDefault());
+            editor.addEventListener('paste', onPaste);
+            selectText(document.getElementById('editorText'), 5, 7);
+            await send({ action: 'getSelectedText' });
+
+            expect(await send({ action: 'replaceSelection', text: '新内容' })).toEqual({ success: true });
+            expect(onPaste.mock.calls[0][0].clipboardData.getData('text/plain')).toBe('新内容');
+            expect(editor.textContent).toBe('编辑器里的原文');
+            expect(await send({ action: 'undoReplace' })).toEqual({
+                success: false,
+                error: '编辑器不支持撤销，请在页面中按 Ctrl+Z 撤销'
+            });
+        });
+
+        test('编辑器未处理粘贴时直接替换节点并通知编辑器', async () => {
+            const editor = document.getElementById('editor');
+            const onInput = jest.fn();
+            editor.addEventListener('input', onInput);
+            selectText(document.getElementById('editorText'), 5, 7);
+            await send({ action: 'getSelectedText' });
+
+            expect(await send({ action: 'replaceSelection', text: '新内容' })).toEqual({ success: true });
+            expect(editor.textContent).toBe('编辑器里的新内容');
+            expect(onInput).toHaveBeenCalled();
+
+            await send({ action: 'undoReplace' });
+            expect(editor.textContent).toBe('编辑器里的原文');
+        });
+
+        test('原文与记住的选中内容不一致时不替换', async () => {
+            selectText(document.getElementById('text'), 6, 11);
+            await send({ action: 'getSelectedText' });
+
+            const response = await send({ action: 'replaceSelection', text: 'X', originalText: '其他文字' });
+
+            expect(response).toEqual({ success: false, error: '原文与网页中选中的内容不一致，请重新获取选中文字' });
+            expect(document.getElementById('text').textContent).toBe('Hello world, this is text.');
+        });
+
+        test('原文已被网页修改时不替换', async () => {
+            const field = document.getElementById('field');
+            field.focus();
+            field.setSelectionRange(0, 2);
+            await send({ action: 'getSelectedText' });
+            field.value = '改过 原文 结尾';
+
+            expect(await send({ action: 'replaceSelection', text: '新' })).toEqual({
+                success: false,
+                error: '网页中的原文已变化，请重新选中后再替换'
+            });
+        });
+
+        test('没有记住的选中内容或可撤销的替换时返回错误', async () => {
+            expect(await send({ action: 'replaceSelection', text: '新' })).toMatchObject({ success: false, error: expect.stringContaining('没有记住的选中内容') });
+            expect(await send({ action: 'undoReplace' })).toEqual({ success: false, error: '没有可撤销的替换' });
+        });
+
+        test('替换后的内容被修改时不能撤销，同一选区只替换一次', async () => {
+            const field = document.getElementById('field');
+            field.focus();
+            field.setSelectionRange(3, 5);
+            await send({ action: 'getSelectedText' });
+            await send({ action: 'replaceSelection', text: '新的文字' });
+            field.value = '全部改掉了';
+
+            expect(await send({ action: 'undoReplace' })).toEqual({ success: false, error: '替换后的内容已被修改，无法撤销' });
+            expect(await send({ action: 'replaceSelection', text: '再次' })).toMatchObject({ success: false });
+        });
+    });
+
+    describe('划词工具栏', () => {
+        const ENABLED_SETTINGS = {
+            enabled: true,
+            allowedSites: [],
+            blockedSites: [],
+            styles: ['formal'],
+            styleNames: { formal: '正式化' }
+        };
+
+        /**
+         * 加载内容脚本前开始记录注册的页面事件
+         */
+        function loadWithSettings(settings) {
+            jest.spyOn(document, 'addEventListener');
+            jest.spyOn(document, 'removeEventListener');
+            return loadContentScript(settings ? { [FLOATING_TOOLBAR_SETTINGS_KEY]: settings } : {});
+        }
+
+        const registeredEvents = spy => spy.mock.calls.filter(([, , capture]) => capture === true).map(([type]) => type);
+
+        afterEach(() => {
+            jest.restoreAllMocks();
+            document.querySelectorAll('flowfocus-toolbar').forEach(element => element.remove());
+        });
+
+        test('未开启时不联系后台，也不监听页面的鼠标和键盘事件', () => {
+            loadWithSettings(null);
+
+            expect(chrome.storage.local.get).toHaveBeenCalledWith(FLOATING_TOOLBAR_SETTINGS_KEY, expect.any(Function));
+            expect(chrome.runtime.sendMessage).not.toHaveBeenCalled();
+            expect(registeredEvents(document.addEventListener)).toEqual([]);
+        });
+
+        test('本网站在停用名单中时同样不监听', () => {
+            loadWithSettings({ ...ENABLED_SETTINGS, blockedSites: [location.hostname] });
+
+            expect(registeredEvents(document.addEventListener)).toEqual([]);
+        });
+
+        test('开启后选中文字时显示工具栏，且不需要后台提供配置', async () => {
+            loadWithSettings(ENABLED_SETTINGS);
+            jest.spyOn(Range.prototype, 'getBoundingClientRect').mockReturnValue({ top: 10, bottom: 30, left: 10, width: 40, height: 20 });
+            selectText(document.getElementById('text'), 0, 5);
+
+            expect(registeredEvents(document.addEventListener)).toEqual(['mouseup', 'mousedown', 'keydown']);
+            document.getElementById('text').dispatchEvent(new MouseEvent('mouseup', { bubbles: true }));
+            await new Promise(resolve => setTimeout(resolve, 0));
+
+            expect(document.querySelector('flowfocus-toolbar')).not.toBeNull();
+            expect(chrome.runtime.sendMessage).not.toHaveBeenCalled();
+        });
+
+        test('设置关闭后移除页面事件并关闭工具栏', async () => {
+            loadWithSettings(ENABLED_SETTINGS);
+
+            await chrome.storage.local.set({ [FLOATING_TOOLBAR_SETTINGS_KEY]: { ...ENABLED_SETTINGS, enabled: false } });
+            await new Promise(resolve => setTimeout(resolve, 0));
+
+            expect(registeredEvents(document.removeEventListener)).toEqual(['mouseup', 'mousedown', 'keydown']);
+        });
+    });
+});
@@ -0,0 +1,137 @@
+/**
+ * 右键菜单服务测试
+ */
+
+import { ContextMenuService, CONTEXT_MENU_ROOT_ID, PENDING_CONTEXT_REWRITE_KEY } from '../src/services/contextMenuService.js';
+import { enhancedRewriteService } from '../src/services/enhancedRewriteService.js';
+import { CUSTOM_PROMPT_TEMPLATES_KEY } from '../src/services/storageService.js';
+import { installChromeStorage } from './helpers/chromeStorage.js';
+
+jest.mock('../src/services/enhancedRewriteService.js', () => require('./helpers/esModules.js')
+    .withDefaultExport(jest.requireActual('../src/services/enhancedRewriteService.js'), 'enhancedRewriteService'));
+
+const TEMPLATES = [
+    { id: 'tpl-1', name: '翻译成英文', prompt: '请翻译成英文' },
+    { id: 'tpl-2', name: '压缩到一半', prompt: '请压缩到一半篇幅' }
+];
+
+describe('ContextMenuService', () => {
+    let service;
+    let storage;
+
+    beforeEach(() => {
+        storage = installChromeStorage({ [CUSTOM_PROMPT_TEMPLATES_KEY]: TEMPLATES });
+        service = new ContextMenuService();
+        global.chrome.contextMenus = {
+            removeAll: jest.fn().mockResolvedValue(),
+            create: jest.fn((item, callback) => callback && callback())
+        };
+    });
+
+    afterEach(() => {
+        delete global.chrome.contextMenus;
+    });
+
+    describe('菜单项', () => {
+        test('根菜单下先列出改写风格，再用分隔线隔开提示词模板', () => {
+            const styles = enhancedRewriteService.getAvailableStyles();
+
+            const items = service.buildMenuItems(TEMPLATES);
+
+            expect(items[0]).toEqual({ id: CONTEXT_MENU_ROOT_ID, title: '用 FlowFocus 改写', contexts: ['selection'] });
+            expect(items.slice(1, styles.length + 1).map(item => item.title)).toEqual(styles.map(style => style.name));
+            expect(items[styles.length + 1]).toMatchObject({ type: 'separator', parentId: CONTEXT_MENU_ROOT_ID });
+            expect(items.slice(-2)).toEqual([
+                { id: 'flowfocus-template:tpl-1', parentId: CONTEXT_MENU_ROOT_ID, title: '翻译成英文', contexts: ['selection'] },
+                { id: 'flowfocus-template:tpl-2', parentId: CONTEXT_MENU_ROOT_ID, title: '压缩到一半', contexts: ['selection'] }
+            ]);
+        });
+
+        test('没有模板时不加分隔线', () => {
+            const items = service.buildMenuItems([]);
+
+            expect(items.some(item => item.type === 'separator')).toBe(false);
+            expect(items).toHaveLength(enhancedRewriteService.getAvailableStyles().length + 1);
+        });
+
+        test('清空旧菜单后按已保存的模板注册', async () => {
+            await service.registerMenus();
+
+            expect(chrome.contextMenus.removeAll).toHaveBeenCalledTimes(1);
+            const ids = chrome.contextMenus.create.mock.calls.map(([item]) => item.id);
+            expect(ids).toEqual(service.buildMenuItems(TEMPLATES).map(item => item.id));
+        });
+
+        test('连续注册时依次执行，不会重复创建菜单项', async () => {
+            const events = [];
+            chrome.contextMenus.removeAll.mockImplementation(async () => {
+                events.push('removeAll');
+                await new Promise(resolve => setTimeout(resolve, 0));
+            });
+            chrome.contextMenus.create.mockImplementation(item => {
+                if (item.id === CONTEXT_MENU_ROOT_ID) {
+                    events.push('create');
+                }
+            });
+
+            await Promise.all([service.registerMenus(), service.registerMenus()]);
+
+            expect(events).toEqual(['removeAll', 'create', 'removeAll', 'create']);
+        });
+
+        test('注册失败时记录错误，之后仍可重新注册', async () => {
+            chrome.contextMenus.removeAll.mockRejectedValueOnce(new Error('not ready'));
+
+            await service.registerMenus();
+            await service.registerMenus();
+
+            expect(console.error).toHaveBeenCalledWith('注册右键菜单失败:', expect.any(Error));
+            expect(chrome.contextMenus.create).toHaveBeenCalled();
+        });
+    });
+
+    describe('解析菜单项', () => {
+        test('改写风格使用风格的提示词和示例', async () => {
+            const rewrite = await service.resolveMenuItem('flowfocus-style:formal');
+
+            expect(rewrite).toEqual({
+                name: enhancedRewriteService.rewriteTemplates.formal.name,
+                prompt: enhancedRewriteService.buildRewritePrompt('formal'),
+                examples: enhancedRewriteService.rewriteTemplates.formal.examples
+            });
+        });
+
+        test('提示词模板使用模板内容，不带示例', async () => {
+            expect(await service.resolveMenuItem('flowfocus-template:tpl-2')).toEqual({ name: '压缩到一半', prompt: '请压缩到一半篇幅', examples: [] });
+        });
+
+        test.each([
+            ['已删除的模板', 'flowfocus-template:tpl-removed'],
+            ['未知的风格', 'flowfocus-style:unknown'],
+            ['其他菜单项', 'other-extension-item']
+        ])('%s返回null', async (label, menuItemId) => {
+            expect(await service.resolveMenuItem(menuItemId)).toBeNull();
+        });
+    });
+
+    describe('待处理的改写请求', () => {
+        test('取出后即删除', async () => {
+            const queued = await service.queueRewrite({ text: '选中的文字', name: '正式化', prompt: '改写', examples: [] });
+
+            expect(await service.takePendingRewrite()).toEqual(queued);
+            expect(storage.data[PENDING_CONTEXT_REWRITE_KEY]).toBeUndefined();
+            expect(await service.takePendingRewrite()).toBeNull();
+        });
+
+        test('超过5分钟的请求丢弃', async () => {
+            storage.data[PENDING_CONTEXT_REWRITE_KEY] = {
+                id: 'old',
+                text: '选中的文字',
+                createdAt: new Date(Date.now() - 6 * 60 * 1000).toISOString()
+            };
+
+            expect(await service.takePendingRewrite()).toBeNull();
+            expect(storage.data[PENDING_CONTEXT_REWRITE_KEY]).toBeUndefined();
+        });
+    });
+});
@@ -0,0 +1,235 @@
+/**
+ * 加密服务测试
+ */
+
+import { EncryptionService, KEY_MATERIAL_STORAGE_KEY } from '../src/services/encryptionService.js';
+import { SensitiveDataHandler } from '../src/services/sensitiveDataHandler.js';
+import { installChromeStorage } from './helpers/chromeStorage.js';
+import { ERROR_CODES, EVENT_TYPES } from '../src/utils/constants.js';
+
+/**
+ * 在指定实例中启用新的密钥包，模拟侧边栏修改主密码（保存材料后启用）
+ */
+async function switchKey(service, bundle) {
+    await service.storeKey(bundle.material);
+    service.activateKeyBundle(bundle);
+}
+
+describe('EncryptionService', () => {
+    let storage;
+    let service;
+
+    beforeEach(() => {
+        storage = installChromeStorage();
+        service = new EncryptionService();
+    });
+
+    afterEach(() => {
+        service.clearMemory();
+    });
+
+    describe('本机主密钥加解密', () => {
+        test('首次使用时生成并保存本机密钥材料', async () => {
+            await service.initialize();
+
+            const material = storage.data[KEY_MATERIAL_STORAGE_KEY];
+            expect(material.mode).toBe('device');
+            expect(material.keyId).toMatch(/^[0-9a-f]{16}$/);
+            expect(service.isLocked()).toBe(false);
+        });
+
+        test('加密后可以解密还原，且每次使用不同的IV', async () => {
+            const first = await service.encrypt('sk-测试密钥');
+            const second = await service.encrypt('sk-测试密钥');
+
+            expect(first).toMatch(/^enc:v1:[0-9a-f]{16}:/);
+            expect(first).not.toBe(second);
+            expect(await service.decrypt(first)).toBe('sk-测试密钥');
+            expect(await service.decrypt(second)).toBe('sk-测试密钥');
+        });
+
+        test('空值、已加密的值和非密文原样返回', async () => {
+            const encrypted = await service.encrypt('secret');
+
+            expect(await service.encrypt('')).toBe('');
+            expect(await service.encrypt(encrypted)).toBe(encrypted);
+            expect(await service.decrypt('plain-text')).toBe('plain-text');
+        });
+
+        test('重新加载后用保存的密钥材料解密', async () => {
+            const encrypted = await service.encrypt('secret');
+            const reloaded = new EncryptionService();
+
+            expect(await reloaded.decrypt(encrypted)).toBe('secret');
+        });
+
+        test('密文被篡改时解密失败', async () => {
+            const encrypted = await service.encrypt('secret');
+            const parts = encrypted.split(':');
+            const cipher = parts[4];
+            parts[4] = (cipher[0] === 'A' ? 'B' : 'A') + cipher.slice(1);
+
+            await expect(service.decrypt(parts.join(':'))).rejects.toThrow();
+        });
+
+        test('密钥ID不一致时拒绝解密', async () => {
+            const encrypted = await service.encrypt('secret');
+            const other = await new EncryptionService().createDeviceKeyBundle();
+
+            await expect(service.decrypt(encrypted, { key: other.key, keyId: other.material.keyId }))
+                .rejects.toThrow('与当前密钥不一致');
+        });
+    });
+
+    describe('主密码锁定与解锁', () => {
+        test('启用主密码后，新加载的实例处于锁定状态，解锁后才能解密', async () => {
+            await switchKey(service, await service.createPassphraseKeyBundle('正确的主密码', 15));
+            const encrypted = await service.encrypt('secret');
+            expect(storage.data[KEY_MATERIAL_STORAGE_KEY].secret).toBeUndefined();
+
+            const reloaded = new EncryptionService();
+            await expect(reloaded.decrypt(encrypted)).rejects.toMatchObject({ code: ERROR_CODES.VAULT_LOCKED });
+            await expect(reloaded.unlock('错误的主密码')).rejects.toMatchObject({ code: ERROR_CODES.INVALID_PASSPHRASE });
+            expect(reloaded.isLocked()).toBe(true);
+
+            await reloaded.unlock('正确的主密码');
+            expect(await reloaded.decrypt(encrypted)).toBe('secret');
+            reloaded.clearMemory();
+        });
+
+        test('手动锁定和空闲超时都会清除内存中的密钥', async () => {
+            jest.useFakeTimers();
+            try {
+                const listener = jest.fn();
+                service.addLockListener(listener);
+                await switchKey(service, await service.createPassphraseKeyBundle('pw', 1));
+
+                service.lock();
+                expect(service.isLocked()).toBe(true);
+                expect(listener).toHaveBeenLastCalledWith(EVENT_TYPES.VAULT_LOCKED);
+
+                await service.unlock('pw');
+                expect(listener).toHaveBeenLastCalledWith(EVENT_TYPES.VAULT_UNLOCKED);
+                jest.advanceTimersByTime(60 * 1000);
+                expect(service.isLocked()).toBe(true);
+            } finally {
+                jest.useRealTimers();
+            }
+        });
+    });
+
+    describe('多个页面之间切换密钥', () => {
+        let worker;
+
+        beforeEach(async () => {
+            // service模拟侧边栏，worker模拟后台，二者共用同一份存储
+            worker = new EncryptionService();
+            await service.initialize();
+            await worker.initialize();
+        });
+
+        afterEach(() => {
+            worker.clearMemory();
+        });
+
+        test('侧边栏启用主密码后，后台丢弃旧密钥并进入锁定状态', async () => {
+            expect(await worker.decrypt(await service.encrypt('before'))).toBe('before');
+
+            await switchKey(service, await service.createPassphraseKeyBundle('pw'));
+            await storage.flush();
+
+            const encrypted = await service.encrypt('after');
+            expect(service.isLocked()).toBe(false);
+            await expect(worker.decrypt(encrypted)).rejects.toMatchObject({ code: ERROR_CODES.VAULT_LOCKED });
+        });
+
+        test('侧边栏停用主密码后，后台无需重启即可用新密钥解密', async () => {
+            await switchKey(service, await service.createPassphraseKeyBundle('pw'));
+            await storage.flush();
+            await switchKey(service, await service.createDeviceKeyBundle());
+            await storage.flush();
+
+            expect(worker.isLocked()).toBe(false);
+            expect(await worker.decrypt(await service.encrypt('after'))).toBe('after');
+        });
+
+        test('只修改自动锁定时长时保留已解锁的密钥', async () => {
+            await switchKey(service, await service.createPassphraseKeyBundle('pw'));
+            await storage.flush();
+            await worker.unlock('pw');
+
+            await service.setAutoLockMinutes(30);
+            await storage.flush();
+
+            expect(worker.isLocked()).toBe(false);
+            expect(worker.getAutoLockMinutes()).toBe(30);
+        });
+    });
+
+    describe('共享口令加密信封', () => {
+        test('信封可用同一口令在另一台设备上打开', async () => {
+            const envelope = await service.createEnvelope('sk-同步密钥', 'team-pass');
+
+            expect(envelope).toMatchObject({ v: 1, alg: 'AES-256-GCM', kdf: 'PBKDF2-SHA256' });
+            expect(JSON.stringify(envelope)).not.toContain('sk-同步密钥');
+            expect(await new EncryptionService().openEnvelope(envelope, 'team-pass')).toBe('sk-同步密钥');
+        });
+
+        test('口令缺失或错误时抛出INVALID_PASSPHRASE', async () => {
+            const envelope = await service.createEnvelope('secret', 'team-pass');
+
+            await expect(service.openEnvelope(envelope, '')).rejects.toMatchObject({ code: ERROR_CODES.INVALID_PASSPHRASE });
+            await expect(service.openEnvelope(envelope, 'wrong')).rejects.toThrow('共享口令与加密时使用的口令不一致');
+            await expect(service.openEnvelope({ ...envelope, keyId: undefined }, 'wrong'))
+                .rejects.toThrow('共享口令错误或密文已损坏');
+        });
+
+        test('封装敏感字段时去掉仅本地字段，未设置口令时置空', async () => {
+            const handler = new SensitiveDataHandler(service);
+            const config = { name: 'Notion', integrationToken: 'secret_x', sharePassphrase: 'team-pass' };
+
+            const sealed = await handler.sealSensitiveData(config, 'tableConfig', 'team-pass');
+            expect(sealed.sharePassphrase).toBeUndefined();
+            expect(handler.hasSealedSecrets(sealed, 'tableConfig')).toBe(true);
+            expect((await handler.openSensitiveData(sealed, 'tableConfig', 'team-pass')).integrationToken).toBe('secret_x');
+
+            const stripped = await handler.sealSensitiveData(config, 'tableConfig', '');
+            expect(stripped.integrationToken).toBe('');
+        });
+    });
+
+    describe('敏感字段处理', () => {
+        let handler;
+
+        beforeEach(() => {
+            handler = new SensitiveDataHandler(service);
+        });
+
+        test('只加密敏感字段，包括TableConfig的config子对象', async () => {
+            const encrypted = await handler.encryptSensitiveData({
+                name: '飞书',
+                appSecret: 'top-secret',
+                config: { appId: 'cli_1', appSecret: 'nested-secret' }
+            }, 'tableConfig');
+
+            expect(encrypted.name).toBe('飞书');
+            expect(encrypted.config.appId).toBe('cli_1');
+            expect(service.isEncrypted(encrypted.appSecret)).toBe(true);
+            expect(service.isEncrypted(encrypted.config.appSecret)).toBe(true);
+            expect(handler.hasPlaintextSecrets(encrypted, 'tableConfig')).toBe(false);
+
+            const revealed = await handler.revealSensitiveData(encrypted, 'tableConfig');
+            expect(revealed.appSecret).toBe('top-secret');
+            expect(revealed.config.appSecret).toBe('nested-secret');
+        });
+
+        test('宽松解密遇到无法解密的字段时保留密文', async () => {
+            const other = await service.createDeviceKeyBundle();
+            const foreign = await service.encrypt('secret', { key: other.key, keyId: other.material.keyId });
+
+            const result = await handler.decryptSensitiveData({ apiKey: foreign }, 'modelConfig');
+            expect(result.apiKey).toBe(foreign);
+            await expect(handler.revealSensitiveData({ apiKey: foreign }, 'modelConfig')).rejects.toThrow();
+        });
+    });
+});
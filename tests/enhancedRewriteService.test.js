@@ -0,0 +1,298 @@
+/**
+ * 增强改写服务测试
+ */
+
+import { enhancedRewriteService } from '../src/services/enhancedRewriteService.js';
+import modelConfigManager from '../src/services/modelConfigManager.js';
+import modelService from '../src/services/modelService.js';
+import storageService from '../src/services/storageService.js';
+import usageService from '../src/services/usageService.js';
+import { ModelConfig } from '../src/models/configModels.js';
+import { CONFIDENTIAL_TAG, DEFAULT_CONFIG, ERROR_CODES } from '../src/utils/constants.js';
+import { installChromeStorage } from './helpers/chromeStorage.js';
+
+jest.mock('../src/services/performanceMonitor.js', () => require('./helpers/esModules.js')
+    .withDefaultExport(jest.requireActual('../src/services/performanceMonitor.js'), 'performanceMonitor'));
+jest.mock('../src/services/modelConfigManager.js', () => require('./helpers/esModules.js')
+    .withDefaultExport(jest.requireActual('../src/services/modelConfigManager.js'), 'modelConfigManager'));
+
+const TEXT = '这是一段需要改写的内部会议纪要，涉及下季度的产品计划。';
+
+const QWEN = new ModelConfig({ id: 'cfg-qwen', type: 'qwen', name: '通义千问', apiKey: 'sk-qwen' });
+const KIMI = new ModelConfig({ id: 'cfg-kimi', type: 'kimi', name: 'Kimi', apiKey: 'sk-kimi' });
+const OLLAMA = new ModelConfig({ id: 'cfg-ollama', type: 'ollama', name: '本地模型', modelEndpoint: 'qwen2.5:7b' });
+
+/**
+ * 设置可用的模型配置和备用顺序
+ */
+function useConfigs(configs, fallbackChain = []) {
+    jest.spyOn(modelConfigManager, 'getAllConfigs').mockReturnValue(configs);
+    jest.spyOn(modelConfigManager, 'getConfig').mockImplementation(id => configs.find(config => config.id === id) || null);
+    jest.spyOn(storageService, 'loadModelFallbackChain').mockResolvedValue(fallbackChain);
+}
+
+describe('EnhancedRewriteService', () => {
+    beforeEach(() => {
+        installChromeStorage();
+        jest.spyOn(modelService, 'rewriteWithFallback').mockImplementation(async (configs) => ({
+            success: true,
+            data: '改写后的会议纪要，说明了下季度的产品规划。',
+            usage: {},
+            answeredBy: { configId: configs[0].id },
+            skipped: []
+        }));
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('机密文本', () => {
+        test('只在本地模型中选择，忽略云端的首选模型', async () => {
+            useConfigs([QWEN, OLLAMA]);
+
+            const config = await enhancedRewriteService.selectBestModel('general', TEXT.length, 'qwen', [CONFIDENTIAL_TAG]);
+
+            expect(config).toBe(OLLAMA);
+        });
+
+        test('没有本地模型时返回错误，不发往云端', async () => {
+            useConfigs([QWEN, KIMI]);
+
+            const result = await enhancedRewriteService.rewriteText(TEXT, 'formal', { tags: [CONFIDENTIAL_TAG] });
+
+            expect(result).toMatchObject({ success: false, code: ERROR_CODES.LOCAL_MODEL_REQUIRED });
+            expect(modelService.rewriteWithFallback).not.toHaveBeenCalled();
+        });
+
+        test('备用模型中的云端模型被排除', async () => {
+            useConfigs([QWEN, OLLAMA, KIMI], ['cfg-qwen', 'cfg-kimi']);
+
+            const result = await enhancedRewriteService.rewriteText(TEXT, 'formal', { tags: [CONFIDENTIAL_TAG] });
+
+            expect(result.success).toBe(true);
+            expect(result.model.type).toBe('ollama');
+            const configs = modelService.rewriteWithFallback.mock.calls[0][0];
+            expect(configs.map(config => config.id)).toEqual(['cfg-ollama']);
+        });
+    });
+
+    describe('改写示例', () => {
+        test('使用风格模板自带的示例，自定义提示词时不套用', () => {
+            const formal = enhancedRewriteService.rewriteTemplates.formal.examples;
+
+            expect(formal.length).toBeGreaterThan(0);
+            expect(enhancedRewriteService.buildRewriteExamples('formal')).toBe(formal);
+            expect(enhancedRewriteService.buildRewriteExamples('formal', { customPrompt: '翻译成英文' })).toEqual([]);
+            expect(enhancedRewriteService.buildRewriteExamples('academic')).toEqual([]);
+        });
+
+        test('调用方传入的示例优先', () => {
+            const examples = [{ input: '原句', output: '改句' }];
+
+            expect(enhancedRewriteService.buildRewriteExamples('formal', { customPrompt: '自定义', examples })).toBe(examples);
+        });
+
+        test('风格提示和示例一起交给模型', async () => {
+            useConfigs([QWEN]);
+
+            await enhancedRewriteService.rewriteText(TEXT, 'formal');
+
+            const [, text, prompt, options] = modelService.rewriteWithFallback.mock.calls[0];
+            expect(text).toBe(TEXT);
+            expect(prompt).toBe(enhancedRewriteService.rewriteTemplates.formal.prompt);
+            expect(options.examples).toBe(enhancedRewriteService.rewriteTemplates.formal.examples);
+        });
+    });
+
+    describe('长文分段', () => {
+        /**
+         * 检查每段不超过上限，且各段连同分隔空白拼回后与原文一致
+         */
+        function expectChunksWithin(chunks, text, maxTokens) {
+            chunks.forEach(chunk => {
+                expect(usageService.estimateTokens(chunk.text)).toBeLessThanOrEqual(maxTokens);
+                expect(chunk.text.trim()).not.toBe('');
+            });
+            expect(chunks.map(chunk => chunk.text + chunk.separator).join('')).toBe(text);
+        }
+
+        test('不超过上限的文本不切分', () => {
+            expect(enhancedRewriteService.splitIntoChunks('短文本。\n', 100)).toEqual([{ text: '短文本。', separator: '\n' }]);
+        });
+
+        test('优先在段落之间切分，合并相邻的短段落', () => {
+            const paragraphs = ['甲'.repeat(40), '乙'.repeat(40), '丙'.repeat(90)];
+            const text = paragraphs.join('\n\n');
+
+            const chunks = enhancedRewriteService.splitIntoChunks(text, 100);
+
+            expect(chunks.map(chunk => chunk.text)).toEqual([paragraphs[0] + '\n\n' + paragraphs[1], paragraphs[2]]);
+            expect(chunks[0].separator).toBe('\n\n');
+            expectChunksWithin(chunks, text, 100);
+        });
+
+        test('段落过长时在句子之间切分', () => {
+            const sentence = '这是一个用于测试分段的完整句子。';
+            const text = sentence.repeat(20);
+
+            const chunks = enhancedRewriteService.splitIntoChunks(text, 100);
+
+            expect(chunks.length).toBeGreaterThan(1);
+            chunks.forEach(chunk => expect(chunk.text.endsWith('。')).toBe(true));
+            expectChunksWithin(chunks, text, 100);
+        });
+
+        test('单句仍过长时按字数切分', () => {
+            const text = '没有标点的超长句子'.repeat(30);
+
+            const chunks = enhancedRewriteService.splitIntoChunks(text, 100);
+
+            expect(chunks.map(chunk => chunk.text.length)).toEqual([100, 100, 70]);
+            expectChunksWithin(chunks, text, 100);
+        });
+
+        test('英文按句号和空白切分', () => {
+            const text = Array.from({ length: 30 }, (_, i) => `Sentence number ${i} is here.`).join(' ');
+
+            const chunks = enhancedRewriteService.splitIntoChunks(text, 50);
+
+            expect(chunks.length).toBeGreaterThan(1);
+            chunks.forEach(chunk => expect(chunk.text).toMatch(/\.$/));
+            expectChunksWithin(chunks, text, 50);
+        });
+
+        test('每段上限由上下文窗口和单次输出上限共同决定', () => {
+            jest.spyOn(modelService, 'getModelInfo').mockReturnValue({ contextWindow: 8192, maxTokens: 4000 });
+            const config = { type: 'qwen' };
+
+            const byWindow = enhancedRewriteService.getChunkTokenLimit(config, '改写');
+            const withContext = enhancedRewriteService.getChunkTokenLimit(config, '改写', { carryContext: true });
+
+            expect(byWindow).toBe(Math.floor((8192 - 2 - 200) / 2));
+            expect(withContext).toBe(Math.floor((8192 - 2 - 200 - DEFAULT_CONFIG.CHUNK_CONTEXT_CHARS) / 2));
+            expect(enhancedRewriteService.getChunkTokenLimit(config, '改写', { maxTokens: 1000 })).toBe(1000);
+        });
+
+        test('上下文窗口过小时每段至少100 tokens', () => {
+            jest.spyOn(modelService, 'getModelInfo').mockReturnValue({ contextWindow: 300 });
+
+            expect(enhancedRewriteService.getChunkTokenLimit({ type: 'ollama' }, '改写'.repeat(100))).toBe(100);
+        });
+
+        test('携带上文时附上上一段的结尾', () => {
+            const previous = '开头' + '上'.repeat(DEFAULT_CONFIG.CHUNK_CONTEXT_CHARS);
+
+            const prompt = enhancedRewriteService.buildChunkPrompt('改写', previous);
+
+            expect(prompt.startsWith('改写\n\n')).toBe(true);
+            expect(prompt.endsWith('上'.repeat(DEFAULT_CONFIG.CHUNK_CONTEXT_CHARS))).toBe(true);
+            expect(prompt).not.toContain('开头');
+        });
+    });
+
+    describe('长文分段的费用上限', () => {
+        const LONG_TEXT = '第一段内容。'.repeat(50) + '\n\n' + '第二段内容。'.repeat(50) + '\n\n' + '第三段内容。'.repeat(50);
+        const LIMITED = { ...QWEN.toStorageFormat(), inputPrice: 0.01, outputPrice: 0.01, dailySpendLimit: 0.007 };
+
+        beforeEach(() => {
+            jest.spyOn(enhancedRewriteService, 'getChunkTokenLimit').mockReturnValue(400);
+        });
+
+        test('整篇文档预计超出上限时不发起请求，即使每段都未超出', async () => {
+            expect(usageService.estimateCost(LIMITED, '第一段内容。'.repeat(50), '改写')).toBeLessThan(0.007);
+
+            const result = await enhancedRewriteService.rewriteInChunks([LIMITED], LONG_TEXT, '改写');
+
+            expect(result).toMatchObject({ success: false, code: ERROR_CODES.BUDGET_EXCEEDED });
+            expect(modelService.rewriteWithFallback).not.toHaveBeenCalled();
+        });
+
+        test('超出上限的首选模型记为跳过，由未超出的备用模型改写各段且不再逐段检查', async () => {
+            const backup = KIMI.toStorageFormat();
+
+            const result = await enhancedRewriteService.rewriteInChunks([LIMITED, backup], LONG_TEXT, '改写');
+
+            expect(result.success).toBe(true);
+            expect(result.chunks).toHaveLength(3);
+            expect(result.skipped[0]).toMatchObject({ configId: 'cfg-qwen', code: ERROR_CODES.BUDGET_EXCEEDED });
+            modelService.rewriteWithFallback.mock.calls.forEach(([configs, , , options]) => {
+                expect(configs.map(config => config.id)).toEqual(['cfg-kimi']);
+                expect(options.budgetChecked).toBe(true);
+            });
+        });
+
+        test('仅提醒时照常改写并附带整篇文档的提醒', async () => {
+            const config = { ...LIMITED, spendLimitAction: 'warn' };
+
+            const result = await enhancedRewriteService.rewriteInChunks([config], LONG_TEXT, '改写');
+
+            expect(result.success).toBe(true);
+            expect(result.budgetWarning).toMatch(/将超出上限/);
+        });
+    });
+
+    describe('普通文本', () => {
+        test('使用首选模型，并按备用顺序附上其他模型', async () => {
+            useConfigs([QWEN, OLLAMA, KIMI], ['cfg-ollama', 'cfg-kimi']);
+
+            const result = await enhancedRewriteService.rewriteText(TEXT, 'formal', { preferredModel: 'kimi' });
+
+            expect(result.model.type).toBe('kimi');
+            const configs = modelService.rewriteWithFallback.mock.calls[0][0];
+            expect(configs.map(config => config.id)).toEqual(['cfg-kimi', 'cfg-ollama']);
+        });
+
+        test('改写记录注明实际作答的模型和被跳过的模型', async () => {
+            useConfigs([QWEN, KIMI], ['cfg-kimi']);
+            const skipped = [{ configId: 'cfg-qwen', name: '通义千问', modelType: 'qwen', error: 'HTTP 429' }];
+            modelService.rewriteWithFallback.mockResolvedValue({
+                success: true,
+                data: '改写后的会议纪要，说明了下季度的产品规划。',
+                usage: {},
+                answeredBy: { configId: 'cfg-kimi', name: 'Kimi', modelType: 'kimi' },
+                skipped
+            });
+
+            const result = await enhancedRewriteService.rewriteText(TEXT, 'formal', { preferredModel: 'qwen' });
+
+            expect(result.model).toEqual({ type: 'kimi', name: 'Kimi' });
+            expect(result.skipped).toBe(skipped);
+            expect(result.record.modelType).toBe('kimi');
+            expect(result.record.metadata).toMatchObject({ answeredBy: { configId: 'cfg-kimi' }, skippedModels: skipped });
+        });
+
+        test('长文分段时按段记录作答的模型，不按跳过的数量推断', async () => {
+            useConfigs([QWEN, KIMI], ['cfg-kimi']);
+            jest.spyOn(enhancedRewriteService, 'getChunkTokenLimit').mockReturnValue(400);
+            const longText = '第一段内容。'.repeat(50) + '\n\n' + '第二段内容。'.repeat(50) + '\n\n' + '第三段内容。'.repeat(50);
+            const qwen = { configId: 'cfg-qwen', name: '通义千问', modelType: 'qwen' };
+            const kimi = { configId: 'cfg-kimi', name: 'Kimi', modelType: 'kimi' };
+            // 第二段首选模型限流，由备用模型作答
+            modelService.rewriteWithFallback.mockImplementation(async (configs, text) => (text.startsWith('第二段')
+                ? { success: true, data: '改写', usage: {}, answeredBy: kimi, skipped: [{ ...qwen, error: 'HTTP 429' }] }
+                : { success: true, data: '改写', usage: {}, answeredBy: qwen, skipped: [] }));
+
+            const result = await enhancedRewriteService.rewriteText(longText, 'formal', { preferredModel: 'qwen' });
+
+            expect(result.model).toEqual({ type: 'qwen', name: '通义千问' });
+            expect(result.record.metadata.chunkAnsweredBy).toEqual([qwen, kimi, qwen]);
+        });
+
+        test('fallback为false时只使用选中的模型', async () => {
+            useConfigs([QWEN, KIMI], ['cfg-kimi']);
+
+            await enhancedRewriteService.rewriteText(TEXT, 'formal', { preferredModel: 'qwen', fallback: false });
+
+            expect(modelService.rewriteWithFallback.mock.calls[0][0].map(config => config.id)).toEqual(['cfg-qwen']);
+        });
+
+        test('没有任何模型配置时返回错误', async () => {
+            useConfigs([]);
+
+            const result = await enhancedRewriteService.rewriteText(TEXT, 'formal');
+
+            expect(result).toMatchObject({ success: false, error: '没有可用的模型配置' });
+        });
+    });
+});
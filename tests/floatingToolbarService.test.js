@@ -0,0 +1,120 @@
+/**
+ * 划词工具栏设置服务测试
+ */
+
+import { FloatingToolbarService, FLOATING_TOOLBAR_SETTINGS_KEY } from '../src/services/floatingToolbarService.js';
+import { enhancedRewriteService } from '../src/services/enhancedRewriteService.js';
+import { buildToolbarConfig } from '../src/utils/floatingToolbarRules.js';
+import { installChromeStorage } from './helpers/chromeStorage.js';
+
+jest.mock('../src/services/enhancedRewriteService.js', () => require('./helpers/esModules.js')
+    .withDefaultExport(jest.requireActual('../src/services/enhancedRewriteService.js'), 'enhancedRewriteService'));
+
+const templateName = style => enhancedRewriteService.rewriteTemplates[style].name;
+
+describe('FloatingToolbarService', () => {
+    let service;
+    let storage;
+
+    beforeEach(() => {
+        storage = installChromeStorage();
+        service = new FloatingToolbarService();
+    });
+
+    describe('网站名单', () => {
+        test.each([
+            ['https://www.Example.com/path?q=1', 'www.example.com'],
+            ['*.example.com', 'example.com'],
+            ['example.com:8080', 'example.com'],
+            ['example.com.', 'example.com'],
+            ['  ', '']
+        ])('%s规范化为%s', (site, expected) => {
+            expect(service.normalizeSite(site)).toBe(expected);
+        });
+
+        test('名单中的域名同时匹配子域名，但不匹配相似的域名', () => {
+            expect(service.matchesSite('docs.example.com', ['example.com'])).toBe(true);
+            expect(service.matchesSite('example.com', ['example.com'])).toBe(true);
+            expect(service.matchesSite('notexample.com', ['example.com'])).toBe(false);
+        });
+
+        test('停用名单优先，启用名单为空时其余网站都显示', () => {
+            const settings = { allowedSites: [], blockedSites: ['mail.example.com'] };
+
+            expect(service.isSiteAllowed(settings, 'news.example.com')).toBe(true);
+            expect(service.isSiteAllowed(settings, 'mail.example.com')).toBe(false);
+            expect(service.isSiteAllowed({ ...settings, allowedSites: ['example.com'] }, 'mail.example.com')).toBe(false);
+            expect(service.isSiteAllowed({ allowedSites: ['example.com'], blockedSites: [] }, 'other.org')).toBe(false);
+            expect(service.isSiteAllowed(settings, '')).toBe(false);
+        });
+    });
+
+    describe('设置', () => {
+        test('默认关闭，使用默认的快捷风格', async () => {
+            const settings = await service.getSettings();
+
+            expect(settings).toMatchObject({ enabled: false, allowedSites: [], blockedSites: [], styles: ['formal', 'casual', 'concise'] });
+        });
+
+        test('保存时去掉无效和重复的网站及不存在的风格，并记下风格名称', async () => {
+            const saved = await service.saveSettings({
+                enabled: true,
+                allowedSites: ['https://Example.com/a', 'example.com', ''],
+                blockedSites: ['*.ads.example.com'],
+                styles: ['formal', 'unknown', 'formal']
+            });
+
+            expect(saved).toEqual({
+                enabled: true,
+                allowedSites: ['example.com'],
+                blockedSites: ['ads.example.com'],
+                styles: ['formal'],
+                styleNames: { formal: templateName('formal') }
+            });
+            expect(storage.data[FLOATING_TOOLBAR_SETTINGS_KEY]).toEqual(saved);
+        });
+
+        test('在网站停用后该网站不再显示工具栏', async () => {
+            await service.saveSettings({ enabled: true });
+
+            await service.blockSite('www.example.com');
+
+            expect(await service.getToolbarConfig('www.example.com')).toEqual({ enabled: false, styles: [] });
+            expect((await service.getToolbarConfig('other.org')).enabled).toBe(true);
+        });
+
+        test('升级时补上旧设置中缺少的风格名称，没有设置时不写入', async () => {
+            await service.refreshStoredSettings();
+            expect(storage.data[FLOATING_TOOLBAR_SETTINGS_KEY]).toBeUndefined();
+
+            storage.data[FLOATING_TOOLBAR_SETTINGS_KEY] = { enabled: true, allowedSites: [], blockedSites: [], styles: ['casual'] };
+            await service.refreshStoredSettings();
+
+            expect(storage.data[FLOATING_TOOLBAR_SETTINGS_KEY].styleNames).toEqual({ casual: templateName('casual') });
+        });
+    });
+
+    describe('工具栏配置', () => {
+        test('启用时按保存的顺序列出风格按钮', async () => {
+            await service.saveSettings({ enabled: true, styles: ['concise', 'formal'] });
+
+            expect(await service.getToolbarConfig('example.com')).toEqual({
+                enabled: true,
+                styles: [
+                    { key: 'concise', name: templateName('concise') },
+                    { key: 'formal', name: templateName('formal') }
+                ]
+            });
+        });
+
+        test('内容脚本直接用存储中的设置计算出相同的配置', async () => {
+            await service.saveSettings({ enabled: true, blockedSites: ['blocked.com'] });
+            const stored = storage.data[FLOATING_TOOLBAR_SETTINGS_KEY];
+
+            for (const hostname of ['example.com', 'blocked.com']) {
+                expect(buildToolbarConfig(stored, hostname)).toEqual(await service.getToolbarConfig(hostname));
+            }
+            expect(buildToolbarConfig(undefined, 'example.com')).toEqual({ enabled: false, styles: [] });
+        });
+    });
+});
@@ -0,0 +1,132 @@
+/**
+ * Google Sheets适配器测试
+ */
+
+import GoogleSheetsAdapter from '../src/services/adapters/googleSheetsAdapter.js';
+
+const SPREADSHEET_ID = '1AbCdEfGhIjKlMnOpQrStUvWxYz0123456789';
+
+/**
+ * 创建适配器，工作表内容保存在内存中，请求按路径模拟Sheets接口
+ */
+function createAdapter(values, config = {}) {
+    const adapter = new GoogleSheetsAdapter({ accessToken: 'token', spreadsheetId: SPREADSHEET_ID, ...config });
+    const sheet = { values };
+    adapter.request = jest.fn(async (target, path, method = 'GET', body = null) => {
+        if (method === 'GET') {
+            return { values: sheet.values };
+        }
+        if (method === 'PUT') {
+            sheet.values = [body.values[0], ...sheet.values.slice(1)];
+            return {};
+        }
+        if (path.includes(':append')) {
+            const first = sheet.values.length + 1;
+            sheet.values = [...sheet.values, ...body.values];
+            return { updates: { updatedRange: `Sheet1!A${first}:E${first + body.values.length - 1}` } };
+        }
+        return {};
+    });
+    return { adapter, sheet };
+}
+
+describe('GoogleSheetsAdapter', () => {
+    test('从表格链接中提取表格ID，非链接的表格名称作为工作表', () => {
+        const adapter = new GoogleSheetsAdapter({
+            tableToken: `https://docs.google.com/spreadsheets/d/${SPREADSHEET_ID}/edit#gid=0`,
+            tableId: '模型配置'
+        });
+
+        expect(adapter.spreadsheetId).toBe(SPREADSHEET_ID);
+        expect(adapter.resolveTarget()).toEqual({ spreadsheetId: SPREADSHEET_ID, sheetName: '模型配置' });
+        expect(adapter.toRange("It's", 'A1')).toBe("'It''s'!A1");
+    });
+
+    test('空工作表追加记录时先写入默认表头，并返回每行的行号', async () => {
+        const { adapter, sheet } = createAdapter([]);
+
+        const results = await adapter.batchCreateRecords([
+            { id: 'local-1', name: '配置1', type: 'modelConfig', updatedAt: '2024-01-01' },
+            { id: 'local-2', name: '配置2', type: 'modelConfig', updatedAt: '2024-01-02' }
+        ]);
+
+        expect(sheet.values[0]).toEqual(['ID', '名称', '类型', '数据集合', '更新时间']);
+        expect(sheet.values[1].slice(0, 3)).toEqual(['local-1', '配置1', 'modelConfig']);
+        expect(results.map(result => result.rowNumber)).toEqual([2, 3]);
+    });
+
+    test('已有表头缺少同步列时只补写缺少的列，其他列保留原值', async () => {
+        const { adapter, sheet } = createAdapter([
+            ['ID', '备注', '温度'],
+            ['local-1', '手工备注', '0.5']
+        ]);
+
+        const [result] = await adapter.batchUpdateRecords([
+            { id: 'local-1', data: { id: 'local-1', 数据集合: JSON.stringify({ 温度: 0.7 }) } }
+        ]);
+
+        expect(sheet.values[0]).toEqual(['ID', '备注', '温度', '数据集合']);
+        expect(result).toMatchObject({ id: 'local-1', rowNumber: 2, success: true });
+        const update = adapter.request.mock.calls.find(call => call[1] === '/values:batchUpdate')[3];
+        expect(update.data).toEqual([{
+            range: 'A2',
+            values: [['local-1', '手工备注', 0.7, JSON.stringify({ 温度: 0.7 })]]
+        }]);
+    });
+
+    test('更新不存在的ID时该条记录失败，其他记录照常写入', async () => {
+        const { adapter } = createAdapter([
+            ['ID', '数据集合'],
+            ['local-1', '{}']
+        ]);
+
+        const results = await adapter.batchUpdateRecords([
+            { id: 'missing', data: { id: 'missing' } },
+            { id: 'local-1', data: { id: 'local-1' } }
+        ]);
+
+        expect(results).toEqual([
+            { success: false, error: '记录不存在: missing', originalIndex: 0 },
+            { id: 'local-1', rowNumber: 2, success: true, originalIndex: 1 }
+        ]);
+    });
+
+    test('读取时跳过空行，ID列为空的行以行号作为记录ID并按数据集合还原', async () => {
+        const dataSet = JSON.stringify({ 数据: '{"id":"local-9"}', 工作名称: '周报' });
+        const { adapter } = createAdapter([
+            ['ID', '名称', '数据集合', '更新时间'],
+            ['', '', '', ''],
+            ['', '', dataSet, '2024-01-01']
+        ]);
+
+        const records = await adapter.getRecords();
+
+        expect(records).toHaveLength(1);
+        expect(records[0]).toMatchObject({ id: 'row:3', rowNumber: 3 });
+        expect(adapter.parseRecord(records[0])).toEqual({
+            id: 'row:3',
+            type: '',
+            name: '周报',
+            data: '{"id":"local-9"}',
+            metadata: { recordId: 'row:3', updatedAt: '2024-01-01' }
+        });
+        expect((await adapter.findRecordById('local-9')).id).toBe('row:3');
+    });
+
+    test('单元格内容超过50000字符时报错', () => {
+        const { adapter } = createAdapter([]);
+
+        expect(() => adapter.buildRow(['ID', '数据集合'], { id: 'local-1', 数据集合: 'x'.repeat(50001) }))
+            .toThrow('"数据集合"列内容超过Google表格单元格50000字符的上限');
+    });
+
+    test('删除记录时清空整行而不删除行', async () => {
+        const header = Array.from({ length: 28 }, (_, i) => (i === 0 ? 'ID' : `列${i}`));
+        const { adapter } = createAdapter([header, ['local-1']], { sheetName: '记录' });
+
+        await adapter.deleteRecord('local-1');
+
+        const clear = adapter.request.mock.calls.find(call => call[1] === '/values:batchClear')[3];
+        expect(clear.ranges).toEqual(["'记录'!A2:AB2"]);
+    });
+});
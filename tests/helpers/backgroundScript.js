@@ -0,0 +1,57 @@
+/**
+ * 在测试中加载后台脚本
+ * 模拟后台脚本注册监听用到的chrome接口，通过消息和Port与其通信
+ */
+
+/**
+ * 创建一对相互连接的Port，一端postMessage时另一端的onMessage收到消息，任一端断开时另一端收到onDisconnect
+ * @param {string} name - Port名称
+ * @returns {Array<Object>} [调用方一端, 后台一端]
+ */
+export function createPortPair(name) {
+    const ends = [0, 1].map(() => ({ name, messageListeners: [], disconnectListeners: [] }));
+    ends.forEach((current, index) => {
+        const other = ends[1 - index];
+        current.onMessage = { addListener: listener => current.messageListeners.push(listener) };
+        current.onDisconnect = { addListener: listener => current.disconnectListeners.push(listener) };
+        // 与Chrome一样异步投递消息
+        current.postMessage = message => setTimeout(() => other.messageListeners.forEach(listener => listener(message)), 0);
+        current.disconnect = () => other.disconnectListeners.forEach(listener => listener());
+    });
+    return ends;
+}
+
+/**
+ * 加载后台脚本，返回向其发送消息和建立Port连接的函数
+ * 在独立的模块环境中加载，与侧边栏等其他脚本不共享服务实例
+ * 调用前需先安装chrome.storage模拟
+ * @returns {Object} { sendMessage(message) => Promise<response>, connect({ name }) => Port }
+ */
+export function loadBackgroundScript() {
+    const listeners = {};
+    const event = name => ({ addListener: jest.fn(callback => { listeners[name] = callback; }) });
+    Object.assign(global.chrome.runtime, {
+        onMessage: event('message'),
+        onConnect: event('connect'),
+        onInstalled: event('installed'),
+        onStartup: event('startup')
+    });
+    Object.assign(global.chrome, {
+        contextMenus: { onClicked: event('contextMenu') },
+        alarms: { onAlarm: event('alarm'), create: jest.fn(async () => {}), clear: jest.fn(async () => {}) },
+        action: { onClicked: event('action') }
+    });
+
+    jest.isolateModules(() => {
+        require('../../src/background/background.js');
+    });
+
+    return {
+        sendMessage: message => new Promise(resolve => listeners.message(message, {}, resolve)),
+        connect: ({ name }) => {
+            const [port, backgroundPort] = createPortPair(name);
+            listeners.connect(backgroundPort);
+            return port;
+        }
+    };
+}
@@ -0,0 +1,90 @@
+/**
+ * 基于内存的chrome.storage.local模拟
+ * 同时支持回调和Promise两种调用方式，写入后像Chrome一样异步触发onChanged
+ */
+
+/**
+ * 创建chrome.storage模拟
+ * @param {Object} initial - 初始数据
+ * @returns {Object} { storage, data, flush }，storage可直接赋给chrome.storage
+ */
+export function createChromeStorage(initial = {}) {
+    const data = JSON.parse(JSON.stringify(initial));
+    const listeners = new Set();
+    const clone = value => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+    const notify = (changes) => {
+        if (Object.keys(changes).length === 0) {
+            return;
+        }
+        setTimeout(() => listeners.forEach(listener => listener(changes, 'local')), 0);
+    };
+
+    const respond = (result, callback) => {
+        if (typeof callback === 'function') {
+            callback(result);
+            return undefined;
+        }
+        return Promise.resolve(result);
+    };
+
+    const local = {
+        get: jest.fn((keys, callback) => {
+            const names = keys === null || keys === undefined
+                ? Object.keys(data)
+                : [].concat(keys);
+            const result = {};
+            names.forEach(name => {
+                if (name in data) {
+                    result[name] = clone(data[name]);
+                }
+            });
+            return respond(result, callback);
+        }),
+        set: jest.fn((items, callback) => {
+            const changes = {};
+            Object.entries(items).forEach(([name, value]) => {
+                changes[name] = { oldValue: clone(data[name]), newValue: clone(value) };
+                data[name] = clone(value);
+            });
+            notify(changes);
+            return respond(undefined, callback);
+        }),
+        remove: jest.fn((keys, callback) => {
+            const changes = {};
+            [].concat(keys).forEach(name => {
+                if (name in data) {
+                    changes[name] = { oldValue: clone(data[name]) };
+                    delete data[name];
+                }
+            });
+            notify(changes);
+            return respond(undefined, callback);
+        })
+    };
+
+    return {
+        data,
+        storage: {
+            local,
+            onChanged: {
+                addListener: listener => listeners.add(listener),
+                removeListener: listener => listeners.delete(listener)
+            }
+        },
+        // 等待已触发的onChanged回调执行完
+        flush: () => new Promise(resolve => setTimeout(resolve, 0))
+    };
+}
+
+/**
+ * 安装chrome.storage模拟，并清除chrome.runtime.lastError
+ * @param {Object} initial - 初始数据
+ * @returns {Object} createChromeStorage的返回值
+ */
+export function installChromeStorage(initial = {}) {
+    const mock = createChromeStorage(initial);
+    global.chrome.storage = mock.storage;
+    global.chrome.runtime.lastError = undefined;
+    return mock;
+}
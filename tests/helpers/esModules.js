@@ -0,0 +1,11 @@
+/**
+ * 恢复模块的默认导出
+ * performanceMonitor、modelConfigManager等模块末尾用module.exports = {...}兼容CommonJS，
+ * jest把ES模块转换为CommonJS后这一赋值会覆盖掉默认导出，在jest.mock中用本函数补回
+ * @param {Object} actual - jest.requireActual得到的模块
+ * @param {string} name - 作为默认导出的命名导出
+ * @returns {Object} 模块
+ */
+export function withDefaultExport(actual, name) {
+    return { ...actual, __esModule: true, default: actual[name] };
+}
@@ -0,0 +1,67 @@
+/**
+ * 模型接口响应模拟
+ * 只实现适配器用到的部分：ok、status、headers.get、json、text和body
+ */
+
+/**
+ * 创建SSE流式响应，每个片段对应一次reader.read()
+ * 传入signal时片段读完后保持连接，直到signal中止再像fetch一样以AbortError结束
+ * @param {Array<string|Uint8Array>} pieces - 依次返回的片段，可以在任意位置截断
+ * @param {Object} options - { contentType, signal }
+ * @returns {Object} 响应
+ */
+export function createStreamResponse(pieces, { contentType = 'text/event-stream; charset=utf-8', signal = null } = {}) {
+    const encoder = new TextEncoder();
+    const queue = pieces.map(piece => (typeof piece === 'string' ? encoder.encode(piece) : piece));
+    const body = new ReadableStream({
+        async pull(controller) {
+            if (queue.length > 0) {
+                controller.enqueue(queue.shift());
+                return;
+            }
+            if (signal && !signal.aborted) {
+                await new Promise(resolve => signal.addEventListener('abort', resolve, { once: true }));
+            }
+            if (signal) {
+                controller.error(new DOMException('The operation was aborted.', 'AbortError'));
+                return;
+            }
+            controller.close();
+        }
+    });
+
+    return {
+        ok: true,
+        status: 200,
+        headers: { get: name => (name.toLowerCase() === 'content-type' ? contentType : null) },
+        body,
+        json: async () => { throw new Error('流式响应不能按JSON读取'); },
+        text: async () => ''
+    };
+}
+
+/**
+ * 创建普通JSON响应
+ * @param {Object} data - 响应数据
+ * @param {number} status - HTTP状态码
+ * @returns {Object} 响应
+ */
+export function createJsonResponse(data, status = 200) {
+    return {
+        ok: status >= 200 && status < 300,
+        status,
+        headers: { get: name => (name.toLowerCase() === 'content-type' ? 'application/json' : null) },
+        body: null,
+        json: async () => data,
+        text: async () => JSON.stringify(data)
+    };
+}
+
+/**
+ * 把数据块编码为SSE数据行
+ * @param {Object|string} chunk - 数据块，字符串原样输出
+ * @returns {string} SSE数据行
+ */
+export function sse(chunk) {
+    return `data: ${typeof chunk === 'string' ? chunk : JSON.stringify(chunk)}\n\n`;
+}
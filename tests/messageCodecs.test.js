@@ -0,0 +1,160 @@
+/**
+ * 大模型消息编解码器测试
+ */
+
+import { OPENAI_CODEC, ANTHROPIC_CODEC, GEMINI_CODEC } from '../src/services/adapters/messageCodecs.js';
+import ModelAdapterFactory from '../src/services/adapters/modelAdapterFactory.js';
+import { MODEL_TYPES } from '../src/utils/constants.js';
+import { createStreamResponse, createJsonResponse, sse } from './helpers/modelResponses.js';
+
+const DEFAULTS = { model: 'test-model', temperature: 0.7, maxTokens: 2000 };
+
+const MESSAGES = [
+    { role: 'system', content: '你是写作助手' },
+    { role: 'system', content: '只输出改写后的文本' },
+    { role: 'user', content: '示例原文' },
+    { role: 'assistant', content: '示例改写' },
+    { role: 'user', content: '待改写的原文' }
+];
+
+describe('OPENAI_CODEC', () => {
+    test('消息原样放入messages，选项可覆盖默认参数', () => {
+        const body = OPENAI_CODEC.buildRequestBody(MESSAGES, { temperature: 0.2 }, DEFAULTS);
+
+        expect(body).toMatchObject({ model: 'test-model', messages: MESSAGES, temperature: 0.2, max_tokens: 2000 });
+    });
+
+    test('响应缺少choices时报错', () => {
+        expect(() => OPENAI_CODEC.extractContent({})).toThrow('无效的响应格式');
+    });
+});
+
+describe('ANTHROPIC_CODEC', () => {
+    test('系统消息合并为system字段，温度不超过1', () => {
+        const body = ANTHROPIC_CODEC.buildRequestBody(MESSAGES, { temperature: 1.5, topP: 0.9 }, DEFAULTS);
+
+        expect(body).toEqual({
+            model: 'test-model',
+            system: '你是写作助手\n\n只输出改写后的文本',
+            messages: MESSAGES.slice(2),
+            max_tokens: 2000,
+            temperature: 1,
+            top_p: 0.9
+        });
+    });
+
+    test('没有系统消息时不带system字段', () => {
+        const body = ANTHROPIC_CODEC.buildRequestBody([{ role: 'user', content: '原文' }], {}, DEFAULTS);
+
+        expect(body).not.toHaveProperty('system');
+    });
+
+    test('只拼接text类型的内容块，用量换算为统一格式', () => {
+        const response = {
+            content: [
+                { type: 'text', text: '第一段' },
+                { type: 'tool_use', id: 'x' },
+                { type: 'text', text: '第二段' }
+            ],
+            usage: { input_tokens: 30, output_tokens: 12 }
+        };
+
+        expect(ANTHROPIC_CODEC.extractContent(response)).toBe('第一段第二段');
+        expect(ANTHROPIC_CODEC.extractUsage(response)).toEqual({ prompt_tokens: 30, completion_tokens: 12, total_tokens: 42 });
+        expect(() => ANTHROPIC_CODEC.extractContent({ type: 'error' })).toThrow('无效的响应格式');
+    });
+
+    test('流式用量合并message_start的输入和message_delta的输出', () => {
+        const start = ANTHROPIC_CODEC.extractStreamUsage({ type: 'message_start', message: { usage: { input_tokens: 25, output_tokens: 1 } } }, {});
+        const end = ANTHROPIC_CODEC.extractStreamUsage({ type: 'message_delta', usage: { output_tokens: 40 } }, start);
+
+        expect(end).toEqual({ prompt_tokens: 25, completion_tokens: 40, total_tokens: 65 });
+        expect(ANTHROPIC_CODEC.extractStreamUsage({ type: 'ping' }, end)).toBeNull();
+        expect(ANTHROPIC_CODEC.extractStreamDelta({ type: 'content_block_delta', delta: { type: 'input_json_delta', partial_json: '{' } })).toBe('');
+        expect(() => ANTHROPIC_CODEC.checkStreamError({ type: 'error', error: { type: 'overloaded_error', message: 'Overloaded' } }))
+            .toThrow('Overloaded');
+    });
+});
+
+describe('GEMINI_CODEC', () => {
+    test('助手角色映射为model，系统消息放入systemInstruction', () => {
+        const body = GEMINI_CODEC.buildRequestBody(MESSAGES, { maxTokens: 500, topP: 0.8 }, DEFAULTS);
+
+        expect(body).toEqual({
+            contents: [
+                { role: 'user', parts: [{ text: '示例原文' }] },
+                { role: 'model', parts: [{ text: '示例改写' }] },
+                { role: 'user', parts: [{ text: '待改写的原文' }] }
+            ],
+            generationConfig: { temperature: 0.7, maxOutputTokens: 500, topP: 0.8 },
+            systemInstruction: { parts: [{ text: '你是写作助手\n\n只输出改写后的文本' }] }
+        });
+        expect(GEMINI_CODEC.getStreamParams()).toEqual({});
+    });
+
+    test('拼接候选中的所有文本片段，用量来自usageMetadata', () => {
+        const response = {
+            candidates: [{ content: { parts: [{ text: '改写' }, { text: '结果' }] } }],
+            usageMetadata: { promptTokenCount: 8, candidatesTokenCount: 4 }
+        };
+
+        expect(GEMINI_CODEC.extractContent(response)).toBe('改写结果');
+        expect(GEMINI_CODEC.extractUsage(response)).toEqual({ prompt_tokens: 8, completion_tokens: 4, total_tokens: 12 });
+        expect(GEMINI_CODEC.extractStreamUsage({ candidates: [] })).toBeNull();
+    });
+
+    test('被安全策略拦截时给出拦截原因', () => {
+        expect(() => GEMINI_CODEC.extractContent({ promptFeedback: { blockReason: 'SAFETY' } }))
+            .toThrow('请求被安全策略拦截: SAFETY');
+    });
+});
+
+describe('使用编解码器的适配器', () => {
+    beforeEach(() => {
+        global.fetch = jest.fn();
+    });
+
+    test('Claude流式改写：按事件解析文本和用量', async () => {
+        const adapter = ModelAdapterFactory.createAdapter(MODEL_TYPES.ANTHROPIC, { apiKey: 'sk-ant', modelEndpoint: 'claude-test' });
+        fetch.mockResolvedValue(createStreamResponse([
+            'event: message_start\n' + sse({ type: 'message_start', message: { usage: { input_tokens: 10, output_tokens: 1 } } }),
+            'event: ping\n' + sse({ type: 'ping' }),
+            'event: content_block_delta\n' + sse({ type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: '你好' } }),
+            'event: message_delta\n' + sse({ type: 'message_delta', usage: { output_tokens: 5 } }),
+            'event: message_stop\n' + sse({ type: 'message_stop' })
+        ]));
+        const onChunk = jest.fn();
+
+        const result = await adapter.rewriteText('原文', '改写', { onChunk });
+
+        expect(result).toMatchObject({ success: true, data: '你好', usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 } });
+        const [url, options] = fetch.mock.calls[0];
+        expect(url).toBe('https://api.anthropic.com/v1/messages');
+        expect(options.headers).toMatchObject({ 'x-api-key': 'sk-ant', 'anthropic-version': '2023-06-01' });
+        expect(JSON.parse(options.body)).toMatchObject({ stream: true, system: expect.any(String) });
+    });
+
+    test('Gemini流式改写使用streamGenerateContent接口', async () => {
+        const adapter = ModelAdapterFactory.createAdapter(MODEL_TYPES.GEMINI, { apiKey: 'g-key', modelEndpoint: 'gemini-test' });
+        fetch.mockResolvedValue(createStreamResponse([
+            sse({ candidates: [{ content: { role: 'model', parts: [{ text: '改写' }] } }] }),
+            sse({ candidates: [{ content: { role: 'model', parts: [{ text: '完成' }] } }], usageMetadata: { promptTokenCount: 6, candidatesTokenCount: 2 } })
+        ]));
+
+        const result = await adapter.rewriteText('原文', '改写', { onChunk: jest.fn() });
+
+        expect(result).toMatchObject({ success: true, data: '改写完成', usage: { total_tokens: 8 } });
+        expect(fetch.mock.calls[0][0]).toMatch(/models\/gemini-test:streamGenerateContent\?alt=sse$/);
+        expect(fetch.mock.calls[0][1].headers['x-goog-api-key']).toBe('g-key');
+    });
+
+    test('Gemini普通请求使用generateContent接口', async () => {
+        const adapter = ModelAdapterFactory.createAdapter(MODEL_TYPES.GEMINI, { apiKey: 'g-key', modelEndpoint: 'gemini-test' });
+        fetch.mockResolvedValue(createJsonResponse({ candidates: [{ content: { parts: [{ text: '结果' }] } }] }));
+
+        const result = await adapter.rewriteText('原文', '改写');
+
+        expect(result).toMatchObject({ success: true, data: '结果', usage: {} });
+        expect(fetch.mock.calls[0][0]).toMatch(/models\/gemini-test:generateContent$/);
+    });
+});
@@ -0,0 +1,361 @@
+/**
+ * 大模型服务测试
+ */
+
+import modelService from '../src/services/modelService.js';
+import { enhancedRewriteService } from '../src/services/enhancedRewriteService.js';
+import modelConfigManager from '../src/services/modelConfigManager.js';
+import rewriteCacheService from '../src/services/rewriteCacheService.js';
+import { ERROR_CODES, CONFIDENTIAL_TAG } from '../src/utils/constants.js';
+import { installChromeStorage } from './helpers/chromeStorage.js';
+import { createStreamResponse, createJsonResponse, sse } from './helpers/modelResponses.js';
+
+jest.mock('../src/services/performanceMonitor.js', () => require('./helpers/esModules.js')
+    .withDefaultExport(jest.requireActual('../src/services/performanceMonitor.js'), 'performanceMonitor'));
+jest.mock('../src/services/modelConfigManager.js', () => require('./helpers/esModules.js')
+    .withDefaultExport(jest.requireActual('../src/services/modelConfigManager.js'), 'modelConfigManager'));
+
+const QWEN_CONFIG = {
+    id: 'cfg-qwen',
+    name: '通义千问',
+    type: 'qwen',
+    apiKey: 'sk-test',
+    baseUrl: 'https://api.example.com',
+    modelEndpoint: 'qwen-plus'
+};
+
+const LOCAL_OLLAMA_CONFIG = {
+    id: 'cfg-local',
+    name: '局域网模型',
+    type: 'ollama',
+    baseUrl: 'http://192.168.1.20:11434',
+    modelEndpoint: 'qwen2.5:7b'
+};
+
+const delta = content => ({ choices: [{ delta: { content } }] });
+
+/**
+ * 按AbortSignal中止的fetch模拟：中止后像浏览器一样以AbortError拒绝
+ */
+function abortableFetch(createResponse) {
+    return jest.fn(async (url, options) => {
+        if (options.signal && options.signal.aborted) {
+            throw new DOMException('The operation was aborted.', 'AbortError');
+        }
+        return createResponse(options);
+    });
+}
+
+describe('ModelService', () => {
+    beforeEach(() => {
+        installChromeStorage();
+        modelService.clearAdapterCache();
+        modelService.performanceMetrics.clear();
+        global.fetch = jest.fn();
+    });
+
+    describe('备用模型', () => {
+        const CONFIGS = [
+            QWEN_CONFIG,
+            { ...QWEN_CONFIG, id: 'cfg-kimi', name: 'Kimi', type: 'kimi' },
+            { ...QWEN_CONFIG, id: 'cfg-ollama', name: '本地模型', type: 'ollama' }
+        ];
+
+        /**
+         * 按模型依次返回给定结果
+         */
+        function attemptWith(results) {
+            return jest.fn(async config => results[config.id] || { success: true, data: `${config.name}的结果` });
+        }
+
+        test.each([
+            ['限流', { success: false, error: 'HTTP 429: Too Many Requests' }],
+            ['服务端错误', { success: false, error: 'HTTP 503: Service Unavailable' }],
+            ['网络错误', { success: false, error: 'Failed to fetch' }],
+            ['费用超限', { success: false, error: '今日费用已达上限', code: ERROR_CODES.BUDGET_EXCEEDED }]
+        ])('%s时改用下一个模型，并记录跳过原因', async (label, failure) => {
+            const attempt = attemptWith({ 'cfg-qwen': failure });
+
+            const result = await modelService.rewriteWithFallback(CONFIGS, '原文', '改写', { attempt });
+
+            expect(result).toMatchObject({
+                success: true,
+                data: 'Kimi的结果',
+                answeredBy: { configId: 'cfg-kimi', name: 'Kimi', modelType: 'kimi' },
+                skipped: [{ configId: 'cfg-qwen', name: '通义千问', modelType: 'qwen', error: failure.error, code: failure.code }]
+            });
+        });
+
+        test('鉴权失败等不可重试的错误不再尝试其他模型', async () => {
+            const attempt = attemptWith({ 'cfg-qwen': { success: false, error: 'HTTP 401: invalid api key' } });
+
+            const result = await modelService.rewriteWithFallback(CONFIGS, '原文', '改写', { attempt });
+
+            expect(attempt).toHaveBeenCalledTimes(1);
+            expect(result).toMatchObject({ success: false, error: 'HTTP 401: invalid api key', answeredBy: null, skipped: [] });
+        });
+
+        test('所有模型都失败时返回最后一个模型的错误', async () => {
+            const failure = { success: false, error: 'HTTP 500' };
+            const attempt = attemptWith({ 'cfg-qwen': failure, 'cfg-kimi': failure, 'cfg-ollama': { success: false, error: 'HTTP 502' } });
+
+            const result = await modelService.rewriteWithFallback(CONFIGS, '原文', '改写', { attempt });
+
+            expect(attempt).toHaveBeenCalledTimes(3);
+            expect(result).toMatchObject({ success: false, error: 'HTTP 502', answeredBy: null });
+            expect(result.skipped.map(item => item.configId)).toEqual(['cfg-qwen', 'cfg-kimi']);
+        });
+
+        test('模型超时未响应时中止请求并改用下一个模型', async () => {
+            jest.useFakeTimers();
+            const attempt = jest.fn((config, { signal }) => {
+                if (config.id === 'cfg-kimi') {
+                    return Promise.resolve({ success: true, data: 'Kimi的结果' });
+                }
+                return new Promise(resolve => signal.addEventListener('abort', () => resolve({ success: false, error: 'The operation was aborted.' })));
+            });
+
+            const pending = modelService.rewriteWithFallback(CONFIGS, '原文', '改写', { attempt, timeout: 5000 });
+            await jest.advanceTimersByTimeAsync(5000);
+            const result = await pending;
+            jest.useRealTimers();
+
+            expect(result).toMatchObject({ success: true, answeredBy: { configId: 'cfg-kimi' } });
+            expect(result.skipped[0]).toMatchObject({ configId: 'cfg-qwen', code: ERROR_CODES.TIMEOUT, error: '模型响应超时（5秒）' });
+        });
+
+        test('流式输出持续时每收到一段重新计时，总耗时超过超时时间也不中止', async () => {
+            jest.useFakeTimers();
+            const onChunk = jest.fn();
+            const attempt = jest.fn((config, options) => new Promise(resolve => {
+                [0, 4000, 8000].forEach(delay => setTimeout(() => options.onChunk(`${delay}`), delay));
+                setTimeout(() => resolve({ success: true, data: '0 4000 8000' }), 12000);
+            }));
+
+            const pending = modelService.rewriteWithFallback(CONFIGS, '原文', '改写', { attempt, onChunk, timeout: 5000 });
+            await jest.advanceTimersByTimeAsync(12000);
+            const result = await pending;
+            jest.useRealTimers();
+
+            expect(onChunk).toHaveBeenCalledTimes(3);
+            expect(result).toMatchObject({ success: true, answeredBy: { configId: 'cfg-qwen' } });
+        });
+
+        test('流式输出中途停滞时按超时中止，不会一直等待', async () => {
+            const realSetTimeout = setTimeout;
+            jest.useFakeTimers();
+            // 收到一段输出后连接保持打开，不再有新的数据
+            fetch.mockImplementation(async (url, options) => createStreamResponse([sse(delta('前半段'))], { signal: options.signal }));
+            const onChunk = jest.fn();
+
+            const pending = modelService.rewriteWithFallback(CONFIGS, '原文', '改写', { onChunk, timeout: 5000 });
+            // 请求前的解密等操作不受模拟计时器控制，先等第一段输出到达再推进时间
+            for (let i = 0; i < 1000 && onChunk.mock.calls.length === 0; i++) {
+                await new Promise(resolve => realSetTimeout(resolve, 0));
+            }
+            await jest.advanceTimersByTimeAsync(4000);
+            expect(onChunk).toHaveBeenCalledTimes(1);
+            await jest.advanceTimersByTimeAsync(1000);
+            const result = await pending;
+            jest.useRealTimers();
+
+            expect(onChunk).toHaveBeenCalledWith('前半段');
+            expect(fetch).toHaveBeenCalledTimes(1);
+            expect(result).toMatchObject({ success: false, code: ERROR_CODES.TIMEOUT, error: '模型响应超时（5秒）', skipped: [] });
+        });
+
+        test('流式输出开始后出错不再切换模型，避免内容混在一起', async () => {
+            const onChunk = jest.fn();
+            const attempt = jest.fn(async (config, options) => {
+                options.onChunk('前半段');
+                return { success: false, error: 'HTTP 503' };
+            });
+
+            const result = await modelService.rewriteWithFallback(CONFIGS, '原文', '改写', { attempt, onChunk });
+
+            expect(attempt).toHaveBeenCalledTimes(1);
+            expect(onChunk).toHaveBeenCalledWith('前半段');
+            expect(result).toMatchObject({ success: false, error: 'HTTP 503', skipped: [] });
+        });
+
+        test('没有模型配置时返回错误', async () => {
+            const result = await modelService.rewriteWithFallback([], '原文', '改写');
+
+            expect(result).toMatchObject({ success: false, error: '没有可用的模型配置', answeredBy: null, skipped: [] });
+        });
+
+        test('机密文本只交给本地模型，地址为公网的Ollama也不会收到原文', async () => {
+            const attempt = attemptWith({});
+
+            const result = await modelService.rewriteWithFallback([...CONFIGS, LOCAL_OLLAMA_CONFIG], '原文', '改写', {
+                attempt,
+                tags: [CONFIDENTIAL_TAG]
+            });
+
+            expect(attempt.mock.calls.map(call => call[0].id)).toEqual(['cfg-local']);
+            expect(result).toMatchObject({ success: true, answeredBy: { configId: 'cfg-local' }, skipped: [] });
+        });
+
+        test('机密文本没有可用的本地模型时不发送请求', async () => {
+            const attempt = attemptWith({});
+
+            const result = await modelService.rewriteWithFallback(CONFIGS, '原文', '改写', { attempt, tags: [CONFIDENTIAL_TAG] });
+
+            expect(attempt).not.toHaveBeenCalled();
+            expect(result).toMatchObject({ success: false, code: ERROR_CODES.LOCAL_MODEL_REQUIRED, answeredBy: null, skipped: [] });
+        });
+    });
+
+    describe('本地模型', () => {
+        test.each([
+            ['默认地址的Ollama', { type: 'ollama' }, true],
+            ['本机地址', { type: 'ollama', baseUrl: 'http://127.0.0.1:11434' }, true],
+            ['局域网地址', { type: 'ollama', baseUrl: 'http://192.168.1.20:11434' }, true],
+            ['IPv6回环地址', { type: 'ollama', baseUrl: 'http://[::1]:11434' }, true],
+            ['公网地址的Ollama', { type: 'ollama', baseUrl: 'https://ollama.example.com' }, false],
+            ['地址格式错误', { type: 'ollama', baseUrl: 'localhost:11434' }, false],
+            ['本机转发的云端模型', { type: 'qwen', baseUrl: 'http://localhost:8080' }, false]
+        ])('%s', (label, config, expected) => {
+            expect(modelService.isLocalModel(config)).toBe(expected);
+        });
+
+        test('直接改写机密文本时同样拒绝云端模型', async () => {
+            const result = await modelService.rewriteText(QWEN_CONFIG, '原文', '改写', { tags: [CONFIDENTIAL_TAG] });
+
+            expect(fetch).not.toHaveBeenCalled();
+            expect(result).toMatchObject({ success: false, code: ERROR_CODES.LOCAL_MODEL_REQUIRED });
+        });
+    });
+
+    describe('改写缓存', () => {
+        const completion = createJsonResponse({ choices: [{ message: { content: '改写结果' } }], usage: { total_tokens: 20 } });
+
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        test('相同的改写第二次直接返回缓存结果', async () => {
+            fetch.mockResolvedValue(completion);
+
+            await modelService.rewriteText(QWEN_CONFIG, '原文', '改写');
+            const result = await modelService.rewriteText(QWEN_CONFIG, '原文', '改写');
+
+            expect(fetch).toHaveBeenCalledTimes(1);
+            expect(result).toMatchObject({ success: true, data: '改写结果', cached: true });
+        });
+
+        test('机密文本不读写缓存', async () => {
+            fetch.mockImplementation(async () => createJsonResponse({ message: { role: 'assistant', content: '改写结果' } }));
+            jest.spyOn(rewriteCacheService, 'get');
+            jest.spyOn(rewriteCacheService, 'set');
+
+            await modelService.rewriteText(LOCAL_OLLAMA_CONFIG, '原文', '改写', { tags: [CONFIDENTIAL_TAG] });
+            const result = await modelService.rewriteText(LOCAL_OLLAMA_CONFIG, '原文', '改写', { tags: [CONFIDENTIAL_TAG] });
+
+            expect(fetch).toHaveBeenCalledTimes(2);
+            expect(result.cached).toBeUndefined();
+            expect(rewriteCacheService.get).not.toHaveBeenCalled();
+            expect(rewriteCacheService.set).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('取消改写', () => {
+        test('开始前已取消时不发送请求', async () => {
+            const controller = new AbortController();
+            controller.abort();
+
+            const result = await modelService.rewriteText(QWEN_CONFIG, '原文', '改写', { signal: controller.signal });
+
+            expect(result).toMatchObject({ success: false, cancelled: true, code: ERROR_CODES.CANCELLED });
+            expect(fetch).not.toHaveBeenCalled();
+        });
+
+        test('流式输出中途取消时停止读取，结果记为已取消而非失败', async () => {
+            const controller = new AbortController();
+            global.fetch = abortableFetch(options => createStreamResponse([sse(delta('部分内容'))], { signal: options.signal }));
+            const onChunk = jest.fn(() => controller.abort());
+
+            const result = await modelService.rewriteText(QWEN_CONFIG, '原文', '改写', { onChunk, signal: controller.signal });
+
+            expect(onChunk.mock.calls).toEqual([['部分内容']]);
+            expect(result).toMatchObject({ success: false, cancelled: true });
+            expect(modelService.performanceMetrics.get('qwen_rewriteText')).toMatchObject({
+                totalRequests: 1,
+                cancelledRequests: 1,
+                failedRequests: 0
+            });
+        });
+
+        test('请求被中止后不再重试', async () => {
+            const controller = new AbortController();
+            global.fetch = jest.fn(async () => {
+                controller.abort();
+                throw new DOMException('The operation was aborted.', 'AbortError');
+            });
+
+            const result = await modelService.rewriteText(QWEN_CONFIG, '原文', '改写', { signal: controller.signal });
+
+            expect(result.cancelled).toBe(true);
+            expect(fetch).toHaveBeenCalledTimes(1);
+        });
+
+        test('改用备用模型时用户取消，不再尝试后面的模型', async () => {
+            const controller = new AbortController();
+            const attempt = jest.fn(async (config, { signal }) => {
+                controller.abort();
+                expect(signal.aborted).toBe(true);
+                return modelService.createCancelledResult();
+            });
+
+            const result = await modelService.rewriteWithFallback(
+                [QWEN_CONFIG, { ...QWEN_CONFIG, id: 'cfg-backup' }],
+                '原文',
+                '改写',
+                { attempt, signal: controller.signal }
+            );
+
+            expect(attempt).toHaveBeenCalledTimes(1);
+            expect(result).toMatchObject({ cancelled: true, answeredBy: null, skipped: [] });
+        });
+    });
+});
+
+describe('EnhancedRewriteService 取消', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('批量改写取消后，尚未开始的批次计为已取消', async () => {
+        const controller = new AbortController();
+        jest.spyOn(enhancedRewriteService, 'delay').mockResolvedValue();
+        jest.spyOn(enhancedRewriteService, 'rewriteText').mockImplementation(async (text) => {
+            if (text === '文本4') {
+                controller.abort();
+            }
+            return { success: true, result: text };
+        });
+        const texts = Array.from({ length: 12 }, (_, i) => `文本${i}`);
+
+        const results = await enhancedRewriteService.batchRewrite(texts, 'general', { signal: controller.signal, batchSize: 5 });
+
+        expect(enhancedRewriteService.rewriteText).toHaveBeenCalledTimes(5);
+        expect(results).toMatchObject({ total: 12, success: 5, failed: 0, cancelled: 7 });
+    });
+
+    test('多模型对比中被取消的模型不计入失败', async () => {
+        jest.spyOn(modelConfigManager, 'getAllConfigs').mockReturnValue([
+            { type: 'qwen', name: '通义千问' },
+            { type: 'kimi', name: 'Kimi' }
+        ]);
+        jest.spyOn(enhancedRewriteService, 'rewriteText').mockImplementation(async (text, style, options) => (
+            options.preferredModel === 'qwen'
+                ? { success: true, result: '结果', quality: { score: 4 } }
+                : { success: false, cancelled: true, error: '改写已取消' }
+        ));
+
+        const comparison = await enhancedRewriteService.compareModels('原文', 'general', null, { signal: new AbortController().signal });
+
+        expect(comparison.models[1]).toMatchObject({ modelType: 'kimi', success: false, cancelled: true });
+        expect(comparison.summary).toMatchObject({ totalModels: 2, successCount: 1, cancelledCount: 1, failedCount: 0 });
+    });
+});
@@ -0,0 +1,107 @@
+/**
+ * Notion适配器记录映射测试
+ */
+
+import NotionAdapter from '../src/services/adapters/notionAdapter.js';
+import { ERROR_CODES } from '../src/utils/constants.js';
+
+const DATABASE_ID = '0123456789abcdef0123456789abcdef';
+
+const SCHEMA = {
+    名称: { type: 'title' },
+    ID: { type: 'rich_text' },
+    类型: { type: 'select' },
+    数据: { type: 'rich_text' },
+    温度: { type: 'number' },
+    备注: { type: 'people' }
+};
+
+/**
+ * 把写入的属性转换为Notion返回的页面属性
+ */
+function toPageProperties(properties) {
+    const page = {};
+    for (const [name, value] of Object.entries(properties)) {
+        const type = Object.keys(value)[0];
+        page[name] = type === 'title' || type === 'rich_text'
+            ? { type, [type]: value[type].map(part => ({ plain_text: part.text.content })) }
+            : { type, [type]: value[type] };
+    }
+    return page;
+}
+
+function createAdapter() {
+    const adapter = new NotionAdapter({ integrationToken: 'secret', databaseId: DATABASE_ID, minRequestInterval: 0 });
+    adapter.makeRequest = jest.fn(async (url) => {
+        if (url.endsWith(`/databases/${DATABASE_ID}`)) {
+            return { properties: SCHEMA };
+        }
+        return { id: 'page-1', properties: {} };
+    });
+    return adapter;
+}
+
+describe('NotionAdapter', () => {
+    test('按数据库属性类型写入字段，并能从页面还原记录', () => {
+        const adapter = createAdapter();
+        const data = {
+            id: 'local-1',
+            type: 'modelConfig',
+            name: '通义千问',
+            data: JSON.stringify({ temperature: 0.7 }),
+            数据集合: JSON.stringify({ 温度: '0.7' })
+        };
+
+        const properties = adapter.buildProperties(data, SCHEMA);
+
+        expect(properties.类型).toEqual({ select: { name: 'modelConfig' } });
+        expect(properties.温度).toEqual({ number: 0.7 });
+        expect(properties.备注).toBeUndefined();
+
+        const record = adapter.parseRecord({
+            id: 'page-1',
+            lastModifiedTime: '2024-01-01T00:00:00.000Z',
+            properties: toPageProperties(properties)
+        });
+        expect(record).toEqual({
+            id: 'local-1',
+            type: 'modelConfig',
+            name: '通义千问',
+            data: data.data,
+            metadata: { recordId: 'page-1', updatedAt: '2024-01-01T00:00:00.000Z' }
+        });
+    });
+
+    test('长文本按2000字切分为多个富文本片段，读取时完整拼回', () => {
+        const adapter = createAdapter();
+        const payload = 'x'.repeat(4500);
+
+        const parts = adapter.toRichText(payload);
+
+        expect(parts.map(part => part.text.content.length)).toEqual([2000, 2000, 500]);
+        expect(adapter.readProperty(toPageProperties({ 数据: { rich_text: parts } }).数据)).toBe(payload);
+    });
+
+    test('切分点落在表情等代理对中间时前移，不拆开字符', () => {
+        const adapter = createAdapter();
+        const payload = `${'x'.repeat(1999)}😀${'字'.repeat(10)}`;
+
+        const parts = adapter.toRichText(payload);
+
+        expect(parts.map(part => part.text.content.length)).toEqual([1999, 12]);
+        expect(parts[1].text.content.startsWith('😀')).toBe(true);
+        expect(parts.map(part => part.text.content).join('')).toBe(payload);
+    });
+
+    test('数据超过单个属性上限时报错而不是截断', async () => {
+        const adapter = createAdapter();
+        const data = { id: 'local-1', type: 'work', name: '长文档', data: 'x'.repeat(200001) };
+
+        expect(() => adapter.toRichText('x'.repeat(200000))).not.toThrow();
+        await expect(adapter.createRecord(data)).rejects.toMatchObject({
+            code: ERROR_CODES.DATA_ERROR,
+            message: expect.stringContaining('"数据"')
+        });
+        expect(adapter.makeRequest).not.toHaveBeenCalledWith(expect.stringContaining('/pages'), expect.anything());
+    });
+});
@@ -0,0 +1,137 @@
+/**
+ * Ollama本地模型适配器测试
+ */
+
+import ModelAdapterFactory from '../src/services/adapters/modelAdapterFactory.js';
+import { MODEL_TYPES, ERROR_CODES } from '../src/utils/constants.js';
+import { createStreamResponse, createJsonResponse } from './helpers/modelResponses.js';
+
+const ndjson = chunk => `${JSON.stringify(chunk)}\n`;
+
+const TAGS = {
+    models: [
+        { name: 'qwen2.5:7b', size: 4683087332, modified_at: '2025-01-02T00:00:00Z', details: { family: 'qwen2', parameter_size: '7.6B' } },
+        { name: 'llama3.2:latest', size: 2019393189, modified_at: '2025-01-01T00:00:00Z', details: { family: 'llama', parameter_size: '3.2B' } }
+    ]
+};
+
+function createAdapter(config = {}) {
+    return ModelAdapterFactory.createAdapter(MODEL_TYPES.OLLAMA, {
+        baseUrl: 'http://localhost:11434/',
+        modelEndpoint: 'qwen2.5:7b',
+        ...config
+    });
+}
+
+describe('OllamaAdapter', () => {
+    beforeEach(() => {
+        global.fetch = jest.fn();
+    });
+
+    describe('模型列表', () => {
+        test('读取 /api/tags 并按名称排序', async () => {
+            fetch.mockResolvedValue(createJsonResponse(TAGS));
+
+            const models = await createAdapter().listModels();
+
+            expect(fetch).toHaveBeenCalledWith('http://localhost:11434/api/tags', expect.objectContaining({ method: 'GET' }));
+            expect(models).toEqual([
+                { name: 'llama3.2:latest', size: 2019393189, modifiedAt: '2025-01-01T00:00:00Z', family: 'llama', parameterSize: '3.2B' },
+                { name: 'qwen2.5:7b', size: 4683087332, modifiedAt: '2025-01-02T00:00:00Z', family: 'qwen2', parameterSize: '7.6B' }
+            ]);
+        });
+
+        test('Ollama拒绝扩展来源时提示设置OLLAMA_ORIGINS', async () => {
+            fetch.mockResolvedValue(createJsonResponse({}, 403));
+
+            await expect(createAdapter().listModels()).rejects.toMatchObject({
+                code: ERROR_CODES.PERMISSION_ERROR,
+                message: expect.stringContaining('OLLAMA_ORIGINS=chrome-extension://*')
+            });
+        });
+
+        test('服务未运行时提示启动ollama serve', async () => {
+            fetch.mockRejectedValue(new TypeError('Failed to fetch'));
+
+            await expect(createAdapter().listModels()).rejects.toMatchObject({
+                code: ERROR_CODES.NETWORK_ERROR,
+                message: expect.stringContaining('ollama serve')
+            });
+        });
+    });
+
+    describe('测试连接', () => {
+        test('配置的模型已拉取时成功，未写标签时按latest匹配', async () => {
+            fetch.mockResolvedValue(createJsonResponse(TAGS));
+
+            const result = await createAdapter({ modelEndpoint: 'llama3.2' }).testConnection();
+
+            expect(result).toMatchObject({ success: true, data: { model: { name: 'llama3.2:latest' } } });
+        });
+
+        test('模型未拉取时失败并给出ollama pull命令', async () => {
+            fetch.mockResolvedValue(createJsonResponse(TAGS));
+
+            const result = await createAdapter({ modelEndpoint: 'mistral' }).testConnection();
+
+            expect(result).toMatchObject({
+                success: false,
+                code: ERROR_CODES.INVALID_CONFIG,
+                error: '模型 mistral 未安装，请先运行 ollama pull mistral'
+            });
+        });
+
+        test('服务拒绝访问时返回OLLAMA_ORIGINS提示', async () => {
+            fetch.mockResolvedValue(createJsonResponse({}, 403));
+
+            const result = await createAdapter().testConnection();
+
+            expect(result).toMatchObject({ success: false, code: ERROR_CODES.PERMISSION_ERROR, error: expect.stringContaining('OLLAMA_ORIGINS') });
+        });
+    });
+
+    describe('改写', () => {
+        test('普通请求显式关闭流式，采样参数放在options中', async () => {
+            fetch.mockResolvedValue(createJsonResponse({
+                message: { role: 'assistant', content: '改写结果' },
+                prompt_eval_count: 12,
+                eval_count: 4
+            }));
+
+            const result = await createAdapter({ temperature: 0.3, maxTokens: 512 }).rewriteText('原文', '改写');
+
+            expect(fetch.mock.calls[0][0]).toBe('http://localhost:11434/api/chat');
+            expect(JSON.parse(fetch.mock.calls[0][1].body)).toMatchObject({
+                model: 'qwen2.5:7b',
+                stream: false,
+                options: { temperature: 0.3, num_predict: 512 }
+            });
+            expect(result).toMatchObject({ success: true, data: '改写结果', usage: { prompt_tokens: 12, completion_tokens: 4, total_tokens: 16 } });
+        });
+
+        test('流式输出按逐行JSON解析，从结束行读取用量', async () => {
+            const stream = ndjson({ message: { content: '你好' }, done: false }) +
+                ndjson({ message: { content: '，世界' }, done: false }) +
+                ndjson({ message: { content: '' }, done: true, prompt_eval_count: 8, eval_count: 3 });
+            // 在一行JSON中间截断
+            fetch.mockResolvedValue(createStreamResponse([stream.slice(0, 20), stream.slice(20)], { contentType: 'application/x-ndjson' }));
+            const onChunk = jest.fn();
+
+            const result = await createAdapter().rewriteText('原文', '改写', { onChunk });
+
+            expect(JSON.parse(fetch.mock.calls[0][1].body).stream).toBe(true);
+            expect(onChunk.mock.calls.map(call => call[0])).toEqual(['你好', '，世界']);
+            expect(result).toMatchObject({ success: true, data: '你好，世界', usage: { prompt_tokens: 8, completion_tokens: 3, total_tokens: 11 } });
+        });
+
+        test('流中的错误行作为失败返回', async () => {
+            fetch.mockResolvedValue(createStreamResponse([ndjson({ error: 'model "qwen2.5:7b" not found, try pulling it first' })], {
+                contentType: 'application/x-ndjson'
+            }));
+
+            const result = await createAdapter().rewriteText('原文', '改写', { onChunk: jest.fn() });
+
+            expect(result).toMatchObject({ success: false, error: expect.stringContaining('try pulling it first') });
+        });
+    });
+});
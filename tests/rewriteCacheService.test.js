@@ -0,0 +1,165 @@
+/**
+ * 改写缓存服务测试
+ */
+
+import { RewriteCacheService, REWRITE_CACHE_STORAGE_KEY, REWRITE_CACHE_STATS_STORAGE_KEY } from '../src/services/rewriteCacheService.js';
+import encryptionService from '../src/services/encryptionService.js';
+import BaseModelAdapter from '../src/services/adapters/baseModelAdapter.js';
+import { CONFIDENTIAL_TAG } from '../src/utils/constants.js';
+import { installChromeStorage } from './helpers/chromeStorage.js';
+
+const CONFIG = { id: 'cfg-qwen', type: 'qwen', baseUrl: 'https://api.example.com', modelEndpoint: 'qwen-plus', temperature: 0.7 };
+
+describe('RewriteCacheService', () => {
+    let cache;
+    let storage;
+
+    beforeEach(() => {
+        storage = installChromeStorage();
+        cache = new RewriteCacheService();
+        jest.spyOn(encryptionService, 'initialize').mockResolvedValue();
+        jest.spyOn(encryptionService, 'isPassphraseEnabled').mockReturnValue(false);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('缓存键', () => {
+        test('空白和换行的差异不影响缓存键', async () => {
+            const key = await cache.buildKey(CONFIG, '第一行  内容\r\n第二行', '改写');
+
+            expect(key).toMatch(/^[0-9a-f]{64}$/);
+            expect(await cache.buildKey(CONFIG, '  第一行 内容\n 第二行 ', '改写')).toBe(key);
+        });
+
+        test('同一模型的不同配置共用缓存，API Key不参与', async () => {
+            const key = await cache.buildKey(CONFIG, '原文', '改写');
+
+            expect(await cache.buildKey({ ...CONFIG, id: 'cfg-other', apiKey: 'sk-other' }, '原文', '改写')).toBe(key);
+        });
+
+        test.each([
+            ['提示词', [CONFIG, '原文', '翻译']],
+            ['示例', [CONFIG, '原文', '改写', { examples: [{ input: '甲', output: '乙' }] }]],
+            ['温度', [CONFIG, '原文', '改写', { temperature: 0.2 }]],
+            ['配置的输出上限', [{ ...CONFIG, maxTokens: 500 }, '原文', '改写']],
+            ['请求的输出上限', [CONFIG, '原文', '改写', { maxTokens: 500 }]],
+            ['top_p', [CONFIG, '原文', '改写', { topP: 0.5 }]],
+            ['模型', [{ ...CONFIG, modelEndpoint: 'qwen-max' }, '原文', '改写']],
+            ['服务地址', [{ ...CONFIG, baseUrl: 'https://proxy.example.com' }, '原文', '改写']]
+        ])('%s不同时缓存键不同', async (label, args) => {
+            const key = await cache.buildKey(CONFIG, '原文', '改写');
+
+            expect(await cache.buildKey(...args)).not.toBe(key);
+        });
+
+        test('适配器的角色设定变化后不再命中旧的缓存', async () => {
+            const key = await cache.buildKey(CONFIG, '原文', '改写');
+            jest.spyOn(BaseModelAdapter.prototype, 'getRewritePersona').mockReturnValue('你是一名严谨的编辑。');
+
+            expect(await cache.buildKey(CONFIG, '原文', '改写')).not.toBe(key);
+        });
+    });
+
+    describe('读写', () => {
+        test('命中时返回结果并累计节省的tokens', async () => {
+            await cache.set('k1', { data: '改写结果', usage: { total_tokens: 30 } }, CONFIG);
+
+            const entry = await cache.get('k1');
+
+            expect(entry).toMatchObject({ data: '改写结果', modelType: 'qwen' });
+            expect(storage.data[REWRITE_CACHE_STORAGE_KEY].entries.k1.hitCount).toBe(1);
+            expect(await cache.getStats()).toMatchObject({ entries: 1, chars: 4, hits: 1, misses: 0, hitRate: 1, savedTokens: 30 });
+        });
+
+        test('未命中时只更新统计，不重写缓存内容', async () => {
+            await cache.set('k1', { data: '改写结果' }, CONFIG);
+            chrome.storage.local.set.mockClear();
+
+            expect(await cache.get('missing')).toBeNull();
+
+            const writtenKeys = chrome.storage.local.set.mock.calls.map(([items]) => Object.keys(items)).flat();
+            expect(writtenKeys).toEqual([REWRITE_CACHE_STATS_STORAGE_KEY]);
+            expect(storage.data[REWRITE_CACHE_STATS_STORAGE_KEY]).toMatchObject({ hits: 0, misses: 1 });
+        });
+
+        test('过期的结果视为未命中', async () => {
+            await cache.set('k1', { data: '改写结果' }, CONFIG);
+            storage.data[REWRITE_CACHE_STORAGE_KEY].entries.k1.createdAt = new Date(Date.now() - cache.ttl - 1000).toISOString();
+
+            expect(await cache.get('k1')).toBeNull();
+        });
+
+        test('并发写入不会互相覆盖', async () => {
+            await Promise.all(['k1', 'k2', 'k3', 'k4'].map(key => cache.set(key, { data: `结果${key}` }, CONFIG)));
+            await Promise.all(['k1', 'k2', 'missing', 'k3'].map(key => cache.get(key)));
+
+            expect(Object.keys(storage.data[REWRITE_CACHE_STORAGE_KEY].entries).sort()).toEqual(['k1', 'k2', 'k3', 'k4']);
+            expect(await cache.getStats()).toMatchObject({ hits: 3, misses: 1 });
+        });
+
+        test('清空缓存时一并清除统计', async () => {
+            await cache.set('k1', { data: '改写结果' }, CONFIG);
+            await cache.get('k1');
+
+            await cache.clear();
+
+            expect(await cache.getStats()).toEqual({ entries: 0, chars: 0, hits: 0, misses: 0, hitRate: 0, savedTokens: 0 });
+        });
+    });
+
+    describe('淘汰', () => {
+        test('超出条数上限时淘汰最久未使用的结果', async () => {
+            cache.maxEntries = 2;
+            const now = Date.now();
+            await cache.set('old', { data: '旧结果' }, CONFIG);
+            await cache.set('used', { data: '常用结果' }, CONFIG);
+            storage.data[REWRITE_CACHE_STORAGE_KEY].entries.old.lastUsedAt = new Date(now - 2000).toISOString();
+            storage.data[REWRITE_CACHE_STORAGE_KEY].entries.used.lastUsedAt = new Date(now - 1000).toISOString();
+
+            await cache.set('new', { data: '新结果' }, CONFIG);
+
+            expect(Object.keys(storage.data[REWRITE_CACHE_STORAGE_KEY].entries).sort()).toEqual(['new', 'used']);
+        });
+
+        test('超出总字数上限时淘汰，单条超过上限的结果不缓存', async () => {
+            cache.maxChars = 10;
+            const entries = {
+                a: { data: '123456', createdAt: new Date().toISOString(), lastUsedAt: '2020-01-01T00:00:00.000Z' },
+                b: { data: '1234', createdAt: new Date().toISOString(), lastUsedAt: '2020-01-02T00:00:00.000Z' },
+                c: { data: '12', createdAt: new Date().toISOString(), lastUsedAt: '2020-01-03T00:00:00.000Z' }
+            };
+
+            cache.evict({ entries });
+            await cache.set('big', { data: '12345678901' }, CONFIG);
+
+            expect(Object.keys(entries)).toEqual(['b', 'c']);
+            expect(storage.data[REWRITE_CACHE_STORAGE_KEY]).toBeUndefined();
+        });
+
+        test('写入时清理过期的结果', async () => {
+            const entries = {
+                expired: { data: '过期', createdAt: new Date(Date.now() - cache.ttl - 1000).toISOString(), lastUsedAt: new Date().toISOString() },
+                fresh: { data: '有效', createdAt: new Date().toISOString(), lastUsedAt: new Date().toISOString() }
+            };
+
+            cache.evict({ entries });
+
+            expect(Object.keys(entries)).toEqual(['fresh']);
+        });
+    });
+
+    describe('不缓存的情况', () => {
+        test('机密文本不缓存', async () => {
+            expect(await cache.isCacheable([CONFIDENTIAL_TAG])).toBe(false);
+            expect(await cache.isCacheable(['work'])).toBe(true);
+        });
+
+        test('启用主密码时不缓存', async () => {
+            encryptionService.isPassphraseEnabled.mockReturnValue(true);
+
+            expect(await cache.isCacheable()).toBe(false);
+        });
+    });
+});
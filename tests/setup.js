@@ -1,6 +1,14 @@
 // Jest测试环境设置
 // 在这里可以添加全局的测试配置和模拟对象
 
+const { webcrypto } = require('crypto');
+const { TextEncoder, TextDecoder } = require('util');
+const { ReadableStream } = require('stream/web');
+
+// jsdom缺少WebCrypto、TextEncoder和流，使用Node内置实现
+Object.defineProperty(global, 'crypto', { value: webcrypto, configurable: true });
+Object.assign(global, { TextEncoder, TextDecoder, ReadableStream });
+
 // 模拟Chrome扩展API
 global.chrome = {
     storage: {
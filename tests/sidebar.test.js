@@ -0,0 +1,107 @@
+/**
+ * 侧边栏测试
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { MODEL_FALLBACK_CHAIN_KEY, ACTIVE_MODEL_CONFIG_KEY } from '../src/services/storageService.js';
+import { installChromeStorage } from './helpers/chromeStorage.js';
+import { loadBackgroundScript } from './helpers/backgroundScript.js';
+import { createJsonResponse } from './helpers/modelResponses.js';
+
+jest.mock('../src/services/enhancedRewriteService.js', () => require('./helpers/esModules.js')
+    .withDefaultExport(jest.requireActual('../src/services/enhancedRewriteService.js'), 'enhancedRewriteService'));
+jest.mock('../src/services/modelConfigManager.js', () => require('./helpers/esModules.js')
+    .withDefaultExport(jest.requireActual('../src/services/modelConfigManager.js'), 'modelConfigManager'));
+jest.mock('../src/services/performanceMonitor.js', () => require('./helpers/esModules.js')
+    .withDefaultExport(jest.requireActual('../src/services/performanceMonitor.js'), 'performanceMonitor'));
+
+const SIDEBAR_HTML = fs.readFileSync(path.join(__dirname, '../src/sidebar/sidebar.html'), 'utf8');
+
+const CLOUD_CONFIG = {
+    id: 'cfg-qwen',
+    name: '通义千问',
+    modelType: 'qwen',
+    baseUrl: 'https://api.example.com',
+    modelEndpoint: 'qwen-plus'
+};
+
+const LOCAL_CONFIG = {
+    id: 'cfg-local',
+    name: '本地模型',
+    modelType: 'ollama',
+    baseUrl: 'http://192.168.1.20:11434',
+    modelEndpoint: 'qwen2.5:7b'
+};
+
+/**
+ * 等待条件成立，侧边栏的初始化（含密钥加密迁移）和改写都是异步完成的
+ */
+async function waitFor(condition) {
+    for (let i = 0; i < 500 && !condition(); i++) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    expect(condition()).toBe(true);
+}
+
+/**
+ * 加载后台脚本和侧边栏，侧边栏通过Port把流式改写交给后台
+ * 两个脚本各自在独立的模块环境中加载，与扩展中分属不同页面一致
+ * @param {Object} storageData - 存储中的初始数据
+ */
+async function loadSidebar(storageData) {
+    installChromeStorage(storageData);
+    const background = loadBackgroundScript();
+    Object.assign(global.chrome.runtime, {
+        connect: jest.fn(background.connect),
+        sendMessage: jest.fn(async () => ({ success: true }))
+    });
+
+    document.documentElement.innerHTML = SIDEBAR_HTML.replace(/<script[\s\S]*?<\/script>/g, '');
+    jest.isolateModules(() => {
+        require('../src/sidebar/sidebar.js');
+    });
+    document.dispatchEvent(new Event('DOMContentLoaded'));
+    await waitFor(() => document.getElementById('modelSelect').value === CLOUD_CONFIG.name);
+}
+
+/**
+ * 勾选机密文本后开始改写，等待改写结束
+ */
+async function rewriteConfidentialText() {
+    document.getElementById('originalText').value = '内部资料';
+    document.getElementById('confidentialText').checked = true;
+    document.getElementById('startRewriteBtn').click();
+    await waitFor(() => document.querySelector('.alert') !== null);
+}
+
+describe('侧边栏改写', () => {
+    beforeEach(() => {
+        global.fetch = jest.fn(async () => createJsonResponse({ message: { role: 'assistant', content: '本地改写结果' } }));
+    });
+
+    test('机密文本跳过选中的云端模型，由备用链中的本地模型改写', async () => {
+        await loadSidebar({
+            modelConfigs: [CLOUD_CONFIG, LOCAL_CONFIG],
+            [MODEL_FALLBACK_CHAIN_KEY]: ['cfg-qwen', 'cfg-local'],
+            [ACTIVE_MODEL_CONFIG_KEY]: CLOUD_CONFIG.name
+        });
+
+        await rewriteConfidentialText();
+
+        expect(fetch.mock.calls.map(call => call[0])).toEqual(['http://192.168.1.20:11434/api/chat']);
+        expect(document.getElementById('rewriteResult').value).toBe('本地改写结果');
+    });
+
+    test('没有本地模型时停止改写，不发送任何请求', async () => {
+        await loadSidebar({
+            modelConfigs: [CLOUD_CONFIG],
+            [ACTIVE_MODEL_CONFIG_KEY]: CLOUD_CONFIG.name
+        });
+
+        await rewriteConfidentialText();
+
+        expect(fetch).not.toHaveBeenCalled();
+        expect(document.querySelector('.alert.error').textContent).toContain('没有可用的本地模型');
+    });
+});
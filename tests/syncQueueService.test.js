@@ -0,0 +1,120 @@
+/**
+ * 同步队列服务测试
+ */
+
+import syncQueueService, { SYNC_QUEUE_STORAGE_KEY } from '../src/services/syncQueueService.js';
+import SyncService from '../src/services/syncService.js';
+import encryptionService from '../src/services/encryptionService.js';
+import { installChromeStorage } from './helpers/chromeStorage.js';
+
+const job = (recordId, extra = {}) => ({
+    recordId,
+    dataType: 'rewriteRecord',
+    targetConfigId: 'cfg',
+    tableName: '表A',
+    ...extra
+});
+
+describe('SyncQueueService', () => {
+    let storage;
+
+    beforeEach(() => {
+        storage = installChromeStorage({
+            tableConfigs: [{ id: 'cfg', platform: 'feishu', tableId: 'app1' }],
+            rewriteRecords: [
+                { id: 'r1', name: '记录1', updatedAt: 't1' },
+                { id: 'r2', name: '记录2', updatedAt: 't1' },
+                { id: 'r3', name: '记录3', updatedAt: 't1' }
+            ]
+        });
+        encryptionService.clearMemory();
+        global.chrome.alarms = { create: jest.fn(async () => {}), clear: jest.fn(async () => {}) };
+        jest.spyOn(SyncService.prototype, 'fetchRemoteIndex').mockResolvedValue(new Map());
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        delete global.chrome.alarms;
+    });
+
+    test('同一数据和目标只保留一个任务，失败后重新加入时重新计数', async () => {
+        const first = await syncQueueService.enqueue(job('r1'));
+        await syncQueueService.updateJob(first.id, { attempts: 2 });
+        expect((await syncQueueService.enqueue(job('r1'))).attempts).toBe(2);
+
+        await syncQueueService.updateJob(first.id, { status: 'failed' });
+        const requeued = await syncQueueService.enqueue(job('r1'));
+
+        expect(requeued).toMatchObject({ status: 'pending', attempts: 0, createdAt: first.createdAt });
+        expect(storage.data[SYNC_QUEUE_STORAGE_KEY]).toHaveLength(1);
+        await expect(syncQueueService.enqueue(job('r1', { dataType: 'modelConfig' }))).rejects.toThrow('不支持的同步数据类型');
+    });
+
+    test('失败后按指数退避安排重试，超过最大次数标记为失败', async () => {
+        const queued = await syncQueueService.enqueue(job('r1'));
+        const before = Date.now();
+
+        await syncQueueService.recordFailure(queued, new Error('timeout'));
+        let saved = (await syncQueueService.getJobs())[0];
+        expect(saved).toMatchObject({ attempts: 1, status: 'pending', lastError: 'timeout' });
+        expect(Date.parse(saved.nextRetryAt) - before).toBeGreaterThanOrEqual(syncQueueService.baseRetryDelay);
+
+        await syncQueueService.recordFailure({ ...saved, attempts: syncQueueService.maxAttempts - 1 }, new Error('timeout'));
+        saved = (await syncQueueService.getJobs())[0];
+        expect(saved.status).toBe('failed');
+    });
+
+    test('推送到期任务：成功的移出队列，冲突的保留并标记，失败的等待重试', async () => {
+        await syncQueueService.enqueue(job('r1'));
+        await syncQueueService.enqueue(job('r2'));
+        await syncQueueService.enqueue(job('r3'));
+        jest.spyOn(SyncService.prototype, 'syncSingle').mockImplementation(async (record) => {
+            if (record.id === 'r2') {
+                return { status: 'conflict' };
+            }
+            if (record.id === 'r3') {
+                throw new Error('网络错误');
+            }
+            return { status: 'success' };
+        });
+
+        const result = await syncQueueService.drain();
+
+        expect(result).toMatchObject({ synced: 1, conflicts: 1, failed: 1 });
+        const jobs = await syncQueueService.getJobs();
+        expect(jobs.map(item => [item.recordId, item.status])).toEqual([['r2', 'conflict'], ['r3', 'pending']]);
+        expect(SyncService.prototype.fetchRemoteIndex).toHaveBeenCalledTimes(1);
+        expect(chrome.alarms.create).toHaveBeenCalledWith('flowfocus-sync-queue', expect.any(Object));
+    });
+
+    test('推送过程中加入的任务不会被覆盖', async () => {
+        await syncQueueService.enqueue(job('r1'));
+        let enqueued = null;
+        jest.spyOn(SyncService.prototype, 'syncSingle').mockImplementation(async () => {
+            // 推送成功移除任务的同时，其他页面加入新的任务
+            enqueued = Promise.all([syncQueueService.enqueue(job('r2')), syncQueueService.enqueue(job('r3'))]);
+            return { status: 'success' };
+        });
+
+        await syncQueueService.drain();
+        await enqueued;
+
+        const jobs = await syncQueueService.getJobs();
+        expect(jobs.map(item => [item.recordId, item.status])).toEqual([['r2', 'pending'], ['r3', 'pending']]);
+    });
+
+    test('离线时不推送，任务留在队列中', async () => {
+        await syncQueueService.enqueue(job('r1'));
+        const syncSingle = jest.spyOn(SyncService.prototype, 'syncSingle');
+        jest.spyOn(syncQueueService, 'isOnline').mockReturnValue(false);
+
+        const result = await syncQueueService.drain();
+
+        expect(result.deferred).toBe(1);
+        expect(syncSingle).not.toHaveBeenCalled();
+        expect(await syncQueueService.getJobs()).toHaveLength(1);
+        // 离线时按固定间隔检查网络，联网后由闹钟推送
+        const [, { when }] = chrome.alarms.create.mock.calls[0];
+        expect(when - Date.now()).toBeGreaterThan((syncQueueService.offlineCheckMinutes * 60000) - 5000);
+    });
+});
@@ -0,0 +1,123 @@
+/**
+ * 同步服务与同步状态测试
+ */
+
+import SyncService from '../src/services/syncService.js';
+import syncStateService, { SYNC_STATE_STORAGE_KEY } from '../src/services/syncStateService.js';
+import encryptionService from '../src/services/encryptionService.js';
+import { installChromeStorage } from './helpers/chromeStorage.js';
+
+/**
+ * 生成远端表格数据
+ */
+function remoteRow(localId, updatedAt, extra = {}) {
+    return {
+        id: localId,
+        data: JSON.stringify({ id: localId, ...extra }),
+        metadata: { recordId: `rec-${localId}-${updatedAt}`, updatedAt }
+    };
+}
+
+describe('SyncStateService', () => {
+    let storage;
+
+    beforeEach(() => {
+        storage = installChromeStorage();
+        encryptionService.clearMemory();
+    });
+
+    test('并发写入不同记录的同步状态时全部保留', async () => {
+        await Promise.all(Array.from({ length: 20 }, (_, i) =>
+            syncStateService.setEntry(i % 2 ? 'cfg:表A' : 'cfg:表B', `local-${i}`, { recordId: `rec-${i}` })
+        ));
+
+        const state = storage.data[SYNC_STATE_STORAGE_KEY];
+        expect(Object.keys(state['cfg:表A'])).toHaveLength(10);
+        expect(Object.keys(state['cfg:表B'])).toHaveLength(10);
+        expect((await syncStateService.getEntry('cfg:表A', 'local-1')).recordId).toBe('rec-1');
+    });
+
+    test('删除与写入交错执行时按调用顺序生效', async () => {
+        await syncStateService.setEntry('cfg:表A', 'a', { recordId: 'rec-a' });
+
+        await Promise.all([
+            syncStateService.removeEntry('cfg:表A', 'a'),
+            syncStateService.setEntry('cfg:表A', 'b', { recordId: 'rec-b' })
+        ]);
+
+        expect(await syncStateService.getEntry('cfg:表A', 'a')).toBeNull();
+        expect(await syncStateService.getEntry('cfg:表A', 'b')).toMatchObject({ recordId: 'rec-b' });
+    });
+
+    test('一次写入失败后后续写入仍然执行', async () => {
+        const saveData = chrome.storage.local.set;
+        chrome.storage.local.set = jest.fn(() => {
+            throw new Error('quota');
+        });
+        await expect(syncStateService.setEntry('cfg:表A', 'a', {})).rejects.toThrow('quota');
+
+        chrome.storage.local.set = saveData;
+        await syncStateService.setEntry('cfg:表A', 'b', { recordId: 'rec-b' });
+        expect(await syncStateService.getEntry('cfg:表A', 'b')).toMatchObject({ recordId: 'rec-b' });
+    });
+});
+
+describe('SyncService', () => {
+    let service;
+
+    beforeEach(() => {
+        installChromeStorage();
+        encryptionService.clearMemory();
+        service = new SyncService();
+    });
+
+    test('远端快照读取全部行，同一ID有多行时取最后修改的一行', async () => {
+        const rows = Array.from({ length: 600 }, (_, i) => remoteRow(`local-${i}`, '2026-01-01T00:00:00Z'));
+        rows.push(remoteRow('local-3', '2026-02-01T00:00:00Z'), { id: 'bad', data: 'not json', metadata: {} });
+        jest.spyOn(service, 'createTargetTableService').mockReturnValue({ pullRecords: async () => rows });
+
+        const index = await service.fetchRemoteIndex({ id: 'cfg' }, '表A');
+
+        expect(index.size).toBe(600);
+        expect(index.get('local-599')).toBeDefined();
+        expect(index.get('local-3').metadata.updatedAt).toBe('2026-02-01T00:00:00Z');
+    });
+
+    test('按同步状态判断本地与远端的变化', async () => {
+        const remote = remoteRow('a', '2026-01-01T00:00:00Z', { name: 'v1' });
+        const entry = { localUpdatedAt: 't1', remoteHash: await syncStateService.fingerprint(remote.data) };
+        const changedRemote = { ...remote, data: JSON.stringify({ id: 'a', name: 'v2' }) };
+
+        expect(await service.detectChange({ updatedAt: 't1' }, null, remote)).toBe('local');
+        expect(await service.detectChange({ updatedAt: 't1' }, entry, remote)).toBe('unchanged');
+        expect(await service.detectChange({ updatedAt: 't2' }, entry, remote)).toBe('local');
+        expect(await service.detectChange({ updatedAt: 't1' }, entry, changedRemote)).toBe('remote');
+        expect(await service.detectChange({ updatedAt: 't2' }, entry, changedRemote)).toBe('conflict');
+    });
+
+    test('批量同步按表格读取远端快照并上报冲突', async () => {
+        const indexA = new Map([['a1', remoteRow('a1', 't')]]);
+        const fetchRemoteIndex = jest.spyOn(service, 'fetchRemoteIndex').mockImplementation(async (config, tableName) => {
+            if (tableName === '表B') {
+                throw new Error('network');
+            }
+            return indexA;
+        });
+        const syncSingle = jest.spyOn(service, 'syncSingle').mockImplementation(async (record) => (
+            record.id === 'a1'
+                ? { syncId: 's1', status: 'conflict', action: 'conflict', conflict: { local: record } }
+                : { syncId: 's2', status: 'success', action: 'created', result: { id: 'rec' } }
+        ));
+
+        const result = await service.syncBatch([
+            { id: 'a1', tableId: '表A' },
+            { id: 'a2', tableId: '表A' },
+            { id: 'b1', tableId: '表B' }
+        ], { id: 'cfg', platform: 'feishu' }, { delay: 1 });
+
+        expect(fetchRemoteIndex).toHaveBeenCalledTimes(2);
+        expect(syncSingle.mock.calls.map(call => call[2].remoteIndex)).toEqual([indexA, indexA, null]);
+        expect(result.results.find(item => item.recordId === 'a1')).toMatchObject({ status: 'conflict', conflict: { local: { id: 'a1' } } });
+        expect(result.summary).toMatchObject({ total: 3, success: 2, conflicts: 1, failed: 0 });
+    });
+});
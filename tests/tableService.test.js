@@ -0,0 +1,167 @@
+/**
+ * 多维表格服务与平台适配器测试
+ */
+
+import TableService from '../src/services/tableService.js';
+
+/**
+ * 生成一组飞书记录
+ */
+function feishuItems(start, count) {
+    return Array.from({ length: count }, (_, i) => ({
+        record_id: `rec${start + i}`,
+        fields: { ID: `local-${start + i}`, 类型: 'modelConfig', 名称: `配置${start + i}`, 数据: '{}' }
+    }));
+}
+
+/**
+ * 创建平台对应的表格服务，并替换掉鉴权和网络请求
+ */
+function createService(platform, config, respond) {
+    const service = new TableService({ platform, ...config });
+    const adapter = service.adapter;
+    jest.spyOn(adapter, 'getAuthHeaders').mockResolvedValue({});
+    if (adapter.getAccessToken) {
+        jest.spyOn(adapter, 'getAccessToken').mockResolvedValue('token');
+    }
+    adapter.makeRequest = jest.fn(async (url, options = {}) => respond(url, options.body ? JSON.parse(options.body) : null));
+    return service;
+}
+
+describe('TableService', () => {
+    describe('拉取全部记录', () => {
+        test('飞书按page_token翻页直到没有更多记录', async () => {
+            const service = createService('feishu', { tableToken: 'app1', tableId: 'tbl1' }, (url) => {
+                const token = new URL(url).searchParams.get('page_token');
+                const page = Number(token || 0);
+                return {
+                    data: {
+                        items: feishuItems(page * 500, page < 2 ? 500 : 20),
+                        has_more: page < 2,
+                        page_token: String(page + 1)
+                    }
+                };
+            });
+
+            const rows = await service.pullRecords();
+
+            expect(rows).toHaveLength(1020);
+            expect(rows[1019].id).toBe('local-1019');
+            expect(service.adapter.makeRequest).toHaveBeenCalledTimes(3);
+            expect(service.adapter.makeRequest.mock.calls[0][0]).toContain('page_size=500');
+        });
+
+        test('钉钉按页码翻页直到读完totalCount条', async () => {
+            const service = createService('dingtalk', { appKey: 'k', appSecret: 's', workbookId: 'w', sheetId: 's1' }, (url, body) => ({
+                totalCount: 230,
+                data: Array.from({ length: Math.min(100, 230 - (body.pageNumber - 1) * 100) }, (_, i) => ({
+                    formInstId: `inst-${body.pageNumber}-${i}`,
+                    formData: {}
+                }))
+            }));
+
+            const records = await service.adapter.getAllRecords();
+
+            expect(records).toHaveLength(230);
+            expect(service.adapter.makeRequest.mock.calls.map(call => JSON.parse(call[1].body).pageNumber)).toEqual([1, 2, 3]);
+        });
+
+        test('企业微信按offset翻页直到has_more为false', async () => {
+            const service = createService('wework', { corpId: 'c', corpSecret: 's', docId: 'd', sheetId: 's1' }, (url, body) => ({
+                errcode: 0,
+                records: Array.from({ length: body.offset === 0 ? 1000 : 5 }, (_, i) => ({ record_id: `r${body.offset + i}`, values: {} })),
+                has_more: body.offset === 0,
+                next: body.offset + 1000
+            }));
+
+            const records = await service.adapter.getAllRecords();
+
+            expect(records).toHaveLength(1005);
+            expect(service.adapter.makeRequest.mock.calls.map(call => JSON.parse(call[1].body).offset)).toEqual([0, 1000]);
+        });
+
+        test('内部已翻页的平台不限条数读取', async () => {
+            const service = new TableService({ platform: 'webhook', endpoint: 'https://example.com/hook' });
+            const getRecords = jest.spyOn(service.adapter, 'getRecords');
+
+            await service.pullRecords();
+
+            expect(getRecords).toHaveBeenCalledWith({ limit: Infinity });
+        });
+    });
+
+    describe('按ID查找已同步的记录', () => {
+        /**
+         * 生成企业微信记录，第一列为本地数据ID
+         */
+        const weworkRecord = (recordId, localId, updateTime) => ({
+            record_id: recordId,
+            update_time: updateTime,
+            values: [{ value: localId }, { value: 'modelConfig' }, { value: '名称' }, { value: JSON.stringify({ id: localId }) }]
+        });
+
+        test('企业微信按ID列筛选，存在多条时取最近修改的一条', async () => {
+            const service = createService('wework', { corpId: 'c', corpSecret: 's', docId: 'd', sheetId: 's1' }, (url, body) => {
+                if (url.includes('get_fields')) {
+                    return { errcode: 0, fields: [{ field_id: 'f-data', field_title: '数据' }, { field_id: 'f-id', field_title: 'ID' }] };
+                }
+                return { errcode: 0, records: [weworkRecord('r1', 'local-1', '100'), weworkRecord('r2', 'local-1', '200')], has_more: false };
+            });
+
+            const found = await service.adapter.findRecordById('local-1');
+
+            expect(found.id).toBe('r2');
+            const query = JSON.parse(service.adapter.makeRequest.mock.calls[1][1].body);
+            expect(query.filter_spec.conditions[0]).toMatchObject({ field_id: 'f-id', operator: 'OPERATOR_IS', string_value: { value: ['local-1'] } });
+
+            await service.adapter.findRecordById('local-2');
+            expect(service.adapter.makeRequest.mock.calls.filter(call => call[0].includes('get_fields'))).toHaveLength(1);
+        });
+
+        test('企业微信无法读取字段时翻页逐条比对，不只查前100条', async () => {
+            const service = createService('wework', { corpId: 'c', corpSecret: 's', docId: 'd', sheetId: 's1' }, (url, body) => {
+                if (url.includes('get_fields')) {
+                    throw new Error('no permission');
+                }
+                const records = body.offset === 0
+                    ? Array.from({ length: 1000 }, (_, i) => weworkRecord(`r${i}`, `local-${i}`, '1'))
+                    : [weworkRecord('r-last', 'local-target', '1')];
+                return { errcode: 0, records, has_more: body.offset === 0, next: 1000 };
+            });
+
+            const found = await service.adapter.findRecordById('local-target');
+
+            expect(found.id).toBe('r-last');
+        });
+
+        test('钉钉按ID字段筛选表单实例', async () => {
+            const service = createService('dingtalk', { appKey: 'k', appSecret: 's', workbookId: 'w', sheetId: 's1' }, () => ({
+                totalCount: 1,
+                data: [{ instanceId: 'inst-1', formData: { id: 'local-1', data: '{}' }, modifyTime: '1' }]
+            }));
+
+            const found = await service.adapter.findRecordById('local-1');
+
+            expect(found.id).toBe('inst-1');
+            const query = JSON.parse(service.adapter.makeRequest.mock.calls[0][1].body);
+            expect(JSON.parse(query.searchFieldJson)).toEqual({ [service.adapter.getFieldMapping().id]: 'local-1' });
+        });
+
+        test('飞书按ID列搜索，表格没有ID列时改为逐条比对', async () => {
+            const service = createService('feishu', { tableToken: 'app1', tableId: 'tbl1' }, (url) => {
+                if (url.endsWith('/records/search')) {
+                    const error = new Error('FieldNameNotFound');
+                    error.code = 1254045;
+                    throw error;
+                }
+                return { data: { items: feishuItems(0, 3), has_more: false } };
+            });
+            jest.spyOn(service.adapter, 'isFieldNotFoundError').mockReturnValue(true);
+
+            const found = await service.adapter.findRecordById('local-2');
+
+            expect(found.id).toBe('rec2');
+            expect(service.adapter.hasIdField).toBe(false);
+        });
+    });
+});
@@ -0,0 +1,110 @@
+/**
+ * 用量与费用统计服务测试
+ */
+
+import { UsageService, USAGE_STATS_STORAGE_KEY, SPEND_LIMIT_ACTIONS } from '../src/services/usageService.js';
+import { installChromeStorage } from './helpers/chromeStorage.js';
+
+const CONFIG = { id: 'cfg-qwen', name: '通义千问', type: 'qwen', inputPrice: 0.004, outputPrice: 0.012, currency: 'CNY' };
+const DATE = new Date(2026, 2, 15, 10, 0, 0);
+
+describe('UsageService', () => {
+    let usage;
+    let storage;
+
+    beforeEach(() => {
+        storage = installChromeStorage();
+        usage = new UsageService();
+    });
+
+    describe('用量换算', () => {
+        test('统一各家接口的用量字段', () => {
+            expect(usage.normalizeUsage({ prompt_tokens: 10, completion_tokens: 5 })).toEqual({ promptTokens: 10, completionTokens: 5 });
+            expect(usage.normalizeUsage({ PromptTokens: 8, CompletionTokens: 2 })).toEqual({ promptTokens: 8, completionTokens: 2 });
+            expect(usage.normalizeUsage({ prompt_tokens: 10, total_tokens: 25 })).toEqual({ promptTokens: 10, completionTokens: 15 });
+            expect(usage.normalizeUsage()).toEqual({ promptTokens: 0, completionTokens: 0 });
+        });
+
+        test('按每1K tokens单价计算费用，未设置单价时为0', () => {
+            expect(usage.calculateCost(CONFIG, { prompt_tokens: 1000, completion_tokens: 500 })).toBe(0.01);
+            expect(usage.calculateCost({}, { prompt_tokens: 1000, completion_tokens: 500 })).toBe(0);
+        });
+
+        test('中日韩字符每字约1个token，其余每4个字符约1个token', () => {
+            expect(usage.estimateTokens('改写文本')).toBe(4);
+            expect(usage.estimateTokens('abcdefgh')).toBe(2);
+            expect(usage.estimateTokens('改写ab')).toBe(3);
+        });
+    });
+
+    describe('累计用量', () => {
+        test('按天和按月累计请求数、tokens和费用', async () => {
+            await usage.recordUsage(CONFIG, { prompt_tokens: 1000, completion_tokens: 500 }, DATE);
+            const result = await usage.recordUsage(CONFIG, { prompt_tokens: 500, completion_tokens: 500 }, DATE);
+
+            expect(result).toEqual({ promptTokens: 500, completionTokens: 500, cost: 0.008, currency: 'CNY' });
+            const totals = await usage.getTotals('cfg-qwen', DATE);
+            expect(totals.today).toEqual({ requests: 2, promptTokens: 1500, completionTokens: 1000, cost: 0.018 });
+            expect(totals.month).toEqual(totals.today);
+            expect(storage.data[USAGE_STATS_STORAGE_KEY]['cfg-qwen']).toMatchObject({ name: '通义千问', modelType: 'qwen', currency: 'CNY' });
+        });
+
+        test('并发记录的用量不会互相覆盖', async () => {
+            await Promise.all(Array.from({ length: 5 }, () =>
+                usage.recordUsage(CONFIG, { prompt_tokens: 1000, completion_tokens: 0 }, DATE)));
+
+            const totals = await usage.getTotals('cfg-qwen', DATE);
+            expect(totals.today).toMatchObject({ requests: 5, promptTokens: 5000, cost: 0.02 });
+        });
+
+        test('只保留最近的按天和按月统计', async () => {
+            usage.dailyRetentionDays = 2;
+            usage.monthlyRetention = 1;
+
+            for (const day of [1, 2, 3]) {
+                await usage.recordUsage(CONFIG, { prompt_tokens: 100 }, new Date(2026, day, day));
+            }
+
+            const entry = storage.data[USAGE_STATS_STORAGE_KEY]['cfg-qwen'];
+            expect(Object.keys(entry.daily)).toEqual(['2026-03-02', '2026-04-03']);
+            expect(Object.keys(entry.monthly)).toEqual(['2026-04']);
+        });
+
+        test('汇总各配置当天和当月的用量', async () => {
+            await usage.recordUsage(CONFIG, { prompt_tokens: 1000 }, DATE);
+            await usage.recordUsage({ id: 'cfg-kimi', name: 'Kimi', type: 'kimi' }, { prompt_tokens: 200 }, DATE);
+
+            const summary = await usage.getSummary(DATE);
+
+            expect(summary.map(item => [item.configId, item.today.requests, item.today.cost])).toEqual([
+                ['cfg-qwen', 1, 0.004],
+                ['cfg-kimi', 1, 0]
+            ]);
+        });
+    });
+
+    describe('费用上限', () => {
+        const LIMITED = { ...CONFIG, dailySpendLimit: 0.01 };
+
+        test('未设置上限时不检查', async () => {
+            expect(await usage.checkBudget(CONFIG, '原文', '改写')).toEqual({ allowed: true });
+        });
+
+        test('已花费加本次预估超出每日上限时阻止', async () => {
+            await usage.recordUsage(LIMITED, { prompt_tokens: 2000 }, new Date());
+
+            const budget = await usage.checkBudget(LIMITED, '需'.repeat(500), '改写');
+
+            expect(budget.allowed).toBe(false);
+            expect(budget.message).toMatch(/今日已花费 0\.0080 元.*将超出上限 0\.01 元/);
+        });
+
+        test('每月上限同样生效，仅提醒时允许改写并附带提醒', async () => {
+            const config = { ...CONFIG, monthlySpendLimit: 0.001, spendLimitAction: SPEND_LIMIT_ACTIONS.WARN };
+
+            const budget = await usage.checkBudget(config, '需'.repeat(500), '改写');
+
+            expect(budget).toMatchObject({ allowed: true, warning: expect.stringContaining('本月') });
+        });
+    });
+});
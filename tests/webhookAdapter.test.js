@@ -0,0 +1,117 @@
+/**
+ * Webhook适配器测试
+ */
+
+import { createHmac } from 'crypto';
+import WebhookAdapter from '../src/services/adapters/webhookAdapter.js';
+
+function createAdapter(config, response = {}) {
+    const adapter = new WebhookAdapter({ url: 'https://cms.example.com/hooks', ...config });
+    adapter.makeRequest = jest.fn().mockResolvedValue(response);
+    return adapter;
+}
+
+const RECORD = {
+    id: 'local-1',
+    type: 'workRecord',
+    name: '周报',
+    data: JSON.stringify({ id: 'local-1', rewrittenText: '改写后的文本', wordCount: 6 }),
+    tableId: '工作记录'
+};
+
+describe('WebhookAdapter', () => {
+    test('未配置请求体模板时发送动作、记录ID、表名和完整记录', async () => {
+        const adapter = createAdapter({});
+
+        await adapter.createRecord(RECORD);
+
+        const [url, options] = adapter.makeRequest.mock.calls[0];
+        expect(url).toBe('https://cms.example.com/hooks');
+        expect(options.method).toBe('POST');
+        expect(options.headers['X-FlowFocus-Action']).toBe('create');
+        expect(JSON.parse(options.body)).toEqual({
+            action: 'create',
+            recordId: 'local-1',
+            tableName: '工作记录',
+            record: RECORD
+        });
+    });
+
+    test('URL占位符按URL编码填充，单个占位符保留原值类型', async () => {
+        const adapter = createAdapter({
+            url: 'https://cms.example.com/items/{{recordId}}?table={{tableName}}',
+            updateMethod: 'put',
+            headers: JSON.stringify({ 'X-Record-Type': '{{type}}' }),
+            bodyTemplate: JSON.stringify({
+                text: '{{local.rewrittenText}}',
+                count: '{{local.wordCount}}',
+                missing: '{{local.none}}',
+                title: '《{{name}}》'
+            })
+        });
+
+        await adapter.updateRecord('remote/9', RECORD);
+
+        const [url, options] = adapter.makeRequest.mock.calls[0];
+        expect(url).toBe(`https://cms.example.com/items/remote%2F9?table=${encodeURIComponent('工作记录')}`);
+        expect(options.method).toBe('PUT');
+        expect(options.headers['X-Record-Type']).toBe('workRecord');
+        expect(JSON.parse(options.body)).toEqual({ text: '改写后的文本', count: 6, missing: null, title: '《周报》' });
+    });
+
+    test('配置签名密钥时附带可校验的HMAC-SHA256签名', async () => {
+        const adapter = createAdapter({ hmacSecret: 'shared-secret' });
+
+        await adapter.createRecord(RECORD);
+
+        const { headers, body } = adapter.makeRequest.mock.calls[0][1];
+        const timestamp = headers['X-FlowFocus-Timestamp'];
+        const expected = createHmac('sha256', 'shared-secret').update(`${timestamp}.${body}`).digest('hex');
+        expect(headers['X-FlowFocus-Signature']).toBe(`sha256=${expected}`);
+    });
+
+    test('按responseIdPath从响应中读取远端记录ID，读取不到时使用本地ID', async () => {
+        const adapter = createAdapter({ responseIdPath: 'result.item.key' }, { result: { item: { key: 42 } } });
+        expect(await adapter.createRecord(RECORD)).toEqual({ id: '42' });
+
+        const fallback = createAdapter({}, { ok: true });
+        expect(await fallback.createRecord(RECORD)).toEqual({ id: 'local-1' });
+    });
+
+    test('批量发送时单条失败不影响其他记录', async () => {
+        const adapter = createAdapter({});
+        adapter.makeRequest
+            .mockRejectedValueOnce(new Error('HTTP 500'))
+            .mockResolvedValueOnce({ id: 'r2' });
+
+        const results = await adapter.batchCreateRecords([RECORD, { ...RECORD, id: 'local-2' }]);
+
+        expect(results).toEqual([
+            { success: false, error: 'HTTP 500', originalIndex: 0 },
+            { id: 'r2', success: true, originalIndex: 1 }
+        ]);
+    });
+
+    test('Webhook只写不读', async () => {
+        const adapter = createAdapter({});
+
+        expect(await adapter.getRecords()).toEqual([]);
+        expect(adapter.parseRecord({ id: 'x' })).toBeNull();
+    });
+
+    test('校验URL、请求方法和JSON模板', () => {
+        expect(WebhookAdapter.validateTemplates({ url: 'https://cms.example.com/hooks' })).toEqual([]);
+        expect(WebhookAdapter.validateTemplates({
+            url: 'cms.example.com',
+            method: 'TRACE',
+            headers: '[]',
+            bodyTemplate: '{oops'
+        })).toEqual([
+            'Webhook URL需以http://或https://开头',
+            '不支持的请求方法: TRACE',
+            '请求头模板必须是JSON对象',
+            '请求体模板不是有效的JSON'
+        ]);
+        expect(() => new WebhookAdapter({ url: 'https://x', headers: '{bad' })).toThrow('请求头模板不是有效的JSON');
+    });
+});